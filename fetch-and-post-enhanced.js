@@ -6,15 +6,27 @@
  */
 
 import { readFile, writeFile, mkdir } from 'fs/promises';
-import { OutputManager, addEntry as addHtmlEntry, finalizeOutputs as finalizeHtmlOutputs } from './outputs/outputManager.js';
-import { StateManager } from './utils/stateManager.js';
+import path from 'path';
+import tls from 'tls';
+import { OutputManager, addEntry as addHtmlEntry, finalizeOutputs as finalizeHtmlOutputs, renderOutputsTo } from './outputs/outputManager.js';
+import { createStateStore } from './utils/stateStore.js';
 import { ThreatFilter } from './utils/threatFilter.js';
 import { HealthMonitor } from './utils/healthMonitor.js';
 import { validateFeeds } from './utils/validator.js';
 import { config } from './utils/config.js';
-import { logger } from './utils/logger.js';
+import { logger, registerSecretEnv } from './utils/logger.js';
 import { showHelp } from './utils/help.js';
 import { FeedProcessor } from './utils/feedProcessor.js';
+import { mapWithLimits, hostKey } from './utils/concurrency.js';
+import { CircuitBreaker } from './utils/circuitBreaker.js';
+import { registerFeedSecrets, buildFeedHeaders } from './utils/feedAuth.js';
+import { ArticleFetcher } from './utils/articleFetcher.js';
+import { getProxySettings, resolveRoute, redactProxy, loadCaBundle } from './utils/httpClient.js';
+import { FetchRecorder } from './utils/fetchRecorder.js';
+import { walkPages } from './utils/pagination.js';
+import { needsSubscription } from './utils/webSub.js';
+import { clusterStories, commitStories } from './utils/storyClusters.js';
+import { WebSubSubscriber } from './services/webSubSubscriber.js';
 
 class ThreatIntelBot {
   constructor() {
@@ -22,9 +34,28 @@ class ThreatIntelBot {
     this.isDryRun = process.argv.includes('--dry-run') || process.env.DRY_RUN === 'true';
     this.showHelp = process.argv.includes('--help') || process.argv.includes('-h');
     this.validateConfig = process.argv.includes('--validate');
+    const resetIndex = process.argv.indexOf('--reset-circuit');
+    this.resetCircuit = resetIndex === -1 ? null :
+      (process.argv[resetIndex + 1] && !process.argv[resetIndex + 1].startsWith('--') ? process.argv[resetIndex + 1] : 'all');
+    this.recordRun = process.argv.includes('--record') || process.env.RECORD_FETCHES === 'true';
+    const replayIndex = process.argv.indexOf('--replay');
+    this.replayRun = replayIndex === -1 ? null :
+      (process.argv[replayIndex + 1] && !process.argv[replayIndex + 1].startsWith('--') ? process.argv[replayIndex + 1] : '');
+    // Replays never post to Teams or save state
+    if (this.replayRun !== null) this.isDryRun = true;
+    const backfillIndex = process.argv.indexOf('--backfill');
+    this.backfillFeed = backfillIndex === -1 ? null :
+      (process.argv[backfillIndex + 1] && !process.argv[backfillIndex + 1].startsWith('--') ? process.argv[backfillIndex + 1] : 'all');
+    const sinceIndex = process.argv.indexOf('--since');
+    this.backfillSince = sinceIndex === -1 ? null : (process.argv[sinceIndex + 1] || '');
+    this.backfillPost = process.argv.includes('--post');
+    this.webSubMode = process.argv.includes('--websub');
+    this.recorder = null;
+    this.stateSnapshot = null;
+    this.webSub = null;
     
-    // Initialize components
-    this.stateManager = new StateManager({
+    // Initialize components (STATE_STORE picks the JSON file or SQLite store)
+    this.stateManager = createStateStore({
       stateFile: this.config.stateFile,
       backupDir: this.config.backupDir || './data/backups'
     });
@@ -33,6 +64,8 @@ class ThreatIntelBot {
     this.healthMonitor = new HealthMonitor(this.config.healthMonitor);
     this.outputManager = new OutputManager(this.config.outputs);
     this.feedProcessor = new FeedProcessor(this.config.feedProcessor);
+    this.circuitBreaker = new CircuitBreaker(this.config.circuitBreaker);
+    this.articleFetcher = new ArticleFetcher(this.config.articleFetcher);
   }
 
   /**
@@ -51,44 +84,77 @@ class ThreatIntelBot {
         return;
       }
 
+      if (this.resetCircuit) {
+        await this.resetCircuits(this.resetCircuit);
+        return;
+      }
+
+      if (this.backfillFeed) {
+        await this.backfill(this.backfillFeed, { since: this.backfillSince, post: this.backfillPost });
+        return;
+      }
+
+      if (this.webSubMode) {
+        const subscriber = await this.runWebSub();
+        for (const signal of ['SIGINT', 'SIGTERM']) {
+          process.once(signal, () => subscriber.close().then(() => process.exit(0)));
+        }
+        return;
+      }
+
+      if (this.replayRun === '') {
+        throw new Error('--replay requires a run id or recording directory');
+      }
+
       logger.info('🚀 Starting Threat Intelligence Bot', {
-        mode: this.isDryRun ? 'DRY-RUN' : 'LIVE',
+        mode: this.replayRun !== null ? 'REPLAY' : this.isDryRun ? 'DRY-RUN' : 'LIVE',
         timestamp: new Date().toISOString()
       });
 
       // Record run start
       await this.healthMonitor.recordRunStart({
-        mode: this.isDryRun ? 'dry-run' : 'live',
+        mode: this.replayRun !== null ? 'replay' : this.isDryRun ? 'dry-run' : 'live',
         timestamp: new Date().toISOString()
       });
 
-      // Load and validate feeds
-      const feeds = await this.loadFeeds();
+      // Raw responses are recorded to / replayed from data/recordings/<runId>/
+      await this.startRecorder();
+
+      // Load and validate feeds (a replay uses the feeds and state the recording started from)
+      const feeds = this.replayRun ? await this.recorder.loadSnapshot('feeds') : await this.loadFeeds();
       logger.info(`📋 Loaded ${feeds.length} feed(s)`);
 
       // Load state
-      const state = await this.stateManager.loadState();
-      logger.info(`📊 Loaded state: ${Object.keys(state.seen || {}).length} entries tracked`);
+      const state = this.replayRun ? await this.recorder.loadSnapshot('state') : await this.stateManager.loadState();
+      if (this.recordRun && this.recorder) {
+        await this.recorder.saveSnapshot('feeds', feeds);
+        await this.recorder.saveSnapshot('state', state);
+        this.stateSnapshot = structuredClone(state);
+      }
+      const tracked = this.replayRun ? Object.keys(state.seen || {}).length : await this.stateManager.seenCount(state);
+      logger.info(`📊 Loaded state: ${tracked} entries tracked`);
 
       // Process all feeds
       const results = await this.processFeeds(feeds, state);
 
+      // Download linked articles for feeds with fetchArticle enabled
+      await this.enrichEntries(results);
+
       // Filter and classify entries
       let filteredResults = await this.filterAndClassifyEntries(results);
 
       // Enforce strict chronological ordering (newest first), tie-breaker by title
-      filteredResults.entries.sort((a, b) => {
-        const ta = Date.parse(a.publishedDate || 0) || 0;
-        const tb = Date.parse(b.publishedDate || 0) || 0;
-        if (tb !== ta) return tb - ta;
-        return String(a.title || '').localeCompare(String(b.title || ''));
-      });
+      this.sortEntries(filteredResults.entries);
+
+      // Group reports of the same story across sources and recent runs
+      filteredResults = this.clusterEntries(filteredResults, state);
 
       // Output results
       const outputResults = await this.outputEntries(filteredResults);
+      this.saveStories(state, filteredResults, outputResults);
 
       // Update state
-      await this.updateState(state, filteredResults);
+      await this.updateState(state, filteredResults, { posted: outputResults.posted });
 
       // Record successful run
       await this.healthMonitor.recordRunEnd({
@@ -107,7 +173,8 @@ class ThreatIntelBot {
         totalNewDetected: results.totalEntries,
         totalFiltered: filteredResults.entries.length,
         totalPosted: outputResults.totalPosted,
-        capped: Math.max(0, filteredResults.entries.length - outputResults.capAppliedCount),
+        clustered: filteredResults.stories?.members || 0,
+        capped: Math.max(0, outputResults.postable - outputResults.capAppliedCount),
         durationMs
       };
       logger.info('📈 Run summary', metrics);
@@ -124,7 +191,64 @@ class ThreatIntelBot {
         error: error.message
       });
       throw error;
+    } finally {
+      await this.stopRecorder();
+    }
+  }
+
+  /**
+   * Newest first, tie-breaker by title (undated entries last)
+   * @param {Array} entries - Entries, sorted in place
+   */
+  sortEntries(entries) {
+    return entries.sort((a, b) => {
+      const ta = Date.parse(a.publishedDate || 0) || 0;
+      const tb = Date.parse(b.publishedDate || 0) || 0;
+      if (tb !== ta) return tb - ta;
+      return String(a.title || '').localeCompare(String(b.title || ''));
+    });
+  }
+
+  /**
+   * Open the fetch recorder for --record / --replay runs
+   */
+  async startRecorder() {
+    if (this.replayRun) {
+      this.recorder = await FetchRecorder.open(this.replayRun, this.config.recordingsDir);
+      logger.info(`🔁 Replaying recording ${this.recorder.manifest.runId} (${this.recorder.manifest.responses.length} responses)`);
+    } else if (this.recordRun) {
+      this.recorder = await FetchRecorder.create(this.healthMonitor.currentRun.id, this.config.recordingsDir);
+      logger.info(`⏺️  Recording fetches to ${this.recorder.dir}`);
+    } else {
+      return;
     }
+    this.feedProcessor.setRecorder(this.recorder);
+    // Articles must go through httpFetch to be recorded; replays never write the cache
+    this.articleFetcher = new ArticleFetcher({
+      ...this.config.articleFetcher,
+      cacheRead: false,
+      cacheWrite: !this.replayRun
+    });
+  }
+
+  async stopRecorder() {
+    if (!this.recorder) return;
+    try {
+      await this.recorder.finish({ mode: this.isDryRun ? 'dry-run' : 'live' });
+    } catch (error) {
+      logger.warn(`Failed to write recording manifest: ${error.message}`);
+    }
+    this.feedProcessor.setRecorder(null);
+    this.recorder = null;
+  }
+
+  /**
+   * Current time; recorded runs use the time the recording was made, so a replay's
+   * age filter, circuit breaker and time-windowed requests (NVD) match the recording
+   */
+  now() {
+    if (this.recorder) return Date.parse(this.recorder.manifest.recordedAt);
+    return Date.now();
   }
 
   /**
@@ -135,8 +259,12 @@ class ThreatIntelBot {
       const feedsData = await readFile('./data/feeds.json', 'utf-8');
       const feeds = JSON.parse(feedsData);
 
-      // Validate feeds
-      const validation = validateFeeds(feeds);
+      // Redact feed secrets from logs before anything can print them
+      feeds.forEach(registerFeedSecrets);
+
+      // Validate feeds (parser names include plugins from PARSER_PLUGINS_DIR)
+      const registry = await this.feedProcessor.loadParsers();
+      const validation = validateFeeds(feeds, { parsers: registry.names() });
       if (!validation.isValid) {
         throw new Error(`Invalid feeds configuration: ${validation.errors.join(', ')}`);
       }
@@ -154,6 +282,8 @@ class ThreatIntelBot {
 
   /**
    * Process all feeds and collect entries
+   * Feeds are fetched concurrently (bounded globally and per host); results are
+   * then applied in feeds.json order so feedResults and entries stay deterministic.
    */
   async processFeeds(feeds, state) {
     const results = {
@@ -162,39 +292,90 @@ class ThreatIntelBot {
       allEntries: []
     };
 
-    logger.info('🔄 Processing feeds...');
+    logger.info('🔄 Processing feeds...', {
+      concurrency: this.config.feedConcurrency,
+      perHost: this.config.feedConcurrencyPerHost
+    });
 
-    for (const feed of feeds) {
+    const fetched = await mapWithLimits(feeds, {
+      limit: this.config.feedConcurrency,
+      perKeyLimit: this.config.feedConcurrencyPerHost,
+      keyFn: feed => hostKey(feed.url)
+    }, async feed => {
+      const gate = this.circuitBreaker.allowRequest(feed, state, this.now());
+      if (!gate.allowed) {
+        return { skipped: true, retryAt: gate.retryAt, durationMs: 0 };
+      }
+      const startedAt = Date.now();
       try {
         logger.info(`📡 Processing feed: ${feed.name}`);
-        
-        const feedResult = await this.feedProcessor.processFeed(feed);
+        const feedResult = await this.feedProcessor.processFeed(feed, { state, now: this.now() });
+        return { feedResult, durationMs: Date.now() - startedAt };
+      } catch (error) {
+        return { error, durationMs: Date.now() - startedAt };
+      }
+    });
+
+    // Seen records of everything fetched, looked up in one go (the SQLite store keeps them on disk)
+    await this.loadSeen(state, fetched.flatMap(result => result.feedResult?.entries || []));
+
+    for (const [index, feed] of feeds.entries()) {
+      const { feedResult, error, durationMs, skipped, retryAt } = fetched[index];
+      if (skipped) {
+        logger.warn(`⛔ Feed "${feed.name}" skipped: circuit open until ${retryAt}`);
+        results.feedResults[feed.name] = {
+          success: false,
+          skipped: true,
+          circuit: 'open',
+          retryAt,
+          error: `Circuit open until ${retryAt}`
+        };
+        continue;
+      }
+
+      try {
+        if (error) throw error;
+        const circuit = this.circuitBreaker.recordSuccess(feed, state);
+
+        if (feedResult.cursor !== undefined) {
+          state.cursors = state.cursors || {};
+          state.cursors[feed.name] = feedResult.cursor;
+        }
+
+        if (feedResult.httpCache) {
+          state.httpCache = state.httpCache || {};
+          state.httpCache[feed.name] = { ...feedResult.httpCache, checkedAt: new Date().toISOString() };
+        }
+
+        // Unchanged since last run (304 or identical body): healthy, nothing to parse
+        if (feedResult.notModified) {
+          results.feedResults[feed.name] = {
+            success: true,
+            notModified: true,
+            reason: feedResult.notModifiedReason,
+            entries: 0,
+            newEntries: 0,
+            durationMs,
+            circuit,
+            ...(feedResult.encoding ? { encoding: feedResult.encoding } : {})
+          };
+          logger.info(`⏭️  Feed "${feed.name}": not modified (${feedResult.notModifiedReason})`);
+          continue;
+        }
+
         results.feedResults[feed.name] = {
           success: true,
           entries: feedResult.entries.length,
-          newEntries: feedResult.newEntries.length
+          newEntries: feedResult.newEntries.length,
+          durationMs,
+          circuit,
+          ...(feedResult.encoding ? { encoding: feedResult.encoding } : {})
         };
 
         // Filter out already seen entries
-        const now = Date.now();
-        const lastRunTs = state.lastRun ? Date.parse(state.lastRun) : 0;
-        const maxAgeMs = this.config.maxBackfillDays * 24 * 60 * 60 * 1000;
-        const thisRunIds = new Set();
+        const newEntries = this.selectNewEntries(feedResult.entries, state);
 
-        const newEntries = feedResult.entries.filter(entry => {
-          const entryId = this.generateEntryId(entry);
-          if (thisRunIds.has(entryId)) return false; // intra-run dedupe
-          thisRunIds.add(entryId);
-          if (state.seen[entryId]) return false; // already seen
-          if (!this.config.allowBackfill) {
-            const pubTs = entry.publishedDate ? Date.parse(entry.publishedDate) : now;
-            if (lastRunTs && pubTs < lastRunTs) return false; // older than last run
-            if (pubTs && now - pubTs > maxAgeMs) return false; // too old
-          }
-          return true;
-        });
-
-        logger.info(`📰 Feed "${feed.name}": ${feedResult.entries.length} total, ${newEntries.length} new`);
+        logger.info(`📰 Feed "${feed.name}": ${feedResult.entries.length} total, ${newEntries.length} new (${durationMs}ms)`);
 
         // Add source information to entries
         const enrichedEntries = newEntries.map(entry => ({
@@ -210,7 +391,11 @@ class ThreatIntelBot {
         logger.error(`Failed to process feed "${feed.name}":`, error);
         results.feedResults[feed.name] = {
           success: false,
-          error: error.message
+          error: error.message,
+          // Typed rejections (feedGuard) carry a stable code, e.g. response_too_large or unsafe_xml
+          errorCode: error.code || null,
+          durationMs,
+          circuit: this.circuitBreaker.recordFailure(feed, state, error, this.now())
         };
         await this.healthMonitor.recordError(error, { feed: feed.name });
       }
@@ -219,6 +404,91 @@ class ThreatIntelBot {
     return results;
   }
 
+  /**
+   * Have the state store add the seen records of these entries to state.seen;
+   * a recording's state snapshot gets them too, so its replay skips the same entries
+   * @param {Object} state - Loaded state
+   * @param {Array} entries - Entries about to be checked against state.seen
+   */
+  async loadSeen(state, entries) {
+    if (this.replayRun || entries.length === 0) return;
+    const added = await this.stateManager.loadSeen(state, entries.map(entry => this.generateEntryId(entry)));
+    if (this.stateSnapshot && this.recorder && Object.keys(added).length > 0) {
+      Object.assign(this.stateSnapshot.seen, added);
+      await this.recorder.saveSnapshot('state', this.stateSnapshot);
+    }
+  }
+
+  /**
+   * Entries not seen before and not older than the last run or MAX_BACKFILL_DAYS
+   * @param {Array} entries - Normalized entries of one feed
+   * @param {Object} state - Loaded state
+   * @returns {Array} - New entries, deduplicated
+   */
+  selectNewEntries(entries, state) {
+    const now = this.now();
+    const lastRunTs = state.lastRun ? Date.parse(state.lastRun) : 0;
+    const maxAgeMs = this.config.maxBackfillDays * 24 * 60 * 60 * 1000;
+    const thisRunIds = new Set();
+
+    return entries.filter(entry => {
+      const entryId = this.generateEntryId(entry);
+      if (thisRunIds.has(entryId)) return false; // intra-run dedupe
+      thisRunIds.add(entryId);
+      if (state.seen[entryId]) return false; // already seen
+      // Undated entries (publishedDate null) skip the age checks and rely on seen-tracking
+      if (!this.config.allowBackfill && entry.publishedDate) {
+        const pubTs = Date.parse(entry.publishedDate);
+        // receivedDate (mail arrival, or fetch time for day-only dates) decides what is newer than the last run
+        const arrivedTs = entry.receivedDate ? Date.parse(entry.receivedDate) : pubTs;
+        if (lastRunTs && arrivedTs < lastRunTs) return false; // older than last run
+        if (pubTs && now - pubTs > maxAgeMs) return false; // too old
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Full-article enrichment for feeds with `fetchArticle` enabled.
+   * Sets entry.articleText (used by ThreatFilter) within the per-feed maxItems budget.
+   */
+  async enrichEntries(results) {
+    const perFeed = new Map();
+    const targets = results.allEntries.filter(entry => {
+      const setting = entry.feedConfig?.fetchArticle;
+      if (!setting || !entry.link) return false;
+      const maxItems = typeof setting === 'object' && setting.maxItems ? setting.maxItems : 10;
+      const count = (perFeed.get(entry.source) || 0) + 1;
+      perFeed.set(entry.source, count);
+      return count <= maxItems;
+    });
+    if (targets.length === 0) return;
+
+    logger.info(`📖 Fetching ${targets.length} linked article(s) for enrichment...`);
+    await mapWithLimits(targets, {
+      limit: this.config.feedConcurrency,
+      perKeyLimit: this.config.feedConcurrencyPerHost,
+      keyFn: entry => hostKey(entry.link)
+    }, async entry => {
+      const setting = typeof entry.feedConfig.fetchArticle === 'object' ? entry.feedConfig.fetchArticle : {};
+      // Feed credentials only go to the feed's own origin
+      let headers = {};
+      try {
+        if (new URL(entry.link).origin === new URL(entry.feedConfig.url).origin) {
+          headers = buildFeedHeaders(entry.feedConfig);
+        }
+      } catch {}
+      const fetchArticle = () => this.articleFetcher.getArticle(entry.link, { ...setting, headers });
+      const article = this.recorder
+        ? await this.recorder.scope({ feed: entry.source, kind: 'article' }, fetchArticle)
+        : await fetchArticle();
+      if (article?.text) {
+        entry.articleText = article.text;
+        entry.enrichment = { type: 'article', chars: article.text.length, fromCache: article.fromCache };
+      }
+    });
+  }
+
   /**
    * Filter and classify entries using ThreatFilter
    */
@@ -251,12 +521,89 @@ class ThreatIntelBot {
     };
   }
 
+  /**
+   * Group entries that report the same story (shared CVE IDs or canonical advisory
+   * URL), here and in stories posted within STORY_WINDOW_HOURS (state.clusters).
+   * Annotates entries with `story`; outputEntries posts leads and updates only.
+   * state.clusters is left alone until saveStories records what was posted.
+   * @param {Object} filteredResults - { entries, stats }
+   * @param {Object} state - Loaded state
+   * @returns {Object} - filteredResults with `stories` counts and the clustered `pendingClusters`
+   */
+  clusterEntries(filteredResults, state) {
+    const options = this.config.storyClustering || {};
+    if (options.enabled === false) return filteredResults;
+
+    const pendingClusters = structuredClone(state.clusters || {});
+    const stories = clusterStories(filteredResults.entries, pendingClusters, {
+      now: this.now(),
+      windowHours: options.windowHours,
+      maxCves: options.maxCves,
+      idOf: entry => this.generateEntryId(entry)
+    });
+    if (stories.members + stories.updates > 0) {
+      logger.info(`🧩 Stories: ${stories.stories} new, ${stories.updates} update(s) to earlier stories, ${stories.members} report(s) folded into another card`);
+    }
+    return { ...filteredResults, stories, pendingClusters };
+  }
+
+  /**
+   * Keep the stories whose lead or update was posted in state.clusters; a failed
+   * post, the post cap or a dry run leaves them out, so a later report starts over
+   * @param {Object} state - Loaded state (clusters are updated in place)
+   * @param {Object} filteredResults - clusterEntries result
+   * @param {Object} outputResults - outputEntries result ({ posted })
+   */
+  saveStories(state, filteredResults, outputResults) {
+    if (!filteredResults.pendingClusters) return;
+    state.clusters = state.clusters || {};
+    commitStories(state.clusters, filteredResults.pendingClusters, outputResults?.posted || []);
+  }
+
+  /**
+   * Hand a story's card to its first member when the lead's (or update's) post failed;
+   * the failed entry becomes a member listed on that card
+   * @param {Array<Object>} entries - Clustered entries (annotated in place)
+   * @param {Object} failed - Entry whose post failed
+   * @returns {Object|null} - The promoted entry, or null when the story has no members
+   */
+  promoteMember(entries, failed) {
+    const story = failed.story;
+    if (!story || story.role === 'member') return null;
+    const member = entries.find(entry => entry.story?.role === 'member' && entry.story.id === story.id);
+    if (!member) return null;
+
+    const isMember = report => report.source === (member.source || null) && report.title === (member.title || '') && report.link === (member.link || null);
+    const failedReport = { source: failed.source || null, title: failed.title || '', link: failed.link || null };
+    member.story = { ...story, alsoReportedBy: [failedReport, ...story.alsoReportedBy.filter(report => !isMember(report))] };
+    failed.story = { id: story.id, role: 'member' };
+    return member;
+  }
+
   /**
    * Output entries to configured channels
+   * @param {Object} filteredResults - { entries } (clustered)
+   * @returns {Promise<Object>} - { totalPosted, posted: entries sent, postable: cards to send, capAppliedCount }
    */
   async outputEntries(filteredResults) {
     logger.info('📤 Outputting entries...');
 
+    const postCap = Number(process.env.PER_RUN_POST_CAP || 30);
+    // Story members are listed on their lead's (or update's) card instead of getting their own
+    const postable = filteredResults.entries.filter(entry => entry.story?.role !== 'member');
+    if (this.replayRun) {
+      const outputDir = path.join(this.recorder.dir, 'replay');
+      const rendered = await renderOutputsTo(filteredResults.entries, outputDir, { postCap });
+      logger.info(`🔁 REPLAY: rendered ${rendered.cards} card(s) and the dashboard (${rendered.entries} entries) to ${outputDir}`);
+      return {
+        totalPosted: 0,
+        posted: [],
+        postable: postable.length,
+        capAppliedCount: Math.min(postable.length, postCap),
+        replayOutputDir: outputDir
+      };
+    }
+
     if (this.isDryRun) {
       logger.info('🏃 DRY-RUN MODE: Entries would be posted:', {
         count: filteredResults.entries.length,
@@ -264,12 +611,17 @@ class ThreatIntelBot {
           title: e.title,
           source: e.source,
           severity: e.classification?.severity,
-          threatType: e.classification?.threatType
+          threatType: e.classification?.threatType,
+          language: e.language,
+          ...(e.story ? { story: e.story.role } : {})
         }))
       });
 
       return {
         totalPosted: 0,
+        posted: [],
+        postable: postable.length,
+        capAppliedCount: Math.min(postable.length, postCap),
         dryRunCount: filteredResults.entries.length
       };
     }
@@ -284,25 +636,31 @@ class ThreatIntelBot {
     } catch {}
 
     let postedThisRun = 0;
-    const postCap = Number(process.env.PER_RUN_POST_CAP || 30);
-    for (const entry of filteredResults.entries) {
+    const posted = [];
+    const queue = [...postable];
+    for (let i = 0; i < queue.length; i++) {
+      const entry = queue[i];
       if (postedThisRun >= postCap) {
         logger.warn(`Post cap reached (${postCap}). Skipping remaining entries this run.`);
         break;
       }
       try {
         await this.outputManager.sendEntry(entry);
+        posted.push(entry);
         totalPosted++;
         postedThisRun++;
         logger.info(`📨 Posted: ${entry.title} (${entry.source})`);
 
         // Add delay between posts to avoid rate limiting
-        if (totalPosted < filteredResults.entries.length) {
+        if (totalPosted < queue.length) {
           await this.sleep(this.config.postDelay || 1000);
         }
       } catch (error) {
         logger.error(`Failed to post entry "${entry.title}":`, error);
         await this.healthMonitor.recordError(error, { entry: entry.title });
+        // The story's next report gets the card instead
+        const promoted = this.promoteMember(filteredResults.entries, entry);
+        if (promoted) queue.splice(i + 1, 0, promoted);
       }
     }
 
@@ -313,18 +671,209 @@ class ThreatIntelBot {
       logger.warn('GitHub Pages finalize step skipped or failed:', e?.message || e);
     }
 
-    const capAppliedCount = Math.min(filteredResults.entries.length, postCap);
-    return { totalPosted, capAppliedCount };
+    const capAppliedCount = Math.min(postable.length, postCap);
+    return { totalPosted, posted, postable: postable.length, capAppliedCount };
+  }
+
+  /**
+   * Walk feed archives back to a date (feeds.json `pagination`, see utils/pagination.js)
+   * and store the entries in state and the dashboard archive. Nothing is posted to
+   * Teams unless `post` is set; lastRun is left alone so the next normal run is unaffected.
+   * @param {string} feedName - Feed name or 'all'
+   * @param {Object} options - { since: 'YYYY-MM-DD' (default and floor: MAX_BACKFILL_DAYS ago), post }
+   * @returns {Promise<Object>} - { since, feeds: { [name]: { pages, entries, stoppedBy, oldest } }, archived, posted }
+   */
+  async backfill(feedName, options = {}) {
+    const now = Date.now();
+    const floor = now - this.config.maxBackfillDays * 24 * 60 * 60 * 1000;
+    let since = floor;
+    if (options.since !== null && options.since !== undefined) {
+      const requested = Date.parse(options.since);
+      if (Number.isNaN(requested)) throw new Error(`--since expects a date such as 2025-01-31, got '${options.since}'`);
+      if (requested < floor) {
+        logger.warn(`⚠️  --since ${options.since} is beyond MAX_BACKFILL_DAYS (${this.config.maxBackfillDays}); stopping at ${new Date(floor).toISOString()}`);
+      }
+      since = Math.max(requested, floor);
+    }
+
+    const allFeeds = await this.loadFeeds();
+    const feeds = feedName === 'all' ? allFeeds : allFeeds.filter(feed => feed.name === feedName);
+    if (feeds.length === 0) throw new Error(`No enabled feed named "${feedName}"`);
+
+    const state = await this.stateManager.loadState();
+    const sinceIso = new Date(since).toISOString();
+    logger.info(`⏪ Backfilling ${feeds.length} feed(s) back to ${sinceIso}`, { post: !!options.post, dryRun: this.isDryRun });
+
+    const results = { totalEntries: 0, feedResults: {}, allEntries: [] };
+    const summary = { since: sinceIso, feeds: {}, archived: 0, posted: 0 };
+    const thisRunIds = new Set();
+    for (const feed of feeds) {
+      try {
+        // Empty state: no conditional GET or poll cursors, every page is read in full
+        const walk = await walkPages(feed, async url => this.feedProcessor.processFeed(feed, { state: {}, url }), {
+          since,
+          maxPages: this.config.backfillMaxPages,
+          idOf: entry => this.generateEntryId(entry)
+        });
+        await this.loadSeen(state, walk.entries);
+        const entries = walk.entries.filter(entry => {
+          const entryId = this.generateEntryId(entry);
+          if (thisRunIds.has(entryId) || state.seen[entryId]) return false;
+          thisRunIds.add(entryId);
+          // Undated entries are kept; seen-tracking stops them from coming back
+          return !entry.publishedDate || !(Date.parse(entry.publishedDate) < since);
+        });
+        results.allEntries.push(...entries.map(entry => ({ ...entry, source: feed.name, feedConfig: feed })));
+        results.totalEntries += entries.length;
+        results.feedResults[feed.name] = { success: true, entries: walk.entries.length, newEntries: entries.length };
+        summary.feeds[feed.name] = { pages: walk.pages, entries: entries.length, stoppedBy: walk.stoppedBy, oldest: walk.oldest };
+        logger.info(`⏪ Feed "${feed.name}": ${walk.pages} page(s), ${walk.entries.length} total, ${entries.length} new (stopped: ${walk.stoppedBy})`);
+      } catch (error) {
+        logger.error(`Backfill failed for feed "${feed.name}":`, error);
+        results.feedResults[feed.name] = { success: false, error: error.message, errorCode: error.code || null };
+        summary.feeds[feed.name] = { pages: 0, entries: 0, error: error.message };
+      }
+    }
+
+    await this.enrichEntries(results);
+    let filteredResults = await this.filterAndClassifyEntries(results);
+    this.sortEntries(filteredResults.entries);
+    // Only posted backfills start stories: archived ones never had a card to update
+    if (options.post) filteredResults = this.clusterEntries(filteredResults, state);
+
+    if (this.isDryRun) {
+      logger.info('🏃 DRY-RUN MODE: backfilled entries would be archived:', {
+        count: filteredResults.entries.length,
+        entries: filteredResults.entries.map(e => ({ title: e.title, source: e.source, publishedDate: e.publishedDate }))
+      });
+      return summary;
+    }
+
+    let posted = [];
+    if (options.post) {
+      const outputResults = await this.outputEntries(filteredResults);
+      this.saveStories(state, filteredResults, outputResults);
+      summary.posted = outputResults.totalPosted;
+      posted = outputResults.posted;
+    } else {
+      for (const entry of filteredResults.entries) addHtmlEntry(entry);
+      try {
+        await finalizeHtmlOutputs(false);
+      } catch (e) {
+        logger.warn('GitHub Pages finalize step skipped or failed:', e?.message || e);
+      }
+    }
+    summary.archived = filteredResults.entries.length;
+
+    await this.updateState(state, filteredResults, { backfill: summary, posted });
+    console.log(`⏪ Backfill complete: ${summary.archived} entr${summary.archived === 1 ? 'y' : 'ies'} archived${options.post ? `, ${summary.posted} posted` : ''} (back to ${sinceIso})`);
+    return summary;
+  }
+
+  /**
+   * Serve WebSub callbacks: subscribe enabled feeds that announce a hub (unless
+   * `"websub": false`) and run every signed push through the normal pipeline.
+   * Keeps running until the returned subscriber is closed.
+   * @returns {Promise<WebSubSubscriber>}
+   */
+  async runWebSub() {
+    registerSecretEnv('WEBSUB_SECRET');
+    const options = this.config.webSub;
+    const feeds = (await this.loadFeeds()).filter(feed => feed.websub !== false);
+    const state = await this.stateManager.loadState();
+
+    const subscriber = new WebSubSubscriber({
+      callbackUrl: options.callbackUrl,
+      secret: process.env.WEBSUB_SECRET,
+      leaseSeconds: options.leaseSeconds,
+      subscriptions: state.websub || {},
+      onPush: (feed, push) => this.handlePush(feed, push),
+      onChange: () => this.saveWebSubState()
+    });
+    this.webSub = subscriber;
+    const address = await subscriber.listen(options.port);
+    logger.info(`📬 WebSub callback server listening on port ${address.port} (${options.callbackUrl})`);
+
+    for (const feed of feeds) {
+      subscriber.register(feed);
+      if (!needsSubscription(subscriber.subscriptions[feed.name], this.now())) continue;
+      try {
+        // Fresh fetch (no conditional GET) so the hub links are in the response
+        const result = await this.feedProcessor.processFeed(feed, { state: {} });
+        if (!result.hubUrl) {
+          logger.info(`⏭️  Feed "${feed.name}": no WebSub hub announced, left to polling`);
+          continue;
+        }
+        await subscriber.subscribe(feed, { hub: result.hubUrl, topic: result.selfUrl || feed.url });
+      } catch (error) {
+        logger.warn(`⚠️  WebSub discovery failed for "${feed.name}": ${error.message}`);
+      }
+    }
+
+    subscriber.startRenewal();
+    return subscriber;
+  }
+
+  /**
+   * Process one WebSub push: new entries are enriched, filtered, posted and marked seen
+   * @param {Object} feed - Feed the push was delivered for
+   * @param {Object} push - { body: Buffer, contentType }
+   * @returns {Promise<Object>} - { entries, posted }
+   */
+  async handlePush(feed, { body, contentType }) {
+    const state = await this.stateManager.loadState();
+    const feedResult = await this.feedProcessor.processContent(feed, body, { contentType });
+    await this.loadSeen(state, feedResult.entries);
+    const newEntries = this.selectNewEntries(feedResult.entries, state);
+    logger.info(`📬 WebSub push for "${feed.name}": ${feedResult.entries.length} total, ${newEntries.length} new`);
+
+    const results = {
+      totalEntries: newEntries.length,
+      feedResults: { [feed.name]: { success: true, push: true, entries: feedResult.entries.length, newEntries: newEntries.length } },
+      allEntries: newEntries.map(entry => ({ ...entry, source: feed.name, feedConfig: feed }))
+    };
+    await this.enrichEntries(results);
+    let filteredResults = await this.filterAndClassifyEntries(results);
+    this.sortEntries(filteredResults.entries);
+    filteredResults = this.clusterEntries(filteredResults, state);
+    const outputResults = newEntries.length > 0 ? await this.outputEntries(filteredResults) : { totalPosted: 0, posted: [] };
+    this.saveStories(state, filteredResults, outputResults);
+
+    if (this.webSub) state.websub = this.webSub.subscriptions;
+    await this.updateState(state, filteredResults, { push: true, posted: outputResults.posted });
+    return { entries: filteredResults.entries.length, posted: outputResults.totalPosted };
+  }
+
+  /**
+   * Persist WebSub subscription records (state is re-read: pushes save it too)
+   */
+  async saveWebSubState() {
+    if (!this.webSub) return;
+    const state = await this.stateManager.loadState();
+    state.websub = this.webSub.subscriptions;
+    await this.stateManager.saveState(state);
   }
 
   /**
    * Update state with processed entries
+   * @param {Object} state - Loaded state
+   * @param {Object} filteredResults - { entries, stats }
+   * @param {Object} options - { backfill } backfill summary or { push } for WebSub
+   *   deliveries; lastRun and filterStats are then kept for the scheduled runs.
+   *   { posted } entries sent by outputEntries
    */
-  async updateState(state, filteredResults) {
+  async updateState(state, filteredResults, options = {}) {
+    if (this.replayRun) {
+      logger.info('🔁 REPLAY: state not saved');
+      return;
+    }
     logger.info('💾 Updating state...');
 
-    // Mark all processed entries as seen
+    // Mark all processed entries as seen. Story members ride on their lead's (or update's)
+    // card, so they stay unseen when that card was not posted (failed post, post cap, dry run)
+    const postedStories = new Set((options.posted || []).map(entry => entry.story?.id).filter(Boolean));
     for (const entry of filteredResults.entries) {
+      if (entry.story?.role === 'member' && !postedStories.has(entry.story.id)) continue;
       const entryId = this.generateEntryId(entry);
       state.seen[entryId] = {
         timestamp: new Date().toISOString(),
@@ -334,16 +883,25 @@ class ThreatIntelBot {
     }
 
     // Update metadata
-    state.lastRun = new Date().toISOString();
-    state.filterStats = filteredResults.stats;
+    if (options.backfill) {
+      state.backfills = state.backfills || {};
+      const completedAt = new Date().toISOString();
+      for (const [name, result] of Object.entries(options.backfill.feeds)) {
+        state.backfills[name] = { completedAt, since: options.backfill.since, ...result };
+      }
+    } else if (!options.push) {
+      state.lastRun = new Date().toISOString();
+      state.filterStats = filteredResults.stats;
+    }
 
-    // Clean up old seen entries (keep last 1000)
+    // Clean up old seen entries (keep the newest maxSeenEntries; the SQLite store prunes by age itself)
+    const maxSeen = this.stateManager.maxSeenEntries;
     const seenEntries = Object.entries(state.seen);
-    if (seenEntries.length > 1000) {
+    if (Number.isFinite(maxSeen) && seenEntries.length > maxSeen) {
       const sortedEntries = seenEntries.sort((a, b) => 
         new Date(b[1].timestamp) - new Date(a[1].timestamp)
       );
-      state.seen = Object.fromEntries(sortedEntries.slice(0, 1000));
+      state.seen = Object.fromEntries(sortedEntries.slice(0, maxSeen));
     }
 
     await this.stateManager.saveState(state);
@@ -359,7 +917,16 @@ class ThreatIntelBot {
       // Validate feeds
       const feedsData = await readFile('./data/feeds.json', 'utf-8');
       const feeds = JSON.parse(feedsData);
-      const validation = validateFeeds(feeds);
+      const registry = await this.feedProcessor.loadParsers();
+      const validation = validateFeeds(feeds, { parsers: registry.names() });
+
+      // Parsers a feed can name in `parser` (or get by canHandle probing)
+      const parsers = registry.list();
+      console.log(`🔧 ${parsers.length} parser(s) available:`);
+      parsers.forEach(parser => {
+        const origin = parser.source === 'plugin' ? ` [plugin ${parser.file}]` : '';
+        console.log(`   ${parser.name} - ${parser.supportedFormats.join(', ') || 'no formats declared'}${origin}`);
+      });
 
       if (validation.isValid) {
         logger.info('✅ Configuration is valid');
@@ -378,6 +945,9 @@ class ThreatIntelBot {
         process.exit(1);
       }
 
+      // Report the effective outbound route per host (proxy, NO_PROXY bypass or direct)
+      this.reportNetworkRoutes(feeds);
+
       // Validate environment
       if (!process.env.TEAMS_WEBHOOK_URL) {
         console.log('⚠️  Warning: TEAMS_WEBHOOK_URL not set');
@@ -387,7 +957,19 @@ class ThreatIntelBot {
 
       // Test state manager
       const testState = await this.stateManager.loadState();
-      console.log(`✅ State file accessible (${Object.keys(testState.seen || {}).length} entries tracked)`);
+      console.log(`✅ State store (${this.config.stateStore}) accessible (${await this.stateManager.seenCount(testState)} entries tracked)`);
+
+      // Report tripped circuit breakers
+      const openCircuits = this.circuitBreaker.getOpenCircuits(testState);
+      if (openCircuits.length === 0) {
+        console.log('✅ All feed circuit breakers closed');
+      } else {
+        console.log(`⚠️  ${openCircuits.length} feed circuit breaker(s) not closed:`);
+        openCircuits.forEach(c => {
+          console.log(`   ⛔ ${c.feed} - ${c.state.toUpperCase()} since ${c.openedAt} after ${c.failures} failure(s): ${c.lastError}`);
+        });
+        console.log('   Force closed with: node fetch-and-post-enhanced.js --reset-circuit <feed name|all>');
+      }
 
     } catch (error) {
       logger.error('❌ Configuration validation failed:', error);
@@ -396,6 +978,60 @@ class ThreatIntelBot {
     }
   }
 
+  /**
+   * Print proxy/CA settings and the route each feed host (and the Teams webhook) will take
+   * @param {Array} feeds - Feed configurations
+   */
+  reportNetworkRoutes(feeds) {
+    const settings = getProxySettings();
+    console.log('🌐 Network:');
+    console.log(`   HTTPS_PROXY: ${settings.httpsProxy ? redactProxy(settings.httpsProxy) : '(not set)'}`);
+    console.log(`   HTTP_PROXY:  ${settings.httpProxy ? redactProxy(settings.httpProxy) : '(not set)'}`);
+    console.log(`   NO_PROXY:    ${settings.noProxy.length ? settings.noProxy.join(', ') : '(not set)'}`);
+    if (settings.caBundlePath) {
+      try {
+        const extra = loadCaBundle(settings.caBundlePath).length - tls.rootCertificates.length;
+        console.log(`   ✅ CA bundle ${settings.caBundlePath} (${extra} extra certificate(s))`);
+      } catch (error) {
+        console.log(`   ❌ CA bundle unusable: ${error.message}`);
+        process.exitCode = 1;
+      }
+    }
+
+    const targets = feeds.filter(feed => feed.enabled !== false && /^https?:/i.test(feed.url || '')).map(feed => feed.url);
+    if (process.env.TEAMS_WEBHOOK_URL) targets.push(process.env.TEAMS_WEBHOOK_URL);
+    const seen = new Set();
+    for (const target of targets) {
+      let route;
+      try {
+        route = resolveRoute(target);
+      } catch {
+        continue;
+      }
+      const key = `${route.protocol}://${route.host}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const via = route.via === 'proxy' ? `via proxy ${redactProxy(route.proxy)}`
+        : route.via === 'no_proxy' ? `direct (NO_PROXY match '${route.match}')` : 'direct';
+      console.log(`   ${key} → ${via}`);
+    }
+  }
+
+  /**
+   * Force circuit breakers closed and persist state
+   * @param {string} feedName - Feed name or 'all'
+   */
+  async resetCircuits(feedName) {
+    const state = await this.stateManager.loadState();
+    const reset = this.circuitBreaker.reset(state, feedName);
+    if (reset.length === 0) {
+      console.log(`ℹ️  No open circuit breaker found for "${feedName}"`);
+      return;
+    }
+    await this.stateManager.saveState(state);
+    console.log(`🔌 Circuit breaker closed for: ${reset.join(', ')}`);
+  }
+
   /**
    * Generate unique ID for an entry
    */
@@ -1,5 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { detectLanguage, languageKeywords, UNDETERMINED } from '../utils/language.js';
 
 /**
  * GitHub Pages static HTML output module
@@ -52,7 +53,8 @@ export class GitHubPagesOutput {
           source: e.source || '',
           published: e.publishedDate || '',
           category: (e.classification?.threatType) || this.classifyThreatType(e.title, e.description),
-          severity: (e.classification?.severity) || this.classifySeverity(e.title, e.description),
+          severity: (e.classification?.severity) || this.classifySeverity(e.title, e.description, e.language),
+          language: e.language || 'und',
           threatType: (e.classification?.threatType) || this.classifyThreatType(e.title, e.description),
           summary: this.cleanDescription(e.description || '', 300)
         }))
@@ -419,10 +421,11 @@ export class GitHubPagesOutput {
    * @returns {string} HTML string
    */
   generateEntryHTML(entry) {
-    const severity = entry.classification?.severity || this.classifySeverity(entry.title, entry.description);
+    const severity = entry.classification?.severity || this.classifySeverity(entry.title, entry.description, entry.language);
     const threatType = entry.classification?.threatType || this.classifyThreatType(entry.title, entry.description);
-    const publishedDate = new Date(entry.publishedDate || Date.now());
-    const relativeTime = this.getRelativeTime(publishedDate);
+    const language = entry.language && entry.language !== UNDETERMINED ? entry.language : null;
+    const publishedDate = entry.publishedDate ? new Date(entry.publishedDate) : null;
+    const relativeTime = publishedDate ? this.getRelativeTime(publishedDate) : 'Date unknown';
     const indicators = entry.classification?.indicators || {};
     
     const severityClass = `severity-${severity}`;
@@ -432,6 +435,7 @@ export class GitHubPagesOutput {
     <article class="threat-entry card-hover bg-white rounded-lg shadow-md p-6 ${severityClass} cursor-pointer" 
              data-severity="${severity}" 
              data-threat-type="${threatType}"
+             data-language="${language || 'und'}"
              data-link="${entry.link}"
              data-search-text="${entry.title.toLowerCase()} ${(entry.description || '').toLowerCase()} ${entry.source?.toLowerCase() || ''}">
         
@@ -454,6 +458,11 @@ export class GitHubPagesOutput {
                             <i class="fas fa-rss mr-1"></i>
                             ${entry.source || 'Unknown Source'}
                         </span>
+                        ${language ? `
+                        <span class="flex items-center" title="Detected language">
+                            <i class="fas fa-language mr-1"></i>
+                            ${language.toUpperCase()}
+                        </span>` : ''}
                     </div>
                 </div>
             </div>
@@ -480,7 +489,7 @@ export class GitHubPagesOutput {
                 </span>` : ''}
                 <span class="flex items-center">
                     <i class="fas fa-clock mr-1"></i>
-                    ${publishedDate.toLocaleDateString()}
+                    ${publishedDate ? publishedDate.toLocaleDateString() : 'Date unknown'}
                 </span>
             </div>
             <div class="flex space-x-2">
@@ -546,12 +555,14 @@ export class GitHubPagesOutput {
   }
 
   // Helper methods
-  classifySeverity(title, description) {
+  classifySeverity(title, description, language) {
     const content = `${title} ${description || ''}`.toLowerCase();
-    if (['critical', 'zero-day', 'rce', 'emergency'].some(k => content.includes(k))) return 'critical';
-    if (['high', 'exploit', 'vulnerability', 'cve-'].some(k => content.includes(k))) return 'high';
-    if (['medium', 'advisory', 'patch'].some(k => content.includes(k))) return 'medium';
-    if (['low', 'informational'].some(k => content.includes(k))) return 'low';
+    const lang = language || detectLanguage(content).language;
+    const matches = (keywords, level) => [...keywords, ...languageKeywords(level, lang)].some(k => content.includes(k));
+    if (matches(['critical', 'zero-day', 'rce', 'emergency'], 'critical')) return 'critical';
+    if (matches(['high', 'exploit', 'vulnerability', 'cve-', ...languageKeywords('vulnerability', lang)], 'high')) return 'high';
+    if (matches(['medium', 'advisory', 'patch'], 'medium')) return 'medium';
+    if (matches(['low', 'informational'], 'low')) return 'low';
     return 'info';
   }
 
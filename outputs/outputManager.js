@@ -8,6 +8,7 @@ import path from 'path';
 
 import { postToTeams } from '../post-to-teams.js';
 import { GitHubPagesOutput as EnhancedPages } from './githubPages-enhanced.js';
+import { buildAdaptiveCard } from '../utils/teamsCard.js';
 
 /**
  * Configuration for output channels
@@ -45,13 +46,21 @@ function sanitizeEntry(entry) {
     title: String(entry.title || 'No Title Available'),
     url: String(entry.url || entry.link || '#'),
     description: String(entry.description || entry.summary || ''),
-    publishedDate: String(entry.publishedDate || new Date().toISOString()),
+    // Undated entries stay undated rather than looking brand new
+    publishedDate: entry.publishedDate ? String(entry.publishedDate) : '',
+    dateConfidence: String(entry.dateConfidence || (entry.publishedDate ? 'medium' : 'none')),
     category: String(entry.category || 'general'),
     region: String(entry.region || 'unknown'),
     priority: String(entry.priority || 'medium'),
-    parser: String(entry.parser || 'defaultParser')
+    parser: String(entry.parser || 'defaultParser'),
+    language: String(entry.language || entry.classification?.language || 'und')
   };
 
+  // Story clustering (utils/storyClusters.js): lead, update or member of a multi-source story
+  if (entry.story && typeof entry.story === 'object') {
+    sanitized.story = entry.story;
+  }
+
   // Validate URL format
   if (sanitized.url && sanitized.url !== '#') {
     try {
@@ -71,6 +80,22 @@ function sanitizeEntry(entry) {
   return sanitized;
 }
 
+/**
+ * Map a sanitized entry to the enhanced pages schema
+ * @param {Object} e - Sanitized entry
+ * @returns {Object} - Pages entry
+ */
+function toPagesEntry(e) {
+  return {
+    title: e.title,
+    link: e.url,
+    source: e.feedName,
+    description: e.description,
+    publishedDate: e.publishedDate,
+    language: e.language
+  };
+}
+
 /**
  * Add entry to accumulated entries for batch output generation
  * @param {Object} entry - Threat intelligence entry
@@ -124,7 +149,9 @@ export async function sendToTeams(entry, isDryRun = false) {
         category: sanitized.category,
         region: sanitized.region,
         priority: sanitized.priority,
-        parser: sanitized.parser
+        parser: sanitized.parser,
+        language: sanitized.language,
+        story: sanitized.story
       }
     );
     
@@ -159,13 +186,7 @@ export async function generateHTMLOutput(isDryRun = false) {
     
     console.log(`🌐 Generating ${OUTPUT_CONFIG.githubPages.name} output with ${accumulatedEntries.length} entries`);
     // Map accumulated entries to enhanced schema
-    const mapped = accumulatedEntries.map(e => ({
-      title: e.title,
-      link: e.url,
-      source: e.feedName,
-      description: e.description,
-      publishedDate: e.publishedDate
-    }));
+    const mapped = accumulatedEntries.map(toPagesEntry);
     // Read previously published feed.json to backfill if needed
     let previousEntries = [];
     try {
@@ -180,13 +201,17 @@ export async function generateHTMLOutput(isDryRun = false) {
     const makeId = (it) => (it.link || '') + '|' + (it.title || '') + '|' + (it.publishedDate || '');
     const seenIds = new Set();
     const merged = [];
-    for (const it of [...mapped, ...previousEntries]) {
+    // feed.json stores the date as `published`
+    const previous = previousEntries.map(it => ({ ...it, publishedDate: it.publishedDate || it.published || '' }));
+    for (const it of [...mapped, ...previous]) {
       const id = makeId(it);
       if (seenIds.has(id)) continue;
       seenIds.add(id);
       merged.push(it);
-      if (merged.length >= maxItems) break;
     }
+    // Cap by date, not arrival order, so backfilled archive entries cannot push out recent ones
+    merged.sort((a, b) => (Date.parse(b.publishedDate) || 0) - (Date.parse(a.publishedDate) || 0));
+    merged.splice(maxItems);
 
     const pages = new EnhancedPages({ maxEntries: maxItems });
     // If still empty, attempt to rebuild from state.seen (last N seen items)
@@ -233,6 +258,35 @@ export async function generateHTMLOutput(isDryRun = false) {
   }
 }
 
+/**
+ * Render the Teams cards and dashboard for entries into a directory without
+ * posting anything or touching docs/ (used by replay runs)
+ * @param {Array<Object>} entries - Filtered entries, newest first
+ * @param {string} dir - Output directory (cards.json, index.html, feed.json)
+ * @param {Object} options - { postCap } number of entries that would be posted
+ * @returns {Promise<Object>} - { cards, entries }
+ */
+export async function renderOutputsTo(entries, dir, options = {}) {
+  const sanitized = entries.map(sanitizeEntry).filter(Boolean);
+  // Story members are listed on their lead's card, as in live runs
+  const postable = sanitized.filter(e => e.story?.role !== 'member');
+  const cards = postable.slice(0, options.postCap ?? postable.length).map(e => buildAdaptiveCard({
+    source: e.feedName,
+    title: e.title,
+    link: e.url,
+    description: e.description,
+    publishedDate: e.publishedDate,
+    language: e.language,
+    story: e.story
+  }));
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, 'cards.json'), JSON.stringify(cards, null, 2), 'utf-8');
+  const pages = new EnhancedPages({ outputPath: path.join(dir, 'index.html') });
+  await pages.generateFeed(sanitized.map(toPagesEntry), {});
+  return { cards: cards.length, entries: sanitized.length };
+}
+
 /**
  * Process entry through all enabled output channels
  * @param {Object} entry - Threat intelligence entry
@@ -342,6 +396,7 @@ export default {
   addEntry,
   sendToTeams,
   generateHTMLOutput,
+  renderOutputsTo,
   processEntry,
   finalizeOutputs,
   getOutputStatus,
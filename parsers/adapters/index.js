@@ -1,44 +1,260 @@
 /**
  * Adapter registry for per-source normalization.
- * Default behavior: return entry unchanged.
- * Example adapters annotate entries with `_adapter` for traceability.
+ * Adapters are declared per feed in feeds.json (`adapter`): rule sets that match
+ * by feed name or URL host pattern, map fields from `_original` paths, clean up
+ * titles with regexes and add static tags. Complex cases use a JS adapter as
+ * `module`: one registered with registerAdapter() (e.g. `msrc`), or a file path
+ * that loadAdapterModules() imports.
+ * Default behavior: return entry unchanged. Entries an adapter applied to get a
+ * trimmed title, `_adapter` (its name) and `_adapterRules` (the rules that fired).
  */
 
+import { existsSync } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { msrcAdapter } from './msrc.js';
+
+const RULE_SET_FIELDS = ['name', 'match', 'fields', 'titleCleanup', 'tags', 'module'];
+const MATCH_FIELDS = ['feedName', 'host'];
+
+// JS adapters: (entry, feed) => entry
+const adapterModules = new Map();
+
+// Rule sets for feeds without an `adapter` block (the former hard-coded adapters)
+const DEFAULT_ADAPTERS = {
+  'Microsoft-MSRC': { name: 'MSRC' },
+  'CISA-Alerts': { name: 'CISA' }
+};
+
+/**
+ * Register a JS adapter for cases the declarative rules can't express
+ * @param {string} name - Name referenced by `adapter.module`
+ * @param {Function} fn - (entry, feed) => entry
+ */
+export function registerAdapter(name, fn) {
+  if (typeof fn !== 'function') throw new Error(`Adapter '${name}' must be a function`);
+  adapterModules.set(name, fn);
+}
+
+registerAdapter('msrc', msrcAdapter);
+
+export function getRegisteredAdapters() {
+  return Array.from(adapterModules.keys());
+}
+
+// `module` values like './adapters/vendor.js' name a file (relative to the working directory)
+function isModulePath(name) {
+  return /^(\.{1,2}\/|\/)/.test(name) || /\.m?js$/.test(name);
+}
+
+/**
+ * Import the JS adapter files that feeds reference by path in `module` and register
+ * them under that path. The module exports the adapter function as default or `adapter`.
+ * @param {Array<Object>} feeds - Feed configuration objects
+ * @returns {Promise<Array<string>>} - Paths registered by this call
+ */
+export async function loadAdapterModules(feeds) {
+  const loaded = [];
+  for (const feed of feeds || []) {
+    for (const ruleSet of ruleSets(feed)) {
+      const name = ruleSet?.module;
+      if (typeof name !== 'string' || !isModulePath(name) || adapterModules.has(name)) continue;
+      const module = await import(pathToFileURL(path.resolve(name)).href);
+      const fn = typeof module.default === 'function' ? module.default : module.adapter;
+      if (typeof fn !== 'function') throw new Error(`Adapter module ${name} exports no function (default or 'adapter')`);
+      registerAdapter(name, fn);
+      loaded.push(name);
+    }
+  }
+  return loaded;
+}
+
 function identityAdapter(entry) {
   return entry;
 }
 
-function msrcAdapter(entry) {
-  // Example: ensure basic normalization and tag
-  return {
-    ...entry,
-    title: (entry.title || '').trim(),
-    description: entry.description || '',
-    _adapter: 'MSRC'
-  };
+// '*' wildcard glob, case-insensitive
+function globToRegExp(glob) {
+  const escaped = String(glob).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
 }
 
-function cisaAdapter(entry) {
-  return {
-    ...entry,
-    title: (entry.title || '').trim(),
-    description: entry.description || '',
-    _adapter: 'CISA'
-  };
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
 }
 
-// Map by feed name; could also map by host in future
-const feedNameToAdapter = {
-  'Microsoft-MSRC': msrcAdapter,
-  'CISA-Alerts': cisaAdapter
-};
+/**
+ * Read a value by dotted path; numeric segments and [n] index arrays
+ * @param {Object} source - Object to read from
+ * @param {string} path - e.g. 'enclosure.url', 'links[0].href', 'cve.metrics.0.score'
+ * @returns {*} - Value or undefined
+ */
+export function getPath(source, path) {
+  return String(path).replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
 
-export function normalizeEntryByFeed(entry, feed) {
-  if (!feed || !feed.name) return identityAdapter(entry);
-  const adapter = feedNameToAdapter[feed.name] || identityAdapter;
-  return adapter(entry);
+function setPath(target, path, value) {
+  const keys = String(path).split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] && typeof node[key] === 'object' ? { ...node[key] } : {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function ruleSets(feed) {
+  const adapter = feed?.adapter ?? DEFAULT_ADAPTERS[feed?.name];
+  if (!adapter) return [];
+  return Array.isArray(adapter) ? adapter : [adapter];
 }
 
-export default { normalizeEntryByFeed };
+function matches(ruleSet, entry, feed) {
+  const match = ruleSet.match;
+  if (!match) return true;
+  if (match.feedName && !globToRegExp(match.feedName).test(feed.name || '')) return false;
+  if (match.host) {
+    const pattern = globToRegExp(match.host);
+    const hosts = [hostOf(feed.url), hostOf(entry.link)].filter(Boolean);
+    if (!hosts.some(host => pattern.test(host))) return false;
+  }
+  return true;
+}
+
+/**
+ * Apply one declarative rule set
+ * @returns {Object} - { entry, fired }
+ */
+function applyRuleSet(ruleSet, entry, feed) {
+  const fired = [];
+  let out = { ...entry };
+
+  for (const [target, source] of Object.entries(ruleSet.fields || {})) {
+    const value = getPath(entry._original, source);
+    if (value === undefined || value === null || value === '') continue;
+    setPath(out, target, value);
+    fired.push(`fields:${target}`);
+  }
+
+  (ruleSet.titleCleanup || []).forEach((rule, index) => {
+    const title = String(out.title || '');
+    const cleaned = title.replace(new RegExp(rule.pattern, rule.flags ?? 'g'), rule.replace ?? '').replace(/\s+/g, ' ').trim();
+    if (cleaned && cleaned !== title) {
+      out.title = cleaned;
+      fired.push(`titleCleanup:${index}`);
+    }
+  });
+
+  if (Array.isArray(ruleSet.tags) && ruleSet.tags.length > 0) {
+    out.tags = [...new Set([...(Array.isArray(out.tags) ? out.tags : []), ...ruleSet.tags])];
+    fired.push('tags');
+  }
+
+  if (ruleSet.module) {
+    const adapter = adapterModules.get(ruleSet.module);
+    if (!adapter) throw new Error(`Unknown adapter module '${ruleSet.module}' for feed ${feed.name}`);
+    out = adapter(out, feed) || out;
+    fired.push(`module:${ruleSet.module}`);
+  }
 
+  return { entry: out, fired };
+}
+
+export function normalizeEntryByFeed(entry, feed) {
+  const sets = ruleSets(feed);
+  if (sets.length === 0) return identityAdapter(entry);
+
+  // Basic normalization for every entry an adapter applies to
+  let out = { ...entry, title: (entry.title || '').trim(), description: entry.description || '' };
+  const fired = [];
+  let matched = false;
+  let name = null;
+  sets.forEach((ruleSet, index) => {
+    if (!matches(ruleSet, entry, feed)) return;
+    matched = true;
+    const prefix = ruleSet.name || (sets.length > 1 ? `#${index}` : null);
+    const result = applyRuleSet(ruleSet, out, feed);
+    out = result.entry;
+    fired.push(...result.fired.map(rule => (prefix ? `${prefix}/${rule}` : rule)));
+    name = name || ruleSet.name || null;
+  });
+
+  if (!matched) return entry;
+  return { ...out, _adapter: name || feed.name, _adapterRules: fired };
+}
+
+/**
+ * Validate a feed's `adapter` block
+ * @param {Object|Array} adapter - Rule set or list of rule sets
+ * @returns {Array<string>} - Error messages (empty when valid)
+ */
+export function validateAdapterConfig(adapter) {
+  const errors = [];
+  const sets = Array.isArray(adapter) ? adapter : [adapter];
+  sets.forEach((ruleSet, index) => {
+    const at = Array.isArray(adapter) ? `adapter[${index}]` : 'adapter';
+    if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    for (const key of Object.keys(ruleSet)) {
+      if (!RULE_SET_FIELDS.includes(key)) errors.push(`Unknown ${at} field '${key}'`);
+    }
+    if (ruleSet.match !== undefined) {
+      if (!ruleSet.match || typeof ruleSet.match !== 'object') {
+        errors.push(`${at}.match must be an object`);
+      } else {
+        for (const [key, value] of Object.entries(ruleSet.match)) {
+          if (!MATCH_FIELDS.includes(key)) errors.push(`Unknown ${at}.match field '${key}'`);
+          else if (typeof value !== 'string' || !value.trim()) errors.push(`${at}.match.${key} must be a non-empty string`);
+        }
+      }
+    }
+    if (ruleSet.fields !== undefined) {
+      if (!ruleSet.fields || typeof ruleSet.fields !== 'object' || Array.isArray(ruleSet.fields)) {
+        errors.push(`${at}.fields must map entry fields to _original paths`);
+      } else {
+        for (const [target, source] of Object.entries(ruleSet.fields)) {
+          if (typeof source !== 'string' || !source.trim()) errors.push(`${at}.fields.${target} must be an _original path string`);
+          if (target === '_original' || target.startsWith('_original.')) errors.push(`${at}.fields cannot overwrite _original`);
+        }
+      }
+    }
+    if (ruleSet.titleCleanup !== undefined) {
+      if (!Array.isArray(ruleSet.titleCleanup)) {
+        errors.push(`${at}.titleCleanup must be an array`);
+      } else {
+        ruleSet.titleCleanup.forEach((rule, i) => {
+          if (!rule || typeof rule.pattern !== 'string') {
+            errors.push(`${at}.titleCleanup[${i}].pattern must be a string`);
+            return;
+          }
+          try {
+            new RegExp(rule.pattern, rule.flags ?? 'g');
+          } catch (error) {
+            errors.push(`${at}.titleCleanup[${i}] invalid regex: ${error.message}`);
+          }
+          if (rule.replace !== undefined && typeof rule.replace !== 'string') {
+            errors.push(`${at}.titleCleanup[${i}].replace must be a string`);
+          }
+        });
+      }
+    }
+    if (ruleSet.tags !== undefined && (!Array.isArray(ruleSet.tags) || ruleSet.tags.some(tag => typeof tag !== 'string'))) {
+      errors.push(`${at}.tags must be an array of strings`);
+    }
+    if (typeof ruleSet.module === 'string' && isModulePath(ruleSet.module)) {
+      if (!existsSync(path.resolve(ruleSet.module))) errors.push(`${at}.module file '${ruleSet.module}' not found`);
+    } else if (ruleSet.module !== undefined && !adapterModules.has(ruleSet.module)) {
+      errors.push(`${at}.module '${ruleSet.module}' is not a registered adapter (available: ${getRegisteredAdapters().join(', ') || 'none'})`);
+    }
+  });
+  return errors;
+}
 
+export default { normalizeEntryByFeed, registerAdapter, loadAdapterModules, validateAdapterConfig };
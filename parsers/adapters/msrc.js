@@ -0,0 +1,20 @@
+/**
+ * Microsoft Security Update Guide RSS adapter.
+ * MSRC titles lead with the CVE ID ("CVE-2025-21298 Windows OLE Remote Code
+ * Execution Vulnerability"); lift it into structured indicators so classification
+ * doesn't depend on the description echoing it.
+ */
+export function msrcAdapter(entry) {
+  const cves = String(entry.title || '').match(/CVE-\d{4}-\d{4,}/gi) || [];
+  if (cves.length === 0) return entry;
+  const existing = entry.indicators || {};
+  return {
+    ...entry,
+    indicators: {
+      ...existing,
+      cves: [...new Set([...(existing.cves || []), ...cves.map(cve => cve.toUpperCase())])]
+    }
+  };
+}
+
+export default msrcAdapter;
@@ -0,0 +1,381 @@
+import { httpFetch } from '../utils/httpClient.js';
+import { buildFeedHeaders } from '../utils/feedAuth.js';
+import { ACCEPT_ENCODING, getFeedLimits, readLimitedBody, assertOk, toFeedError } from '../utils/feedGuard.js';
+
+// Only TLP:CLEAR (formerly WHITE) ROLIE feeds can be read without credentials
+const PUBLIC_TLP_LABELS = ['CLEAR', 'WHITE'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * CSAF 2.0 provider/aggregator parser
+ * Discovers ROLIE feeds from provider-metadata.json (or every provider listed in an
+ * aggregator.json), downloads new advisory documents and maps them to normalized entries.
+ * Revisions of an already seen advisory are flagged via `csaf.isRevision`.
+ * The returned `cursor` is stored per feed in state.cursors by the pipeline:
+ *   { since: newest ROLIE `updated` downloaded, revisions: { [trackingId]: { version, updated } } }
+ */
+export class CsafParser {
+  constructor() {
+    this.name = 'csafParser';
+  }
+
+  /**
+   * Discover and download new CSAF advisories
+   * @param {string} url - provider-metadata.json or aggregator.json URL
+   * @param {Object} options - { feed, state } where state.cursors[feed.name] holds the cut-off and known revisions
+   * @returns {Promise<Object>} - Parsed feed object with items array and the next cursor
+   * @throws {FeedFetchError} - Typed error (`code`) when the metadata cannot be read
+   */
+  async parseURL(url, options = {}) {
+    try {
+      const state = options.state || {};
+      const cursor = state.cursors?.[options.feed?.name] || {};
+      const metadata = await this.fetchJson(url, options.feed);
+      const providers = await this.resolveProviders(url, metadata, options.feed);
+      const since = this.getCutoff(state, cursor);
+      const maxDocuments = Number(process.env.CSAF_MAX_DOCUMENTS || 50);
+
+      const rolieEntries = [];
+      for (const provider of providers) {
+        for (const feedUrl of this.getRolieFeedUrls(provider)) {
+          try {
+            const rolie = await this.fetchJson(feedUrl, options.feed);
+            rolieEntries.push(...this.getNewRolieEntries(rolie, since));
+          } catch (error) {
+            console.warn(`⚠️  CSAF: skipping ROLIE feed ${feedUrl}: ${error.message}`);
+          }
+        }
+      }
+
+      // Oldest first, so documents beyond CSAF_MAX_DOCUMENTS are picked up by the next run
+      const candidates = this.takeOldest(rolieEntries, maxDocuments);
+
+      const revisions = this.pruneRevisions(cursor.revisions);
+      const receivedDate = new Date().toISOString();
+      const items = [];
+      let processed = since;
+      for (const candidate of candidates) {
+        try {
+          const doc = await this.fetchJson(candidate.documentUrl, options.feed);
+          const errors = this.validateDocument(doc);
+          if (errors.length > 0) {
+            console.warn(`⚠️  CSAF: invalid document ${candidate.documentUrl}: ${errors.join('; ')}; retrying next run`);
+            break;
+          }
+          const item = this.normalizeDocument(doc, candidate.documentUrl, revisions);
+          revisions[item.csaf.trackingId] = { version: item.csaf.version, updated: item.publishedDate };
+          // The ROLIE cut-off already decides what is new; current_release_date may predate the last run
+          items.push({ ...item, receivedDate });
+          processed = Math.max(processed, Date.parse(candidate.updated));
+        } catch (error) {
+          // Stop here so the cut-off stays before this document and it is retried next run
+          console.warn(`⚠️  CSAF: failed to download ${candidate.documentUrl}: ${error.message}; retrying next run`);
+          break;
+        }
+      }
+
+      return {
+        title: metadata.publisher?.name || metadata.aggregator?.name || 'CSAF provider',
+        description: `CSAF 2.0 advisories (${items.length} new or revised)`,
+        link: metadata.canonical_url || url,
+        items,
+        cursor: { since: new Date(processed).toISOString(), revisions }
+      };
+    } catch (error) {
+      throw toFeedError(error, 'Failed to process CSAF provider');
+    }
+  }
+
+  /**
+   * Parse a single CSAF document from string
+   * @param {string} content - CSAF 2.0 JSON document
+   * @returns {Promise<Object>} - Parsed feed object with a single item
+   */
+  async parseString(content) {
+    try {
+      const doc = JSON.parse(content);
+      const errors = this.validateDocument(doc);
+      if (errors.length > 0) throw new Error(errors.join('; '));
+      return {
+        title: doc.document.publisher.name,
+        description: doc.document.title,
+        link: null,
+        items: [this.normalizeDocument(doc, null, {})]
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse CSAF content: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetch and parse a JSON resource within the feed size caps; the timeout covers the body too
+   * @param {string} url - Resource URL
+   * @param {Object} [feed] - Feed configuration; its auth and custom headers are sent
+   * @returns {Promise<Object>} - Parsed JSON
+   */
+  async fetchJson(url, feed) {
+    // Add timeout support using AbortController
+    const controller = new AbortController();
+    const timeoutMs = Number(process.env.FETCH_TIMEOUT_MS || 5000);
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await httpFetch(url, {
+        signal: controller.signal,
+        compress: false,
+        headers: { Accept: 'application/json', 'Accept-Encoding': ACCEPT_ENCODING, ...buildFeedHeaders(feed) }
+      });
+      assertOk(response);
+      return JSON.parse((await readLimitedBody(response, getFeedLimits(), controller)).toString('utf-8'));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Expand an aggregator.json into its providers' metadata; pass provider metadata through
+   * @param {string} url - URL the metadata was loaded from
+   * @param {Object} metadata - provider-metadata.json or aggregator.json document
+   * @param {Object} [feed] - Feed configuration, for its headers
+   * @returns {Promise<Array>} - Provider metadata documents
+   */
+  async resolveProviders(url, metadata, feed) {
+    if (Array.isArray(metadata.distributions)) return [metadata];
+    if (!Array.isArray(metadata.csaf_providers)) {
+      throw new Error(`${url} is neither a provider-metadata.json nor an aggregator.json`);
+    }
+
+    const providers = [];
+    for (const listed of metadata.csaf_providers) {
+      const providerUrl = listed?.metadata?.url;
+      if (!providerUrl) continue;
+      try {
+        providers.push(await this.fetchJson(providerUrl, feed));
+      } catch (error) {
+        console.warn(`⚠️  CSAF: skipping provider ${providerUrl}: ${error.message}`);
+      }
+    }
+    return providers;
+  }
+
+  /**
+   * List the public ROLIE feed URLs announced by a provider
+   * @param {Object} provider - provider-metadata.json document
+   * @returns {Array<string>} - ROLIE feed URLs
+   */
+  getRolieFeedUrls(provider) {
+    return (provider.distributions || [])
+      .flatMap(d => d?.rolie?.feeds || [])
+      .filter(f => f?.url && PUBLIC_TLP_LABELS.includes(String(f.tlp_label || '').toUpperCase()))
+      .map(f => f.url);
+  }
+
+  /**
+   * Pick ROLIE entries updated after the cut-off
+   * @param {Object} rolie - ROLIE feed document
+   * @param {number} since - Cut-off timestamp (ms)
+   * @returns {Array} - { documentUrl, updated } candidates
+   */
+  getNewRolieEntries(rolie, since) {
+    const entries = Array.isArray(rolie?.feed?.entry) ? rolie.feed.entry : [];
+    return entries
+      .map(entry => {
+        const links = Array.isArray(entry.link) ? entry.link : [];
+        const documentUrl = entry.content?.src || links.find(l => l.rel === 'self')?.href;
+        return { documentUrl, updated: entry.updated || entry.published };
+      })
+      .filter(c => c.documentUrl && Date.parse(c.updated || 0) > since);
+  }
+
+  /**
+   * Take up to `max` candidates, oldest first. When the limit falls inside a run of equal
+   * `updated` values, that run is left for the next run, since the cut-off is exclusive
+   * @param {Array} candidates - { documentUrl, updated } candidates
+   * @param {number} max - Maximum number of documents to download
+   * @returns {Array} - Candidates to download, oldest first
+   */
+  takeOldest(candidates, max) {
+    const sorted = [...candidates].sort((a, b) => Date.parse(a.updated) - Date.parse(b.updated));
+    if (sorted.length <= max) return sorted;
+    const next = Date.parse(sorted[max].updated);
+    const taken = sorted.slice(0, max).filter(c => Date.parse(c.updated) !== next);
+    return taken.length > 0 ? taken : sorted.slice(0, max);
+  }
+
+  /**
+   * Only documents updated after the newest ROLIE entry downloaded last time (the feed cursor) are
+   * downloaded; without a cursor state.lastRun is used, and the first run looks back MAX_BACKFILL_DAYS
+   * @param {Object} state - Bot state
+   * @param {Object} cursor - This feed's state.cursors entry
+   * @returns {number} - Cut-off timestamp (ms)
+   */
+  getCutoff(state, cursor = {}) {
+    const since = Date.parse(cursor?.since || '');
+    if (!Number.isNaN(since)) return since;
+    const lastRun = state?.lastRun ? Date.parse(state.lastRun) : NaN;
+    if (!Number.isNaN(lastRun)) return lastRun;
+    const days = Number(process.env.MAX_BACKFILL_DAYS || 14);
+    return Date.now() - days * DAY_MS;
+  }
+
+  /**
+   * Copy the known revisions, dropping advisories not updated within CSAF_REVISION_RETENTION_DAYS
+   * @param {Object} revisions - { [trackingId]: { version, updated } } from the feed cursor
+   * @returns {Object} - Revisions still tracked
+   */
+  pruneRevisions(revisions = {}) {
+    const cutoff = Date.now() - Number(process.env.CSAF_REVISION_RETENTION_DAYS || 365) * DAY_MS;
+    const kept = {};
+    for (const [trackingId, revision] of Object.entries(revisions || {})) {
+      if (Date.parse(revision?.updated) >= cutoff) kept[trackingId] = revision;
+    }
+    return kept;
+  }
+
+  /**
+   * Check the CSAF 2.0 fields this parser relies on
+   * @param {Object} doc - CSAF document
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  validateDocument(doc) {
+    const errors = [];
+    const document = doc?.document;
+    if (!document || typeof document !== 'object') return ['missing document object'];
+    if (document.csaf_version !== '2.0') errors.push(`unsupported csaf_version '${document.csaf_version}'`);
+    if (!document.category) errors.push('missing document.category');
+    if (!document.title) errors.push('missing document.title');
+    if (!document.publisher?.name || !document.publisher?.namespace) errors.push('missing document.publisher name/namespace');
+
+    const tracking = document.tracking;
+    if (!tracking || typeof tracking !== 'object') {
+      errors.push('missing document.tracking');
+    } else {
+      for (const field of ['id', 'version', 'status', 'current_release_date', 'initial_release_date']) {
+        if (!tracking[field]) errors.push(`missing document.tracking.${field}`);
+      }
+      if (!Array.isArray(tracking.revision_history) || tracking.revision_history.length === 0) {
+        errors.push('missing document.tracking.revision_history');
+      }
+      if (tracking.current_release_date && Number.isNaN(Date.parse(tracking.current_release_date))) {
+        errors.push('invalid document.tracking.current_release_date');
+      }
+    }
+
+    if (doc.vulnerabilities !== undefined && !Array.isArray(doc.vulnerabilities)) {
+      errors.push('vulnerabilities must be an array');
+    }
+    return errors;
+  }
+
+  /**
+   * Map a CSAF document to the normalized entry shape
+   * @param {Object} doc - Validated CSAF document
+   * @param {string|null} documentUrl - Where the document was downloaded from
+   * @param {Object} revisions - Last known revision per tracking ID ({ version, updated })
+   * @returns {Object} - Normalized item
+   */
+  normalizeDocument(doc, documentUrl, revisions) {
+    const { document } = doc;
+    const tracking = document.tracking;
+    const known = revisions[tracking.id]?.version;
+    const previous = known && known !== tracking.version ? [known] : [];
+    const isRevision = previous.length > 0;
+
+    const vulnerabilities = (doc.vulnerabilities || []).map(v => ({
+      cve: v.cve || null,
+      title: v.title || '',
+      cwe: v.cwe?.id || null,
+      scores: (v.scores || []).map(s => s.cvss_v3 || s.cvss_v2).filter(Boolean).map(c => ({
+        version: c.version,
+        baseScore: c.baseScore,
+        baseSeverity: c.baseSeverity || null,
+        vectorString: c.vectorString || null
+      })),
+      knownAffected: v.product_status?.known_affected || [],
+      fixed: v.product_status?.fixed || []
+    }));
+    const cvss = vulnerabilities
+      .flatMap(v => v.scores)
+      .filter(s => typeof s.baseScore === 'number')
+      .sort((a, b) => b.baseScore - a.baseScore)[0] || null;
+    const cves = vulnerabilities.map(v => v.cve).filter(Boolean);
+    const products = collectProducts(doc.product_tree);
+
+    const summary = (document.notes || []).find(n => ['summary', 'description', 'general'].includes(n.category))?.text || '';
+    const severityText = document.aggregate_severity?.text;
+    const description = [
+      summary,
+      severityText ? `Aggregate severity: ${severityText}.` : '',
+      cves.length ? `CVEs: ${cves.join(', ')}.` : '',
+      products.length ? `Affected products: ${products.slice(0, 10).join(', ')}${products.length > 10 ? ', …' : ''}.` : ''
+    ].filter(Boolean).join(' ');
+    const selfLink = (document.references || []).find(r => r.category === 'self')?.url;
+
+    return {
+      title: isRevision ? `[Update v${tracking.version}] ${document.title}` : document.title,
+      link: selfLink || documentUrl,
+      guid: `csaf:${tracking.id}@${tracking.version}`,
+      description,
+      publishedDate: new Date(tracking.current_release_date).toISOString(),
+      content: description,
+      cvss,
+      csaf: {
+        trackingId: tracking.id,
+        version: tracking.version,
+        status: tracking.status,
+        initialReleaseDate: tracking.initial_release_date,
+        currentReleaseDate: tracking.current_release_date,
+        isRevision,
+        previousVersions: previous,
+        category: document.category,
+        publisher: { name: document.publisher.name, namespace: document.publisher.namespace },
+        aggregateSeverity: document.aggregate_severity || null,
+        tlp: document.distribution?.tlp?.label || null,
+        products,
+        vulnerabilities,
+        documentUrl
+      },
+      // Keep original document for any parser-specific fields
+      _original: doc
+    };
+  }
+
+  /**
+   * Validate if this parser can handle the given feed
+   * @param {Object} feed - Feed configuration object
+   * @returns {boolean} - True if this parser can handle the feed
+   */
+  canHandle(feed) {
+    if (feed?.parser === this.name) return true;
+    return /(provider-metadata|aggregator)\.json(\?|$)/i.test(feed?.url || '');
+  }
+
+  /**
+   * Get parser-specific configuration
+   * @returns {Object} - Parser configuration object
+   */
+  getConfig() {
+    return {
+      name: this.name,
+      supportedFormats: ['csaf-2.0', 'rolie'],
+      description: 'CSAF 2.0 provider/aggregator ingestion via ROLIE feeds'
+    };
+  }
+}
+
+// Flatten full product names from the product tree (branches are walked recursively)
+function collectProducts(productTree) {
+  const names = new Set();
+  const walk = branches => {
+    for (const branch of branches || []) {
+      if (branch.product?.name) names.add(branch.product.name);
+      walk(branch.branches);
+    }
+  };
+  for (const p of productTree?.full_product_names || []) {
+    if (p?.name) names.add(p.name);
+  }
+  walk(productTree?.branches);
+  return [...names];
+}
+
+export default CsafParser;
@@ -1,5 +1,13 @@
 import Parser from 'rss-parser';
-import fetch from 'node-fetch';
+import { httpFetch } from '../utils/httpClient.js';
+import { createHash } from 'crypto';
+import { buildFeedHeaders } from '../utils/feedAuth.js';
+import {
+  ACCEPT_ENCODING, getFeedLimits, readLimitedBody, assertOk, assertSafeXml, assertXmlFeedContent, toFeedError
+} from '../utils/feedGuard.js';
+import { decodeBody } from '../utils/charset.js';
+import { resolvePublishedDate } from '../utils/dates.js';
+import { parseLinkHeader } from '../utils/webSub.js';
 
 /**
  * Default RSS parser implementation
@@ -7,83 +15,180 @@ import fetch from 'node-fetch';
  */
 export class DefaultParser {
   constructor() {
-    this.parser = new Parser();
+    // Raw Atom dates, so an entry with only <updated> is not mistaken for its publish date;
+    // raw feed-level links for rel="next" archive paging and WebSub rel="hub"/"self"
+    this.parser = new Parser({
+      customFields: {
+        feed: [['link', 'links', { keepArray: true }], ['atom:link', 'atomLinks', { keepArray: true }]],
+        item: ['published', 'updated']
+      }
+    });
     this.name = 'defaultParser';
   }
 
   /**
    * Parse an RSS feed from URL
+   * Sends If-None-Match/If-Modified-Since from state.httpCache[feed.name] and
+   * short-circuits (without parsing) on a 304 or an unchanged body hash.
+   * The body is read within FEED_MAX_BYTES / FEED_MAX_DECOMPRESSED_BYTES, decoded
+   * with the detected charset (reported as `encoding`), and
+   * non-feed content types and DOCTYPE/entity payloads are rejected before parsing.
    * @param {string} url - The RSS feed URL to parse
-   * @returns {Promise<Object>} - Parsed feed object with items array
+   * @param {Object} options - { feed, state } used for auth headers and conditional GET
+   * @returns {Promise<Object>} - Parsed feed object with items array, the new httpCache validators,
+   *   `nextUrl` (rel="next" link, used by backfills) and `hubUrl`/`selfUrl` (WebSub discovery)
+   * @throws {FeedFetchError} - Typed error (`code`) for every failure
    */
-  async parseURL(url) {
+  async parseURL(url, options = {}) {
+    // Add timeout support using AbortController
+    const controller = new AbortController();
+    const timeoutMs = Number(process.env.FETCH_TIMEOUT_MS || 5000);
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
     try {
-      // Add timeout support using AbortController
-      const controller = new AbortController();
-      const timeoutMs = Number(process.env.FETCH_TIMEOUT_MS || 5000);
-      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      const previous = options.state?.httpCache?.[options.feed?.name] || null;
+      const headers = { 'Accept-Encoding': ACCEPT_ENCODING, ...buildFeedHeaders(options.feed) };
+      if (previous?.etag) headers['If-None-Match'] = previous.etag;
+      if (previous?.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+      // compress: false so the size caps apply to the encoded and the inflated body
+      const response = await httpFetch(url, { signal: controller.signal, headers, compress: false });
+      if (response.status === 304) {
+        return this.notModified(previous, 'http-304');
+      }
+      assertOk(response);
+      const contentType = response.headers?.get?.('content-type') || null;
+      const body = await readLimitedBody(response, getFeedLimits(), controller);
+      // Transcode ISO-8859-1/Windows-1252/UTF-16 feeds (BOM, header, XML declaration) before parsing
+      const { text, encoding } = decodeBody(body, contentType);
+      assertXmlFeedContent(contentType, text);
+      assertSafeXml(text);
+
+      const httpCache = {
+        etag: response.headers?.get?.('ETag') || null,
+        lastModified: response.headers?.get?.('Last-Modified') || null,
+        contentHash: createHash('sha256').update(text).digest('hex')
+      };
+      if (previous?.contentHash && previous.contentHash === httpCache.contentHash) {
+        return { ...this.notModified(httpCache, 'content-hash'), encoding };
+      }
 
-      const response = await fetch(url, { signal: controller.signal });
-      clearTimeout(timer);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      const text = await response.text();
       const feed = await this.parser.parseString(text);
+      // WebSub allows hub/self in the HTTP Link header as well as in the feed
+      const headerLinks = parseLinkHeader(response.headers?.get?.('link'), url);
+      const headerLink = rel => headerLinks.find(link => link.rel.includes(rel))?.url || null;
       return {
         title: feed.title,
         description: feed.description,
         link: feed.link,
-        items: this.normalizeItems(feed.items || [])
+        items: this.normalizeItems(feed.items || [], { timeZone: options.feed?.timezone }),
+        nextUrl: this.findLink(feed, 'next', url),
+        hubUrl: headerLink('hub') || this.findLink(feed, 'hub', url),
+        selfUrl: headerLink('self') || this.findLink(feed, 'self', url),
+        httpCache,
+        encoding
       };
     } catch (error) {
-      throw new Error(`Failed to parse RSS feed: ${error.message}`);
+      throw toFeedError(error, 'Failed to parse RSS feed');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Result for a feed that has not changed since the last run
+   * @param {Object|null} httpCache - Validators to keep for the next run
+   * @param {string} reason - 'http-304' or 'content-hash'
+   * @returns {Object} - Empty feed flagged as notModified
+   */
+  notModified(httpCache, reason) {
+    return {
+      items: [],
+      notModified: true,
+      notModifiedReason: reason,
+      httpCache: httpCache ? { ...httpCache } : null
+    };
+  }
+
+  /**
+   * Feed-level <link rel="..."> (Atom, or atom:link inside RSS)
+   * @param {Object} feed - rss-parser output with custom `links`/`atomLinks`
+   * @param {string} rel - e.g. 'next', 'hub', 'self'
+   * @param {string} baseUrl - Page URL the href is resolved against
+   * @returns {string|null} - Absolute URL
+   */
+  findLink(feed, rel, baseUrl) {
+    const link = [...(feed.links || []), ...(feed.atomLinks || [])]
+      .find(l => l?.$?.rel === rel && l.$.href);
+    if (!link) return null;
+    try {
+      return new URL(link.$.href, baseUrl).toString();
+    } catch {
+      return null;
     }
   }
 
   /**
    * Parse RSS content from string
    * @param {string} content - The RSS content as string
+   * @param {Object} options - { timeZone } default zone for dates without an offset
    * @returns {Promise<Object>} - Parsed feed object with items array
    */
-  async parseString(content) {
+  async parseString(content, options = {}) {
     try {
+      assertSafeXml(content);
       const feed = await this.parser.parseString(content);
       return {
         title: feed.title,
         description: feed.description,
         link: feed.link,
-        items: this.normalizeItems(feed.items || [])
+        items: this.normalizeItems(feed.items || [], options)
       };
     } catch (error) {
-      throw new Error(`Failed to parse RSS content: ${error.message}`);
+      throw toFeedError(error, 'Failed to parse RSS content');
     }
   }
 
   /**
    * Normalize RSS items to a consistent format
+   * Dates come from pubDate/published, then dc:date, then Atom updated; undated
+   * items keep publishedDate null (dateSource/dateConfidence 'none').
    * @param {Array} items - Raw RSS items from parser
+   * @param {Object} options - { timeZone } feed default zone (IANA) for dates without an offset
    * @returns {Array} - Normalized items with consistent field names
    */
-  normalizeItems(items) {
-    return items.map(item => ({
-      title: item.title || 'No Title',
-      link: item.link || item.guid,
-      guid: item.guid || item.link,
-      description: item.contentSnippet || item.content || item.summary || item.description || '',
-      publishedDate: item.pubDate || item.isoDate || new Date().toISOString(),
-      content: item.content || item.contentSnippet || item.summary || '',
-      // Keep original item for any parser-specific fields
-      _original: item
-    }));
+  normalizeItems(items, options = {}) {
+    return items.map(item => {
+      // rss-parser copies Atom <updated> into pubDate when there is no <published>
+      const updatedOnly = item.updated && !item.published && Date.parse(item.pubDate) === Date.parse(item.updated);
+      const date = resolvePublishedDate([
+        { field: item.published ? 'published' : 'pubDate', value: item.published || (updatedOnly ? null : item.pubDate) },
+        { field: 'dc:date', value: item['dc:date'] },
+        { field: 'updated', value: item.updated, fallback: true },
+        { field: 'isoDate', value: item.pubDate ? null : item.isoDate }
+      ], options);
+
+      return {
+        title: item.title || 'No Title',
+        link: item.link || item.guid,
+        guid: item.guid || item.link,
+        description: item.contentSnippet || item.content || item.summary || item.description || '',
+        ...date,
+        content: item.content || item.contentSnippet || item.summary || '',
+        // Keep original item for any parser-specific fields
+        _original: item
+      };
+    });
   }
 
   /**
    * Validate if this parser can handle the given feed
    * @param {Object} feed - Feed configuration object
+   * @param {Object} hints - { contentType } when a response has been seen
    * @returns {boolean} - True if this parser can handle the feed
    */
-  canHandle(feed) {
-    // Default parser can handle any RSS feed
-    return true;
+  canHandle(feed, hints = {}) {
+    // Default parser can handle any RSS feed, but not a known JSON or HTML response
+    return !/json|html/i.test(hints.contentType || '');
   }
 
   /**
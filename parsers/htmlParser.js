@@ -0,0 +1,368 @@
+import * as cheerio from 'cheerio';
+import { httpFetch } from '../utils/httpClient.js';
+import { buildFeedHeaders } from '../utils/feedAuth.js';
+import { parseFeedDate, monthNumber } from '../utils/dates.js';
+import { decodeBody } from '../utils/charset.js';
+import { ACCEPT_ENCODING, getFeedLimits, readLimitedBody, assertOk, toFeedError } from '../utils/feedGuard.js';
+
+const SCRAPE_FIELDS = ['item', 'title', 'link', 'date', 'summary', 'dateFormat', 'detail'];
+const DETAIL_FIELDS = ['title', 'date', 'summary', 'maxItems'];
+const DATE_TOKENS = /YYYY|MMMM|MMM|MM|M|DD|D|HH|H|mm|ss/g;
+
+/**
+ * Declarative HTML list-page parser for advisory pages without a feed.
+ * Configured per feed through a `scrape` block in feeds.json:
+ *   item     - selector for each list item container
+ *   title    - selector (relative to item) for the title text
+ *   link     - selector for the link; `selector@attr` reads an attribute (default href)
+ *   date     - optional selector for the date text (or `selector@datetime`)
+ *   summary  - optional selector for the summary text
+ *   dateFormat - optional format such as `DD.MM.YYYY` (ISO/RFC dates are parsed without it)
+ *   detail   - optional { title, date, summary, maxItems } selectors applied to each linked page
+ */
+export class HtmlParser {
+  constructor() {
+    this.name = 'htmlParser';
+  }
+
+  /**
+   * Scrape a list page
+   * @param {string} url - List page URL
+   * @param {Object} options - { feed } carrying the `scrape` config
+   * @returns {Promise<Object>} - Parsed feed object with items array
+   * @throws {FeedFetchError} - Typed error (`code`) for every failure
+   */
+  async parseURL(url, options = {}) {
+    try {
+      const scrape = options.feed?.scrape;
+      const errors = validateScrapeConfig(scrape);
+      if (errors.length > 0) throw new Error(`Invalid scrape config: ${errors.join('; ')}`);
+
+      const headers = buildFeedHeaders(options.feed);
+      const html = await this.fetchPage(url, headers);
+      const timeZone = options.feed?.timezone;
+      const feed = this.parseHTML(html, scrape, url, timeZone, new Date().toISOString());
+      if (scrape.detail) {
+        await this.followDetails(feed.items, scrape, url, headers, timeZone);
+      }
+      return feed;
+    } catch (error) {
+      throw toFeedError(error, 'Failed to scrape HTML page');
+    }
+  }
+
+  /**
+   * Parse list page HTML from string
+   * @param {string} content - Page HTML
+   * @param {Object} options - { feed } carrying the `scrape` config and url
+   * @returns {Promise<Object>} - Parsed feed object with items array
+   */
+  async parseString(content, options = {}) {
+    try {
+      const scrape = options.feed?.scrape;
+      const errors = validateScrapeConfig(scrape);
+      if (errors.length > 0) throw new Error(`Invalid scrape config: ${errors.join('; ')}`);
+      return this.parseHTML(content, scrape, options.feed?.url || null, options.feed?.timezone);
+    } catch (error) {
+      throw new Error(`Failed to parse HTML content: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse list page HTML with a scrape config
+   * @param {string} html - Page HTML
+   * @param {Object} scrape - Scrape config
+   * @param {string} baseUrl - Page URL used to resolve relative links
+   * @param {string} timeZone - Feed default zone (IANA) for dates without an offset
+   * @param {string} [scrapedAt] - Scrape time (ISO), the receivedDate of day-only dates
+   * @returns {Object} - Parsed feed object with items array
+   */
+  parseHTML(html, scrape, baseUrl, timeZone, scrapedAt = new Date().toISOString()) {
+    const $ = cheerio.load(html);
+    const containers = $(scrape.item).toArray();
+    if (containers.length === 0) {
+      throw new Error(`Item selector '${scrape.item}' matched no elements`);
+    }
+
+    const raw = containers.map(el => {
+      const $el = $(el);
+      return {
+        title: extract($, $el, scrape.title),
+        link: extract($, $el, scrape.link || scrape.title, 'href'),
+        date: scrape.date ? extract($, $el, scrape.date) : '',
+        summary: scrape.summary ? extract($, $el, scrape.summary) : ''
+      };
+    }).filter(r => r.title);
+
+    if (raw.length === 0) {
+      throw new Error(`Title selector '${scrape.title}' matched nothing inside '${scrape.item}'`);
+    }
+
+    return {
+      title: $('title').first().text().trim(),
+      description: $('meta[name="description"]').attr('content') || '',
+      link: baseUrl,
+      items: this.normalizeItems(raw, scrape, baseUrl, timeZone, scrapedAt)
+    };
+  }
+
+  /**
+   * Normalize scraped rows to a consistent format
+   * @param {Array} rows - { title, link, date, summary } strings
+   * @param {Object} scrape - Scrape config
+   * @param {string} baseUrl - Page URL used to resolve relative links
+   * @param {string} timeZone - Feed default zone (IANA)
+   * @param {string} scrapedAt - Scrape time (ISO)
+   * @returns {Array} - Normalized items with consistent field names
+   */
+  normalizeItems(rows, scrape, baseUrl, timeZone, scrapedAt) {
+    return rows.map(row => {
+      const link = resolveUrl(row.link, baseUrl);
+      const published = parseScrapedDate(row.date, scrape.dateFormat, timeZone);
+      return {
+        title: row.title,
+        link,
+        guid: link,
+        description: row.summary || '',
+        // Scraped dates carry no zone information we can trust
+        publishedDate: published?.iso || null,
+        ...receivedDateFor(published, scrapedAt),
+        dateSource: published ? 'scrape' : 'none',
+        dateConfidence: published ? 'medium' : 'none',
+        content: row.summary || '',
+        // Keep the raw scraped strings for debugging selector configs
+        _original: row
+      };
+    });
+  }
+
+  /**
+   * Enrich items from their detail pages (bounded by detail.maxItems)
+   * @param {Array} items - Normalized items (mutated in place)
+   * @param {Object} scrape - Scrape config
+   * @param {string} listUrl - List page URL; feed auth headers are only sent to its origin
+   * @param {Object} headers - Feed auth/custom headers
+   * @param {string} timeZone - Feed default zone (IANA)
+   */
+  async followDetails(items, scrape, listUrl = null, headers = {}, timeZone = undefined) {
+    const detail = scrape.detail;
+    const limit = Number(detail.maxItems || 10);
+    const origin = listUrl ? new URL(listUrl).origin : null;
+    for (const item of items.slice(0, limit)) {
+      if (!item.link) continue;
+      try {
+        const sameOrigin = origin && new URL(item.link).origin === origin;
+        const $ = cheerio.load(await this.fetchPage(item.link, sameOrigin ? headers : {}));
+        const root = $.root();
+        const title = detail.title ? extract($, root, detail.title) : '';
+        const summary = detail.summary ? extract($, root, detail.summary) : '';
+        const date = detail.date ? parseScrapedDate(extract($, root, detail.date), scrape.dateFormat, timeZone) : null;
+        if (title) item.title = title;
+        if (summary) {
+          item.description = summary;
+          item.content = summary;
+        }
+        if (date) {
+          const scrapedAt = item.receivedDate || new Date().toISOString();
+          item.publishedDate = date.iso;
+          delete item.receivedDate;
+          Object.assign(item, receivedDateFor(date, scrapedAt));
+          item.dateSource = 'detail';
+          item.dateConfidence = 'medium';
+        }
+      } catch (error) {
+        console.warn(`⚠️  HTML detail page skipped for ${item.link}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Download a page within the feed size caps and decode it by its charset
+   * @param {string} url - Page URL
+   * @param {Object} headers - Extra request headers (feed auth/custom headers)
+   * @returns {Promise<string>} - HTML text
+   */
+  async fetchPage(url, headers = {}) {
+    // Add timeout support using AbortController
+    const controller = new AbortController();
+    const timeoutMs = Number(process.env.FETCH_TIMEOUT_MS || 5000);
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await httpFetch(url, {
+        signal: controller.signal,
+        compress: false,
+        headers: { Accept: 'text/html', 'Accept-Encoding': ACCEPT_ENCODING, ...headers }
+      });
+      assertOk(response);
+      const body = await readLimitedBody(response, getFeedLimits(), controller);
+      return decodeBody(body, response.headers?.get?.('content-type')).text;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Validate if this parser can handle the given feed
+   * @param {Object} feed - Feed configuration object
+   * @returns {boolean} - True if this parser can handle the feed
+   */
+  canHandle(feed) {
+    return feed?.parser === this.name || !!feed?.scrape;
+  }
+
+  /**
+   * Get parser-specific configuration
+   * @returns {Object} - Parser configuration object
+   */
+  getConfig() {
+    return {
+      name: this.name,
+      supportedFormats: ['html'],
+      description: 'Declarative HTML list-page scraper configured by the feed scrape block'
+    };
+  }
+}
+
+/**
+ * Check a scrape config: required selectors, selector syntax and date format
+ * @param {Object} scrape - Scrape config from feeds.json
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+export function validateScrapeConfig(scrape) {
+  if (!scrape || typeof scrape !== 'object' || Array.isArray(scrape)) {
+    return ["'scrape' must be an object with at least 'item' and 'title' selectors"];
+  }
+
+  const errors = [];
+  for (const field of ['item', 'title']) {
+    if (typeof scrape[field] !== 'string' || !scrape[field].trim()) {
+      errors.push(`scrape.${field} is required`);
+    }
+  }
+
+  const unknown = Object.keys(scrape).filter(k => !SCRAPE_FIELDS.includes(k));
+  if (unknown.length > 0) errors.push(`unknown scrape fields: ${unknown.join(', ')}`);
+
+  const selectors = ['item', 'title', 'link', 'date', 'summary'].map(f => [`scrape.${f}`, scrape[f]]);
+  if (scrape.detail !== undefined) {
+    if (!scrape.detail || typeof scrape.detail !== 'object' || Array.isArray(scrape.detail)) {
+      errors.push('scrape.detail must be an object');
+    } else {
+      const unknownDetail = Object.keys(scrape.detail).filter(k => !DETAIL_FIELDS.includes(k));
+      if (unknownDetail.length > 0) errors.push(`unknown scrape.detail fields: ${unknownDetail.join(', ')}`);
+      if (!scrape.detail.title && !scrape.detail.date && !scrape.detail.summary) {
+        errors.push('scrape.detail needs at least one of title, date or summary');
+      }
+      selectors.push(...['title', 'date', 'summary'].map(f => [`scrape.detail.${f}`, scrape.detail[f]]));
+    }
+  }
+
+  const $ = cheerio.load('<div></div>');
+  for (const [label, value] of selectors) {
+    if (value === undefined) continue;
+    if (typeof value !== 'string' || !value.trim()) {
+      errors.push(`${label} must be a non-empty selector string`);
+      continue;
+    }
+    try {
+      $(splitSelector(value).selector);
+    } catch (error) {
+      errors.push(`${label} is not a valid selector ('${value}'): ${error.message}`);
+    }
+  }
+
+  if (scrape.dateFormat !== undefined) {
+    if (typeof scrape.dateFormat !== 'string' || !/YYYY/.test(scrape.dateFormat) || !/M/.test(scrape.dateFormat) || !/D/.test(scrape.dateFormat)) {
+      errors.push("scrape.dateFormat must contain YYYY, a month token (M, MM, MMM, MMMM) and a day token (D, DD)");
+    }
+  }
+
+  return errors;
+}
+
+// `selector@attr` reads an attribute; `@attr` alone reads it from the item itself
+function splitSelector(spec) {
+  const at = spec.lastIndexOf('@');
+  if (at === -1) return { selector: spec.trim(), attr: null };
+  return { selector: spec.slice(0, at).trim() || '*', attr: spec.slice(at + 1).trim(), self: !spec.slice(0, at).trim() };
+}
+
+function extract($, $scope, spec, defaultAttr = null) {
+  const { selector, attr, self } = splitSelector(spec);
+  const $target = self ? $scope : $scope.find(selector).first();
+  if ($target.length === 0) return '';
+  const attribute = attr || defaultAttr;
+  if (attribute) {
+    const value = $target.attr(attribute);
+    if (value !== undefined) return value.trim();
+    if (attr) return '';
+  }
+  return $target.text().replace(/\s+/g, ' ').trim();
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return baseUrl;
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch {
+    return href;
+  }
+}
+
+/**
+ * Parse a scraped date string, optionally using a token format
+ * @param {string} text - Date text
+ * @param {string} format - e.g. 'DD.MM.YYYY', 'D MMMM YYYY HH:mm'
+ * @param {string} timeZone - IANA zone the page's dates are written in (default UTC)
+ * @returns {string|null} - ISO date or null when unparseable
+ */
+export function parseDate(text, format, timeZone) {
+  return parseScrapedDate(text, format, timeZone)?.iso || null;
+}
+
+// A day-only date is midnight: advisories listed later that day would fall behind the last run,
+// so the scrape time decides whether they are new
+function receivedDateFor(parsed, scrapedAt) {
+  return parsed?.precision === 'day' && scrapedAt ? { receivedDate: scrapedAt } : {};
+}
+
+// parseDate with the parseFeedDate details ({ iso, precision, ... }) kept
+function parseScrapedDate(text, format, timeZone) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+
+  if (format) {
+    const tokens = [];
+    const pattern = format
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(DATE_TOKENS, token => {
+        tokens.push(token);
+        return token.startsWith('MMM') ? '([A-Za-zÀ-ÿ]+)\\.?' : '(\\d{1,4})';
+      });
+    const match = value.match(new RegExp(pattern));
+    if (match) {
+      const parts = { YYYY: 0, M: 1, D: 1, H: 0, m: 0, s: 0 };
+      tokens.forEach((token, i) => {
+        const raw = match[i + 1];
+        if (token.startsWith('MMM')) parts.M = monthNumber(raw) || 0;
+        else if (token === 'YYYY') parts.YYYY = Number(raw);
+        else if (token.startsWith('M')) parts.M = Number(raw);
+        else if (token.startsWith('D')) parts.D = Number(raw);
+        else if (token.startsWith('H')) parts.H = Number(raw);
+        else if (token === 'mm') parts.m = Number(raw);
+        else if (token === 'ss') parts.s = Number(raw);
+      });
+      if (parts.M >= 1) {
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        const day = `${pad(parts.YYYY, 4)}-${pad(parts.M)}-${pad(parts.D)}`;
+        const local = tokens.some(token => token.startsWith('H')) ? `${day}T${pad(parts.H)}:${pad(parts.m)}:${pad(parts.s)}` : day;
+        const date = parseFeedDate(local, { timeZone });
+        if (date) return date;
+      }
+    }
+  }
+
+  return parseFeedDate(value, { timeZone });
+}
+
+export default HtmlParser;
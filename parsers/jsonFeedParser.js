@@ -0,0 +1,173 @@
+import { httpFetch } from '../utils/httpClient.js';
+import { buildFeedHeaders } from '../utils/feedAuth.js';
+import { resolvePublishedDate } from '../utils/dates.js';
+import { ACCEPT_ENCODING, getFeedLimits, readLimitedBody, assertOk, toFeedError } from '../utils/feedGuard.js';
+
+/**
+ * JSON Feed parser implementation (https://jsonfeed.org, versions 1.0 and 1.1)
+ * Produces the same normalized item shape as DefaultParser
+ */
+export class JsonFeedParser {
+  constructor() {
+    this.name = 'jsonFeedParser';
+  }
+
+  /**
+   * Parse a JSON Feed from URL
+   * @param {string} url - The JSON Feed URL to parse
+   * @param {Object} options - { feed } used for auth/custom headers
+   * @returns {Promise<Object>} - Parsed feed object with items array
+   * @throws {FeedFetchError} - Typed error (`code`) for every failure
+   */
+  async parseURL(url, options = {}) {
+    // Add timeout support using AbortController
+    const controller = new AbortController();
+    const timeoutMs = Number(process.env.FETCH_TIMEOUT_MS || 5000);
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await httpFetch(url, {
+        signal: controller.signal,
+        compress: false,
+        headers: {
+          Accept: 'application/feed+json, application/json;q=0.9',
+          'Accept-Encoding': ACCEPT_ENCODING,
+          ...buildFeedHeaders(options.feed)
+        }
+      });
+      assertOk(response);
+      const text = (await readLimitedBody(response, getFeedLimits(), controller)).toString('utf-8');
+      return this.toFeed(this.readDocument(text), { timeZone: options.feed?.timezone });
+    } catch (error) {
+      throw toFeedError(error, 'Failed to parse JSON Feed');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Parse JSON Feed content from string
+   * @param {string} content - The JSON Feed document as string
+   * @param {Object} options - { timeZone } default zone for dates without an offset
+   * @returns {Promise<Object>} - Parsed feed object with items array
+   * @throws {FeedFetchError} - parse_error for invalid or non-JSON Feed content
+   */
+  async parseString(content, options = {}) {
+    try {
+      return this.toFeed(this.readDocument(content), options);
+    } catch (error) {
+      throw toFeedError(error, 'Failed to parse JSON Feed content');
+    }
+  }
+
+  /**
+   * Parse and structurally validate a JSON Feed document
+   * @param {string} text - Raw JSON text
+   * @returns {Object} - JSON Feed document
+   */
+  readDocument(text) {
+    const doc = JSON.parse(text);
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      throw new Error('Document is not a JSON object');
+    }
+    if (typeof doc.version !== 'string' || !doc.version.startsWith('https://jsonfeed.org/version/')) {
+      throw new Error(`Unsupported JSON Feed version: ${doc.version}`);
+    }
+    if (!Array.isArray(doc.items)) {
+      throw new Error('JSON Feed is missing the items array');
+    }
+    return doc;
+  }
+
+  /**
+   * Map a JSON Feed document to the parser result shape
+   * @param {Object} doc - JSON Feed document
+   * @param {Object} options - { timeZone }
+   * @returns {Object} - Parsed feed object with items array
+   */
+  toFeed(doc, options = {}) {
+    return {
+      title: doc.title,
+      description: doc.description,
+      link: doc.home_page_url || doc.feed_url,
+      // JSON Feed pagination (used by backfills)
+      nextUrl: typeof doc.next_url === 'string' ? doc.next_url : null,
+      // JSON Feed `hubs` (WebSub push subscriptions)
+      hubUrl: (Array.isArray(doc.hubs) ? doc.hubs : []).find(hub => /^websub$/i.test(hub?.type) && typeof hub.url === 'string')?.url || null,
+      selfUrl: typeof doc.feed_url === 'string' ? doc.feed_url : null,
+      items: this.normalizeItems(doc.items, options)
+    };
+  }
+
+  /**
+   * Normalize JSON Feed items to a consistent format
+   * @param {Array} items - Raw JSON Feed items
+   * @param {Object} options - { timeZone } feed default zone (IANA) for dates without an offset
+   * @returns {Array} - Normalized items with consistent field names
+   */
+  normalizeItems(items, options = {}) {
+    return items.map(item => {
+      const text = item.content_text || stripHtml(item.content_html);
+      // JSON Feed 1.0 used a single `author` object; 1.1 uses `authors`
+      const authors = Array.isArray(item.authors) ? item.authors : (item.author ? [item.author] : []);
+      return {
+        title: item.title || 'No Title',
+        link: item.url || item.external_url || item.id,
+        guid: item.id != null ? String(item.id) : item.url,
+        description: item.summary || text || '',
+        ...resolvePublishedDate([
+          { field: 'date_published', value: item.date_published },
+          { field: 'date_modified', value: item.date_modified, fallback: true }
+        ], options),
+        content: text || item.summary || '',
+        tags: Array.isArray(item.tags) ? item.tags : [],
+        authors,
+        dateModified: item.date_modified || null,
+        // Keep original item for any parser-specific fields
+        _original: item
+      };
+    });
+  }
+
+  /**
+   * Validate if this parser can handle the given feed
+   * @param {Object} feed - Feed configuration object
+   * @param {Object} hints - { contentType } when a response has been seen
+   * @returns {boolean} - True if this parser can handle the feed
+   */
+  canHandle(feed, hints = {}) {
+    if (feed?.parser === this.name) return true;
+    if (/^application\/(feed\+)?json\b/i.test(hints.contentType || '')) return true;
+    // Only the conventional name: other .json URLs are usually APIs with their own parser (KEV, CSAF)
+    return /\/feed\.json(\?|$)/i.test(feed?.url || '');
+  }
+
+  /**
+   * Get parser-specific configuration
+   * @returns {Object} - Parser configuration object
+   */
+  getConfig() {
+    return {
+      name: this.name,
+      supportedFormats: ['jsonfeed'],
+      description: 'JSON Feed 1.0/1.1 parser for sources publishing jsonfeed.org documents'
+    };
+  }
+}
+
+function stripHtml(html) {
+  if (!html) return '';
+  return String(html)
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    // Last, so an escaped entity such as &amp;lt; stays the literal text &lt;
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export default JsonFeedParser;
@@ -0,0 +1,178 @@
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { httpFetch } from '../utils/httpClient.js';
+import { buildFeedHeaders } from '../utils/feedAuth.js';
+import { ACCEPT_ENCODING, getFeedLimits, readLimitedBody, assertOk, toFeedError } from '../utils/feedGuard.js';
+
+const CATALOG_PAGE = 'https://www.cisa.gov/known-exploited-vulnerabilities-catalog';
+
+/**
+ * CISA Known Exploited Vulnerabilities (KEV) catalog parser
+ * Turns each catalog row into a normalized entry with the KEV fields kept under `kev`.
+ * `dateAdded` is only a calendar day, so it is shown as the published date while
+ * `receivedDate` (the fetch time) decides whether a row arrived after the last run.
+ */
+export class KevParser {
+  constructor() {
+    this.name = 'kevParser';
+  }
+
+  /**
+   * Parse the KEV catalog from a URL or a locally cached catalog file
+   * @param {string} url - Catalog URL, file: URL or filesystem path
+   * @param {Object} options - { feed } where feed.cacheFile overrides the URL
+   * @returns {Promise<Object>} - Parsed feed object with items array
+   * @throws {FeedFetchError} - Typed error (`code`) for every failure
+   */
+  async parseURL(url, options = {}) {
+    const source = options.feed?.cacheFile || url;
+    try {
+      const text = isRemote(source) ? await this.fetchCatalog(source, buildFeedHeaders(options.feed)) : await readFile(toPath(source), 'utf-8');
+      return this.toFeed(this.readCatalog(text));
+    } catch (error) {
+      throw toFeedError(error, 'Failed to parse KEV catalog');
+    }
+  }
+
+  /**
+   * Parse KEV catalog content from string
+   * @param {string} content - The KEV catalog JSON
+   * @returns {Promise<Object>} - Parsed feed object with items array
+   */
+  async parseString(content) {
+    try {
+      return this.toFeed(this.readCatalog(content));
+    } catch (error) {
+      throw new Error(`Failed to parse KEV catalog content: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download the catalog within the feed size caps; the timeout covers the body too
+   * @param {string} url - Catalog URL
+   * @param {Object} headers - Feed auth/custom headers
+   * @returns {Promise<string>} - Raw catalog JSON
+   */
+  async fetchCatalog(url, headers = {}) {
+    // Add timeout support using AbortController
+    const controller = new AbortController();
+    const timeoutMs = Number(process.env.FETCH_TIMEOUT_MS || 5000);
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await httpFetch(url, {
+        signal: controller.signal,
+        compress: false,
+        headers: { Accept: 'application/json', 'Accept-Encoding': ACCEPT_ENCODING, ...headers }
+      });
+      assertOk(response);
+      return (await readLimitedBody(response, getFeedLimits(), controller)).toString('utf-8');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Parse and structurally validate a KEV catalog document
+   * @param {string} text - Raw JSON text
+   * @returns {Object} - KEV catalog
+   */
+  readCatalog(text) {
+    const catalog = JSON.parse(text);
+    if (!catalog || !Array.isArray(catalog.vulnerabilities)) {
+      throw new Error('Catalog is missing the vulnerabilities array');
+    }
+    return catalog;
+  }
+
+  /**
+   * Map a KEV catalog to the parser result shape
+   * @param {Object} catalog - KEV catalog
+   * @returns {Object} - Parsed feed object with items array
+   */
+  toFeed(catalog) {
+    return {
+      title: catalog.title || 'CISA Known Exploited Vulnerabilities Catalog',
+      description: `Catalog version ${catalog.catalogVersion || 'unknown'} (${catalog.count ?? catalog.vulnerabilities.length} entries)`,
+      link: CATALOG_PAGE,
+      items: this.normalizeItems(catalog.vulnerabilities, new Date().toISOString())
+    };
+  }
+
+  /**
+   * Normalize KEV catalog rows to a consistent format
+   * @param {Array} rows - Raw KEV vulnerability rows
+   * @param {string} receivedAt - Fetch time (ISO), used as every row's receivedDate
+   * @returns {Array} - Normalized items with consistent field names
+   */
+  normalizeItems(rows, receivedAt = new Date().toISOString()) {
+    return rows
+      .filter(row => row && row.cveID)
+      .map(row => {
+        const kev = {
+          cveID: row.cveID,
+          vendorProject: row.vendorProject || '',
+          product: row.product || '',
+          vulnerabilityName: row.vulnerabilityName || '',
+          dateAdded: row.dateAdded || null,
+          dueDate: row.dueDate || null,
+          requiredAction: row.requiredAction || '',
+          knownRansomwareCampaignUse: row.knownRansomwareCampaignUse || 'Unknown',
+          notes: row.notes || '',
+          cwes: Array.isArray(row.cwes) ? row.cwes : []
+        };
+        const description = [
+          `Added to the CISA Known Exploited Vulnerabilities catalog: actively exploited vulnerability in ${kev.vendorProject} ${kev.product}.`.replace(/\s+/g, ' '),
+          row.shortDescription || '',
+          kev.requiredAction ? `Required action: ${kev.requiredAction}` : '',
+          kev.dueDate ? `Due date: ${kev.dueDate}.` : '',
+          kev.knownRansomwareCampaignUse === 'Known' ? 'Known to be used in ransomware campaigns.' : ''
+        ].filter(Boolean).join(' ');
+
+        return {
+          title: `${kev.cveID}: ${kev.vulnerabilityName || `${kev.vendorProject} ${kev.product}`.trim()}`,
+          link: `${CATALOG_PAGE}?search_api_fulltext=${encodeURIComponent(kev.cveID)}`,
+          guid: `kev:${kev.cveID}`,
+          description,
+          publishedDate: kev.dateAdded ? new Date(`${kev.dateAdded}T00:00:00Z`).toISOString() : receivedAt,
+          // dateAdded has no time of day: rows added after the day's first run are still new
+          receivedDate: receivedAt,
+          content: description,
+          kev,
+          // Keep original row for any parser-specific fields
+          _original: row
+        };
+      });
+  }
+
+  /**
+   * Validate if this parser can handle the given feed
+   * @param {Object} feed - Feed configuration object
+   * @returns {boolean} - True if this parser can handle the feed
+   */
+  canHandle(feed) {
+    if (feed?.parser === this.name) return true;
+    return /known_exploited_vulnerabilities\.json/i.test(feed?.url || '');
+  }
+
+  /**
+   * Get parser-specific configuration
+   * @returns {Object} - Parser configuration object
+   */
+  getConfig() {
+    return {
+      name: this.name,
+      supportedFormats: ['cisa-kev'],
+      description: 'CISA Known Exploited Vulnerabilities catalog (URL or locally cached JSON file)'
+    };
+  }
+}
+
+function isRemote(source) {
+  return /^https?:\/\//i.test(String(source));
+}
+
+function toPath(source) {
+  return String(source).startsWith('file:') ? fileURLToPath(source) : source;
+}
+
+export default KevParser;
@@ -0,0 +1,234 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { parseMessage, splitMessage, parseAddress } from '../utils/mime.js';
+import { resolvePublishedDate } from '../utils/dates.js';
+import { toFeedError } from '../utils/feedGuard.js';
+
+const MAIL_FIELDS = ['from', 'format', 'maxMessages'];
+const FORMATS = ['mbox', 'maildir'];
+
+/**
+ * Mailbox parser for advisories that only arrive by email.
+ * The feed `url` is a file: URL of an mbox file or a Maildir directory; the
+ * optional `mail` block in feeds.json selects messages per sender:
+ *   from        - address or glob ('*@vendor.example'), or an array of them
+ *   format      - 'mbox' or 'maildir' (detected from the path by default)
+ *   maxMessages - newest messages read per run (default 200)
+ * Several feeds may read the same mailbox with different `from` filters so each
+ * sender keeps its own name, category and region. Messages are picked by their
+ * headers alone; only the selected ones are MIME-parsed. The mailbox is only read:
+ * Message-ID is the entry guid and seen tracking happens in state like any feed.
+ */
+export class MailParser {
+  constructor() {
+    this.name = 'mailParser';
+  }
+
+  /**
+   * Read messages from an mbox file or Maildir directory
+   * @param {string} url - file: URL of the mailbox
+   * @param {Object} options - { feed } carrying the `mail` config
+   * @returns {Promise<Object>} - Parsed feed object with items array
+   */
+  async parseURL(url, options = {}) {
+    try {
+      const mailbox = fileURLToPath(url);
+      const mail = options.feed?.mail || {};
+      const format = mail.format || ((await fs.stat(mailbox)).isDirectory() ? 'maildir' : 'mbox');
+      const raws = format === 'maildir' ? await readMaildir(mailbox, mail) : splitMbox(await fs.readFile(mailbox));
+      return this.parseMessages(raws, { ...mail, timeZone: options.feed?.timezone, title: options.feed?.name });
+    } catch (error) {
+      throw toFeedError(error, 'Failed to read mailbox');
+    }
+  }
+
+  /**
+   * Parse an mbox document from string
+   * @param {string} content - mbox content
+   * @param {Object} options - { feed } carrying the `mail` config
+   * @returns {Promise<Object>} - Parsed feed object with items array
+   */
+  async parseString(content, options = {}) {
+    const mail = options.feed?.mail || {};
+    return this.parseMessages(splitMbox(Buffer.from(content, 'utf-8')), { ...mail, timeZone: options.feed?.timezone, title: options.feed?.name });
+  }
+
+  /**
+   * Parse the newest raw messages from the configured senders and normalize them
+   * @param {Array<Buffer>} raws - Raw RFC 5322 messages, oldest first
+   * @param {Object} options - `mail` config plus { timeZone, title }
+   * @returns {Object} - Parsed feed object with items array
+   */
+  parseMessages(raws, options = {}) {
+    const messages = selectMessages(raws, options).map(raw => parseMessage(raw));
+    return {
+      title: options.title || 'Mailbox',
+      description: '',
+      link: null,
+      items: this.normalizeItems(messages, options)
+    };
+  }
+
+  /**
+   * Normalize parsed messages to a consistent format
+   * @param {Array} messages - parseMessage() results, newest first
+   * @param {Object} options - { timeZone } feed default zone (IANA) for dates without an offset
+   * @returns {Array} - Normalized items with consistent field names
+   */
+  normalizeItems(messages, options = {}) {
+    return messages.map(message => {
+      const guid = message.messageId ||
+        `mail:${createHash('sha256').update(`${message.from.address}|${message.date}|${message.subject}`).digest('hex').slice(0, 32)}`;
+      const link = /https?:\/\/[^\s<>"')\]]+/.exec(message.text)?.[0] || null;
+      return {
+        title: message.subject || 'No Title',
+        link,
+        guid,
+        description: message.text.replace(/\s+/g, ' ').slice(0, 500),
+        ...resolvePublishedDate([{ field: 'Date', value: message.date }], options),
+        // Arrival time (top Received header): a late delivery is still new to the age filter
+        receivedDate: resolvePublishedDate([{ field: 'Received', value: message.received }], options).publishedDate,
+        content: message.text,
+        authors: [{ name: message.from.name || message.from.address, email: message.from.address }],
+        _original: {
+          messageId: message.messageId,
+          from: message.from,
+          subject: message.subject,
+          date: message.date,
+          textSource: message.textSource
+        }
+      };
+    });
+  }
+
+  /**
+   * Validate if this parser can handle the given feed
+   * @param {Object} feed - Feed configuration object
+   * @returns {boolean} - True if this parser can handle the feed
+   */
+  canHandle(feed) {
+    if (feed?.parser === this.name) return true;
+    return /^file:/i.test(feed?.url || '');
+  }
+
+  /**
+   * Get parser-specific configuration
+   * @returns {Object} - Parser configuration object
+   */
+  getConfig() {
+    return {
+      name: this.name,
+      supportedFormats: FORMATS,
+      description: 'Reads advisory mails from an mbox file or Maildir directory (MIME, text/plain preferred)'
+    };
+  }
+}
+
+/**
+ * Check a mail config block
+ * @param {Object} mail - `mail` config from feeds.json
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+export function validateMailConfig(mail) {
+  if (!mail || typeof mail !== 'object' || Array.isArray(mail)) {
+    return ["'mail' must be an object"];
+  }
+  const errors = [];
+  for (const key of Object.keys(mail)) {
+    if (!MAIL_FIELDS.includes(key)) errors.push(`Unknown mail field '${key}'`);
+  }
+  if (mail.from !== undefined && ![].concat(mail.from).every(f => typeof f === 'string' && f.includes('@'))) {
+    errors.push('mail.from must be an address or address glob (or an array of them)');
+  }
+  if (mail.format !== undefined && !FORMATS.includes(mail.format)) {
+    errors.push(`mail.format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (mail.maxMessages !== undefined && (!Number.isInteger(mail.maxMessages) || mail.maxMessages < 1)) {
+    errors.push('mail.maxMessages must be a positive integer');
+  }
+  return errors;
+}
+
+// 'advisories@vendor.example' or '*@vendor.example', case-insensitive
+function senderPattern(glob) {
+  const escaped = String(glob).trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// From: address of a raw message, read from its header block only
+function senderOf(raw) {
+  const ends = [raw.indexOf('\n\n'), raw.indexOf('\r\n\r\n')].filter(index => index !== -1);
+  const head = raw.subarray(0, ends.length > 0 ? Math.min(...ends) : raw.length).toString('latin1');
+  return parseAddress(splitMessage(head).headers.get('from')?.[0] || '').address;
+}
+
+// Accepts raw messages from the configured senders (all when `from` is not set)
+function senderFilter(from) {
+  const senders = [].concat(from || []).map(senderPattern);
+  return raw => senders.length === 0 || senders.some(pattern => pattern.test(senderOf(raw)));
+}
+
+/**
+ * Pick the newest `maxMessages` messages from the configured senders by their headers
+ * @param {Array<Buffer>} raws - Raw messages, oldest first
+ * @param {Object} options - `mail` config ({ from, maxMessages })
+ * @returns {Array<Buffer>} - Selected raw messages, newest first
+ */
+export function selectMessages(raws, options = {}) {
+  const accept = senderFilter(options.from);
+  const limit = Number(options.maxMessages || 200);
+  const selected = [];
+  for (let i = raws.length - 1; i >= 0 && selected.length < limit; i--) {
+    if (accept(raws[i])) selected.push(raws[i]);
+  }
+  return selected;
+}
+
+/**
+ * Split an mbox file into raw messages ("From " separator lines; mboxrd
+ * ">From " quoting is undone)
+ * @param {Buffer} buffer - mbox file contents
+ * @returns {Array<Buffer>} - Raw messages in file order
+ */
+export function splitMbox(buffer) {
+  const text = buffer.toString('latin1');
+  return text.split(/(?:^|\r?\n\r?\n)From [^\r\n]*\r?\n/)
+    .filter(chunk => chunk.trim())
+    .map(chunk => Buffer.from(chunk.replace(/^>(>*From )/gm, '$1'), 'latin1'));
+}
+
+/**
+ * Read a Maildir's new/ and cur/ messages (tmp/ is still being delivered), newest
+ * first and only until `maxMessages` from the configured senders are found
+ * @param {string} dir - Maildir root
+ * @param {Object} mail - `mail` config ({ from, maxMessages })
+ * @returns {Promise<Array<Buffer>>} - Raw messages, oldest first
+ */
+async function readMaildir(dir, mail = {}) {
+  const files = [];
+  let found = false;
+  for (const sub of ['cur', 'new']) {
+    try {
+      const names = await fs.readdir(path.join(dir, sub));
+      found = true;
+      files.push(...names.filter(name => !name.startsWith('.')).map(name => path.join(dir, sub, name)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  if (!found) throw new Error(`${dir} is not a Maildir (no cur/ or new/)`);
+  // Maildir file names start with the delivery timestamp
+  files.sort((a, b) => path.basename(a).localeCompare(path.basename(b), undefined, { numeric: true }));
+  const accept = senderFilter(mail.from);
+  const limit = Number(mail.maxMessages || 200);
+  const raws = [];
+  for (let i = files.length - 1; i >= 0 && raws.length < limit; i--) {
+    const raw = await fs.readFile(files[i]);
+    if (accept(raw)) raws.unshift(raw);
+  }
+  return raws;
+}
+
+export default MailParser;
@@ -0,0 +1,274 @@
+import { httpFetch } from '../utils/httpClient.js';
+import { buildFeedHeaders } from '../utils/feedAuth.js';
+import { ACCEPT_ENCODING, getFeedLimits, readLimitedBody, assertOk, toFeedError } from '../utils/feedGuard.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+// NVD rejects lastModStartDate/lastModEndDate ranges longer than 120 days
+const MAX_WINDOW_MS = 120 * 24 * 60 * 60 * 1000;
+
+/**
+ * NVD CVE API 2.0 parser
+ * Pages through CVEs modified since the previous window and keeps CVSS, CWE and CPE data under `nvd`.
+ * The returned `cursor` (this window's end) is stored per feed in state.cursors by the pipeline
+ * and starts the next window, so modifications made while a run is in progress are not skipped.
+ * Each modification is its own entry (guid `nvd:<id>@<lastModified>`); a CVE published before
+ * the window is posted as an `[Update]`.
+ */
+export class NvdParser {
+  constructor() {
+    this.name = 'nvdParser';
+  }
+
+  /**
+   * Fetch recently modified CVEs from the NVD CVE API
+   * @param {string} url - CVE API 2.0 endpoint (extra query parameters are preserved)
+   * @param {Object} options - { feed, state, now } where state.cursors[feed.name] starts the lastModStartDate
+   *   window and `now` (ms, default Date.now()) ends it; recorded runs pass the recording's clock
+   * @returns {Promise<Object>} - Parsed feed object with items array and the next cursor
+   * @throws {FeedFetchError} - Typed error (`code`) for every failure
+   */
+  async parseURL(url, options = {}) {
+    try {
+      const { start, end } = this.getWindow(options.state, options.feed?.name, options.now);
+      const apiKey = process.env.NVD_API_KEY || '';
+      const resultsPerPage = Number(process.env.NVD_RESULTS_PER_PAGE || 2000);
+      const maxPages = Number(process.env.NVD_MAX_PAGES || 20);
+      // Public rate limit is 5 requests/30s without a key and 50 requests/30s with one
+      const pageDelayMs = Number(process.env.NVD_PAGE_DELAY_MS ?? (apiKey ? 700 : 6500));
+
+      const vulnerabilities = [];
+      let startIndex = 0;
+      let totalResults = 0;
+      for (let page = 0; page < maxPages; page++) {
+        const pageUrl = new URL(url);
+        pageUrl.searchParams.set('lastModStartDate', start.toISOString());
+        pageUrl.searchParams.set('lastModEndDate', end.toISOString());
+        pageUrl.searchParams.set('resultsPerPage', String(resultsPerPage));
+        pageUrl.searchParams.set('startIndex', String(startIndex));
+
+        const data = this.readPage(await this.fetchPage(pageUrl.toString(), apiKey, buildFeedHeaders(options.feed)));
+        vulnerabilities.push(...data.vulnerabilities);
+        totalResults = data.totalResults;
+        startIndex += data.vulnerabilities.length;
+
+        if (data.vulnerabilities.length === 0 || startIndex >= totalResults) break;
+        if (pageDelayMs > 0) await new Promise(resolve => setTimeout(resolve, pageDelayMs));
+      }
+
+      if (startIndex < totalResults) {
+        logger.warn(`⚠️  NVD: stopped after ${maxPages} page(s), ${startIndex}/${totalResults} CVEs fetched`);
+      }
+
+      return {
+        title: 'NVD CVE API 2.0',
+        description: `CVEs modified between ${start.toISOString()} and ${end.toISOString()}`,
+        link: 'https://nvd.nist.gov/',
+        items: this.normalizeItems(vulnerabilities, end.toISOString(), start),
+        cursor: end.toISOString()
+      };
+    } catch (error) {
+      throw toFeedError(error, 'Failed to fetch NVD CVEs');
+    }
+  }
+
+  /**
+   * Parse a single (e.g. recorded) CVE API response page from string
+   * @param {string} content - CVE API 2.0 JSON response
+   * @returns {Promise<Object>} - Parsed feed object with items array
+   */
+  async parseString(content) {
+    try {
+      const data = this.readPage(content);
+      return {
+        title: 'NVD CVE API 2.0',
+        description: `${data.totalResults} CVEs`,
+        link: 'https://nvd.nist.gov/',
+        items: this.normalizeItems(data.vulnerabilities)
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse NVD content: ${error.message}`);
+    }
+  }
+
+  /**
+   * Derive the lastModified window: from the previous window's end (state.cursors),
+   * else state.lastRun, else the last 24 hours
+   * @param {Object} state - Bot state
+   * @param {string} feedName - Feed name, key of state.cursors
+   * @param {number} [now] - Window end (ms), default Date.now()
+   * @returns {Object} - { start, end } dates
+   */
+  getWindow(state = {}, feedName, now = Date.now()) {
+    const end = new Date(now);
+    const cursor = Date.parse(state?.cursors?.[feedName] || '');
+    const lastRun = Date.parse(state?.lastRun || '');
+    const previous = Number.isNaN(cursor) ? lastRun : cursor;
+    let startMs = Number.isNaN(previous) ? end.getTime() - DEFAULT_LOOKBACK_MS : previous;
+    startMs = Math.max(startMs, end.getTime() - MAX_WINDOW_MS);
+    return { start: new Date(startMs), end };
+  }
+
+  /**
+   * Download one page of results within the feed size caps; the timeout covers the body too
+   * @param {string} url - Page URL
+   * @param {string} apiKey - Optional NVD API key
+   * @param {Object} extraHeaders - Feed auth/custom headers
+   * @returns {Promise<string>} - Raw JSON text
+   */
+  async fetchPage(url, apiKey, extraHeaders = {}) {
+    // Add timeout support using AbortController
+    const controller = new AbortController();
+    const timeoutMs = Number(process.env.FETCH_TIMEOUT_MS || 5000);
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const headers = { 'Accept-Encoding': ACCEPT_ENCODING, ...extraHeaders, ...(apiKey ? { apiKey } : {}) };
+      const response = await httpFetch(url, { signal: controller.signal, compress: false, headers });
+      assertOk(response);
+      return (await readLimitedBody(response, getFeedLimits(), controller)).toString('utf-8');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Parse and structurally validate a CVE API response page
+   * @param {string} text - Raw JSON text
+   * @returns {Object} - { totalResults, vulnerabilities }
+   */
+  readPage(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.vulnerabilities)) {
+      throw new Error('Response is missing the vulnerabilities array');
+    }
+    return {
+      totalResults: Number(data.totalResults ?? data.vulnerabilities.length),
+      vulnerabilities: data.vulnerabilities
+    };
+  }
+
+  /**
+   * Normalize CVE API records to a consistent format
+   * @param {Array} vulnerabilities - Raw `vulnerabilities` array items ({ cve })
+   * @param {string} receivedAt - Window end (ISO), set as receivedDate on polled records
+   * @param {Date} [windowStart] - Window start; CVEs published before it are updates
+   * @returns {Array} - Normalized items with consistent field names
+   */
+  normalizeItems(vulnerabilities, receivedAt, windowStart) {
+    return vulnerabilities
+      .map(v => v?.cve)
+      .filter(cve => cve && cve.id)
+      .map(cve => {
+        const summary = (cve.descriptions || []).find(d => d.lang === 'en')?.value || '';
+        const cvssV40 = pickMetric(cve.metrics?.cvssMetricV40);
+        const cvssV31 = pickMetric(cve.metrics?.cvssMetricV31) || pickMetric(cve.metrics?.cvssMetricV30);
+        const cvss = cvssV40 || cvssV31;
+        const cwes = [...new Set((cve.weaknesses || [])
+          .flatMap(w => w.description || [])
+          .map(d => d.value)
+          .filter(value => /^CWE-\d+$/.test(value)))];
+        const configurations = (cve.configurations || []).map(config => ({
+          operator: config.operator || null,
+          negate: !!config.negate,
+          nodes: (config.nodes || []).map(node => ({
+            operator: node.operator || 'OR',
+            negate: !!node.negate,
+            cpeMatch: (node.cpeMatch || []).map(match => ({
+              criteria: match.criteria,
+              vulnerable: !!match.vulnerable,
+              versionStartIncluding: match.versionStartIncluding,
+              versionStartExcluding: match.versionStartExcluding,
+              versionEndIncluding: match.versionEndIncluding,
+              versionEndExcluding: match.versionEndExcluding
+            }))
+          }))
+        }));
+        const scoreText = cvss ? ` (CVSS ${cvss.version} ${cvss.baseScore} ${cvss.baseSeverity})` : '';
+        const description = `${summary}${scoreText}`.trim();
+        const lastModified = toIso(cve.lastModified);
+        const isUpdate = !!windowStart && Date.parse(toIso(cve.published)) < windowStart.getTime();
+        const title = `${cve.id}: ${truncate(summary, 120) || 'NVD vulnerability record'}`;
+
+        return {
+          title: isUpdate ? `[Update] ${title}` : title,
+          link: `https://nvd.nist.gov/vuln/detail/${cve.id}`,
+          // A later modification is a new entry rather than an already seen guid
+          guid: lastModified ? `nvd:${cve.id}@${lastModified}` : `nvd:${cve.id}`,
+          description,
+          // The modification is what brought the CVE into this window
+          publishedDate: toIso(cve.lastModified || cve.published) || new Date().toISOString(),
+          // The window already decides what is new: a modification made during the last run is not dropped
+          ...(receivedAt ? { receivedDate: receivedAt } : {}),
+          content: description,
+          cvss,
+          nvd: {
+            id: cve.id,
+            published: toIso(cve.published),
+            lastModified,
+            isUpdate,
+            vulnStatus: cve.vulnStatus || null,
+            cvssV31,
+            cvssV40,
+            cwes,
+            configurations,
+            cpes: configurations.flatMap(c => c.nodes.flatMap(n => n.cpeMatch.filter(m => m.vulnerable).map(m => m.criteria))),
+            references: (cve.references || []).map(r => r.url).filter(Boolean)
+          },
+          // Keep original record for any parser-specific fields
+          _original: cve
+        };
+      });
+  }
+
+  /**
+   * Validate if this parser can handle the given feed
+   * @param {Object} feed - Feed configuration object
+   * @returns {boolean} - True if this parser can handle the feed
+   */
+  canHandle(feed) {
+    if (feed?.parser === this.name) return true;
+    return /services\.nvd\.nist\.gov\/rest\/json\/cves\/2\.0/i.test(feed?.url || '');
+  }
+
+  /**
+   * Get parser-specific configuration
+   * @returns {Object} - Parser configuration object
+   */
+  getConfig() {
+    return {
+      name: this.name,
+      supportedFormats: ['nvd-cve-api-2.0'],
+      description: 'NVD CVE API 2.0 (recently modified CVEs with CVSS, CWE and CPE data)'
+    };
+  }
+}
+
+// Prefer the NVD "Primary" score, otherwise the first available one
+function pickMetric(metrics) {
+  if (!Array.isArray(metrics) || metrics.length === 0) return null;
+  const metric = metrics.find(m => m.type === 'Primary') || metrics[0];
+  const data = metric.cvssData || {};
+  if (typeof data.baseScore !== 'number') return null;
+  return {
+    version: data.version,
+    baseScore: data.baseScore,
+    baseSeverity: (data.baseSeverity || metric.baseSeverity || '').toUpperCase() || null,
+    vectorString: data.vectorString || null,
+    source: metric.source || null
+  };
+}
+
+// NVD timestamps are UTC without a zone designator
+function toIso(value) {
+  if (!value) return null;
+  const withZone = /[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value}Z`;
+  const date = new Date(withZone);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function truncate(text, max) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1).trimEnd()}…` : clean;
+}
+
+export default NvdParser;
@@ -0,0 +1,273 @@
+import { httpFetch } from '../utils/httpClient.js';
+import { buildFeedHeaders } from '../utils/feedAuth.js';
+import { registerSecret, registerSecretEnv } from '../utils/logger.js';
+import { ACCEPT_ENCODING, getFeedLimits, readLimitedBody, assertOk, toFeedError } from '../utils/feedGuard.js';
+
+const TAXII_MEDIA_TYPE = 'application/taxii+json;version=2.1';
+const SUPPORTED_TYPES = ['report', 'vulnerability', 'indicator', 'malware'];
+
+/**
+ * STIX 2.1 / TAXII 2.1 collection parser
+ * Polls a collection's objects endpoint with added_after pagination and returns
+ * report, vulnerability, indicator and malware objects as normalized entries.
+ * The returned `cursor` is stored per feed in state.cursors by the pipeline. It and each
+ * entry's receivedDate come from the server's date_added, never from created/modified,
+ * which say when the object was authored rather than when it reached the collection.
+ */
+export class TaxiiParser {
+  constructor() {
+    this.name = 'taxiiParser';
+  }
+
+  /**
+   * Poll a TAXII 2.1 collection
+   * @param {string} url - Collection URL (…/collections/<id>/) or its objects endpoint
+   * @param {Object} options - { feed, state } where state.cursors[feed.name] holds the last added_after
+   * @returns {Promise<Object>} - Parsed feed object with items array and the next cursor
+   * @throws {FeedFetchError} - Typed error (`code`) for every failure
+   */
+  async parseURL(url, options = {}) {
+    try {
+      const objectsUrl = this.getObjectsUrl(url);
+      const cursor = options.state?.cursors?.[options.feed?.name] || null;
+      const pageSize = Number(process.env.TAXII_PAGE_SIZE || 100);
+      const maxPages = Number(process.env.TAXII_MAX_PAGES || 10);
+      // A feed-level auth block takes precedence over the TAXII_* env defaults
+      const headers = { Accept: TAXII_MEDIA_TYPE, ...this.getAuthHeaders(), ...buildFeedHeaders(options.feed) };
+
+      const objects = [];
+      const polledAt = new Date().toISOString();
+      let addedAfter = cursor;
+      let next = null;
+      let lastAdded = cursor;
+      for (let page = 0; page < maxPages; page++) {
+        const pageUrl = new URL(objectsUrl);
+        pageUrl.searchParams.set('limit', String(pageSize));
+        if (next) pageUrl.searchParams.set('next', next);
+        else if (addedAfter) pageUrl.searchParams.set('added_after', addedAfter);
+
+        const { envelope, dateAddedLast } = await this.fetchEnvelope(pageUrl.toString(), headers);
+        const pageObjects = Array.isArray(envelope.objects) ? envelope.objects : [];
+        objects.push(...pageObjects);
+        lastAdded = dateAddedLast || latestDateAdded(pageObjects) || lastAdded;
+
+        if (!envelope.more || pageObjects.length === 0) break;
+        // TAXII 2.1 servers either hand out a `next` token or expect added_after to advance
+        next = envelope.next || null;
+        if (!next && lastAdded === addedAfter) {
+          console.warn(`⚠️  TAXII: ${objectsUrl} sent neither next nor date_added, stopping after page ${page + 1}`);
+          break;
+        }
+        addedAfter = next ? addedAfter : lastAdded;
+      }
+
+      return {
+        title: `TAXII collection ${objectsUrl}`,
+        description: `${objects.length} STIX object(s) added after ${cursor || 'the beginning'}`,
+        link: objectsUrl,
+        items: this.normalizeObjects(objects, objectsUrl, polledAt),
+        cursor: lastAdded
+      };
+    } catch (error) {
+      throw toFeedError(error, 'Failed to poll TAXII collection');
+    }
+  }
+
+  /**
+   * Parse a TAXII envelope or STIX bundle from string
+   * @param {string} content - JSON envelope ({ objects }) or bundle
+   * @returns {Promise<Object>} - Parsed feed object with items array
+   */
+  async parseString(content) {
+    try {
+      const doc = JSON.parse(content);
+      if (!Array.isArray(doc?.objects)) throw new Error('Document is missing the objects array');
+      return {
+        title: 'STIX objects',
+        description: `${doc.objects.length} STIX object(s)`,
+        link: null,
+        items: this.normalizeObjects(doc.objects, null)
+      };
+    } catch (error) {
+      throw new Error(`Failed to parse STIX content: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve the objects endpoint for a collection URL
+   * @param {string} url - Collection or objects URL
+   * @returns {string} - Objects endpoint URL
+   */
+  getObjectsUrl(url) {
+    const base = url.endsWith('/') ? url : `${url}/`;
+    return /\/objects\/$/.test(base) ? base : `${base}objects/`;
+  }
+
+  /**
+   * Build credentials from env: bearer token wins over basic auth
+   * The env values and the encoded basic credentials are redacted from log output.
+   * @returns {Object} - Authorization header (or empty)
+   */
+  getAuthHeaders() {
+    ['TAXII_API_TOKEN', 'TAXII_USERNAME', 'TAXII_PASSWORD'].forEach(registerSecretEnv);
+    if (process.env.TAXII_API_TOKEN) {
+      return { Authorization: `Bearer ${process.env.TAXII_API_TOKEN}` };
+    }
+    if (process.env.TAXII_USERNAME) {
+      const basic = Buffer.from(`${process.env.TAXII_USERNAME}:${process.env.TAXII_PASSWORD || ''}`).toString('base64');
+      registerSecret(basic);
+      return { Authorization: `Basic ${basic}` };
+    }
+    return {};
+  }
+
+  /**
+   * Fetch one envelope page within the feed size caps; the timeout covers the body too
+   * @param {string} url - Page URL
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} - { envelope, dateAddedLast }
+   */
+  async fetchEnvelope(url, headers) {
+    // Add timeout support using AbortController
+    const controller = new AbortController();
+    const timeoutMs = Number(process.env.FETCH_TIMEOUT_MS || 5000);
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await httpFetch(url, {
+        signal: controller.signal,
+        compress: false,
+        headers: { 'Accept-Encoding': ACCEPT_ENCODING, ...headers }
+      });
+      assertOk(response);
+      const text = (await readLimitedBody(response, getFeedLimits(), controller)).toString('utf-8');
+      return {
+        envelope: text ? JSON.parse(text) : {},
+        dateAddedLast: response.headers?.get?.('X-TAXII-Date-Added-Last') || null
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Map STIX objects to normalized entries
+   * @param {Array} objects - STIX 2.1 objects
+   * @param {string|null} objectsUrl - Objects endpoint (used for links without external references)
+   * @param {string} [polledAt] - Poll time (ISO), the receivedDate of objects without date_added
+   * @returns {Array} - Normalized items with consistent field names
+   */
+  normalizeObjects(objects, objectsUrl, polledAt) {
+    const byId = new Map(objects.filter(o => o?.id).map(o => [o.id, o]));
+    return objects
+      .filter(o => o && SUPPORTED_TYPES.includes(o.type) && !o.revoked)
+      .map(object => {
+        const referenced = (object.object_refs || []).map(ref => byId.get(ref)).filter(Boolean);
+        const indicators = mergeIndicators([object, ...referenced].map(indicatorsFromObject));
+        const externalUrl = (object.external_references || []).find(r => r.url)?.url;
+        const description = object.description || describe(object);
+
+        return {
+          title: titleFor(object),
+          link: externalUrl || (objectsUrl ? `${objectsUrl}${object.id}/` : object.id),
+          guid: `stix:${object.id}`,
+          description,
+          publishedDate: object.published || object.created || object.modified || new Date().toISOString(),
+          // An object authored long ago but added to the collection since the last run is still new
+          ...(object.date_added || polledAt ? { receivedDate: object.date_added || polledAt } : {}),
+          content: description,
+          indicators,
+          stix: {
+            id: object.id,
+            type: object.type,
+            created: object.created || null,
+            modified: object.modified || null,
+            labels: object.labels || [],
+            confidence: object.confidence ?? null,
+            objectRefs: object.object_refs || []
+          },
+          // Keep original object for any parser-specific fields
+          _original: object
+        };
+      });
+  }
+
+  /**
+   * Validate if this parser can handle the given feed
+   * @param {Object} feed - Feed configuration object
+   * @returns {boolean} - True if this parser can handle the feed
+   */
+  canHandle(feed) {
+    if (feed?.parser === this.name) return true;
+    return /\/collections\/[^/]+\/(objects\/?)?$/i.test(feed?.url || '');
+  }
+
+  /**
+   * Get parser-specific configuration
+   * @returns {Object} - Parser configuration object
+   */
+  getConfig() {
+    return {
+      name: this.name,
+      supportedFormats: ['taxii-2.1', 'stix-2.1'],
+      description: 'TAXII 2.1 collection polling (report, vulnerability, indicator and malware objects)'
+    };
+  }
+}
+
+function titleFor(object) {
+  switch (object.type) {
+    case 'report': return object.name || 'Threat report';
+    case 'vulnerability': return `Vulnerability: ${object.name || object.id}`;
+    case 'indicator': return `Threat indicator: ${object.name || object.pattern || object.id}`;
+    case 'malware': return `Malware: ${object.name || object.id}`;
+    default: return object.name || object.id;
+  }
+}
+
+function describe(object) {
+  if (object.type === 'indicator' && object.pattern) return `STIX indicator pattern: ${object.pattern}`;
+  if (object.type === 'malware' && object.malware_types) return `Malware types: ${object.malware_types.join(', ')}`;
+  return '';
+}
+
+// Pull IoCs out of STIX patterns and CVE external references
+function indicatorsFromObject(object) {
+  const found = { ips: [], domains: [], hashes: [], cves: [], urls: [] };
+  if (object.type === 'indicator' && typeof object.pattern === 'string') {
+    const comparison = /([a-z0-9-]+):([a-zA-Z0-9_.'\-]+)\s*=\s*'((?:[^'\\]|\\.)*)'/g;
+    let match;
+    while ((match = comparison.exec(object.pattern)) !== null) {
+      const [, objectType, property, value] = match;
+      if (objectType === 'ipv4-addr' || objectType === 'ipv6-addr') found.ips.push(value);
+      else if (objectType === 'domain-name') found.domains.push(value);
+      else if (objectType === 'url') found.urls.push(value);
+      else if (objectType === 'file' && property.startsWith('hashes')) found.hashes.push(value);
+    }
+  }
+  for (const ref of object.external_references || []) {
+    if (ref.source_name === 'cve' && ref.external_id) found.cves.push(ref.external_id);
+  }
+  if (object.type === 'vulnerability' && /^CVE-\d{4}-\d{4,}$/i.test(object.name || '')) {
+    found.cves.push(object.name);
+  }
+  return found;
+}
+
+function mergeIndicators(list) {
+  const merged = { ips: [], domains: [], hashes: [], cves: [], urls: [] };
+  for (const item of list) {
+    for (const key of Object.keys(merged)) merged[key].push(...item[key]);
+  }
+  for (const key of Object.keys(merged)) merged[key] = [...new Set(merged[key])];
+  return merged;
+}
+
+function latestDateAdded(objects) {
+  const times = objects
+    .map(o => o.date_added)
+    .filter(t => t && !Number.isNaN(Date.parse(t)))
+    .sort((a, b) => Date.parse(a) - Date.parse(b));
+  return times.length ? times[times.length - 1] : null;
+}
+
+export default TaxiiParser;
@@ -1,4 +1,4 @@
-import fetch from 'node-fetch';
+import { httpFetch } from './utils/httpClient.js';
 import { buildAdaptiveCard } from './utils/teamsCard.js';
 
 // Re-export formatter functions for backward compatibility and testing
@@ -69,7 +69,7 @@ export async function postToTeams(source, title, link, description = '', publish
   }
 
   try {
-    const payload = buildAdaptiveCard({ source, title, link, description, publishedDate });
+    const payload = buildAdaptiveCard({ source, title, link, description, publishedDate, language: feedMetadata.language, story: feedMetadata.story });
     console.log(`📝 Formatted Teams card (AdaptiveCard v1.5): ${title}`);
 
     // Rate limit/backoff with Retry-After support
@@ -81,7 +81,7 @@ export async function postToTeams(source, title, link, description = '', publish
     while (attempt <= maxRetries) {
       const controller = new AbortController();
       const timer = setTimeout(() => controller.abort(), postTimeoutMs);
-      const response = await fetch(webhookUrl, {
+      const response = await httpFetch(webhookUrl, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
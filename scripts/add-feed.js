@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Feed onboarding CLI
+ * Discovers RSS/Atom/JSON Feed URLs on a website, shows what each candidate
+ * yields and appends a validated entry to the feeds file.
+ *
+ *   node scripts/add-feed.js <website-url> [--name <name>] [--category <c>] [--region <r>]
+ *        [--priority <high|medium|low>] [--description <text>] [--pick <n>]
+ *        [--feeds-file <path>] [--dry-run]
+ */
+
+import { discoverFeeds, probeCandidate, buildFeedEntry, appendFeed } from '../utils/feedDiscovery.js';
+
+const VALUE_FLAGS = ['name', 'category', 'region', 'priority', 'description', 'pick', 'feeds-file'];
+
+export function parseArgs(argv) {
+  const flags = { 'feeds-file': './data/feeds.json', 'dry-run': false };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (VALUE_FLAGS.includes(key)) {
+      flags[key] = inline ?? argv[++i];
+    } else if (key === 'dry-run' || key === 'help') {
+      flags[key] = true;
+    } else {
+      throw new Error(`Unknown option --${key}`);
+    }
+  }
+  return { siteUrl: positional[0], flags };
+}
+
+function printProbe(probe, index) {
+  if (!probe.ok) {
+    console.log(`  [${index}] ✗ ${probe.url} (${probe.via}): ${probe.error}`);
+    return;
+  }
+  const range = probe.oldest ? `${probe.oldest.slice(0, 10)} → ${probe.newest.slice(0, 10)}` : 'no dates';
+  console.log(`  [${index}] ✓ ${probe.url} (${probe.via}, ${probe.parser})`);
+  console.log(`      ${probe.title || 'untitled'} — ${probe.itemCount} items, ${range}, ThreatFilter keeps ${probe.kept}/${probe.itemCount}`);
+  for (const item of probe.sample) {
+    console.log(`      • [${item.severity}${item.language && item.language !== 'und' ? `/${item.language}` : ''}] ${item.title}`);
+  }
+}
+
+async function main() {
+  const { siteUrl, flags } = parseArgs(process.argv.slice(2));
+  if (flags.help || !siteUrl) {
+    console.log('Usage: node scripts/add-feed.js <website-url> --name <name> [--category <c>] [--region <r>] [--priority <p>] [--description <text>] [--pick <n>] [--feeds-file <path>] [--dry-run]');
+    process.exit(flags.help ? 0 : 1);
+  }
+
+  console.log(`🔎 Discovering feeds on ${siteUrl}...`);
+  const candidates = await discoverFeeds(siteUrl);
+  const probes = [];
+  for (const candidate of candidates) {
+    probes.push(await probeCandidate(candidate));
+  }
+  const working = probes.filter(p => p.ok);
+
+  console.log(`\n📡 ${working.length}/${probes.length} candidate(s) parsed:`);
+  probes.forEach((probe, i) => printProbe(probe, i + 1));
+
+  if (working.length === 0) {
+    console.error('\n❌ No working feed found');
+    process.exit(1);
+  }
+  if (!flags.name) {
+    console.log('\nℹ️  Re-run with --name (and --category/--region/--priority) to add a feed; --pick <n> selects a candidate.');
+    return;
+  }
+
+  const picked = flags.pick ? probes[Number(flags.pick) - 1] : working[0];
+  if (!picked?.ok) {
+    console.error(`\n❌ Candidate ${flags.pick} is not a working feed`);
+    process.exit(1);
+  }
+
+  const entry = buildFeedEntry(picked, flags);
+  console.log(`\n📝 Feed entry:\n${JSON.stringify(entry, null, 2)}`);
+  if (flags['dry-run']) {
+    console.log('🏃 DRY-RUN: feeds file not modified');
+    return;
+  }
+
+  const result = await appendFeed(flags['feeds-file'], entry);
+  if (!result.added) {
+    console.error(`\n❌ Not added:\n  - ${result.errors.join('\n  - ')}`);
+    process.exit(1);
+  }
+  console.log(`\n✅ Added '${entry.name}' to ${flags['feeds-file']}`);
+}
+
+// CLI entry point
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ add-feed failed:', error.message);
+    process.exit(1);
+  });
+}
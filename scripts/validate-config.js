@@ -8,6 +8,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { validateFeeds } from '../utils/validator.js';
+import { getParserRegistry } from '../utils/parserRegistry.js';
 import { StateManager } from '../utils/stateManager.js';
 import { HealthMonitor } from '../utils/healthMonitor.js';
 import { ThreatFilter } from '../utils/threatFilter.js';
@@ -94,8 +95,9 @@ class ConfigValidator {
 
       this.check('feeds.json exists and is valid JSON');
 
-      // Use existing validator
-      const validation = validateFeeds(feeds);
+      // Use existing validator (parser plugins count as available parsers)
+      const registry = await getParserRegistry();
+      const validation = validateFeeds(feeds, { parsers: registry.names() });
       
       if (validation.isValid) {
         this.pass('feeds.json structure is valid');
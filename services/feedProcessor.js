@@ -1,20 +1,105 @@
-import { DefaultParser } from '../parsers/defaultParser.js';
-import { normalizeEntryByFeed } from '../parsers/adapters/index.js';
+import { normalizeEntryByFeed, loadAdapterModules } from '../parsers/adapters/index.js';
+import { setFetchRecorder } from '../utils/httpClient.js';
+import { decodeBody } from '../utils/charset.js';
+import { getParserRegistry } from '../utils/parserRegistry.js';
+import { logger } from '../utils/logger.js';
 
 /**
  * Basic feed processor used by the enhanced pipeline.
- * For now, uses DefaultParser for all feeds and returns normalized entries.
+ * Picks the parser named by the feed's `parser` field, or probes the parser
+ * registry (utils/parserRegistry.js), and returns normalized entries.
  */
 export class FeedProcessor {
   constructor(config = {}) {
     this.config = config;
-    this.parser = new DefaultParser();
+    // config.registry overrides the shared registry (built-ins plus PARSER_PLUGINS_DIR)
+    this.registry = config.registry || null;
+    this.recorder = null;
   }
 
-  async processFeed(feed) {
-    const parsed = await this.parser.parseURL(feed.url);
+  /**
+   * Load the parser registry on first use
+   * @returns {Promise<ParserRegistry>}
+   */
+  async loadParsers() {
+    if (!this.registry) this.registry = await getParserRegistry();
+    return this.registry;
+  }
+
+  /**
+   * Record raw responses of subsequent fetches, or replay them (null turns it off)
+   * @param {FetchRecorder|null} recorder - See utils/fetchRecorder.js
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder || null;
+    setFetchRecorder(this.recorder);
+  }
+
+  /**
+   * Parser for a feed (see ParserRegistry.select)
+   * @param {Object} feed - Feed configuration object
+   * @param {Object} hints - { contentType } when known
+   */
+  async getParser(feed, hints = {}) {
+    return (await this.loadParsers()).select(feed, hints);
+  }
+
+  /**
+   * Fetch and normalize a single feed
+   * @param {Object} feed - Feed configuration object
+   * @param {Object} context - { state, now } passed through to parsers that need run state
+   *   and the run clock (ms); { url } fetches another page of the feed (backfills)
+   */
+  async processFeed(feed, context = {}) {
+    let parser = await this.getParser(feed);
+    const parse = () => parser.parseURL(context.url || feed.url, { feed, state: context.state, now: context.now });
+    const fetch = () => (this.recorder ? this.recorder.scope({ feed: feed.name, kind: 'feed' }, parse) : parse());
+    let parsed;
+    try {
+      parsed = await fetch();
+    } catch (error) {
+      // A probed parser met another format (e.g. JSON at an extensionless URL): probe again by content type
+      const contentType = error.details?.contentType;
+      const other = !feed.parser && contentType ? await this.getParser(feed, { contentType }) : null;
+      if (!other || other === parser) throw error;
+      logger.info(`🔀 Feed "${feed.name}": ${contentType} response, retrying with ${other.name} (set "parser" to skip probing)`);
+      parser = other;
+      parsed = await fetch();
+    }
     const items = parsed.items || [];
+    await loadAdapterModules([feed]);
     const normalized = items.map(e => normalizeEntryByFeed(e, feed));
+    return {
+      entries: normalized,
+      newEntries: normalized,
+      // Incremental sources (e.g. TAXII) hand back where the next poll should resume
+      cursor: parsed.cursor,
+      // Conditional GET: validators to store, and whether the feed was skipped unchanged
+      httpCache: parsed.httpCache,
+      notModified: parsed.notModified === true,
+      notModifiedReason: parsed.notModifiedReason || null,
+      // Detected body charset (DefaultParser), e.g. 'windows-1252'
+      encoding: parsed.encoding || null,
+      // Next archive page announced by the feed (rel="next", JSON Feed next_url)
+      nextUrl: parsed.nextUrl || null,
+      // WebSub hub and canonical topic URL announced by the feed
+      hubUrl: parsed.hubUrl || null,
+      selfUrl: parsed.selfUrl || null
+    };
+  }
+
+  /**
+   * Normalize a feed document that was delivered rather than fetched (WebSub pushes)
+   * @param {Object} feed - Feed configuration object
+   * @param {Buffer|string} content - Raw document
+   * @param {Object} context - { contentType } used to detect the charset of a Buffer
+   */
+  async processContent(feed, content, context = {}) {
+    const text = Buffer.isBuffer(content) ? decodeBody(content, context.contentType || null).text : String(content);
+    const parser = await this.getParser(feed, { contentType: context.contentType || null });
+    const parsed = await parser.parseString(text, { feed, timeZone: feed.timezone });
+    await loadAdapterModules([feed]);
+    const normalized = (parsed.items || []).map(e => normalizeEntryByFeed(e, feed));
     return {
       entries: normalized,
       newEntries: normalized
@@ -23,5 +108,3 @@ export class FeedProcessor {
 }
 
 export default FeedProcessor;
-
-
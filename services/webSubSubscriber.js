@@ -0,0 +1,300 @@
+import http from 'http';
+import { httpFetch } from '../utils/httpClient.js';
+import { getFeedLimits } from '../utils/feedGuard.js';
+import { logger, registerSecret } from '../utils/logger.js';
+import { deriveSecret, verifySignature, needsSubscription, RETRY_AFTER_MS } from '../utils/webSub.js';
+
+/**
+ * WebSub subscriber: asks hubs to push feed updates to
+ * `${WEBSUB_CALLBACK_URL}/websub/<feed name>`, answers their intent-verification
+ * GETs and hands signed push bodies to `onPush`, one at a time.
+ * Subscriptions are kept per feed name (state.websub) as
+ * { hub, topic, callback, status: pending|active|denied|error, requestedAt,
+ *   verifiedAt, leaseSeconds, expiresAt, lastPushAt, lastError }.
+ * The hub.secret of a topic is derived from WEBSUB_SECRET and never stored.
+ */
+export class WebSubSubscriber {
+  /**
+   * @param {Object} options - {
+   *   callbackUrl   public base URL this server is reachable at,
+   *   secret        WEBSUB_SECRET,
+   *   leaseSeconds  lease to ask hubs for (default 10 days),
+   *   subscriptions state.websub, updated in place,
+   *   onPush        async (feed, { body, contentType }) => void,
+   *   onChange      async subscriptions => void, to persist subscription state,
+   *   now           () => epoch ms }
+   */
+  constructor(options = {}) {
+    if (!options.callbackUrl) throw new Error('WEBSUB_CALLBACK_URL is required for --websub');
+    if (!options.secret) throw new Error('WEBSUB_SECRET is required for --websub');
+    this.callbackUrl = options.callbackUrl.replace(/\/+$/, '');
+    this.secret = options.secret;
+    this.leaseSeconds = options.leaseSeconds || 10 * 24 * 60 * 60;
+    this.subscriptions = options.subscriptions || {};
+    this.onPush = options.onPush || (async () => {});
+    this.onChange = options.onChange || (async () => {});
+    this.now = options.now || Date.now;
+    this.feeds = new Map();
+    this.queue = Promise.resolve();
+    this.server = null;
+    this.renewTimer = null;
+  }
+
+  /**
+   * Accept callbacks for a feed (subscribe() registers as well)
+   * @param {Object} feed - Feed configuration object
+   */
+  register(feed) {
+    this.feeds.set(feed.name, feed);
+  }
+
+  callbackFor(feed) {
+    return `${this.callbackUrl}/websub/${encodeURIComponent(feed.name)}`;
+  }
+
+  secretFor(topic) {
+    const secret = deriveSecret(this.secret, topic);
+    registerSecret(secret);
+    return secret;
+  }
+
+  /**
+   * Run a task after all earlier pushes and state writes (errors are logged, not thrown)
+   * @param {Function} task - async () => void
+   * @returns {Promise<void>}
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => logger.error('WebSub task failed:', error));
+    return this.queue;
+  }
+
+  /**
+   * Resolves once queued pushes and state writes are done
+   * @returns {Promise<void>}
+   */
+  idle() {
+    return this.queue;
+  }
+
+  /**
+   * Ask the hub to (re)subscribe the callback to a topic. The subscription becomes
+   * active when the hub verifies it; a failed request is marked 'error' and retried
+   * by renewDue(). Must not be called from inside an enqueued task.
+   * @param {Object} feed - Feed configuration object
+   * @param {Object} target - { hub, topic } discovered from the feed
+   * @returns {Promise<Object>} - The subscription record
+   */
+  async subscribe(feed, { hub, topic }) {
+    this.register(feed);
+    const previous = this.subscriptions[feed.name];
+    const subscription = {
+      ...(previous?.hub === hub && previous?.topic === topic ? previous : {}),
+      hub,
+      topic,
+      callback: this.callbackFor(feed),
+      status: 'pending',
+      requestedAt: new Date(this.now()).toISOString(),
+      lastError: null
+    };
+    // Stored first: hubs may verify before answering the subscribe request
+    this.subscriptions[feed.name] = subscription;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), Number(process.env.FETCH_TIMEOUT_MS || 5000));
+    try {
+      const response = await httpFetch(hub, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          'hub.mode': 'subscribe',
+          'hub.topic': topic,
+          'hub.callback': subscription.callback,
+          'hub.lease_seconds': String(this.leaseSeconds),
+          'hub.secret': this.secretFor(topic)
+        }).toString()
+      });
+      if (response.status !== 202 && response.status !== 204) {
+        const text = (await response.text().catch(() => '')).trim().slice(0, 200);
+        throw new Error(`Hub answered HTTP ${response.status}${text ? `: ${text}` : ''}`);
+      }
+      logger.info(`📮 WebSub: subscription requested for "${feed.name}" at ${hub}`);
+    } catch (error) {
+      subscription.status = 'error';
+      subscription.lastError = error.name === 'AbortError' ? 'Hub request timed out' : error.message;
+      logger.warn(`⚠️  WebSub: subscribing "${feed.name}" at ${hub} failed: ${subscription.lastError}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    await this.enqueue(() => this.onChange(this.subscriptions));
+    return subscription;
+  }
+
+  /**
+   * Re-subscribe registered feeds whose lease is about to run out, or whose
+   * request failed or was never verified
+   * @returns {Promise<Array<string>>} - Names of the feeds re-subscribed
+   */
+  async renewDue() {
+    const renewed = [];
+    for (const feed of this.feeds.values()) {
+      const subscription = this.subscriptions[feed.name];
+      if (!subscription?.hub || !needsSubscription(subscription, this.now())) continue;
+      await this.subscribe(feed, subscription);
+      renewed.push(feed.name);
+    }
+    return renewed;
+  }
+
+  /**
+   * Check for due renewals periodically (the timer does not keep the process alive)
+   * @param {number} intervalMs - Check interval
+   */
+  startRenewal(intervalMs = RETRY_AFTER_MS) {
+    clearInterval(this.renewTimer);
+    this.renewTimer = setInterval(() => {
+      this.renewDue().catch(error => logger.error('WebSub renewal failed:', error));
+    }, intervalMs);
+    this.renewTimer.unref();
+  }
+
+  /**
+   * HTTP handler for `/websub/<feed name>`: GET verifies intent, POST delivers content
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = /^\/websub\/([^/]+)$/.exec(url.pathname);
+    let name = null;
+    try {
+      name = match ? decodeURIComponent(match[1]) : null;
+    } catch {}
+    const feed = name !== null ? this.feeds.get(name) : null;
+    const subscription = feed ? this.subscriptions[name] : null;
+    if (!subscription) return send(res, 404, 'Unknown subscription');
+
+    if (req.method === 'GET') return this.handleVerification(feed, subscription, url.searchParams, res);
+    if (req.method === 'POST') return this.handlePush(feed, subscription, req, res);
+    res.setHeader('Allow', 'GET, POST');
+    return send(res, 405, 'Method not allowed');
+  }
+
+  /**
+   * Intent verification: echo hub.challenge for subscriptions this process requested
+   */
+  async handleVerification(feed, subscription, params, res) {
+    const mode = params.get('hub.mode');
+    if (params.get('hub.topic') !== subscription.topic) return send(res, 404, 'Unknown topic');
+
+    if (mode === 'denied') {
+      subscription.status = 'denied';
+      subscription.lastError = params.get('hub.reason') || 'Denied by hub';
+      logger.warn(`⚠️  WebSub: hub denied the subscription for "${feed.name}": ${subscription.lastError}`);
+      send(res, 200, '');
+      return this.enqueue(() => this.onChange(this.subscriptions));
+    }
+
+    // Nothing here ever unsubscribes, so only subscribe intents are confirmed
+    const challenge = params.get('hub.challenge');
+    if (mode !== 'subscribe' || !challenge) return send(res, 404, 'Not confirmed');
+
+    const leaseSeconds = Number(params.get('hub.lease_seconds')) || this.leaseSeconds;
+    const now = this.now();
+    Object.assign(subscription, {
+      status: 'active',
+      verifiedAt: new Date(now).toISOString(),
+      leaseSeconds,
+      expiresAt: new Date(now + leaseSeconds * 1000).toISOString(),
+      lastError: null
+    });
+    logger.info(`✅ WebSub: subscription for "${feed.name}" verified (lease ${leaseSeconds}s)`);
+    send(res, 200, challenge);
+    return this.enqueue(() => this.onChange(this.subscriptions));
+  }
+
+  /**
+   * Content distribution: check the signature, acknowledge, then queue the body
+   */
+  async handlePush(feed, subscription, req, res) {
+    let body;
+    try {
+      body = await readBody(req, getFeedLimits().maxBytes);
+    } catch (error) {
+      logger.warn(`⚠️  WebSub: push for "${feed.name}" rejected: ${error.message}`);
+      res.setHeader('Connection', 'close');
+      return send(res, 413, 'Payload too large');
+    }
+
+    const signature = req.headers['x-hub-signature'];
+    if (!verifySignature(signature, body, this.secretFor(subscription.topic))) {
+      // WebSub: still acknowledge, so a forger cannot tell whether the secret matched
+      logger.warn(`⚠️  WebSub: ignored push for "${feed.name}" with ${signature ? 'an invalid' : 'no'} X-Hub-Signature`);
+      return send(res, 202, '');
+    }
+
+    send(res, 202, '');
+    subscription.lastPushAt = new Date(this.now()).toISOString();
+    return this.enqueue(() => this.onPush(feed, { body, contentType: req.headers['content-type'] || null }));
+  }
+
+  /**
+   * Start the callback server
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Interface to bind (all by default)
+   * @returns {Promise<Object>} - server.address()
+   */
+  listen(port, host) {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        logger.error('WebSub callback failed:', error);
+        if (!res.headersSent) send(res, 500, 'Internal error');
+      });
+    });
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address()));
+    });
+  }
+
+  /**
+   * Stop the server and the renewal timer, then wait for queued work
+   */
+  async close() {
+    clearInterval(this.renewTimer);
+    this.renewTimer = null;
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+    await this.idle();
+  }
+}
+
+function send(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    if (Number(req.headers['content-length']) > maxBytes) {
+      reject(new Error(`body exceeds ${maxBytes} bytes`));
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.pause();
+        reject(new Error(`body exceeds ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+export default WebSubSubscriber;
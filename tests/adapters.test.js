@@ -1,5 +1,26 @@
-import { describe, it, expect } from '@jest/globals';
-import { normalizeEntryByFeed } from '../parsers/adapters/index.js';
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { normalizeEntryByFeed, registerAdapter, loadAdapterModules, validateAdapterConfig, getPath } from '../parsers/adapters/index.js';
+import { FeedValidator } from '../utils/validateFeeds.js';
+
+const msrcFeed = {
+  name: 'Microsoft-MSRC',
+  url: 'https://api.msrc.microsoft.com/update-guide/rss',
+  adapter: { name: 'MSRC', module: 'msrc', tags: ['vendor:microsoft'] }
+};
+
+let dir;
+
+beforeAll(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'adapter-modules-'));
+  writeFileSync(path.join(dir, 'vendor.mjs'), 'export default entry => ({ ...entry, title: `[Vendor] ${entry.title}` });\n');
+});
+
+afterAll(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
 
 describe('Adapter registry', () => {
   it('uses identity for unknown feed', () => {
@@ -20,6 +41,112 @@ describe('Adapter registry', () => {
     const out = normalizeEntryByFeed(entry, { name: 'CISA-Alerts' });
     expect(out._adapter).toBe('CISA');
   });
+
+  it('applies the MSRC JS adapter module and static tags', () => {
+    const entry = { title: 'CVE-2025-21298 Windows OLE Remote Code Execution Vulnerability', description: 'desc' };
+    const out = normalizeEntryByFeed(entry, msrcFeed);
+    expect(out.indicators.cves).toEqual(['CVE-2025-21298']);
+    expect(out.tags).toEqual(['vendor:microsoft']);
+    expect(out._adapter).toBe('MSRC');
+    expect(out._adapterRules).toEqual(['MSRC/tags', 'MSRC/module:msrc']);
+  });
+
+  it('maps fields from _original paths and cleans titles', () => {
+    const feed = {
+      name: 'Vendor-PSIRT',
+      url: 'https://psirt.vendor.example/rss.xml',
+      adapter: {
+        fields: { description: 'summary', 'cvss.baseScore': 'cvss[0].score', link: 'missing.path' },
+        titleCleanup: [{ pattern: '^\\[(?:UPDATE|NEW)\\]\\s*', flags: 'i' }, { pattern: '\\s+-\\s+Vendor PSIRT$' }]
+      }
+    };
+    const entry = {
+      title: '[Update] Critical flaw in Gateway - Vendor PSIRT',
+      description: '',
+      link: 'https://psirt.vendor.example/a/1',
+      _original: { summary: 'Full summary', cvss: [{ score: 9.8 }] }
+    };
+
+    const out = normalizeEntryByFeed(entry, feed);
+
+    expect(out.title).toBe('Critical flaw in Gateway');
+    expect(out.description).toBe('Full summary');
+    expect(out.cvss).toEqual({ baseScore: 9.8 });
+    expect(out.link).toBe('https://psirt.vendor.example/a/1');
+    expect(out._adapterRules).toEqual(['fields:description', 'fields:cvss.baseScore', 'titleCleanup:0', 'titleCleanup:1']);
+    expect(out._adapter).toBe('Vendor-PSIRT');
+  });
+
+  it('only fires rule sets whose feed name or host pattern matches', () => {
+    const feed = {
+      name: 'Aggregator-Feed',
+      url: 'https://news.aggregator.example/feed',
+      adapter: [
+        { name: 'msft-links', match: { host: '*.microsoft.com' }, tags: ['vendor:microsoft'] },
+        { name: 'all', match: { feedName: 'Aggregator-*' }, tags: ['aggregated'] }
+      ]
+    };
+
+    const msft = normalizeEntryByFeed({ title: 'A', link: 'https://msrc.microsoft.com/blog/1' }, feed);
+    const other = normalizeEntryByFeed({ title: 'B', link: 'https://blog.example.org/2' }, feed);
+
+    expect(msft.tags).toEqual(['vendor:microsoft', 'aggregated']);
+    expect(msft._adapter).toBe('msft-links');
+    expect(msft._adapterRules).toEqual(['msft-links/tags', 'all/tags']);
+    expect(other.tags).toEqual(['aggregated']);
+    expect(other._adapterRules).toEqual(['all/tags']);
+  });
+
+  it('runs JS adapters registered at runtime', () => {
+    registerAdapter('uppercase-title', entry => ({ ...entry, title: entry.title.toUpperCase() }));
+    const out = normalizeEntryByFeed({ title: 'quiet' }, { name: 'F', adapter: { module: 'uppercase-title' } });
+    expect(out.title).toBe('QUIET');
+    expect(out._adapterRules).toEqual(['module:uppercase-title']);
+  });
+
+  it('loads JS adapter modules that feeds.json references by path', async () => {
+    const modulePath = path.join(dir, 'vendor.mjs');
+    const feed = { name: 'Vendor', url: 'https://vendor.example/rss', adapter: { name: 'vendor', module: modulePath } };
+    expect(validateAdapterConfig(feed.adapter)).toEqual([]);
+    expect(validateAdapterConfig({ module: './adapters/missing.js' })).toEqual(["adapter.module file './adapters/missing.js' not found"]);
+
+    expect(await loadAdapterModules([feed])).toEqual([modulePath]);
+    const out = normalizeEntryByFeed({ title: 'Gateway advisory' }, feed);
+    expect(out.title).toBe('[Vendor] Gateway advisory');
+    expect(out._adapterRules).toEqual([`vendor/module:${modulePath}`]);
+  });
+
+  it('reads _original paths with dots and [n] indexes', () => {
+    expect(getPath({ a: { b: [{ c: 1 }] } }, 'a.b[0].c')).toBe(1);
+    expect(getPath({ a: null }, 'a.b')).toBeUndefined();
+  });
 });
 
+describe('Adapter config validation', () => {
+  it('reports bad rules', () => {
+    const errors = validateAdapterConfig({
+      match: { url: 'x' },
+      fields: { title: 42, _original: 'x' },
+      titleCleanup: [{ pattern: '(' }],
+      tags: 'vendor',
+      module: 'nope',
+      extra: true
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      "Unknown adapter field 'extra'",
+      "Unknown adapter.match field 'url'",
+      'adapter.fields.title must be an _original path string',
+      'adapter.fields cannot overwrite _original',
+      expect.stringContaining('adapter.titleCleanup[0] invalid regex'),
+      'adapter.tags must be an array of strings',
+      expect.stringContaining("adapter.module 'nope' is not a registered adapter")
+    ]));
+  });
 
+  it('is applied by FeedValidator', () => {
+    const validator = new FeedValidator();
+    expect(validator.validateFeed({ ...msrcFeed, enabled: true }).isValid).toBe(true);
+    const result = validator.validateFeed({ name: 'Bad', url: 'https://x.example/rss', enabled: true, adapter: [{ tags: [1] }] });
+    expect(result.errors).toContain('Bad: adapter[0].tags must be an array of strings');
+  });
+});
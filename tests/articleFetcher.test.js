@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { Readable } from 'stream';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { mkdtempSync, rmSync, readdirSync, writeFileSync, utimesSync } from 'fs';
+import { ThreatFilter } from '../utils/threatFilter.js';
+
+const ARTICLE_URL = 'https://nsm.no/aktuelt/varsel-om-sarbarhet';
+const page = `<!doctype html><html><head><title>Varsel</title><script>var tracking = 1;</script></head>
+<body>
+  <header><nav><a href="/">Forside</a><a href="/aktuelt">Aktuelt</a></nav></header>
+  <div class="cookie-banner">Vi bruker informasjonskapsler</div>
+  <main>
+    <h1>Kritisk sårbarhet i Example VPN</h1>
+    <p>NSM anbefaler umiddelbar oppdatering. Sårbarheten CVE-2025-22457 utnyttes aktivt mot norske virksomheter.</p>
+    <p>Observerte C2-adresser inkluderer 198.51.100.23 og update-check.net. Angriperne installerer en bakdør.</p>
+    <ul><li>Oppdater til versjon 22.7R2.6</li></ul>
+  </main>
+  <footer>© NSM – Personvern – Kontakt</footer>
+</body></html>`;
+
+function response(body, headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: name => lower[name.toLowerCase()] ?? null },
+    body: Readable.from([Buffer.isBuffer(body) ? body : Buffer.from(body)]),
+    text: async () => String(body)
+  };
+}
+
+describe('extractReadableText', () => {
+  it('keeps the article body and drops navigation, scripts and footers', async () => {
+    const { extractReadableText } = await import('../utils/articleFetcher.js');
+    const text = extractReadableText(page);
+
+    expect(text.split('\n')[0]).toBe('Kritisk sårbarhet i Example VPN');
+    expect(text).toContain('CVE-2025-22457');
+    expect(text).toContain('Oppdater til versjon 22.7R2.6');
+    expect(text).not.toMatch(/Forside|informasjonskapsler|Personvern|tracking/);
+  });
+});
+
+describe('ArticleFetcher', () => {
+  let fetchMock;
+  let ArticleFetcher;
+  let cacheDir;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    fetchMock = jest.fn();
+    jest.unstable_mockModule('node-fetch', () => ({ default: fetchMock }));
+    ({ ArticleFetcher } = await import('../utils/articleFetcher.js'));
+    cacheDir = mkdtempSync(path.join(os.tmpdir(), 'article-cache-'));
+  });
+
+  afterEach(() => {
+    rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('downloads once and serves later lookups from the on-disk cache', async () => {
+    fetchMock.mockImplementation(async () => response(page, { 'Content-Type': 'text/html; charset=utf-8' }));
+    const fetcher = new ArticleFetcher({ cacheDir });
+
+    const first = await fetcher.getArticle(ARTICLE_URL);
+    const second = await fetcher.getArticle(ARTICLE_URL);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(first.fromCache).toBe(false);
+    expect(second).toMatchObject({ fromCache: true, text: first.text });
+    expect(readdirSync(cacheDir)).toHaveLength(1);
+  });
+
+  it('enforces the size limit and skips non-HTML responses', async () => {
+    const fetcher = new ArticleFetcher({ cacheDir, maxBytes: 100 });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    fetchMock.mockResolvedValueOnce(response(page, { 'Content-Type': 'text/html' }));
+    expect(await fetcher.getArticle(ARTICLE_URL)).toBeNull();
+
+    fetchMock.mockResolvedValueOnce(response('%PDF-1.7', { 'Content-Type': 'application/pdf' }));
+    expect(await fetcher.getArticle(`${ARTICLE_URL}.pdf`)).toBeNull();
+
+    expect(warn.mock.calls.map(c => c[1])).toEqual([
+      expect.stringContaining('Response exceeds 100 bytes'),
+      expect.stringContaining('unsupported content-type application/pdf')
+    ]);
+    expect(readdirSync(cacheDir)).toHaveLength(0);
+    warn.mockRestore();
+  });
+
+  it('requests the raw body and caps a gzip body by its decompressed size', async () => {
+    const fetcher = new ArticleFetcher({ cacheDir, maxDecompressedBytes: 64 * 1024 });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const bomb = zlib.gzipSync(Buffer.alloc(1024 * 1024, ' '));
+
+    fetchMock.mockResolvedValueOnce(response(bomb, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' }));
+    expect(await fetcher.getArticle(ARTICLE_URL)).toBeNull();
+    expect(bomb.length).toBeLessThan(fetcher.config.maxBytes);
+    expect(fetchMock.mock.calls[0][1]).toMatchObject({ compress: false, headers: { 'Accept-Encoding': 'gzip, deflate, br' } });
+    expect(warn.mock.calls[0][1]).toContain('Decompressed response exceeds 65536 bytes');
+
+    fetchMock.mockResolvedValueOnce(response(zlib.gzipSync(page), { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip' }));
+    expect((await fetcher.getArticle(`${ARTICLE_URL}-gz`)).text).toContain('CVE-2025-22457');
+    warn.mockRestore();
+  });
+
+  it('decodes Latin-1 pages by the Content-Type or <meta> charset', async () => {
+    const fetcher = new ArticleFetcher({ cacheDir });
+    fetchMock.mockResolvedValueOnce(response(Buffer.from(page, 'latin1'), { 'Content-Type': 'text/html; charset=ISO-8859-1' }));
+    expect((await fetcher.getArticle(ARTICLE_URL)).text).toContain('Kritisk sårbarhet i Example VPN');
+
+    const declared = page.replace('<head>', '<head><meta charset="windows-1252">');
+    fetchMock.mockResolvedValueOnce(response(Buffer.from(declared, 'latin1'), { 'Content-Type': 'text/html' }));
+    expect((await fetcher.getArticle(`${ARTICLE_URL}-2`)).text).toContain('bakdør');
+  });
+
+  it('deletes cache files past the TTL before writing new ones', async () => {
+    const stale = path.join(cacheDir, 'stale.json');
+    writeFileSync(stale, JSON.stringify({ url: 'https://old.example/', fetchedAt: '2020-01-01T00:00:00Z', text: '' }));
+    const tenDaysAgo = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    utimesSync(stale, tenDaysAgo, tenDaysAgo);
+    fetchMock.mockImplementation(async () => response(page, { 'Content-Type': 'text/html; charset=utf-8' }));
+
+    await new ArticleFetcher({ cacheDir, cacheTtlHours: 168 }).getArticle(ARTICLE_URL);
+
+    expect(readdirSync(cacheDir)).toHaveLength(1);
+    expect(readdirSync(cacheDir)).not.toContain('stale.json');
+  });
+});
+
+describe('ThreatFilter with article text', () => {
+  it('classifies and extracts indicators from the article body', async () => {
+    const { extractReadableText } = await import('../utils/articleFetcher.js');
+    const entry = {
+      title: 'Varsel om sårbarhet',
+      description: 'NSM har publisert et varsel.',
+      articleText: extractReadableText(page)
+    };
+
+    const classification = await new ThreatFilter().classifyEntry(entry);
+
+    expect(classification.indicators.cves).toContain('CVE-2025-22457');
+    expect(classification.indicators.ips).toContain('198.51.100.23');
+    expect(classification.indicators.domains).toContain('update-check.net');
+  });
+});
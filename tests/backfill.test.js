@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { mkdtempSync, rmSync } from 'fs';
+import { walkPages, nextPageUrl, validatePaginationConfig } from '../utils/pagination.js';
+import { FeedProcessor } from '../services/feedProcessor.js';
+import { StateManager } from '../utils/stateManager.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = n => new Date(Date.now() - n * DAY).toUTCString();
+const item = (id, age) => `<item><title>Critical vulnerability ${id} exploited (CVE-2025-${1000 + id})</title>` +
+  `<link>https://vendor.example/a/${id}</link><guid>adv-${id}</guid><pubDate>${daysAgo(age)}</pubDate>` +
+  '<description>Remote code execution under active exploitation.</description></item>';
+const rss = (items, extra = '') => `<?xml version="1.0"?><rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel><title>Vendor</title>${extra}${items.join('')}</channel></rss>`;
+
+// WordPress archive: ?paged=2, ?paged=3, then 404
+const wordpress = {
+  '/wp/feed': rss([item(1, 1), item(2, 2)]),
+  '/wp/feed?paged=2': rss([item(3, 4), item(4, 6)]),
+  '/wp/feed?paged=3': rss([item(5, 30), item(6, 40)])
+};
+
+let server;
+let base;
+let dir;
+const requested = [];
+
+beforeAll(async () => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+  server = http.createServer((req, res) => {
+    requested.push(req.url);
+    const atomNext = page => `<atom:link rel="next" href="/atom/feed?p=${page}"/>`;
+    const pages = {
+      ...wordpress,
+      '/atom/feed': rss([item(11, 1)], atomNext(2)),
+      '/atom/feed?p=2': rss([item(12, 3)], atomNext(2)),
+      '/ignores-paging': rss([item(21, 1)]),
+      '/ignores-paging?page=2': rss([item(21, 1)])
+    };
+    const body = pages[req.url];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/rss+xml' });
+    res.end(body || '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const processor = new FeedProcessor();
+const fetchPage = feed => url => processor.processFeed(feed, { state: {}, url });
+
+describe('walkPages', () => {
+  it('follows ?paged=N until the archive is older than since', async () => {
+    const feed = { name: 'WP', url: `${base}/wp/feed`, pagination: { type: 'paged' } };
+    const walk = await walkPages(feed, fetchPage(feed), { since: Date.now() - 14 * DAY });
+    expect(walk.pages).toBe(3);
+    expect(walk.stoppedBy).toBe('since');
+    expect(walk.entries.map(e => e.guid)).toEqual(['adv-1', 'adv-2', 'adv-3', 'adv-4', 'adv-5', 'adv-6']);
+  });
+
+  it('treats a 404 past the first page as the end of the archive', async () => {
+    const feed = { name: 'WP', url: `${base}/wp/feed`, pagination: { type: 'paged' } };
+    const walk = await walkPages(feed, fetchPage(feed), { since: Date.now() - 365 * DAY });
+    expect(walk).toMatchObject({ pages: 3, stoppedBy: 'end' });
+  });
+
+  it('follows rel="next" links and stops on a repeated URL', async () => {
+    const feed = { name: 'Atom', url: `${base}/atom/feed`, pagination: { type: 'next' } };
+    const walk = await walkPages(feed, fetchPage(feed), { since: 0 });
+    expect(walk.entries.map(e => e.guid)).toEqual(['adv-11', 'adv-12']);
+    expect(walk.stoppedBy).toBe('repeat');
+  });
+
+  it('stops when the server ignores the page parameter, and without pagination', async () => {
+    const ignoring = { name: 'X', url: `${base}/ignores-paging`, pagination: { type: 'page' } };
+    expect(await walkPages(ignoring, fetchPage(ignoring), { since: 0 })).toMatchObject({ pages: 2, stoppedBy: 'repeat' });
+    const plain = { name: 'X', url: `${base}/wp/feed` };
+    expect(await walkPages(plain, fetchPage(plain), { since: 0 })).toMatchObject({ pages: 1, stoppedBy: 'no-pagination' });
+  });
+
+  it('builds page, cursor and next URLs', () => {
+    const feedUrl = 'https://vendor.example/feed?lang=en';
+    expect(nextPageUrl({ type: 'page', param: 'p', start: 1 }, { feedUrl, pageNumber: 1 })).toBe('https://vendor.example/feed?lang=en&p=1');
+    expect(nextPageUrl({ type: 'cursor', param: 'before' }, { feedUrl, pageNumber: 1, entries: [{ guid: 'a' }, { guid: 'b c' }] }))
+      .toBe('https://vendor.example/feed?lang=en&before=b+c');
+    expect(nextPageUrl({ type: 'cursor', cursorFrom: 'publishedDate' }, {
+      feedUrl, pageNumber: 1, entries: [{ publishedDate: '2025-01-02T00:00:00.000Z' }, { publishedDate: '2025-01-01T00:00:00.000Z' }]
+    })).toBe('https://vendor.example/feed?lang=en&cursor=2025-01-01T00%3A00%3A00.000Z');
+    expect(nextPageUrl({ type: 'next' }, { feedUrl, pageNumber: 1, nextUrl: null })).toBeNull();
+  });
+
+  it('validates pagination configs', () => {
+    expect(validatePaginationConfig({ type: 'paged', maxPages: 5 })).toEqual([]);
+    expect(validatePaginationConfig({ type: 'offset', pages: 2 })).toEqual([
+      "Unknown pagination field 'pages'",
+      'pagination.type must be one of: paged, page, next, cursor'
+    ]);
+  });
+});
+
+describe('backfill command', () => {
+  it('stores backfilled entries in state without posting or moving lastRun', async () => {
+    const bot = new ThreatIntelBot();
+    bot.isDryRun = false;
+    bot.stateManager = new StateManager({ stateFile: path.join(dir, 'state.json'), backupDir: path.join(dir, 'backups') });
+    const lastRun = new Date(Date.now() - 60 * 1000).toISOString();
+    await bot.stateManager.saveState({ seen: { 'adv-1': { timestamp: lastRun, source: 'WP' } }, lastRun });
+    bot.loadFeeds = async () => [{ name: 'WP', url: `${base}/wp/feed`, pagination: { type: 'paged' } }];
+    bot.outputManager.sendEntry = jest.fn();
+
+    const summary = await bot.backfill('WP', { since: new Date(Date.now() - 10 * DAY).toISOString() });
+
+    expect(bot.outputManager.sendEntry).not.toHaveBeenCalled();
+    expect(summary.feeds.WP).toMatchObject({ pages: 3, entries: 3, stoppedBy: 'since' });
+    const state = await bot.stateManager.loadState();
+    expect(Object.keys(state.seen).sort()).toEqual(['adv-1', 'adv-2', 'adv-3', 'adv-4']);
+    expect(state.lastRun).toBe(lastRun);
+    expect(state.backfills.WP).toMatchObject({ pages: 3, entries: 3, since: summary.since });
+  });
+
+  it('clamps --since to MAX_BACKFILL_DAYS and rejects unknown feeds', async () => {
+    const bot = new ThreatIntelBot();
+    bot.isDryRun = true;
+    bot.loadFeeds = async () => [{ name: 'WP', url: `${base}/wp/feed`, pagination: { type: 'paged' } }];
+    bot.stateManager = { loadState: async () => ({ seen: {} }) };
+
+    const summary = await bot.backfill('WP', { since: '2000-01-01' });
+    expect(Date.parse(summary.since)).toBeGreaterThan(Date.now() - (bot.config.maxBackfillDays + 1) * DAY);
+    await expect(bot.backfill('Nope', {})).rejects.toThrow('No enabled feed named "Nope"');
+    await expect(bot.backfill('WP', { since: 'soon' })).rejects.toThrow("--since expects a date such as 2025-01-31, got 'soon'");
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import { detectCharset, decodeBody } from '../utils/charset.js';
+import { DefaultParser } from '../parsers/defaultParser.js';
+import { ThreatFilter } from '../utils/threatFilter.js';
+import { HealthMonitor } from '../utils/healthMonitor.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const TITLE = 'Kritisk sårbarhet i VPN-løsning utnyttes aktivt';
+const feedXml = declaration => `${declaration}<rss version="2.0"><channel><title>NSM</title>
+<item><title>${TITLE}</title><link>https://nsm.example/1</link><guid>nsm-1</guid><description>Angrep mot norske virksomheter, oppdater nå.</description></item>
+</channel></rss>`;
+const latin1 = text => Buffer.from(text, 'latin1');
+const utf16le = text => Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+
+const routes = {
+  '/header': [{ 'Content-Type': 'application/rss+xml; charset=ISO-8859-1' }, latin1(feedXml('<?xml version="1.0"?>'))],
+  '/prolog': [{ 'Content-Type': 'application/rss+xml' }, latin1(feedXml('<?xml version="1.0" encoding="windows-1252"?>'))],
+  '/bom': [{ 'Content-Type': 'text/xml' }, utf16le(feedXml('<?xml version="1.0" encoding="UTF-16"?>'))],
+  '/mislabeled': [{ 'Content-Type': 'application/rss+xml; charset=utf-8' }, latin1(feedXml('<?xml version="1.0"?>'))],
+  '/utf8': [{ 'Content-Type': 'application/rss+xml' }, Buffer.from(feedXml('<?xml version="1.0" encoding="UTF-8"?>'), 'utf-8')]
+};
+
+let server;
+let base;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const [headers, body] = routes[req.url];
+    res.writeHead(200, headers);
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('charset detection', () => {
+  it('prefers BOM, then Content-Type charset, then the XML declaration', () => {
+    const declared = Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><rss/>', 'latin1');
+    expect(detectCharset(declared, 'text/xml')).toMatchObject({ encoding: 'windows-1252', source: 'xml-declaration' });
+    expect(detectCharset(declared, 'text/xml; charset="iso-8859-15"')).toMatchObject({ encoding: 'iso-8859-15', source: 'header' });
+    expect(detectCharset(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), declared]), 'text/xml; charset=latin1'))
+      .toMatchObject({ encoding: 'utf-8', source: 'bom', bomLength: 3 });
+    expect(detectCharset(Buffer.from('<rss/>'), null)).toMatchObject({ encoding: 'utf-8', source: 'default' });
+  });
+
+  it('ignores unknown labels and falls back when a UTF-8 label is wrong', () => {
+    const body = Buffer.from('<?xml version="1.0" encoding="x-bogus"?><rss>blåbær</rss>', 'latin1');
+    expect(decodeBody(body, 'text/xml')).toEqual({
+      text: '<?xml version="1.0" encoding="x-bogus"?><rss>blåbær</rss>',
+      encoding: 'windows-1252',
+      source: 'fallback'
+    });
+  });
+});
+
+describe('DefaultParser transcoding', () => {
+  it.each([
+    ['/header', 'windows-1252'],
+    ['/prolog', 'windows-1252'],
+    ['/bom', 'utf-16le'],
+    ['/mislabeled', 'windows-1252'],
+    ['/utf8', 'utf-8']
+  ])('decodes %s as %s', async (route, encoding) => {
+    const feed = await new DefaultParser().parseURL(`${base}${route}`, { feed: { name: 'NSM' }, state: {} });
+    expect(feed.encoding).toBe(encoding);
+    expect(feed.items[0].title).toBe(TITLE);
+  });
+
+  it('lets Norwegian keywords match after transcoding', async () => {
+    const feed = await new DefaultParser().parseURL(`${base}/header`, { feed: { name: 'NSM' }, state: {} });
+    const entry = await new ThreatFilter().filterEntry({ ...feed.items[0], source: 'NSM' }, { name: 'NSM', language: 'nb' });
+    expect(entry.language).toBe('nb');
+    expect(entry.classification.severity).toBe('critical');
+  });
+
+  it('records the encoding in feedResults and per-feed health stats', async () => {
+    const bot = new ThreatIntelBot();
+    const results = await bot.processFeeds([{ name: 'NSM', url: `${base}/header`, enabled: true }], { seen: {} });
+    expect(results.feedResults.NSM).toMatchObject({ success: true, encoding: 'windows-1252' });
+
+    const monitor = new HealthMonitor();
+    monitor.updateFeedStats(results.feedResults);
+    expect(monitor.metrics.feedStats.NSM.encoding).toBe('windows-1252');
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from '@jest/globals';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+import { HealthMonitor } from '../utils/healthMonitor.js';
+import { FeedValidator } from '../utils/validateFeeds.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('CircuitBreaker', () => {
+  const feed = { name: 'Flaky', circuitBreaker: { failureThreshold: 2, cooldownMinutes: 60 } };
+  const t0 = Date.parse('2025-03-01T00:00:00Z');
+
+  it('opens after the per-feed threshold and skips until the cool-down passes', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 5, cooldownMinutes: 10 });
+    const state = {};
+
+    expect(breaker.recordFailure(feed, state, new Error('HTTP 500'), t0)).toBe('closed');
+    expect(breaker.recordFailure(feed, state, new Error('HTTP 500'), t0)).toBe('open');
+    expect(state.circuits.Flaky).toMatchObject({ state: 'open', failures: 2, lastError: 'HTTP 500' });
+
+    expect(breaker.allowRequest(feed, state, t0 + HOUR / 2)).toEqual({
+      allowed: false,
+      state: 'open',
+      retryAt: '2025-03-01T01:00:00.000Z'
+    });
+    expect(breaker.allowRequest(feed, state, t0 + HOUR)).toEqual({ allowed: true, state: 'half-open' });
+  });
+
+  it('re-opens on a failed half-open trial and closes on success', () => {
+    const breaker = new CircuitBreaker();
+    const state = { circuits: { Flaky: { state: 'half-open', failures: 2, openedAt: new Date(t0).toISOString() } } };
+
+    expect(breaker.recordFailure(feed, state, new Error('timeout'), t0 + 2 * HOUR)).toBe('open');
+    expect(state.circuits.Flaky.openedAt).toBe(new Date(t0 + 2 * HOUR).toISOString());
+
+    state.circuits.Flaky.state = 'half-open';
+    expect(breaker.recordSuccess(feed, state)).toBe('closed');
+    expect(state.circuits.Flaky).toBeUndefined();
+  });
+
+  it('can be forced closed and lists open circuits', () => {
+    const breaker = new CircuitBreaker();
+    const state = { circuits: { A: { state: 'open', failures: 3 }, B: { state: 'closed', failures: 1 } } };
+
+    expect(breaker.getOpenCircuits(state).map(c => c.feed)).toEqual(['A']);
+    expect(breaker.reset(state, 'A')).toEqual(['A']);
+    expect(breaker.reset(state, 'all')).toEqual(['B']);
+    expect(state.circuits).toEqual({});
+  });
+});
+
+describe('circuit breaker integration', () => {
+  it('skips open feeds in processFeeds without fetching them', async () => {
+    const bot = new ThreatIntelBot();
+    bot.healthMonitor = { recordError: async () => {} };
+    const fetched = [];
+    bot.feedProcessor = {
+      processFeed: async feed => {
+        fetched.push(feed.name);
+        throw new Error('HTTP 502');
+      }
+    };
+    const state = {
+      seen: {},
+      circuits: { Down: { state: 'open', failures: 3, openedAt: new Date().toISOString() } }
+    };
+    const feeds = [{ name: 'Down', url: 'https://down.example' }, { name: 'Flaky', url: 'https://flaky.example' }];
+
+    const results = await bot.processFeeds(feeds, state);
+
+    expect(fetched).toEqual(['Flaky']);
+    expect(results.feedResults.Down).toMatchObject({ success: false, skipped: true, circuit: 'open' });
+    expect(results.feedResults.Flaky).toMatchObject({ success: false, circuit: 'closed' });
+    expect(state.circuits.Flaky.failures).toBe(1);
+  });
+
+  it('reports open circuits as health alerts', () => {
+    const monitor = new HealthMonitor();
+    monitor.updateFeedStats({ Down: { success: false, skipped: true, circuit: 'open', retryAt: '2025-03-01T06:00:00.000Z' } });
+
+    const alerts = monitor.checkFeedHealth().filter(a => a.type === 'circuit_open');
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].message).toContain('until 2025-03-01T06:00:00.000Z');
+    expect(monitor.metrics.feedStats.Down.attempts).toBe(0);
+  });
+
+  it('validates per-feed breaker settings', () => {
+    const validator = new FeedValidator();
+    const base = { name: 'Feed', url: 'https://feed.example/rss', enabled: true };
+
+    expect(validator.validateFeed({ ...base, circuitBreaker: { failureThreshold: 5, cooldownMinutes: 30 } }).isValid).toBe(true);
+    const result = validator.validateFeed({ ...base, circuitBreaker: { failureThreshold: 0, cooldown: 5 } });
+    expect(result.errors).toEqual([
+      'Feed: Unknown circuitBreaker fields: cooldown',
+      'Feed: circuitBreaker.failureThreshold must be a positive integer'
+    ]);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from '@jest/globals';
+import { mapWithLimits, hostKey } from '../utils/concurrency.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('mapWithLimits', () => {
+  it('respects global and per-key limits and keeps input order', async () => {
+    const items = [
+      { host: 'a', ms: 30 }, { host: 'a', ms: 5 }, { host: 'b', ms: 5 },
+      { host: 'c', ms: 10 }, { host: 'a', ms: 1 }, { host: 'b', ms: 1 }
+    ];
+    let active = 0;
+    let maxActive = 0;
+    const activeByHost = {};
+    let maxPerHost = 0;
+
+    const results = await mapWithLimits(items, { limit: 3, perKeyLimit: 1, keyFn: i => i.host }, async (item, index) => {
+      active++;
+      activeByHost[item.host] = (activeByHost[item.host] || 0) + 1;
+      maxActive = Math.max(maxActive, active);
+      maxPerHost = Math.max(maxPerHost, activeByHost[item.host]);
+      await delay(item.ms);
+      active--;
+      activeByHost[item.host]--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(maxActive).toBeLessThanOrEqual(3);
+    expect(maxPerHost).toBe(1);
+  });
+
+  it('derives the per-host key from the feed URL', () => {
+    expect(hostKey('https://WWW.Example.com/rss')).toBe('www.example.com');
+    expect(hostKey('not a url')).toBe('not a url');
+  });
+});
+
+describe('ThreatIntelBot.processFeeds', () => {
+  it('fetches concurrently but records results and entries in feed order', async () => {
+    const bot = new ThreatIntelBot();
+    bot.config = { ...bot.config, feedConcurrency: 3, feedConcurrencyPerHost: 2, allowBackfill: true };
+    bot.healthMonitor = { recordError: async () => {} };
+    const started = [];
+    const now = new Date().toISOString();
+    bot.feedProcessor = {
+      processFeed: async feed => {
+        started.push(feed.name);
+        await delay(feed.ms);
+        if (feed.fail) throw new Error('HTTP 503');
+        const entries = [{ title: `${feed.name} item`, link: `${feed.url}/1`, guid: `${feed.name}-1`, publishedDate: now }];
+        return { entries, newEntries: entries };
+      }
+    };
+    const feeds = [
+      { name: 'Slow', url: 'https://slow.example', ms: 40 },
+      { name: 'Broken', url: 'https://broken.example', ms: 5, fail: true },
+      { name: 'Fast', url: 'https://fast.example', ms: 1 }
+    ];
+
+    const results = await bot.processFeeds(feeds, { seen: {}, lastRun: null });
+
+    expect(started).toEqual(['Slow', 'Broken', 'Fast']);
+    expect(Object.keys(results.feedResults)).toEqual(['Slow', 'Broken', 'Fast']);
+    expect(results.feedResults.Broken).toMatchObject({ success: false, error: 'HTTP 503' });
+    expect(results.feedResults.Slow.durationMs).toBeGreaterThanOrEqual(30);
+    expect(results.allEntries.map(e => e.source)).toEqual(['Slow', 'Fast']);
+  });
+});
+
+describe('HealthMonitor feed timing', () => {
+  it('tracks per-feed fetch time and flags slow sources', async () => {
+    const { HealthMonitor } = await import('../utils/healthMonitor.js');
+    const monitor = new HealthMonitor({ alertThresholds: { slowFeedMs: 1000, consecutiveFailures: 3, feedFailureRate: 0.5 } });
+
+    monitor.updateFeedStats({ Slow: { success: true, entries: 1, durationMs: 4000 }, Fast: { success: true, entries: 1, durationMs: 200 } });
+    monitor.updateFeedStats({ Slow: { success: true, entries: 1, durationMs: 2000 } });
+
+    expect(monitor.metrics.feedStats.Slow).toMatchObject({ lastDurationMs: 2000, averageDurationMs: 3000 });
+    expect(monitor.getHealthMetrics().slowestFeeds.map(f => f.feed)).toEqual(['Slow', 'Fast']);
+    expect(monitor.checkFeedHealth().filter(i => i.type === 'feed_slow').map(i => i.feed)).toEqual(['Slow']);
+  });
+});
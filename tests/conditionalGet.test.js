@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const FEED_URL = 'https://advisories.example/rss.xml';
+const rss = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Example</title>
+  <item><title>Advisory 1</title><link>https://advisories.example/1</link><guid>adv-1</guid></item>
+</channel></rss>`;
+
+function response(status, body = '', headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => lower[name.toLowerCase()] ?? null },
+    text: async () => body
+  };
+}
+
+describe('DefaultParser conditional GET', () => {
+  let fetchMock;
+  let DefaultParser;
+  let FeedProcessor;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    fetchMock = jest.fn();
+    jest.unstable_mockModule('node-fetch', () => ({ default: fetchMock }));
+    ({ DefaultParser } = await import('../parsers/defaultParser.js'));
+    ({ FeedProcessor } = await import('../services/feedProcessor.js'));
+  });
+
+  it('returns validators and a content hash on a full fetch', async () => {
+    fetchMock.mockResolvedValue(response(200, rss, { ETag: '"v1"', 'Last-Modified': 'Mon, 03 Mar 2025 10:00:00 GMT' }));
+
+    const result = await new DefaultParser().parseURL(FEED_URL, { feed: { name: 'Example' }, state: {} });
+
+    expect(fetchMock.mock.calls[0][1].headers).toEqual({ 'Accept-Encoding': 'gzip, deflate, br' });
+    expect(result.items).toHaveLength(1);
+    expect(result.httpCache).toMatchObject({ etag: '"v1"', lastModified: 'Mon, 03 Mar 2025 10:00:00 GMT' });
+    expect(result.httpCache.contentHash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('sends stored validators and skips parsing on 304', async () => {
+    const previous = { etag: '"v1"', lastModified: 'Mon, 03 Mar 2025 10:00:00 GMT', contentHash: 'abc' };
+    fetchMock.mockResolvedValue(response(304));
+
+    const result = await new FeedProcessor().processFeed(
+      { name: 'Example', url: FEED_URL },
+      { state: { httpCache: { Example: previous } } }
+    );
+
+    expect(fetchMock.mock.calls[0][1].headers).toEqual({
+      'Accept-Encoding': 'gzip, deflate, br',
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 03 Mar 2025 10:00:00 GMT'
+    });
+    expect(result.notModified).toBe(true);
+    expect(result.notModifiedReason).toBe('http-304');
+    expect(result.entries).toEqual([]);
+    expect(result.httpCache).toEqual(previous);
+  });
+
+  it('short-circuits when the body hash is unchanged', async () => {
+    fetchMock.mockResolvedValue(response(200, rss));
+    const parser = new DefaultParser();
+    const first = await parser.parseURL(FEED_URL, { feed: { name: 'Example' }, state: {} });
+    const parseSpy = jest.spyOn(parser.parser, 'parseString');
+
+    const second = await parser.parseURL(FEED_URL, {
+      feed: { name: 'Example' },
+      state: { httpCache: { Example: first.httpCache } }
+    });
+
+    expect(second.notModified).toBe(true);
+    expect(second.notModifiedReason).toBe('content-hash');
+    expect(parseSpy).not.toHaveBeenCalled();
+  });
+});
+
+describe('HealthMonitor not-modified outcome', () => {
+  it('counts not modified as healthy without skewing average entries', async () => {
+    const { HealthMonitor } = await import('../utils/healthMonitor.js');
+    const monitor = new HealthMonitor();
+
+    monitor.updateFeedStats({ Example: { success: true, entries: 10 } });
+    monitor.updateFeedStats({ Example: { success: false, error: 'HTTP 500' } });
+    monitor.updateFeedStats({ Example: { success: true, notModified: true, entries: 0 } });
+
+    const stats = monitor.metrics.feedStats.Example;
+    expect(stats).toMatchObject({ successes: 2, notModified: 1, consecutiveFailures: 0, averageEntries: 10, lastOutcome: 'not_modified' });
+    expect(monitor.getHealthMetrics().feedHealth).toEqual({ total: 1, healthy: 1, failing: 0, notModified: 1 });
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const PROVIDER_URL = 'https://csaf.example/.well-known/csaf/provider-metadata.json';
+const ROLIE_URL = 'https://csaf.example/.well-known/csaf/white/feed-tlp-white.json';
+const DOC_URL = 'https://csaf.example/.well-known/csaf/white/2025/exa-2025-001.json';
+const OLD_DOC_URL = 'https://csaf.example/.well-known/csaf/white/2024/exa-2024-099.json';
+
+const providerMetadata = {
+  canonical_url: PROVIDER_URL,
+  role: 'csaf_trusted_provider',
+  publisher: { name: 'Example PSIRT', namespace: 'https://csaf.example', category: 'vendor' },
+  distributions: [{
+    rolie: {
+      feeds: [
+        { summary: 'Public', tlp_label: 'WHITE', url: ROLIE_URL },
+        { summary: 'Partners', tlp_label: 'AMBER', url: 'https://csaf.example/amber.json' }
+      ]
+    }
+  }]
+};
+
+const rolieFeed = {
+  feed: {
+    id: 'example-white',
+    title: 'Example CSAF feed (TLP:WHITE)',
+    entry: [
+      { id: 'EXA-2025-001', updated: new Date().toISOString(), content: { type: 'application/json', src: DOC_URL } },
+      { id: 'EXA-2024-099', updated: '2024-01-01T00:00:00Z', content: { type: 'application/json', src: OLD_DOC_URL } }
+    ]
+  }
+};
+
+function advisory(version) {
+  const now = new Date().toISOString();
+  return {
+    document: {
+      category: 'csaf_security_advisory',
+      csaf_version: '2.0',
+      title: 'Remote code execution in Example Gateway',
+      publisher: { name: 'Example PSIRT', namespace: 'https://csaf.example', category: 'vendor' },
+      aggregate_severity: { text: 'Critical' },
+      notes: [{ category: 'summary', text: 'A vulnerability allows unauthenticated remote code execution.' }],
+      references: [{ category: 'self', url: 'https://csaf.example/advisories/EXA-2025-001' }],
+      tracking: {
+        id: 'EXA-2025-001',
+        version,
+        status: 'final',
+        initial_release_date: '2025-01-01T00:00:00Z',
+        current_release_date: now,
+        revision_history: [{ number: version, date: now, summary: 'Update' }]
+      }
+    },
+    product_tree: {
+      branches: [{
+        category: 'vendor',
+        name: 'Example',
+        branches: [{ category: 'product_version', name: '2.1', product: { product_id: 'P1', name: 'Example Gateway 2.1' } }]
+      }]
+    },
+    vulnerabilities: [{
+      cve: 'CVE-2025-4242',
+      cwe: { id: 'CWE-787', name: 'Out-of-bounds Write' },
+      scores: [{ products: ['P1'], cvss_v3: { version: '3.1', baseScore: 9.8, baseSeverity: 'CRITICAL', vectorString: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H' } }],
+      product_status: { known_affected: ['P1'] }
+    }]
+  };
+}
+
+describe('CsafParser', () => {
+  let fetchMock;
+  let CsafParser;
+  let documents;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    documents = { [PROVIDER_URL]: providerMetadata, [ROLIE_URL]: rolieFeed, [DOC_URL]: advisory('1') };
+    fetchMock = jest.fn(async url => {
+      if (!documents[url]) return { ok: false, status: 404, text: async () => '' };
+      return { ok: true, status: 200, text: async () => JSON.stringify(documents[url]) };
+    });
+    jest.unstable_mockModule('node-fetch', () => ({ default: fetchMock }));
+    ({ CsafParser } = await import('../parsers/csafParser.js'));
+  });
+
+  it('discovers public ROLIE feeds and downloads only new advisories', async () => {
+    const lastRun = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const feed = await new CsafParser().parseURL(PROVIDER_URL, { state: { lastRun, seen: {} } });
+
+    const requested = fetchMock.mock.calls.map(c => c[0]);
+    expect(requested).toEqual([PROVIDER_URL, ROLIE_URL, DOC_URL]);
+    expect(feed.items).toHaveLength(1);
+
+    const [entry] = feed.items;
+    expect(entry.title).toBe('Remote code execution in Example Gateway');
+    expect(entry.guid).toBe('csaf:EXA-2025-001@1');
+    expect(entry.link).toBe('https://csaf.example/advisories/EXA-2025-001');
+    expect(entry.cvss.baseScore).toBe(9.8);
+    expect(entry.csaf.aggregateSeverity.text).toBe('Critical');
+    expect(entry.csaf.products).toEqual(['Example Gateway 2.1']);
+    expect(entry.csaf.vulnerabilities[0]).toMatchObject({ cve: 'CVE-2025-4242', cwe: 'CWE-787' });
+    expect(entry.csaf.isRevision).toBe(false);
+  });
+
+  it('recognizes a new tracking.version of an advisory from the feed cursor as a revision', async () => {
+    const feed = { name: 'Example-CSAF' };
+    const first = await new CsafParser().parseURL(PROVIDER_URL, { feed, state: { lastRun: null, seen: {} } });
+    expect(first.cursor).toEqual({
+      since: rolieFeed.feed.entry[0].updated,
+      revisions: { 'EXA-2025-001': { version: '1', updated: first.items[0].publishedDate } }
+    });
+
+    // Nothing is read back from state.seen, which the JSON store trims
+    documents[DOC_URL] = advisory('2');
+    const updated = new Date(Date.parse(first.cursor.since) + 1000).toISOString();
+    documents[ROLIE_URL] = { feed: { ...rolieFeed.feed, entry: [{ ...rolieFeed.feed.entry[0], updated }] } };
+    const state = { lastRun: new Date().toISOString(), seen: {}, cursors: { [feed.name]: first.cursor } };
+    const [entry] = (await new CsafParser().parseURL(PROVIDER_URL, { feed, state })).items;
+
+    expect(entry.guid).toBe('csaf:EXA-2025-001@2');
+    expect(entry.csaf.isRevision).toBe(true);
+    expect(entry.csaf.previousVersions).toEqual(['1']);
+    expect(entry.title).toBe('[Update v2] Remote code execution in Example Gateway');
+  });
+
+  it('starts from the cursor instead of state.lastRun, so nothing updated during the last run is missed', () => {
+    const parser = new CsafParser();
+    const since = '2025-07-01T11:00:00.000Z';
+    expect(parser.getCutoff({ lastRun: '2025-07-01T12:00:00.000Z' }, { since })).toBe(Date.parse(since));
+    expect(parser.getCutoff({ lastRun: '2025-07-01T12:00:00.000Z' }, {})).toBe(Date.parse('2025-07-01T12:00:00.000Z'));
+    expect(parser.pruneRevisions({
+      old: { version: '3', updated: '2020-01-01T00:00:00.000Z' },
+      recent: { version: '1', updated: new Date().toISOString() }
+    })).toEqual({ recent: expect.objectContaining({ version: '1' }) });
+  });
+
+  it('downloads the oldest documents first and moves the cursor only past those processed', async () => {
+    const docUrl = n => `https://csaf.example/.well-known/csaf/white/2025/exa-2025-00${n}.json`;
+    const entry = (n, updated) => ({ id: `EXA-2025-00${n}`, updated, content: { src: docUrl(n) } });
+    const withId = id => {
+      const doc = advisory('1');
+      doc.document.tracking.id = id;
+      return doc;
+    };
+    documents[ROLIE_URL] = { feed: { entry: [
+      entry(3, '2025-07-03T00:00:00.000Z'),
+      entry(1, '2025-07-01T00:00:00.000Z'),
+      entry(2, '2025-07-02T00:00:00.000Z')
+    ] } };
+    documents[docUrl(1)] = withId('EXA-2025-001');
+    // docUrl(2) fails to download, docUrl(3) is beyond CSAF_MAX_DOCUMENTS
+    process.env.CSAF_MAX_DOCUMENTS = '2';
+    process.env.ISAC_CSAF_TOKEN = 'csaf-token';
+    const feed = { name: 'Example-CSAF', auth: { type: 'bearer', tokenEnv: 'ISAC_CSAF_TOKEN' } };
+    const state = { seen: {}, cursors: { [feed.name]: { since: '2025-06-30T00:00:00.000Z', revisions: {} } } };
+    try {
+      const result = await new CsafParser().parseURL(PROVIDER_URL, { feed, state });
+
+      expect(result.items.map(i => i.csaf.trackingId)).toEqual(['EXA-2025-001']);
+      expect(result.cursor.since).toBe('2025-07-01T00:00:00.000Z');
+      expect(fetchMock.mock.calls.map(c => c[0])).not.toContain(docUrl(3));
+      for (const [, init] of fetchMock.mock.calls) {
+        expect(init.headers.Authorization).toBe('Bearer csaf-token');
+      }
+    } finally {
+      delete process.env.CSAF_MAX_DOCUMENTS;
+      delete process.env.ISAC_CSAF_TOKEN;
+    }
+  });
+
+  it('rejects documents that fail structural validation', async () => {
+    const parser = new CsafParser();
+    const broken = advisory('1');
+    delete broken.document.tracking.revision_history;
+    broken.document.csaf_version = '1.2';
+
+    expect(parser.validateDocument(broken)).toEqual([
+      "unsupported csaf_version '1.2'",
+      'missing document.tracking.revision_history'
+    ]);
+    await expect(parser.parseString(JSON.stringify(broken))).rejects.toThrow('Failed to parse CSAF content');
+  });
+});
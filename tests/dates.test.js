@@ -0,0 +1,91 @@
+import { describe, it, expect } from '@jest/globals';
+import { parseFeedDate, resolvePublishedDate } from '../utils/dates.js';
+import { DefaultParser } from '../parsers/defaultParser.js';
+import { ThreatFilter } from '../utils/threatFilter.js';
+import { FeedValidator } from '../utils/validateFeeds.js';
+
+const iso = (value, options) => parseFeedDate(value, options)?.iso ?? null;
+
+describe('parseFeedDate', () => {
+  it.each([
+    ['Tue, 01 Jul 2025 10:00:00 +0200', '2025-07-01T08:00:00.000Z'],
+    ['Tue, 1 Jul 25 10:00 GMT', '2025-07-01T10:00:00.000Z'],
+    ['01 Jul 2025 10:00:00 EDT', '2025-07-01T14:00:00.000Z'],
+    ['2025-07-01T10:00:00+02:00', '2025-07-01T08:00:00.000Z'],
+    ['July 1, 2025 10:00 PM UTC', '2025-07-01T22:00:00.000Z'],
+    ['01-Jul-2025', '2025-07-01T00:00:00.000Z']
+  ])('parses %s', (value, expected) => {
+    expect(iso(value)).toBe(expected);
+  });
+
+  it('reads localized month names and zone-less dates in the feed timezone', () => {
+    const options = { timeZone: 'Europe/Oslo' };
+    expect(iso('1. juli 2025 kl. 10.00', options)).toBe('2025-07-01T08:00:00.000Z');
+    expect(iso('Tir, 01 okt 2025 10:00:00', options)).toBe('2025-10-01T08:00:00.000Z');
+    expect(iso('15. januari 2025 10:00', { timeZone: 'Europe/Stockholm' })).toBe('2025-01-15T09:00:00.000Z');
+    expect(iso('01.12.2025 10:00', options)).toBe('2025-12-01T09:00:00.000Z');
+    expect(iso('2025-07-01 10:00')).toBe('2025-07-01T10:00:00.000Z');
+  });
+
+  it('rejects impossible and unrecognized dates', () => {
+    expect(iso('31 Feb 2025 10:00:00 GMT')).toBeNull();
+    expect(iso('2025-13-01')).toBeNull();
+    expect(iso('sometime last week')).toBeNull();
+    expect(iso('')).toBeNull();
+  });
+});
+
+describe('resolvePublishedDate', () => {
+  const now = Date.parse('2025-07-02T00:00:00Z');
+
+  it('grades confidence by zone, precision, field and plausibility', () => {
+    expect(resolvePublishedDate([{ field: 'pubDate', value: 'Tue, 01 Jul 2025 10:00:00 +0200' }], { now }))
+      .toEqual({ publishedDate: '2025-07-01T08:00:00.000Z', dateSource: 'pubDate', dateConfidence: 'high' });
+    expect(resolvePublishedDate([{ field: 'pubDate', value: '01.07.2025' }], { now }).dateConfidence).toBe('medium');
+    expect(resolvePublishedDate([{ field: 'updated', value: '2025-07-01T10:00:00Z', fallback: true }], { now }).dateConfidence).toBe('medium');
+    expect(resolvePublishedDate([{ field: 'pubDate', value: '2025-09-01T10:00:00Z' }], { now }).dateConfidence).toBe('low');
+  });
+
+  it('skips unparseable candidates and reports undated items', () => {
+    expect(resolvePublishedDate([
+      { field: 'pubDate', value: 'garbage' },
+      { field: 'dc:date', value: '2025-07-01T10:00:00Z' }
+    ], { now })).toMatchObject({ dateSource: 'dc:date', publishedDate: '2025-07-01T10:00:00.000Z' });
+    expect(resolvePublishedDate([{ field: 'pubDate', value: undefined }], { now }))
+      .toEqual({ publishedDate: null, dateSource: 'none', dateConfidence: 'none' });
+  });
+});
+
+describe('feed date fallbacks', () => {
+  it('falls back to dc:date and updated, and leaves undated items null', async () => {
+    const xml = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/"><channel><title>T</title>
+<item><title>A</title><guid>a</guid><pubDate>Tir, 01 jul 2025 10:00:00</pubDate></item>
+<item><title>B</title><guid>b</guid><dc:date>2025-07-01T10:00:00Z</dc:date></item>
+<item><title>C</title><guid>c</guid><updated>2025-07-01T11:00:00Z</updated></item>
+<item><title>D</title><guid>d</guid></item>
+</channel></rss>`;
+    const feed = await new DefaultParser().parseString(xml, { timeZone: 'Europe/Oslo' });
+    expect(feed.items.map(i => [i.publishedDate, i.dateSource])).toEqual([
+      ['2025-07-01T08:00:00.000Z', 'pubDate'],
+      ['2025-07-01T10:00:00.000Z', 'dc:date'],
+      ['2025-07-01T11:00:00.000Z', 'updated'],
+      [null, 'none']
+    ]);
+    expect(feed.items[3].dateConfidence).toBe('none');
+  });
+
+  it('does not age out undated entries', () => {
+    const filter = new ThreatFilter();
+    expect(filter.checkAge({ publishedDate: null }, 7)).toBe(true);
+    expect(filter.checkAge({ publishedDate: '2000-01-01T00:00:00Z' }, 7)).toBe(false);
+  });
+
+  it('validates the per-feed timezone', () => {
+    const validator = new FeedValidator();
+    const feed = { name: 'NSM', url: 'https://nsm.example/rss', enabled: true };
+    expect(validator.validateFeed({ ...feed, timezone: 'Europe/Oslo' }, 0).errors).toEqual([]);
+    expect(validator.validateFeed({ ...feed, timezone: 'Norway/Oslo' }, 0).errors)
+      .toContain("NSM: Timezone 'Norway/Oslo' is not a valid IANA time zone (e.g. Europe/Oslo)");
+  });
+});
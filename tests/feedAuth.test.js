@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { buildFeedHeaders, validateFeedAuth } from '../utils/feedAuth.js';
+import { FeedValidator } from '../utils/validateFeeds.js';
+import { logger } from '../utils/logger.js';
+
+const env = {
+  ISAC_API_TOKEN: 'tok-1234567890',
+  VENDOR_USER: 'analyst',
+  VENDOR_PASS: 'p4ssw0rd',
+  VENDOR_API_KEY: 'key-abcdef',
+  PORTAL_KEY: 'portal-secret'
+};
+
+describe('buildFeedHeaders', () => {
+  it('resolves bearer, basic and header auth from env var names', () => {
+    expect(buildFeedHeaders({ name: 'A', auth: { type: 'bearer', tokenEnv: 'ISAC_API_TOKEN' } }, env))
+      .toEqual({ Authorization: 'Bearer tok-1234567890' });
+    expect(buildFeedHeaders({ name: 'B', auth: { type: 'basic', usernameEnv: 'VENDOR_USER', passwordEnv: 'VENDOR_PASS' } }, env))
+      .toEqual({ Authorization: `Basic ${Buffer.from('analyst:p4ssw0rd').toString('base64')}` });
+    expect(buildFeedHeaders({
+      name: 'C',
+      auth: { type: 'header', header: 'X-API-Key', valueEnv: 'VENDOR_API_KEY' },
+      headers: { 'User-Agent': 'ti-bot/1.0', 'X-Portal-Key': { env: 'PORTAL_KEY' } }
+    }, env)).toEqual({ 'User-Agent': 'ti-bot/1.0', 'X-Portal-Key': 'portal-secret', 'X-API-Key': 'key-abcdef' });
+  });
+
+  it('fails clearly when a referenced env var is not set', () => {
+    expect(() => buildFeedHeaders({ name: 'A', auth: { type: 'bearer', tokenEnv: 'MISSING_TOKEN' } }, {}))
+      .toThrow('Feed "A" references env var MISSING_TOKEN, which is not set');
+  });
+});
+
+describe('validateFeedAuth', () => {
+  it('flags literal secrets in auth, headers and the URL', () => {
+    const errors = validateFeedAuth({
+      url: 'https://user:pw@feeds.example/rss?api_key=abc',
+      auth: { type: 'bearer', token: 'tok-1234567890' },
+      headers: { 'X-API-Key': 'key-abcdef', 'X-Trace': 'Bearer abcdefghijkl' }
+    });
+
+    expect(errors).toEqual([
+      'auth.token looks like an inline secret; reference an env var (tokenEnv) instead',
+      'auth.tokenEnv must name an env var (UPPER_SNAKE_CASE), got undefined',
+      'headers.X-API-Key contains a literal secret; use { "env": "NAME" } instead',
+      'headers.X-Trace contains a literal secret; use { "env": "NAME" } instead',
+      'url contains inline credentials; use an auth block instead',
+      "url query parameter 'api_key' looks like a secret; use an auth or headers block instead"
+    ]);
+  });
+
+  it('is wired into FeedValidator.validateFeed', () => {
+    const validator = new FeedValidator();
+    const base = { name: 'ISAC', url: 'https://isac.example/rss', enabled: true };
+
+    expect(validator.validateFeed({ ...base, auth: { type: 'bearer', tokenEnv: 'ISAC_API_TOKEN' } }).isValid).toBe(true);
+    const result = validator.validateFeed({ ...base, headers: { Authorization: 'Bearer abcdefghijkl' } });
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0]).toContain('headers.Authorization contains a literal secret');
+  });
+});
+
+describe('feed secrets in requests and logs', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    Object.assign(process.env, env);
+  });
+
+  afterEach(() => {
+    for (const key of Object.keys(env)) delete process.env[key];
+  });
+
+  it('sends feed auth headers from DefaultParser', async () => {
+    jest.resetModules();
+    fetchMock = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => null },
+      text: async () => '<rss version="2.0"><channel><title>t</title></channel></rss>'
+    }));
+    jest.unstable_mockModule('node-fetch', () => ({ default: fetchMock }));
+    const { DefaultParser } = await import('../parsers/defaultParser.js');
+
+    const feed = { name: 'ISAC', url: 'https://isac.example/rss', auth: { type: 'bearer', tokenEnv: 'ISAC_API_TOKEN' } };
+    await new DefaultParser().parseURL(feed.url, { feed, state: {} });
+
+    expect(fetchMock.mock.calls[0][1].headers).toEqual({ 'Accept-Encoding': 'gzip, deflate, br', Authorization: 'Bearer tok-1234567890' });
+  });
+
+  it('reports a missing env var as a config error rather than a parse error', async () => {
+    jest.resetModules();
+    fetchMock = jest.fn();
+    jest.unstable_mockModule('node-fetch', () => ({ default: fetchMock }));
+    const { DefaultParser } = await import('../parsers/defaultParser.js');
+
+    const feed = { name: 'ISAC', url: 'https://isac.example/rss', auth: { type: 'bearer', tokenEnv: 'MISSING_TOKEN' } };
+    await expect(new DefaultParser().parseURL(feed.url, { feed, state: {} })).rejects.toMatchObject({
+      name: 'FeedFetchError',
+      code: 'config_error',
+      message: 'Feed "ISAC" references env var MISSING_TOKEN, which is not set'
+    });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('redacts registered feed secrets in logger output', () => {
+    buildFeedHeaders({ name: 'B', auth: { type: 'basic', usernameEnv: 'VENDOR_USER', passwordEnv: 'VENDOR_PASS' } });
+    const encoded = Buffer.from('analyst:p4ssw0rd').toString('base64');
+
+    const original = console.log;
+    let captured = '';
+    console.log = (...args) => { captured += args.join(' '); };
+    try {
+      logger.info(`request failed with password p4ssw0rd and header Basic ${encoded}`);
+    } finally {
+      console.log = original;
+    }
+
+    expect(captured).not.toContain('p4ssw0rd');
+    expect(captured).not.toContain(encoded);
+    expect(captured).toContain('[REDACTED:VENDOR_PASS]');
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { discoverFeeds, probeCandidate, buildFeedEntry, appendFeed, findFeedLinks } from '../utils/feedDiscovery.js';
+import { parseArgs } from '../scripts/add-feed.js';
+
+const rss = `<?xml version="1.0"?><rss version="2.0"><channel><title>Vendor PSIRT</title><link>https://vendor.example</link>
+<item><title>Critical vulnerability in Gateway (CVE-2025-1111)</title><link>https://vendor.example/a/1</link><pubDate>Tue, 01 Jul 2025 10:00:00 GMT</pubDate><description>Remote code execution, patch now.</description></item>
+<item><title>Company picnic photos</title><link>https://vendor.example/a/2</link><pubDate>Mon, 02 Jun 2025 10:00:00 GMT</pubDate><description>Fun times.</description></item>
+</channel></rss>`;
+
+const routes = {
+  '/': ['text/html', '<html><head><link rel="alternate" type="application/rss+xml" title="Advisories" href="/security/rss.xml"><link rel="stylesheet" href="/s.css"></head><body></body></html>'],
+  '/security/rss.xml': ['application/rss+xml', rss],
+  '/plain/': ['text/html', '<html><head><title>No feeds here</title></head></html>'],
+  '/feed.xml': ['application/xml', rss],
+  '/big/': ['text/html', `<html><head><link rel="alternate" type="application/rss+xml" href="/security/rss.xml"></head><body>${'x'.repeat(4096)}</body></html>`],
+  '/no/': ['text/html; charset=windows-1252', Buffer.from('<html><head><link rel="alternate" type="application/rss+xml" title="S\u00e5rbarheter" href="/security/rss.xml"></head></html>', 'latin1')]
+};
+
+let server;
+let base;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': route[0] });
+    res.end(route[1]);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('feed discovery', () => {
+  it('finds <link rel="alternate"> feeds and resolves relative URLs', async () => {
+    expect(findFeedLinks(routes['/'][1], 'https://vendor.example/en/')).toEqual([
+      { url: 'https://vendor.example/security/rss.xml', type: 'rss', title: 'Advisories', via: 'link' }
+    ]);
+    const candidates = await discoverFeeds(`${base}/`);
+    expect(candidates).toEqual([{ url: `${base}/security/rss.xml`, type: 'rss', title: 'Advisories', via: 'link' }]);
+  });
+
+  it('falls back to common feed paths and recognizes a direct feed URL', async () => {
+    const candidates = await discoverFeeds(`${base}/plain/`);
+    expect(candidates.map(c => c.url)).toContain(`${base}/feed.xml`);
+    expect(candidates.every(c => c.via === 'common-path')).toBe(true);
+
+    expect(await discoverFeeds(`${base}/feed.xml`)).toEqual([{ url: `${base}/feed.xml`, type: 'rss', title: null, via: 'direct' }]);
+  });
+
+  it('reads pages within the feed size cap and decodes them by their charset', async () => {
+    expect((await discoverFeeds(`${base}/no/`))[0].title).toBe('Sårbarheter');
+
+    process.env.FEED_MAX_BYTES = '1024';
+    try {
+      const candidates = await discoverFeeds(`${base}/big/`);
+      expect(candidates.every(c => c.via === 'common-path')).toBe(true);
+    } finally {
+      delete process.env.FEED_MAX_BYTES;
+    }
+  });
+
+  it('probes a candidate with item count, date range and a ThreatFilter sample', async () => {
+    const probe = await probeCandidate({ url: `${base}/security/rss.xml`, type: 'rss', via: 'link' });
+
+    expect(probe).toMatchObject({
+      ok: true,
+      parser: 'defaultParser',
+      title: 'Vendor PSIRT',
+      itemCount: 2,
+      oldest: '2025-06-02T10:00:00.000Z',
+      newest: '2025-07-01T10:00:00.000Z',
+      kept: 2
+    });
+    expect(probe.sample).toEqual([
+      { title: 'Critical vulnerability in Gateway (CVE-2025-1111)', severity: 'critical', language: 'en' },
+      { title: 'Company picnic photos', severity: 'info', language: 'und' }
+    ]);
+
+    const missing = await probeCandidate({ url: `${base}/rss`, type: 'rss', via: 'common-path' });
+    expect(missing).toMatchObject({ ok: false, error: expect.stringContaining('HTTP 404') });
+  });
+});
+
+describe('appending to the feeds file', () => {
+  let dir;
+  let feedsPath;
+  const existing = '[\n  {\n    "name": "CISA-Alerts",\n    "url": "https://www.cisa.gov/news.xml",\n    "priority": "high", \n    "enabled": true\n  }\n]\n';
+
+  beforeAll(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), 'add-feed-'));
+    feedsPath = path.join(dir, 'feeds.json');
+  });
+
+  afterAll(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('appends a validated entry and keeps existing text untouched', async () => {
+    writeFileSync(feedsPath, existing);
+    const probe = { url: 'https://vendor.example/security/rss.xml', parser: 'defaultParser', title: 'Vendor PSIRT' };
+    const entry = buildFeedEntry(probe, { name: 'Vendor-PSIRT', category: 'vendor', region: 'global', priority: 'high' });
+
+    expect(await appendFeed(feedsPath, entry)).toEqual({ added: true });
+
+    const text = readFileSync(feedsPath, 'utf-8');
+    expect(text.startsWith(existing.slice(0, existing.lastIndexOf(']')).trimEnd() + ',')).toBe(true);
+    expect(JSON.parse(text)[1]).toEqual({
+      name: 'Vendor-PSIRT', url: probe.url, category: 'vendor', region: 'global', priority: 'high', enabled: true, description: 'Vendor PSIRT'
+    });
+  });
+
+  it('rejects duplicates and invalid flag values', async () => {
+    writeFileSync(feedsPath, existing);
+    const dupe = await appendFeed(feedsPath, { name: 'CISA-Alerts', url: 'https://www.cisa.gov/news.xml', enabled: true });
+    expect(dupe.added).toBe(false);
+    expect(dupe.errors).toEqual(expect.arrayContaining([
+      'Feed URL already configured: https://www.cisa.gov/news.xml',
+      expect.stringContaining("Duplicate feed name 'CISA-Alerts'")
+    ]));
+
+    const bad = await appendFeed(feedsPath, buildFeedEntry({ url: 'https://x.example/rss' }, { name: 'X', priority: 'urgent' }));
+    expect(bad.errors).toEqual([expect.stringContaining('Priority must be one of')]);
+    expect(readFileSync(feedsPath, 'utf-8')).toBe(existing);
+  });
+
+  it('parses CLI flags', () => {
+    expect(parseArgs(['https://vendor.example', '--name', 'Vendor', '--region=norway', '--dry-run'])).toEqual({
+      siteUrl: 'https://vendor.example',
+      flags: { name: 'Vendor', region: 'norway', 'dry-run': true, 'feeds-file': './data/feeds.json' }
+    });
+    expect(() => parseArgs(['--bogus'])).toThrow('Unknown option --bogus');
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import zlib from 'zlib';
+import { DefaultParser } from '../parsers/defaultParser.js';
+import { JsonFeedParser } from '../parsers/jsonFeedParser.js';
+import { HealthMonitor } from '../utils/healthMonitor.js';
+import { assertSafeXml, assertXmlFeedContent, FeedFetchError } from '../utils/feedGuard.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const rss = `<?xml version="1.0"?><rss version="2.0"><channel><title>Vendor</title>
+<item><title>Advisory 1</title><link>https://vendor.example/1</link><guid>adv-1</guid></item>
+</channel></rss>`;
+const billionLaughs = `<?xml version="1.0"?>
+<!DOCTYPE rss [<!ENTITY lol "lol"><!ENTITY lol2 "&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;&lol;">]>
+<rss version="2.0"><channel><title>&lol2;</title></channel></rss>`;
+
+const routes = {
+  '/rss.xml': () => [200, { 'Content-Type': 'application/rss+xml' }, rss],
+  '/rss.xml.gz': () => [200, { 'Content-Type': 'application/rss+xml', 'Content-Encoding': 'gzip' }, zlib.gzipSync(rss)],
+  '/mislabeled': () => [200, { 'Content-Type': 'text/html' }, rss],
+  '/big': () => [200, { 'Content-Type': 'application/rss+xml' }, `${rss}<!--${'x'.repeat(4096)}-->`],
+  '/bomb': () => [200, { 'Content-Type': 'application/rss+xml', 'Content-Encoding': 'gzip' }, zlib.gzipSync(Buffer.alloc(64 * 1024, 32))],
+  '/entities': () => [200, { 'Content-Type': 'application/xml' }, billionLaughs],
+  '/login': () => [200, { 'Content-Type': 'text/html; charset=utf-8' }, '<!doctype html><html><body>Please sign in</body></html>'],
+  '/broken.gz': () => [200, { 'Content-Type': 'application/rss+xml', 'Content-Encoding': 'gzip' }, 'not gzip'],
+  '/feed.json': () => [200, { 'Content-Type': 'application/feed+json' }, JSON.stringify({ version: 'https://jsonfeed.org/version/1.1', title: 'J', items: [{ id: '1', title: 'x'.repeat(4096) }] })],
+  '/gone': () => [503, {}, 'down'],
+  '/taxii/collections/isac/objects/': () => [200, { 'Content-Type': 'application/taxii+json;version=2.1' }, JSON.stringify({ objects: [], padding: 'x'.repeat(4096) })]
+};
+
+let server;
+let base;
+const savedEnv = {};
+
+beforeAll(async () => {
+  for (const key of ['FEED_MAX_BYTES', 'FEED_MAX_DECOMPRESSED_BYTES']) savedEnv[key] = process.env[key];
+  process.env.FEED_MAX_BYTES = '2048';
+  process.env.FEED_MAX_DECOMPRESSED_BYTES = '16384';
+
+  server = http.createServer((req, res) => {
+    const [status, headers, body] = (routes[req.url.split('?')[0]] || (() => [404, {}, '']))();
+    res.writeHead(status, headers);
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+  await new Promise(resolve => server.close(resolve));
+});
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('expected a rejection');
+}
+
+describe('DefaultParser hardening', () => {
+  it('parses plain, gzip-encoded and mislabeled XML feeds', async () => {
+    const parser = new DefaultParser();
+    for (const route of ['/rss.xml', '/rss.xml.gz', '/mislabeled']) {
+      const feed = await parser.parseURL(`${base}${route}`, { feed: { name: 'Vendor' }, state: {} });
+      expect(feed.items.map(i => i.title)).toEqual(['Advisory 1']);
+    }
+  });
+
+  it.each([
+    ['/big', 'response_too_large', 'Response exceeds 2048 bytes'],
+    ['/bomb', 'decompressed_too_large', 'Decompressed response exceeds 16384 bytes'],
+    ['/entities', 'unsafe_xml', 'Rejected XML with a DOCTYPE internal subset or entity declarations'],
+    ['/login', 'unexpected_content_type', 'Expected an RSS/Atom feed but got text/html'],
+    ['/broken.gz', 'bad_encoding', 'Invalid gzip body'],
+    ['/gone', 'http_error', 'HTTP 503']
+  ])('rejects %s as %s', async (route, code, message) => {
+    const error = await rejection(new DefaultParser().parseURL(`${base}${route}`, { feed: { name: 'Vendor' }, state: {} }));
+    expect(error).toBeInstanceOf(FeedFetchError);
+    expect(error.code).toBe(code);
+    expect(error.message).toContain(message);
+  });
+
+  it('applies the size cap to JSON Feeds too', async () => {
+    const error = await rejection(new JsonFeedParser().parseURL(`${base}/feed.json`, { feed: { name: 'J' } }));
+    expect(error.code).toBe('response_too_large');
+  });
+
+  it('accepts an external-id DOCTYPE but not an internal subset', () => {
+    expect(() => assertSafeXml('<?xml version="1.0"?><!DOCTYPE rss PUBLIC "-//Netscape Communications//DTD RSS 0.91//EN" "http://my.netscape.com/publish/formats/rss-0.91.dtd"><rss/>')).not.toThrow();
+    expect(() => assertSafeXml('<!DOCTYPE foo SYSTEM "file:///etc/passwd" [ ]><foo/>')).toThrow(FeedFetchError);
+    expect(() => assertSafeXml('<rss><description>&lt;!ENTITY x SYSTEM "file:///etc/passwd"&gt; <![CDATA[<!ENTITY xxe>]]></description></rss>')).not.toThrow();
+    expect(() => assertXmlFeedContent('application/atom+xml', '')).not.toThrow();
+  });
+});
+
+describe('typed feed errors in results and health metrics', () => {
+  it('records the error code per feed', async () => {
+    const bot = new ThreatIntelBot();
+    bot.healthMonitor.recordError = async () => {};
+    const feeds = [
+      { name: 'Good', url: `${base}/rss.xml`, enabled: true },
+      { name: 'Login', url: `${base}/login`, enabled: true }
+    ];
+    const results = await bot.processFeeds(feeds, { seen: {} });
+
+    expect(results.feedResults.Good.success).toBe(true);
+    expect(results.feedResults.Login).toMatchObject({
+      success: false,
+      errorCode: 'unexpected_content_type',
+      error: 'Expected an RSS/Atom feed but got text/html'
+    });
+
+    const monitor = new HealthMonitor();
+    monitor.updateFeedStats(results.feedResults);
+    monitor.updateFeedStats(results.feedResults);
+    expect(monitor.metrics.feedStats.Login).toMatchObject({
+      lastErrorCode: 'unexpected_content_type',
+      errorCodes: { unexpected_content_type: 2 }
+    });
+  });
+
+  it('records the error code for the API and scraping parsers too', async () => {
+    const bot = new ThreatIntelBot();
+    bot.healthMonitor.recordError = async () => {};
+    const feeds = [
+      { name: 'KEV', url: `${base}/broken.gz`, parser: 'kevParser', enabled: true },
+      { name: 'NVD', url: `${base}/gone?noRejected`, parser: 'nvdParser', enabled: true },
+      { name: 'TAXII', url: `${base}/taxii/collections/isac/`, parser: 'taxiiParser', enabled: true },
+      { name: 'CSAF', url: `${base}/bomb`, parser: 'csafParser', enabled: true },
+      { name: 'HTML', url: `${base}/big`, parser: 'htmlParser', enabled: true, scrape: { item: 'item', title: 'title' } }
+    ];
+    const results = await bot.processFeeds(feeds, { seen: {} });
+
+    expect(Object.fromEntries(Object.entries(results.feedResults).map(([name, result]) => [name, result.errorCode]))).toEqual({
+      KEV: 'bad_encoding',
+      NVD: 'http_error',
+      TAXII: 'response_too_large',
+      CSAF: 'decompressed_too_large',
+      HTML: 'response_too_large'
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { mkdtempSync, rmSync, readFileSync, existsSync } from 'fs';
+import zlib from 'zlib';
+import { FetchRecorder } from '../utils/fetchRecorder.js';
+import { FeedProcessor } from '../services/feedProcessor.js';
+import { httpFetch } from '../utils/httpClient.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const published = new Date(Date.now() - 60 * 60 * 1000).toUTCString();
+const rss = `<?xml version="1.0"?><rss version="2.0"><channel><title>Vendor PSIRT</title>
+<item><title>Critical vulnerability in Gateway (CVE-2025-1111)</title><link>{base}/a/1</link><guid>adv-1</guid><pubDate>${published}</pubDate><description>Remote code execution.</description></item>
+</channel></rss>`;
+const article = '<html><body><article><p>Attackers exploit CVE-2025-1111 from 203.0.113.7 to deploy ransomware.</p></article></body></html>';
+
+let server;
+let base;
+let dir;
+let requests = 0;
+
+async function startServer() {
+  server = http.createServer((req, res) => {
+    requests++;
+    if (req.url === '/rss.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: '"v1"', 'Set-Cookie': 'session=secret' });
+      res.end(rss.replaceAll('{base}', base));
+    } else if (req.url === '/bomb.xml') {
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml', 'Content-Encoding': 'gzip' });
+      res.end(zlib.gzipSync(Buffer.alloc(64 * 1024, 0x20)));
+    } else if (req.url.startsWith('/nvd')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ totalResults: 0, vulnerabilities: [] }));
+    } else if (req.url === '/a/1') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(article);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stopServer() {
+  if (!server) return;
+  await new Promise(resolve => server.close(resolve));
+  server = null;
+}
+
+beforeAll(async () => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  await startServer();
+});
+
+afterAll(async () => {
+  await stopServer();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('FetchRecorder', () => {
+  it('records scoped feed responses and replays them without the network', async () => {
+    const feed = { name: 'Vendor-PSIRT', url: `${base}/rss.xml` };
+    const recorder = await FetchRecorder.create('run-feed', dir);
+    const processor = new FeedProcessor();
+    processor.setRecorder(recorder);
+    const live = await processor.processFeed(feed, { state: {} });
+    await recorder.finish({ mode: 'dry-run' });
+    processor.setRecorder(null);
+
+    const manifest = JSON.parse(readFileSync(path.join(dir, 'run-feed', 'manifest.json'), 'utf-8'));
+    expect(manifest).toMatchObject({ runId: 'run-feed', mode: 'dry-run' });
+    expect(manifest.responses).toEqual([
+      expect.objectContaining({ seq: 1, feed: 'Vendor-PSIRT', kind: 'feed', method: 'GET', url: feed.url, status: 200, file: 'responses/0001.json' })
+    ]);
+    const stored = JSON.parse(readFileSync(path.join(dir, 'run-feed', 'responses', '0001.json'), 'utf-8'));
+    expect(stored.headers.etag).toBe('"v1"');
+    expect(stored.headers['set-cookie']).toBeUndefined();
+
+    const before = requests;
+    const replayer = await FetchRecorder.open('run-feed', dir);
+    processor.setRecorder(replayer);
+    const replayed = await processor.processFeed(feed, { state: {} });
+    processor.setRecorder(null);
+
+    expect(requests).toBe(before);
+    expect(replayed.entries.map(e => e.title)).toEqual(live.entries.map(e => e.title));
+    expect(replayed.httpCache).toEqual(live.httpCache);
+  });
+
+  it('leaves unscoped requests alone and refuses unrecorded ones on replay', async () => {
+    const recorder = await FetchRecorder.create('run-unscoped', dir);
+    const processor = new FeedProcessor();
+    processor.setRecorder(recorder);
+    const response = await httpFetch(`${base}/rss.xml`);
+    expect(response.status).toBe(200);
+    await recorder.finish();
+
+    const replayer = await FetchRecorder.open(path.join(dir, 'run-unscoped'));
+    expect(replayer.manifest.responses).toEqual([]);
+    processor.setRecorder(replayer);
+    await expect(httpFetch(`${base}/rss.xml`)).rejects.toThrow(`No recorded response for GET ${base}/rss.xml (replaying run-unscoped)`);
+    processor.setRecorder(null);
+
+    await expect(FetchRecorder.open('missing', dir)).rejects.toThrow('Recording not found: missing');
+  });
+
+  it('reads recorded bodies within the feed size caps and replays the rejection', async () => {
+    const feed = { name: 'Bomb', url: `${base}/bomb.xml` };
+    process.env.FEED_MAX_DECOMPRESSED_BYTES = '4096';
+    try {
+      const recorder = await FetchRecorder.create('run-bomb', dir);
+      const processor = new FeedProcessor();
+      processor.setRecorder(recorder);
+      await expect(processor.processFeed(feed, { state: {} })).rejects.toMatchObject({ code: 'decompressed_too_large' });
+      await recorder.finish();
+      const stored = JSON.parse(readFileSync(path.join(dir, 'run-bomb', 'responses', '0001.json'), 'utf-8'));
+      expect(stored).toMatchObject({ body: '', error: { code: 'decompressed_too_large' } });
+
+      processor.setRecorder(await FetchRecorder.open('run-bomb', dir));
+      await expect(processor.processFeed(feed, { state: {} })).rejects.toMatchObject({ code: 'decompressed_too_large' });
+      processor.setRecorder(null);
+    } finally {
+      delete process.env.FEED_MAX_DECOMPRESSED_BYTES;
+    }
+  });
+
+  it('replays NVD requests whose window ends at the recording clock', async () => {
+    const feed = { name: 'NVD-CVE', url: `${base}/nvd/cves/2.0`, parser: 'nvdParser' };
+    const state = { cursors: { 'NVD-CVE': new Date(Date.now() - 60 * 60 * 1000).toISOString() } };
+    process.env.NVD_PAGE_DELAY_MS = '0';
+    try {
+      const recorder = await FetchRecorder.create('run-nvd', dir);
+      const processor = new FeedProcessor();
+      processor.setRecorder(recorder);
+      const clock = Date.parse(recorder.manifest.recordedAt);
+      const live = await processor.processFeed(feed, { state, now: clock });
+      await recorder.finish();
+      expect(live.cursor).toBe(recorder.manifest.recordedAt);
+
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const replayer = await FetchRecorder.open('run-nvd', dir);
+      processor.setRecorder(replayer);
+      const replayed = await processor.processFeed(feed, { state, now: Date.parse(replayer.manifest.recordedAt) });
+      processor.setRecorder(null);
+      expect(replayed.cursor).toBe(live.cursor);
+    } finally {
+      delete process.env.NVD_PAGE_DELAY_MS;
+    }
+  });
+});
+
+describe('ThreatIntelBot replay', () => {
+  function makeBot(mode, runId) {
+    const bot = new ThreatIntelBot();
+    bot.config = { ...bot.config, recordingsDir: dir, articleFetcher: { cacheDir: path.join(dir, 'article-cache') } };
+    bot.healthMonitor.currentRun = { id: runId };
+    bot.healthMonitor.recordError = async () => {};
+    if (mode === 'record') {
+      bot.recordRun = true;
+    } else {
+      bot.replayRun = runId;
+      bot.isDryRun = true;
+    }
+    return bot;
+  }
+
+  async function pipeline(bot, feeds, state) {
+    const results = await bot.processFeeds(feeds, state);
+    await bot.enrichEntries(results);
+    return bot.filterAndClassifyEntries(results);
+  }
+
+  it('reproduces feed and article fetches offline and renders cards and the dashboard', async () => {
+    const feeds = [{ name: 'Vendor-PSIRT', url: `${base}/rss.xml`, enabled: true, fetchArticle: true }];
+    const recordingBot = makeBot('record', 'run-bot');
+    await recordingBot.startRecorder();
+    expect(recordingBot.now()).toBe(Date.parse(recordingBot.recorder.manifest.recordedAt));
+    await recordingBot.recorder.saveSnapshot('feeds', feeds);
+    await recordingBot.recorder.saveSnapshot('state', { seen: {} });
+    const live = await pipeline(recordingBot, feeds, { seen: {} });
+    await recordingBot.stopRecorder();
+
+    expect(live.entries).toHaveLength(1);
+    expect(live.entries[0].classification.indicators.ips).toContain('203.0.113.7');
+    expect(JSON.parse(readFileSync(path.join(dir, 'run-bot', 'manifest.json'), 'utf-8')).responses.map(r => r.kind))
+      .toEqual(['feed', 'article']);
+
+    await stopServer();
+
+    const replayBot = makeBot('replay', 'run-bot');
+    await replayBot.startRecorder();
+    const replayed = await pipeline(replayBot, await replayBot.recorder.loadSnapshot('feeds'), await replayBot.recorder.loadSnapshot('state'));
+    const output = await replayBot.outputEntries(replayed);
+    await replayBot.stopRecorder();
+
+    expect(replayed.entries.map(e => e.title)).toEqual(live.entries.map(e => e.title));
+    expect(replayed.entries[0].classification).toEqual({ ...live.entries[0].classification, classificationTimestamp: expect.any(String) });
+    expect(output).toMatchObject({ totalPosted: 0, replayOutputDir: path.join(dir, 'run-bot', 'replay') });
+    const cards = JSON.parse(readFileSync(path.join(output.replayOutputDir, 'cards.json'), 'utf-8'));
+    expect(cards).toHaveLength(1);
+    expect(JSON.stringify(cards[0])).toContain('Critical vulnerability in Gateway');
+    expect(existsSync(path.join(output.replayOutputDir, 'index.html'))).toBe(true);
+    expect(JSON.parse(readFileSync(path.join(output.replayOutputDir, 'feed.json'), 'utf-8')).entries).toHaveLength(1);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const LIST_URL = 'https://vendor.example/security/advisories';
+const DETAIL_URL = 'https://vendor.example/security/advisories/VSA-2025-007';
+
+const listPage = `<!doctype html>
+<html><head><title>Vendor Security Advisories</title></head>
+<body>
+  <table class="advisories"><tbody>
+    <tr>
+      <td class="title"><a href="/security/advisories/VSA-2025-007">VSA-2025-007: Critical RCE in Example VPN</a></td>
+      <td class="published">14.03.2025</td>
+      <td class="summary">  Unauthenticated   remote code execution. </td>
+    </tr>
+    <tr>
+      <td class="title"><a href="VSA-2025-006">VSA-2025-006: XSS in admin portal</a></td>
+      <td class="published">02.03.2025</td>
+      <td class="summary">Stored cross-site scripting.</td>
+    </tr>
+  </tbody></table>
+</body></html>`;
+
+const detailPage = `<html><body><article>
+  <time datetime="2025-03-14T09:30:00Z">14 March 2025</time>
+  <p class="lead">Example VPN allows unauthenticated remote code execution (CVE-2025-1234).</p>
+</article></body></html>`;
+
+const scrape = {
+  item: 'table.advisories tbody tr',
+  title: 'td.title a',
+  link: 'td.title a@href',
+  date: 'td.published',
+  summary: 'td.summary',
+  dateFormat: 'DD.MM.YYYY'
+};
+
+describe('HtmlParser', () => {
+  let fetchMock;
+  let HtmlParser;
+  let parseDate;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    const pages = { [LIST_URL]: listPage, [DETAIL_URL]: detailPage };
+    fetchMock = jest.fn(async url => {
+      if (!pages[url]) return { ok: false, status: 404, text: async () => '' };
+      return { ok: true, status: 200, text: async () => pages[url] };
+    });
+    jest.unstable_mockModule('node-fetch', () => ({ default: fetchMock }));
+    ({ HtmlParser, parseDate } = await import('../parsers/htmlParser.js'));
+  });
+
+  it('extracts items with selectors and resolves relative links', async () => {
+    const feed = { name: 'Vendor', url: LIST_URL, parser: 'htmlParser', scrape };
+    const result = await new HtmlParser().parseURL(LIST_URL, { feed });
+
+    expect(result.title).toBe('Vendor Security Advisories');
+    expect(result.items).toHaveLength(2);
+    expect(result.items[0]).toMatchObject({
+      title: 'VSA-2025-007: Critical RCE in Example VPN',
+      link: DETAIL_URL,
+      guid: DETAIL_URL,
+      description: 'Unauthenticated remote code execution.',
+      publishedDate: '2025-03-14T00:00:00.000Z'
+    });
+    expect(result.items[1].link).toBe('https://vendor.example/security/VSA-2025-006');
+  });
+
+  it('follows detail pages when configured', async () => {
+    const feed = {
+      name: 'Vendor',
+      url: LIST_URL,
+      parser: 'htmlParser',
+      scrape: { ...scrape, detail: { summary: 'article .lead', date: 'article time@datetime', maxItems: 1 } }
+    };
+    const { items } = await new HtmlParser().parseURL(LIST_URL, { feed });
+
+    expect(fetchMock.mock.calls.map(c => c[0])).toEqual([LIST_URL, DETAIL_URL]);
+    expect(items[0].description).toContain('CVE-2025-1234');
+    expect(items[0].publishedDate).toBe('2025-03-14T09:30:00.000Z');
+    expect(items[0].receivedDate).toBeUndefined();
+    expect(items[1].description).toBe('Stored cross-site scripting.');
+  });
+
+  it('keeps an advisory listed later the same day as new after an earlier run', async () => {
+    const [yyyy, mm, dd] = new Date().toISOString().slice(0, 10).split('-');
+    const page = listPage.replace('14.03.2025', `${dd}.${mm}.${yyyy}`);
+    const feed = { url: LIST_URL, scrape };
+    const [item] = (await new HtmlParser().parseString(page, { feed })).items;
+    expect(item.publishedDate).toBe(`${yyyy}-${mm}-${dd}T00:00:00.000Z`);
+
+    const lastRun = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    const fresh = new ThreatIntelBot().selectNewEntries([item], { seen: {}, lastRun });
+    expect(fresh.map(entry => entry.title)).toEqual(['VSA-2025-007: Critical RCE in Example VPN']);
+  });
+
+  it('fails instead of returning zero items when the item selector matches nothing', async () => {
+    const feed = { url: LIST_URL, scrape: { ...scrape, item: 'ul.advisories li' } };
+    await expect(new HtmlParser().parseString(listPage, { feed }))
+      .rejects.toThrow("Item selector 'ul.advisories li' matched no elements");
+  });
+
+  it('parses token date formats with month names', () => {
+    expect(parseDate('3 Sept. 2025 14:05', 'D MMM YYYY HH:mm')).toBe('2025-09-03T14:05:00.000Z');
+    expect(parseDate('2025-03-14')).toBe('2025-03-14T00:00:00.000Z');
+    expect(parseDate('not a date', 'DD.MM.YYYY')).toBeNull();
+  });
+});
+
+describe('FeedValidator scrape config', () => {
+  it('rejects htmlParser feeds with missing or invalid selectors', async () => {
+    const { FeedValidator } = await import('../utils/validateFeeds.js');
+    const validator = new FeedValidator();
+    const base = { name: 'Vendor', url: LIST_URL, enabled: true, parser: 'htmlParser' };
+
+    expect(validator.validateFeed({ ...base, scrape }).isValid).toBe(true);
+
+    const missing = validator.validateFeed(base);
+    expect(missing.isValid).toBe(false);
+    expect(missing.errors.join('\n')).toContain("'scrape' must be an object");
+
+    const broken = validator.validateFeed({ ...base, scrape: { ...scrape, title: 'td[class=', dateFormat: 'MM/YY', extra: 1 } });
+    expect(broken.isValid).toBe(false);
+    const text = broken.errors.join('\n');
+    expect(text).toContain('scrape.title is not a valid selector');
+    expect(text).toContain('scrape.dateFormat must contain YYYY');
+    expect(text).toContain('unknown scrape fields: extra');
+  });
+});
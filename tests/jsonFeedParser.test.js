@@ -0,0 +1,90 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { JsonFeedParser } from '../parsers/jsonFeedParser.js';
+
+const sampleFeed = {
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'Vendor Advisories',
+  home_page_url: 'https://vendor.example/advisories',
+  items: [
+    {
+      id: 'ADV-2025-001',
+      url: 'https://vendor.example/advisories/ADV-2025-001',
+      title: 'Critical vulnerability in Gateway (CVE-2025-1111)',
+      content_html: '<p>Remote code execution in <b>Gateway</b>.</p>',
+      date_published: '2025-01-02T10:00:00Z',
+      date_modified: '2025-01-03T08:00:00Z',
+      tags: ['gateway', 'rce'],
+      authors: [{ name: 'PSIRT' }]
+    },
+    {
+      id: 42,
+      external_url: 'https://other.example/post',
+      summary: 'Patch available',
+      content_text: 'Full text of the advisory',
+      author: { name: 'Legacy Author' }
+    }
+  ]
+};
+
+describe('JsonFeedParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new JsonFeedParser();
+  });
+
+  test('should parse a JSON Feed document into the normalized shape', async () => {
+    const feed = await parser.parseString(JSON.stringify(sampleFeed));
+
+    expect(feed.title).toBe('Vendor Advisories');
+    expect(feed.link).toBe('https://vendor.example/advisories');
+    expect(feed.items).toHaveLength(2);
+
+    const [first] = feed.items;
+    expect(first.title).toBe('Critical vulnerability in Gateway (CVE-2025-1111)');
+    expect(first.link).toBe('https://vendor.example/advisories/ADV-2025-001');
+    expect(first.guid).toBe('ADV-2025-001');
+    expect(first.description).toBe('Remote code execution in Gateway .');
+    expect(first.publishedDate).toBe('2025-01-02T10:00:00.000Z');
+    expect(first.tags).toEqual(['gateway', 'rce']);
+    expect(first.authors).toEqual([{ name: 'PSIRT' }]);
+    expect(first.dateModified).toBe('2025-01-03T08:00:00Z');
+    expect(first._original).toEqual(sampleFeed.items[0]);
+  });
+
+  test('should fall back to external_url, summary and JSON Feed 1.0 author', async () => {
+    const feed = await parser.parseString(JSON.stringify(sampleFeed));
+    const second = feed.items[1];
+
+    expect(second.link).toBe('https://other.example/post');
+    expect(second.guid).toBe('42');
+    expect(second.description).toBe('Patch available');
+    expect(second.content).toBe('Full text of the advisory');
+    expect(second.authors).toEqual([{ name: 'Legacy Author' }]);
+    expect(second.tags).toEqual([]);
+    expect(second.publishedDate).toBeDefined();
+  });
+
+  test('should reject documents that are not JSON Feed', async () => {
+    await expect(parser.parseString('{"items":[]}')).rejects.toThrow('Unsupported JSON Feed version');
+    await expect(parser.parseString('<rss></rss>')).rejects.toThrow('Failed to parse JSON Feed content');
+    await expect(parser.parseString('<rss></rss>')).rejects.toMatchObject({ name: 'FeedFetchError', code: 'parse_error' });
+  });
+
+  test('should decode &amp; last so escaped entities stay literal', async () => {
+    const doc = {
+      ...sampleFeed,
+      items: [{ id: 'x', content_html: '<p>Use &amp;lt;script&amp;gt; tags &amp; &lt;b&gt; markup</p>' }]
+    };
+    const feed = await parser.parseString(JSON.stringify(doc));
+    expect(feed.items[0].description).toBe('Use &lt;script&gt; tags & <b> markup');
+  });
+
+  test('should return correct configuration', () => {
+    const config = parser.getConfig();
+    expect(config.name).toBe('jsonFeedParser');
+    expect(config.supportedFormats).toContain('jsonfeed');
+    expect(parser.canHandle({ url: 'https://vendor.example/feed.json' })).toBe(true);
+    expect(parser.canHandle({ url: 'https://vendor.example/rss.xml' })).toBe(false);
+  });
+});
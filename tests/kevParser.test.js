@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { KevParser } from '../parsers/kevParser.js';
+import { ThreatFilter } from '../utils/threatFilter.js';
+import { buildAdaptiveCard } from '../utils/teamsCard.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const catalog = {
+  title: 'CISA Catalog of Known Exploited Vulnerabilities',
+  catalogVersion: '2025.01.02',
+  count: 2,
+  vulnerabilities: [
+    {
+      cveID: 'CVE-2025-0282',
+      vendorProject: 'Ivanti',
+      product: 'Connect Secure',
+      vulnerabilityName: 'Ivanti Connect Secure Stack-Based Buffer Overflow Vulnerability',
+      dateAdded: '2025-01-08',
+      shortDescription: 'Ivanti Connect Secure contains a stack-based buffer overflow which can lead to unauthenticated remote code execution.',
+      requiredAction: 'Apply mitigations per vendor instructions.',
+      dueDate: '2025-01-15',
+      knownRansomwareCampaignUse: 'Known',
+      notes: 'https://forums.ivanti.com/s/article/KB-CVE-2025-0282',
+      cwes: ['CWE-121']
+    },
+    {
+      cveID: 'CVE-2024-0001',
+      vendorProject: 'Example',
+      product: 'Widget',
+      vulnerabilityName: 'Example Widget Improper Authentication Vulnerability',
+      dateAdded: '2025-01-02',
+      shortDescription: 'Example Widget allows authentication bypass.',
+      requiredAction: 'Apply updates per vendor instructions.',
+      dueDate: '2025-01-23',
+      knownRansomwareCampaignUse: 'Unknown'
+    }
+  ]
+};
+
+describe('KevParser', () => {
+  let parser;
+  let tmpDir;
+
+  beforeEach(async () => {
+    parser = new KevParser();
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kev-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should map catalog rows to entries with structured KEV fields', async () => {
+    const feed = await parser.parseString(JSON.stringify(catalog));
+
+    expect(feed.items).toHaveLength(2);
+    const [entry] = feed.items;
+    expect(entry.guid).toBe('kev:CVE-2025-0282');
+    expect(entry.title).toBe('CVE-2025-0282: Ivanti Connect Secure Stack-Based Buffer Overflow Vulnerability');
+    expect(entry.publishedDate).toBe('2025-01-08T00:00:00.000Z');
+    expect(entry.kev).toMatchObject({
+      cveID: 'CVE-2025-0282',
+      vendorProject: 'Ivanti',
+      product: 'Connect Secure',
+      dateAdded: '2025-01-08',
+      dueDate: '2025-01-15',
+      requiredAction: 'Apply mitigations per vendor instructions.',
+      knownRansomwareCampaignUse: 'Known'
+    });
+    expect(entry.description).toContain('Due date: 2025-01-15');
+  });
+
+  test('should read a locally cached catalog file', async () => {
+    const cacheFile = path.join(tmpDir, 'kev.json');
+    await fs.writeFile(cacheFile, JSON.stringify(catalog));
+
+    const fromPath = await parser.parseURL('https://example.com/unused.json', { feed: { cacheFile } });
+    const fromFileUrl = await parser.parseURL(pathToFileURL(cacheFile).href);
+
+    expect(fromPath.items).toHaveLength(2);
+    expect(fromFileUrl.items[1].kev.cveID).toBe('CVE-2024-0001');
+  });
+
+  test('should reject documents without a vulnerabilities array', async () => {
+    await expect(parser.parseString('{"title":"x"}')).rejects.toThrow('missing the vulnerabilities array');
+  });
+
+  test('should post a row added today after the first run of the day', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const lastRun = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+    const rows = [{ ...catalog.vulnerabilities[0], dateAdded: today }];
+    const [item] = (await parser.parseString(JSON.stringify({ ...catalog, vulnerabilities: rows }))).items;
+    expect(item.publishedDate).toBe(`${today}T00:00:00.000Z`);
+
+    const fresh = new ThreatIntelBot().selectNewEntries([item], { seen: {}, lastRun });
+    expect(fresh).toHaveLength(1);
+
+    const entry = { ...fresh[0], source: 'CISA-KEV' };
+    const filtered = await new ThreatFilter().filterEntry(entry, {});
+    expect(filtered).not.toBeNull();
+    expect(filtered.classification.indicators.cves).toContain('CVE-2025-0282');
+    expect(filtered.kev.cveID).toBe('CVE-2025-0282');
+
+    const card = buildAdaptiveCard({
+      source: filtered.source,
+      title: filtered.title,
+      link: filtered.link,
+      description: filtered.description,
+      publishedDate: filtered.publishedDate
+    });
+    const facts = card.attachments[0].content.body.find(b => b.type === 'FactSet').facts;
+    expect(facts[0].value).toContain('CVE-2025-0282');
+  });
+});
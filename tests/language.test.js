@@ -0,0 +1,102 @@
+import { describe, it, expect } from '@jest/globals';
+import { detectLanguage, languageKeywords } from '../utils/language.js';
+import { ThreatFilter } from '../utils/threatFilter.js';
+import { detectSeverity } from '../utils/formatter.js';
+import { buildAdaptiveCard } from '../utils/teamsCard.js';
+
+describe('detectLanguage', () => {
+  it.each([
+    ['en', 'Attackers exploit a vulnerability in the VPN appliance and the vendor has released an update'],
+    ['nb', 'NSM anbefaler at virksomheter oppdaterer, og sårbarheten utnyttes aktivt. Det er ikke kjent hvor mange som er rammet.'],
+    ['nn', 'Sårbarheita vert utnytta, og det er ikkje kjent kva verksemder som er ramma. Eg tilrår oppdatering frå leverandøren.'],
+    ['sv', 'CERT-SE rekommenderar att verksamheter uppdaterar. Sårbarheten utnyttjas och det är inte känt hur många som drabbats.'],
+    ['da', 'CFCS anbefaler, at virksomheder opdaterer. Sårbarheden udnyttes aktivt, og det er ikke kendt hvor mange af dem der er ramt.']
+  ])('detects %s', (expected, text) => {
+    const result = detectLanguage(text);
+    expect(result.language).toBe(expected);
+    expect(result.confidence).toBeGreaterThan(0);
+  });
+
+  it('falls back when the text is too short to decide', () => {
+    expect(detectLanguage('Kritisk sårbarhet i Fortinet')).toEqual({ language: 'und', confidence: 0 });
+    expect(detectLanguage('Kritisk sårbarhet i Fortinet', 'nb').language).toBe('nb');
+  });
+
+  it('uses no local dictionary for undetermined or English text', () => {
+    expect(languageKeywords('critical', 'und')).toEqual([]);
+    expect(languageKeywords('critical', 'en')).toEqual([]);
+    expect(languageKeywords('critical', 'nb')).toContain('kritisk');
+  });
+
+  it('does not rate every Norwegian attack report as high', () => {
+    expect(languageKeywords('relevant', 'nb')).toContain('angrep');
+    expect(languageKeywords('high', 'nb')).not.toContain('angrep');
+  });
+});
+
+describe('local-language classification', () => {
+  const filter = new ThreatFilter();
+
+  it('keeps Norwegian advisories and records the language', async () => {
+    const entry = {
+      title: 'Kritisk sårbarhet i Ivanti Connect Secure',
+      description: 'Sårbarheten utnyttes aktivt. NSM anbefaler at virksomheter oppdaterer umiddelbart.',
+      source: 'NSM-NCSC'
+    };
+
+    const result = await filter.filterEntry(entry, { language: 'nb' });
+
+    expect(result.language).toBe('nb');
+    expect(result.classification).toMatchObject({ severity: 'critical', language: 'nb' });
+  });
+
+  it('rates Swedish and Danish severity terms', () => {
+    expect(filter.classifySeverity('allvarlig sårbarhet i webbläsare', 'sv')).toBe('high');
+    expect(filter.classifySeverity('sikkerhedsopdatering til routere', 'da')).toBe('medium');
+    expect(filter.classifySeverity('moderat sårbarheit', 'nn')).toBe('medium');
+  });
+
+  it('uses the feed language when the entry is too short to detect', async () => {
+    const result = await filter.filterEntry({ title: 'Angrep mot Microsoft Exchange', source: 'NSM-NCSC' }, { language: 'nb' });
+    expect(result.language).toBe('nb');
+  });
+
+  it('applies the dictionaries in formatter.detectSeverity', () => {
+    expect(detectSeverity('Kritisk sårbarhet i Fortinet', '', 'nb').level).toBe('CRITICAL');
+    expect(detectSeverity('Kritisk sårbarhet i Fortinet', '').level).not.toBe('CRITICAL');
+    expect(detectSeverity('Angrepp mot svenska kommuner', '', 'sv').level).toBe('HIGH');
+    expect(detectSeverity('General Information', 'general security information', 'en').level).toBe('INFO');
+  });
+
+  it('rates a Norwegian advisory like its English original', () => {
+    const english = ['Vulnerability in Example VPN', 'A vulnerability in the VPN gateway lets an attacker read files from the appliance.'];
+    const norwegian = ['Sårbarhet i Example VPN', 'En sårbarhet i VPN-gatewayen gjør det mulig for en angriper å lese filer fra enheten.'];
+    const nynorsk = ['Sårbarheit i Example VPN', 'Ei sårbarheit i VPN-gatewayen gjer det mogleg for ein angripar å lese filer frå eininga.'];
+
+    expect(detectSeverity(...english).level).toBe('HIGH');
+    expect(detectSeverity(...norwegian, 'nb').level).toBe(detectSeverity(...english).level);
+    expect(detectSeverity(...nynorsk, 'nn').level).toBe(detectSeverity(...english).level);
+
+    const englishLevel = filter.classifySeverity(english.join(' ').toLowerCase(), 'en');
+    expect(filter.classifySeverity(norwegian.join(' ').toLowerCase(), 'nb')).toBe(englishLevel);
+    expect(filter.classifySeverity(nynorsk.join(' ').toLowerCase(), 'nn')).toBe(englishLevel);
+  });
+});
+
+describe('language on the Teams card', () => {
+  it('shows a detected language and hides an undetermined one', () => {
+    const card = buildAdaptiveCard({
+      source: 'NSM-NCSC', title: 'Kritisk sårbarhet', link: 'https://nsm.no/a', description: 'Oppdater nå.',
+      publishedDate: '2025-08-01T10:00:00Z', language: 'nb'
+    });
+    const body = card.attachments[0].content.body;
+    expect(body[2].text).toContain('Language: NB');
+    expect(body[4].facts).toContainEqual({ title: 'Language', value: 'NB' });
+    expect(body[0].text).toContain('CRITICAL');
+
+    const unknown = buildAdaptiveCard({
+      source: 'X', title: 'Kritisk', link: 'https://x.example/a', description: '', publishedDate: '', language: 'und'
+    });
+    expect(unknown.attachments[0].content.body[2].text).not.toContain('Language');
+  });
+});
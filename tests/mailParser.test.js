@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { MailParser, splitMbox } from '../parsers/mailParser.js';
+import { parseMessage, decodeHeader } from '../utils/mime.js';
+import { FeedValidator } from '../utils/validateFeeds.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const hoursAgo = n => new Date(Date.now() - n * 60 * 60 * 1000).toUTCString().replace('GMT', '+0000');
+
+// ISO-8859-1, quoted-printable, RFC 2047 subject
+const nsm = [
+  `Received: from mx.nsm.no by mx.example.org; ${hoursAgo(0.1)}`,
+  'From: "NSM NCSC" <varsel@nsm.no>',
+  'To: advisories@example.org',
+  'Subject: =?ISO-8859-1?Q?Kritisk_s=E5rbarhet?= =?ISO-8859-1?Q?_i_VPN-l=F8sning?=',
+  `Date: ${hoursAgo(3)}`,
+  'Message-ID: <varsel-2025-17@nsm.no>',
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=ISO-8859-1',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Angrep mot norske virksomheter utnytter CVE-2025-1111, oppdater n=E5.',
+  'Mer informasjon: https://nsm.no/varsel/17',
+  ''
+].join('\r\n');
+
+// multipart/alternative: text/plain wins over HTML
+const vendorAlternative = [
+  'From: Vendor PSIRT <psirt@vendor.example>',
+  'Subject: Security advisory VSA-2025-9',
+  `Date: ${hoursAgo(2)}`,
+  'Message-ID: <vsa-2025-9@vendor.example>',
+  'Content-Type: multipart/alternative; boundary="b1"',
+  '',
+  'This is a multi-part message in MIME format.',
+  '--b1',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  'Critical vulnerability CVE-2025-2222 in Gateway allows remote code execution.',
+  '--b1',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>HTML version</p>',
+  '--b1--',
+  ''
+].join('\n');
+
+// HTML only, base64, plus an attachment that must be ignored
+const html = Buffer.from('<html><body><p>Exploited zero-day vulnerability in Mail Server (CVE-2025-3333). Patch immediately.</p><p>See https://vendor.example/vsa/10</p></body></html>').toString('base64');
+const vendorHtml = [
+  'From: psirt@vendor.example',
+  'Subject: Security advisory VSA-2025-10',
+  `Date: ${hoursAgo(1)}`,
+  'Message-ID: <vsa-2025-10@vendor.example>',
+  'Content-Type: multipart/mixed; boundary=outer',
+  '',
+  '--outer',
+  'Content-Type: text/html; charset=utf-8',
+  'Content-Transfer-Encoding: base64',
+  '',
+  html,
+  '--outer',
+  'Content-Type: text/plain',
+  'Content-Disposition: attachment; filename="iocs.txt"',
+  '',
+  'attachment text',
+  '--outer--',
+  ''
+].join('\n');
+
+let dir;
+let mbox;
+let maildir;
+
+beforeAll(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+  mbox = path.join(dir, 'advisories.mbox');
+  writeFileSync(mbox, Buffer.from([
+    `From varsel@nsm.no Mon Jul  7 08:00:00 2025\n${nsm}`,
+    `From psirt@vendor.example Mon Jul  7 09:00:00 2025\n${vendorAlternative}\n>From the vendor: thanks`,
+    `From psirt@vendor.example Mon Jul  7 10:00:00 2025\n${vendorHtml}`
+  ].join('\n\n'), 'latin1'));
+
+  maildir = path.join(dir, 'Maildir');
+  for (const sub of ['cur', 'new', 'tmp']) mkdirSync(path.join(maildir, sub), { recursive: true });
+  writeFileSync(path.join(maildir, 'cur', '1751875200.M1P1.host:2,S'), nsm, 'latin1');
+  writeFileSync(path.join(maildir, 'new', '1751882400.M2P1.host'), vendorHtml);
+  writeFileSync(path.join(maildir, 'tmp', '1751886000.M3P1.host'), vendorAlternative);
+});
+
+afterAll(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('MIME parsing', () => {
+  it('decodes encoded-word headers, quoted-printable and charsets', () => {
+    const message = parseMessage(Buffer.from(nsm, 'latin1'));
+    expect(message.subject).toBe('Kritisk sårbarhet i VPN-løsning');
+    expect(message.messageId).toBe('varsel-2025-17@nsm.no');
+    expect(message.from).toEqual({ name: 'NSM NCSC', address: 'varsel@nsm.no' });
+    expect(message.text).toContain('oppdater nå.');
+    expect(decodeHeader('=?UTF-8?B?U8OlcmJhcmhldA==?=')).toBe('Sårbarhet');
+  });
+
+  it('prefers text/plain and falls back to HTML converted to text', () => {
+    expect(parseMessage(vendorAlternative)).toMatchObject({
+      textSource: 'text/plain',
+      text: 'Critical vulnerability CVE-2025-2222 in Gateway allows remote code execution.'
+    });
+    const fromHtml = parseMessage(vendorHtml);
+    expect(fromHtml.textSource).toBe('text/html');
+    expect(fromHtml.text).toContain('Exploited zero-day vulnerability in Mail Server (CVE-2025-3333).');
+    expect(fromHtml.text).not.toContain('attachment text');
+  });
+});
+
+describe('MailParser', () => {
+  it('splits mbox files and undoes >From quoting', () => {
+    const messages = splitMbox(Buffer.from(`From a@b Mon Jul  7 08:00:00 2025\nSubject: one\n\nbody\n>From here\n\nFrom a@b Mon Jul  7 09:00:00 2025\nSubject: two\n\nbody`));
+    expect(messages.map(m => m.toString())).toEqual(['Subject: one\n\nbody\nFrom here', 'Subject: two\n\nbody']);
+  });
+
+  it('reads an mbox, newest first, filtered by sender', async () => {
+    const feed = { name: 'Vendor-PSIRT-Mail', url: pathToFileURL(mbox).href, parser: 'mailParser', mail: { from: '*@vendor.example' } };
+    const { items } = await new MailParser().parseURL(feed.url, { feed });
+    expect(items.map(i => i.guid)).toEqual(['vsa-2025-10@vendor.example', 'vsa-2025-9@vendor.example']);
+    expect(items[0]).toMatchObject({ title: 'Security advisory VSA-2025-10', link: 'https://vendor.example/vsa/10', dateSource: 'Date', dateConfidence: 'high' });
+  });
+
+  it('MIME-parses only the newest maxMessages messages from the configured senders', async () => {
+    jest.resetModules();
+    const mime = await import('../utils/mime.js');
+    const parseSpy = jest.fn(mime.parseMessage);
+    jest.unstable_mockModule('../utils/mime.js', () => ({ ...mime, parseMessage: parseSpy }));
+    const { MailParser: SpiedParser } = await import('../parsers/mailParser.js');
+
+    const feed = { name: 'Vendor-PSIRT-Mail', url: pathToFileURL(mbox).href, parser: 'mailParser', mail: { from: '*@vendor.example', maxMessages: 1 } };
+    const { items } = await new SpiedParser().parseURL(feed.url, { feed });
+    expect(items.map(i => i.guid)).toEqual(['vsa-2025-10@vendor.example']);
+    expect(parseSpy).toHaveBeenCalledTimes(1);
+
+    const maildirFeed = { name: 'NSM-Mail', url: pathToFileURL(maildir).href, parser: 'mailParser', mail: { from: 'varsel@nsm.no' } };
+    expect((await new SpiedParser().parseURL(maildirFeed.url, { feed: maildirFeed })).items.map(i => i.guid)).toEqual(['varsel-2025-17@nsm.no']);
+    expect(parseSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('reads cur/ and new/ of a Maildir but not tmp/', async () => {
+    const feed = { name: 'Mail', url: pathToFileURL(maildir).href, parser: 'mailParser' };
+    const { items } = await new MailParser().parseURL(feed.url, { feed });
+    expect(items.map(i => i.guid)).toEqual(['vsa-2025-10@vendor.example', 'varsel-2025-17@nsm.no']);
+    await expect(new MailParser().parseURL(pathToFileURL(dir).href, { feed })).rejects.toThrow('is not a Maildir');
+  });
+});
+
+describe('mail feeds in the pipeline', () => {
+  it('turns new messages into entries per sender and skips seen Message-IDs', async () => {
+    const bot = new ThreatIntelBot();
+    const url = pathToFileURL(mbox).href;
+    const feeds = [
+      { name: 'NSM-Mail', url, parser: 'mailParser', enabled: true, category: 'national', region: 'norway', mail: { from: 'varsel@nsm.no' } },
+      { name: 'Vendor-Mail', url, parser: 'mailParser', enabled: true, category: 'vendor', mail: { from: ['*@vendor.example'] } }
+    ];
+    // The NSM mail was sent before the last run but delivered after it
+    const lastRun = new Date(Date.now() - 2.5 * 60 * 60 * 1000).toISOString();
+    const state = { seen: { 'vsa-2025-9@vendor.example': { timestamp: lastRun } }, lastRun };
+    const results = await bot.processFeeds(feeds, state);
+
+    expect(results.allEntries.map(e => [e.source, e.guid])).toEqual([
+      ['NSM-Mail', 'varsel-2025-17@nsm.no'],
+      ['Vendor-Mail', 'vsa-2025-10@vendor.example']
+    ]);
+    expect(results.allEntries[0].feedConfig.region).toBe('norway');
+  });
+
+  it('validates mail feeds', () => {
+    const validator = new FeedValidator();
+    const feed = { name: 'Mail', url: 'file:///var/mail/advisories', parser: 'mailParser', enabled: true };
+    expect(validator.validateFeed({ ...feed, mail: { from: 'varsel@nsm.no', format: 'mbox' } }).errors).toEqual([]);
+    expect(validator.validateFeed({ ...feed, url: 'https://nsm.no', mail: { from: 'nsm', folder: 'x' } }).errors).toEqual([
+      "Mail: Parser 'mailParser' needs a file: URL of an mbox file or Maildir directory",
+      "Mail: Unknown mail field 'folder'",
+      'Mail: mail.from must be an address or address glob (or an array of them)'
+    ]);
+    expect(validator.validateFeed({ name: 'Web', url: 'file:///etc/passwd', enabled: true }).errors)
+      .toContain('Web: URL must use HTTP or HTTPS protocol');
+  });
+});
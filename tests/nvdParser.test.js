@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { FeedValidator } from '../utils/validateFeeds.js';
+
+// Recorded CVE API 2.0 responses (trimmed), served page by page
+const page1 = {
+  resultsPerPage: 1,
+  startIndex: 0,
+  totalResults: 2,
+  format: 'NVD_CVE',
+  version: '2.0',
+  vulnerabilities: [
+    {
+      cve: {
+        id: 'CVE-2025-0282',
+        published: '2025-01-08T23:15:09.797',
+        lastModified: '2025-01-10T14:00:00.000',
+        vulnStatus: 'Analyzed',
+        descriptions: [{ lang: 'en', value: 'A stack-based buffer overflow in Ivanti Connect Secure allows unauthenticated remote code execution.' }],
+        metrics: {
+          cvssMetricV31: [{
+            source: 'nvd@nist.gov',
+            type: 'Primary',
+            cvssData: { version: '3.1', vectorString: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H', baseScore: 9.0, baseSeverity: 'CRITICAL' }
+          }]
+        },
+        weaknesses: [{ source: 'nvd@nist.gov', type: 'Primary', description: [{ lang: 'en', value: 'CWE-121' }] }],
+        configurations: [{
+          nodes: [{
+            operator: 'OR',
+            negate: false,
+            cpeMatch: [{ vulnerable: true, criteria: 'cpe:2.3:a:ivanti:connect_secure:*:*:*:*:*:*:*:*', versionEndExcluding: '22.7' }]
+          }]
+        }],
+        references: [{ url: 'https://forums.ivanti.com/s/article/KB-CVE-2025-0282' }]
+      }
+    }
+  ]
+};
+
+const page2 = {
+  resultsPerPage: 1,
+  startIndex: 1,
+  totalResults: 2,
+  vulnerabilities: [
+    {
+      cve: {
+        id: 'CVE-2025-0001',
+        published: '2025-01-09T10:00:00.000',
+        lastModified: '2025-01-10T15:00:00.000',
+        descriptions: [{ lang: 'en', value: 'Information disclosure in Example Widget.' }],
+        metrics: {
+          cvssMetricV40: [{
+            source: 'psirt@example.com',
+            type: 'Secondary',
+            cvssData: { version: '4.0', vectorString: 'CVSS:4.0/AV:N/AC:L/AT:N/PR:N/UI:N/VC:L/VI:N/VA:N/SC:N/SI:N/SA:N', baseScore: 5.3, baseSeverity: 'MEDIUM' }
+          }]
+        }
+      }
+    }
+  ]
+};
+
+describe('NvdParser', () => {
+  let fetchMock;
+  let NvdParser;
+
+  beforeEach(async () => {
+    jest.resetModules();
+    const respond = body => ({ ok: true, status: 200, text: async () => JSON.stringify(body) });
+    fetchMock = jest.fn()
+      .mockResolvedValueOnce(respond(page1))
+      .mockResolvedValueOnce(respond(page2));
+    jest.unstable_mockModule('node-fetch', () => ({ default: fetchMock }));
+    ({ NvdParser } = await import('../parsers/nvdParser.js'));
+
+    process.env.NVD_API_KEY = 'test-key';
+    process.env.NVD_RESULTS_PER_PAGE = '1';
+    process.env.NVD_PAGE_DELAY_MS = '0';
+  });
+
+  afterEach(() => {
+    delete process.env.NVD_API_KEY;
+    delete process.env.NVD_RESULTS_PER_PAGE;
+    delete process.env.NVD_PAGE_DELAY_MS;
+  });
+
+  it('pages through results using a window that starts at the previous window end', async () => {
+    const cursor = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const lastRun = new Date(Date.now() - 55 * 60 * 1000).toISOString();
+    const feed = await new NvdParser().parseURL(
+      'https://services.nvd.nist.gov/rest/json/cves/2.0?noRejected',
+      { feed: { name: 'NVD-CVE' }, state: { lastRun, cursors: { 'NVD-CVE': cursor } } }
+    );
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    const firstUrl = new URL(fetchMock.mock.calls[0][0]);
+    const secondUrl = new URL(fetchMock.mock.calls[1][0]);
+    expect(firstUrl.searchParams.get('lastModStartDate')).toBe(cursor);
+    expect(feed.cursor).toBe(firstUrl.searchParams.get('lastModEndDate'));
+    expect(feed.items[0].receivedDate).toBe(feed.cursor);
+    expect(firstUrl.searchParams.has('noRejected')).toBe(true);
+    expect(secondUrl.searchParams.get('startIndex')).toBe('1');
+    expect(fetchMock.mock.calls[0][1]).toMatchObject({ compress: false, headers: { 'Accept-Encoding': 'gzip, deflate, br', apiKey: 'test-key' } });
+    expect(feed.items.map(i => i.nvd.id)).toEqual(['CVE-2025-0282', 'CVE-2025-0001']);
+  });
+
+  it('keeps CVSS, CWE and CPE configuration data as structured fields', async () => {
+    const { items } = await new NvdParser().parseString(JSON.stringify(page1));
+    const [entry] = items;
+
+    expect(entry.guid).toBe('nvd:CVE-2025-0282@2025-01-10T14:00:00.000Z');
+    expect(entry.link).toBe('https://nvd.nist.gov/vuln/detail/CVE-2025-0282');
+    expect(entry.publishedDate).toBe('2025-01-10T14:00:00.000Z');
+    expect(entry.cvss).toMatchObject({ version: '3.1', baseScore: 9.0, baseSeverity: 'CRITICAL' });
+    expect(entry.nvd.cwes).toEqual(['CWE-121']);
+    expect(entry.nvd.cpes).toEqual(['cpe:2.3:a:ivanti:connect_secure:*:*:*:*:*:*:*:*']);
+    expect(entry.nvd.configurations[0].nodes[0].cpeMatch[0].versionEndExcluding).toBe('22.7');
+  });
+
+  it('posts a later modification of a CVE as an update under a new guid', () => {
+    const parser = new NvdParser();
+    const windowStart = new Date('2025-01-09T00:00:00.000Z');
+    const [first] = parser.normalizeItems(page2.vulnerabilities, '2025-01-10T16:00:00.000Z', windowStart);
+    expect(first.title).toBe('CVE-2025-0001: Information disclosure in Example Widget.');
+    expect(first.nvd.isUpdate).toBe(false);
+
+    const modified = { cve: { ...page2.vulnerabilities[0].cve, lastModified: '2025-02-01T08:00:00.000' } };
+    const [update] = parser.normalizeItems([modified], '2025-02-01T09:00:00.000Z', new Date('2025-02-01T00:00:00.000Z'));
+    expect(update.guid).toBe('nvd:CVE-2025-0001@2025-02-01T08:00:00.000Z');
+    expect(update.guid).not.toBe(first.guid);
+    expect(update.title).toBe('[Update] CVE-2025-0001: Information disclosure in Example Widget.');
+    expect(update.nvd.isUpdate).toBe(true);
+  });
+
+  it('prefers CVSS v4.0 when present', async () => {
+    const { items } = await new NvdParser().parseString(JSON.stringify(page2));
+    expect(items[0].cvss).toMatchObject({ version: '4.0', baseScore: 5.3 });
+    expect(items[0].nvd.cvssV31).toBeNull();
+  });
+
+  it('starts at state.lastRun until the feed has a cursor', () => {
+    const lastRun = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    expect(new NvdParser().getWindow({ lastRun, cursors: {} }, 'NVD-CVE').start.toISOString()).toBe(lastRun);
+  });
+
+  it('falls back to a 24h window without a previous run', () => {
+    const { start, end } = new NvdParser().getWindow({});
+    expect(end.getTime() - start.getTime()).toBe(24 * 60 * 60 * 1000);
+  });
+});
+
+describe('FeedValidator with disabled feeds', () => {
+  const nvdFeed = { name: 'NVD-CVE', url: 'https://services.nvd.nist.gov/rest/json/cves/2.0?noRejected', parser: 'nvdParser' };
+
+  it('accepts enabled: false as a present required field', () => {
+    expect(new FeedValidator().validateFeed({ ...nvdFeed, enabled: false }).errors).toEqual([]);
+  });
+
+  it('still requires the enabled field', () => {
+    expect(new FeedValidator().validateFeed(nvdFeed).errors).toEqual(["NVD-CVE: Missing required field 'enabled'"]);
+  });
+});
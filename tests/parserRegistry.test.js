@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { createParserRegistry } from '../utils/parserRegistry.js';
+import { FeedProcessor } from '../services/feedProcessor.js';
+import { validateFeeds } from '../utils/validator.js';
+
+const plugin = `
+export class StixBundleParser {
+  constructor() {
+    this.name = 'stixBundleParser';
+  }
+
+  async parseURL(url) {
+    return { items: [{ title: 'Bundle ' + url, guid: url, link: url }] };
+  }
+
+  canHandle(feed, hints = {}) {
+    return /\\.stix\\.json$/.test(feed?.url || '') || hints.contentType === 'application/stix+json';
+  }
+
+  getConfig() {
+    return { name: this.name, supportedFormats: ['stix-2.1-bundle'] };
+  }
+}
+export default StixBundleParser;
+`;
+
+let dir;
+let registry;
+let server;
+let base;
+
+beforeAll(async () => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'parser-plugins-'));
+  writeFileSync(path.join(dir, 'stixBundleParser.mjs'), plugin);
+  writeFileSync(path.join(dir, 'notAParser.mjs'), 'export const answer = 42;\n');
+  writeFileSync(path.join(dir, 'shadow.mjs'), 'export default class { constructor() { this.name = "defaultParser"; } async parseURL() { return { items: [] }; } }\n');
+  registry = await createParserRegistry({ pluginsDir: dir });
+
+  // JSON Feed behind a URL that does not say so
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/feed+json' });
+    res.end(JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 'Vendor',
+      items: [{ id: 'jf-1', url: 'https://vendor.example/jf-1', title: 'Advisory', date_published: '2025-07-01T10:00:00Z' }]
+    }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('ParserRegistry', () => {
+  it('loads every built-in parser and valid plugins with their formats', () => {
+    const parsers = registry.list();
+    expect(parsers.filter(p => p.source === 'built-in').map(p => p.name).sort()).toEqual([
+      'csafParser', 'defaultParser', 'htmlParser', 'jsonFeedParser', 'kevParser', 'mailParser', 'nvdParser', 'taxiiParser'
+    ]);
+    expect(parsers.find(p => p.name === 'defaultParser').supportedFormats).toEqual(['rss', 'atom', 'rdf']);
+    expect(parsers.filter(p => p.source === 'plugin')).toEqual([{
+      name: 'stixBundleParser',
+      supportedFormats: ['stix-2.1-bundle'],
+      description: '',
+      source: 'plugin',
+      file: path.join(dir, 'stixBundleParser.mjs')
+    }]);
+  });
+
+  it('selects by explicit name and rejects unknown names', () => {
+    expect(registry.select({ name: 'X', url: 'https://x.example/feed.json', parser: 'defaultParser' }).name).toBe('defaultParser');
+    expect(() => registry.select({ name: 'X', url: 'https://x.example/', parser: 'nope' })).toThrow("Unknown parser 'nope'");
+  });
+
+  it('probes canHandle by URL and content type, plugins first and defaultParser last', () => {
+    const pick = (feed, hints) => registry.select({ name: 'X', ...feed }, hints).name;
+    expect(pick({ url: 'https://www.cisa.gov/sites/default/files/feeds/known_exploited_vulnerabilities.json' })).toBe('kevParser');
+    expect(pick({ url: 'https://services.nvd.nist.gov/rest/json/cves/2.0?noRejected' })).toBe('nvdParser');
+    expect(pick({ url: 'https://vendor.example/.well-known/csaf/provider-metadata.json' })).toBe('csafParser');
+    expect(pick({ url: 'file:///var/mail/advisories' })).toBe('mailParser');
+    expect(pick({ url: 'https://vendor.example/advisories', scrape: { item: 'tr' } })).toBe('htmlParser');
+    expect(pick({ url: 'https://vendor.example/feed.json' })).toBe('jsonFeedParser');
+    expect(pick({ url: 'https://vendor.example/intel.stix.json' })).toBe('stixBundleParser');
+    expect(pick({ url: 'https://vendor.example/updates' })).toBe('defaultParser');
+    expect(pick({ url: 'https://vendor.example/updates' }, { contentType: 'application/feed+json' })).toBe('jsonFeedParser');
+  });
+
+  it('retries a probed feed with the parser matching the response content type', async () => {
+    const processor = new FeedProcessor({ registry });
+    const result = await processor.processFeed({ name: 'Vendor', url: `${base}/updates` }, { state: {} });
+    expect(result.entries.map(e => e.guid)).toEqual(['jf-1']);
+    await expect(processor.processFeed({ name: 'Vendor', url: `${base}/updates`, parser: 'defaultParser' }, { state: {} }))
+      .rejects.toMatchObject({ code: 'unexpected_content_type' });
+  });
+
+  it('accepts plugin parser names in feed validation', () => {
+    const feeds = [{ name: 'STIX', url: 'https://vendor.example/intel.stix.json', enabled: true, parser: 'stixBundleParser' }];
+    expect(validateFeeds(feeds).errors[0]).toContain("Unknown parser 'stixBundleParser'");
+    expect(validateFeeds(feeds, { parsers: registry.names() }).errors).toEqual([]);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import { mkdtempSync, rmSync, writeFileSync, readdirSync } from 'fs';
+import { createStateStore } from '../utils/stateStore.js';
+import { StateManager } from '../utils/stateManager.js';
+import { SqliteStateStore } from '../utils/sqliteStateStore.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+function seenEntries(count, days = 1) {
+  const seen = {};
+  for (let i = 0; i < count; i++) {
+    seen[`https://vendor.example/a/${i}`] = { timestamp: daysAgo(days + i / 10000), source: 'Vendor', title: `Advisory ${i}` };
+  }
+  return seen;
+}
+
+let dir;
+let store;
+
+const sqlite = (options = {}) => createStateStore({
+  type: 'sqlite',
+  stateFile: path.join(dir, 'state.json'),
+  stateDb: path.join(dir, 'state.db'),
+  backupDir: path.join(dir, 'backups'),
+  ...options
+});
+
+beforeEach(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'state-store-'));
+});
+
+afterEach(async () => {
+  await store?.close();
+  store = null;
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('createStateStore', () => {
+  it('picks the store by type', () => {
+    expect(createStateStore({ type: 'json', stateFile: path.join(dir, 'state.json') })).toBeInstanceOf(StateManager);
+    expect(sqlite()).toBeInstanceOf(SqliteStateStore);
+    expect(() => createStateStore({ type: 'redis' })).toThrow("Unknown STATE_STORE 'redis'");
+  });
+
+  it('keeps the JSON store behaviour: everything loaded, 1000 seen entries kept', async () => {
+    store = createStateStore({ type: 'json', stateFile: path.join(dir, 'state.json'), backupDir: path.join(dir, 'backups') });
+    await store.saveState({ seen: seenEntries(3), cursors: { TAXII: '2025-07-01T00:00:00Z' } });
+    const state = await store.loadState();
+    expect(await store.loadSeen(state, Object.keys(state.seen))).toEqual({});
+    expect(await store.seenCount(state)).toBe(3);
+    expect(await store.getFeedMeta('TAXII')).toEqual({ cursors: '2025-07-01T00:00:00Z' });
+    expect(store.maxSeenEntries).toBe(1000);
+  });
+});
+
+describe('SqliteStateStore', () => {
+  it('imports state.json once on first use', async () => {
+    writeFileSync(path.join(dir, 'state.json'), JSON.stringify({
+      seen: seenEntries(5),
+      lastRun: '2025-07-01T12:00:00.000Z',
+      cursors: { TAXII: 'cursor-1' },
+      httpCache: { Vendor: { etag: '"abc"' } },
+      version: '2.0'
+    }));
+    store = sqlite();
+    const state = await store.loadState();
+    expect(await store.seenCount(state)).toBe(5);
+    expect(state).toMatchObject({ lastRun: '2025-07-01T12:00:00.000Z', cursors: { TAXII: 'cursor-1' }, migratedFrom: path.join(dir, 'state.json') });
+    expect(await store.getFeedMeta('Vendor')).toEqual({ httpCache: { etag: '"abc"' } });
+
+    writeFileSync(path.join(dir, 'state.json'), JSON.stringify({ seen: {}, lastRun: '2030-01-01T00:00:00.000Z' }));
+    await store.close();
+    store = sqlite();
+    expect((await store.loadState()).lastRun).toBe('2025-07-01T12:00:00.000Z');
+  });
+
+  it('looks up seen entries by ID instead of loading them all', async () => {
+    store = sqlite();
+    await store.saveState({ seen: seenEntries(1500), lastRun: null });
+    const state = await store.loadState();
+    expect(state.seen).toEqual({});
+
+    const added = await store.loadSeen(state, ['https://vendor.example/a/1499', 'https://vendor.example/a/1499', 'https://vendor.example/a/9999']);
+    expect(added).toEqual({ 'https://vendor.example/a/1499': expect.objectContaining({ source: 'Vendor', title: 'Advisory 1499' }) });
+    expect(state.seen['https://vendor.example/a/1499']).toBe(added['https://vendor.example/a/1499']);
+    expect(await store.seenCount(state)).toBe(1500);
+    expect(store.maxSeenEntries).toBe(Infinity);
+  });
+
+  it('saves per-feed metadata and prunes seen entries past the retention window', async () => {
+    store = sqlite({ seenRetentionDays: 30 });
+    await store.saveState({
+      seen: { old: { timestamp: daysAgo(45), source: 'A', title: 'Old' }, fresh: { timestamp: daysAgo(1), source: 'A', title: 'Fresh', revision: 2 } },
+      circuits: { A: { state: 'open', failures: 3 } },
+      websub: {}
+    });
+    const state = await store.loadState();
+    expect(await store.loadSeen(state, ['old', 'fresh'])).toEqual({ fresh: expect.objectContaining({ title: 'Fresh', revision: 2 }) });
+    expect(state.websub).toEqual({});
+    expect(state.backfills).toBeUndefined();
+
+    delete state.circuits.A;
+    state.cursors = { B: 'next' };
+    await store.saveState(state);
+    expect(await store.getFeedMeta('A')).toEqual({});
+    expect(await store.getFeedMeta('B')).toEqual({ cursors: 'next' });
+  });
+
+  it('backs up before saving and recovers an unreadable database from the newest backup', async () => {
+    store = sqlite();
+    await store.saveState({ seen: seenEntries(2), lastRun: '2025-07-01T00:00:00.000Z' });
+    await store.saveState({ ...(await store.loadState()), lastRun: '2025-07-02T00:00:00.000Z' });
+    expect(readdirSync(path.join(dir, 'backups')).filter(file => /^state-.*\.db$/.test(file))).toHaveLength(2);
+    expect(await store.getStats()).toMatchObject({ store: 'sqlite', totalSeen: 2, backupCount: 2 });
+
+    await store.close();
+    writeFileSync(path.join(dir, 'state.db'), 'not a database'.repeat(1000));
+    store = sqlite();
+    const state = await store.loadState();
+    expect(state.lastRun).toBe('2025-07-01T00:00:00.000Z');
+    expect(await store.seenCount(state)).toBe(2);
+  });
+});
+
+describe('ThreatIntelBot with the SQLite store', () => {
+  it('skips entries seen long ago and keeps more than 1000 seen entries', async () => {
+    const bot = new ThreatIntelBot();
+    bot.stateManager = store = sqlite();
+    await store.saveState({ seen: seenEntries(1200, 2), lastRun: null });
+
+    const state = await store.loadState();
+    const entries = [
+      { title: 'Old one', link: 'https://vendor.example/a/1100', publishedDate: null },
+      { title: 'New one', link: 'https://vendor.example/a/5000', publishedDate: null }
+    ];
+    await bot.loadSeen(state, entries);
+    const fresh = bot.selectNewEntries(entries, state);
+    expect(fresh.map(entry => entry.title)).toEqual(['New one']);
+
+    await bot.updateState(state, { entries: fresh.map(entry => ({ ...entry, source: 'Vendor' })), stats: {} });
+    expect(await store.seenCount(await store.loadState())).toBe(1201);
+  });
+});
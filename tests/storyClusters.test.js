@@ -0,0 +1,240 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import { canonicalUrl, storyKeys, clusterStories, commitStories } from '../utils/storyClusters.js';
+import { buildAdaptiveCard } from '../utils/teamsCard.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.parse('2025-07-01T12:00:00Z');
+const at = hours => new Date(now + hours * HOUR).toISOString();
+
+const entry = (source, title, link, publishedDate, extra = {}) => ({ source, title, link, publishedDate, description: '', ...extra });
+const options = { now, windowHours: 72, maxCves: 5, idOf: e => e.link };
+
+describe('story keys', () => {
+  it('canonicalizes advisory URLs', () => {
+    expect(canonicalUrl('https://www.Vendor.example/advisories/42/?utm_source=rss&id=7#top')).toBe('vendor.example/advisories/42?id=7');
+    expect(canonicalUrl('http://vendor.example/advisories/42')).toBe('vendor.example/advisories/42');
+    expect(canonicalUrl('mailto:psirt@vendor.example')).toBeNull();
+    expect(canonicalUrl('not a url')).toBeNull();
+  });
+
+  it('uses CVE IDs from text and indicators, but not from roundups', () => {
+    const advisory = entry('CISA', 'Gateway flaw CVE-2025-1234 exploited', 'https://cisa.example/a/1', at(0), {
+      classification: { indicators: { cves: ['cve-2025-5678'] } }
+    });
+    expect(storyKeys(advisory)).toEqual(['cve:CVE-2025-1234', 'cve:CVE-2025-5678', 'url:cisa.example/a/1']);
+    const roundup = entry('MSRC', 'July updates', 'https://msrc.example/july', at(0), {
+      description: Array.from({ length: 6 }, (_, i) => `CVE-2025-100${i}`).join(' ')
+    });
+    expect(storyKeys(roundup, { maxCves: 5 })).toEqual(['url:msrc.example/july']);
+  });
+});
+
+describe('clusterStories', () => {
+  it('lets the earliest report lead and folds the others into it', () => {
+    const clusters = {};
+    const entries = [
+      entry('CERT-SE', 'Sårbarhet i Gateway (CVE-2025-1234)', 'https://cert.se/1', at(-1)),
+      entry('MSRC', 'CVE-2025-1234 Gateway RCE', 'https://msrc.example/CVE-2025-1234', at(-5)),
+      entry('NCSC', 'Unrelated phishing wave', 'https://ncsc.example/p', at(-2)),
+      entry('CISA', 'CISA adds Gateway bug to KEV', 'https://www.msrc.example/CVE-2025-1234/', at(-3))
+    ];
+    expect(clusterStories(entries, clusters, options)).toEqual({ stories: 2, members: 2, updates: 0, pruned: 0 });
+
+    const [certSe, msrc, ncsc, cisa] = entries;
+    expect(msrc.story).toEqual({
+      id: 'https://msrc.example/CVE-2025-1234',
+      role: 'lead',
+      alsoReportedBy: [
+        { source: 'CISA', title: 'CISA adds Gateway bug to KEV', link: 'https://www.msrc.example/CVE-2025-1234/' },
+        { source: 'CERT-SE', title: 'Sårbarhet i Gateway (CVE-2025-1234)', link: 'https://cert.se/1' }
+      ]
+    });
+    expect(cisa.story).toEqual({ id: msrc.story.id, role: 'member' });
+    expect(certSe.story.role).toBe('member');
+    expect(ncsc.story.role).toBe('lead');
+    expect(clusters[msrc.story.id].reports.map(r => r.source)).toEqual(['MSRC', 'CISA', 'CERT-SE']);
+  });
+
+  it('turns reports of a recent story into one update and forgets stories past the window', () => {
+    const clusters = {};
+    clusterStories([entry('MSRC', 'CVE-2025-1234 Gateway RCE', 'https://msrc.example/1', at(-30))], clusters, { ...options, now: now - 24 * HOUR });
+
+    const later = [
+      entry('NSM-NCSC', 'Kritisk sårbarhet (CVE-2025-1234)', 'https://nsm.example/1', at(-2)),
+      entry('CERT-SE', 'Sårbarhet (CVE-2025-1234)', 'https://cert.se/1', at(-1))
+    ];
+    expect(clusterStories(later, clusters, options)).toMatchObject({ stories: 0, members: 1, updates: 1 });
+    expect(later[0].story).toEqual({
+      id: 'https://msrc.example/1',
+      role: 'update',
+      source: 'MSRC',
+      title: 'CVE-2025-1234 Gateway RCE',
+      link: 'https://msrc.example/1',
+      firstReportedAt: at(-24),
+      reportedBy: ['MSRC'],
+      alsoReportedBy: [{ source: 'CERT-SE', title: 'Sårbarhet (CVE-2025-1234)', link: 'https://cert.se/1' }]
+    });
+    expect(later[1].story.role).toBe('member');
+
+    const afterWindow = [entry('CISA', 'CVE-2025-1234 in KEV', 'https://cisa.example/1', at(80))];
+    expect(clusterStories(afterWindow, clusters, { ...options, now: now + 80 * HOUR })).toMatchObject({ stories: 1, pruned: 1 });
+    expect(afterWindow[0].story.role).toBe('lead');
+    expect(Object.keys(clusters)).toEqual(['https://cisa.example/1']);
+  });
+
+  it('saves only the stories whose lead or update was posted', () => {
+    const saved = { old: { id: 'old', keys: ['cve:CVE-2020-0001'], updatedAt: at(-100), reports: [] } };
+    const pending = structuredClone(saved);
+    const entries = [
+      entry('MSRC', 'CVE-2025-1234 Gateway RCE', 'https://msrc.example/1', at(-5)),
+      entry('CERT-SE', 'Sårbarhet (CVE-2025-1234)', 'https://cert.se/1', at(-1)),
+      entry('NCSC', 'CVE-2025-9999 Mail server flaw', 'https://ncsc.example/1', at(-2))
+    ];
+    clusterStories(entries, pending, options);
+    expect(Object.keys(pending)).toEqual(['https://msrc.example/1', 'https://ncsc.example/1']);
+
+    // Only the MSRC card went out; the NCSC post failed
+    expect(commitStories(saved, pending, [entries[0]])).toBe(1);
+    expect(Object.keys(saved)).toEqual(['https://msrc.example/1']);
+    expect(saved['https://msrc.example/1'].reports.map(r => r.source)).toEqual(['MSRC', 'CERT-SE']);
+  });
+});
+
+describe('story cards', () => {
+  it('lists other sources on the lead card and names the first report on updates', () => {
+    const lead = buildAdaptiveCard({
+      source: 'MSRC', title: 'CVE-2025-1234 Gateway RCE', link: 'https://msrc.example/1', description: '', publishedDate: at(0),
+      story: { id: 'x', role: 'lead', alsoReportedBy: [{ source: 'CISA', title: 'KEV', link: 'https://cisa.example/1' }] }
+    });
+    const facts = lead.attachments[0].content.body.find(block => block.type === 'FactSet').facts;
+    expect(facts).toContainEqual({ title: 'Also reported by', value: '[CISA](https://cisa.example/1)' });
+
+    const update = buildAdaptiveCard({
+      source: 'CERT-SE', title: 'Sårbarhet (CVE-2025-1234)', link: 'https://cert.se/1', description: '', publishedDate: at(0),
+      story: { id: 'x', role: 'update', source: 'MSRC', title: 'CVE-2025-1234 Gateway RCE', link: 'https://msrc.example/1', firstReportedAt: at(-24), reportedBy: ['MSRC', 'CISA'], alsoReportedBy: [] }
+    });
+    const content = update.attachments[0].content;
+    expect(content.body[0].text).toContain('Story Update — also reported by CERT-SE');
+    expect(content.body.find(block => block.type === 'FactSet').facts).toEqual(expect.arrayContaining([
+      { title: 'First reported', value: '[MSRC](https://msrc.example/1) — 2025-06-30 12:00 UTC' },
+      { title: 'Reported by', value: 'MSRC, CISA' }
+    ]));
+  });
+});
+
+describe('ThreatIntelBot story clustering', () => {
+  it('posts one card per story and keeps the stories in state', async () => {
+    const bot = new ThreatIntelBot();
+    bot.isDryRun = false;
+    bot.config = { ...bot.config, postDelay: 0 };
+    bot.now = () => now;
+    bot.outputManager.sendEntry = jest.fn();
+
+    const state = { seen: {} };
+    const entries = [
+      entry('CERT-SE', 'Sårbarhet i Gateway (CVE-2025-1234)', 'https://cert.se/1', at(-1)),
+      entry('MSRC', 'CVE-2025-1234 Gateway RCE', 'https://msrc.example/1', at(-5))
+    ];
+    const filtered = bot.clusterEntries({ entries, stats: {} }, state);
+    expect(filtered.stories).toMatchObject({ stories: 1, members: 1 });
+    expect(state.clusters).toBeUndefined();
+    const output = await bot.outputEntries(filtered);
+    bot.saveStories(state, filtered, output);
+
+    expect(output).toMatchObject({ totalPosted: 1, postable: 1, capAppliedCount: 1 });
+    expect(bot.outputManager.sendEntry).toHaveBeenCalledTimes(1);
+    expect(bot.outputManager.sendEntry.mock.calls[0][0]).toMatchObject({ source: 'MSRC', story: { role: 'lead' } });
+    expect(Object.values(state.clusters)).toEqual([expect.objectContaining({ source: 'MSRC', keys: ['cve:CVE-2025-1234', 'url:msrc.example/1', 'url:cert.se/1'] })]);
+
+    bot.config = { ...bot.config, storyClustering: { enabled: false } };
+    const unclustered = [entry('CISA', 'CVE-2025-1234', 'https://cisa.example/1', at(0))];
+    expect(bot.clusterEntries({ entries: unclustered, stats: {} }, state).entries[0].story).toBeUndefined();
+  });
+
+  it('does not keep stories that failed to post or were held back by the post cap', async () => {
+    const bot = new ThreatIntelBot();
+    bot.isDryRun = false;
+    bot.config = { ...bot.config, postDelay: 0 };
+    bot.now = () => now;
+    bot.healthMonitor.recordError = async () => {};
+    bot.sleep = async () => {};
+    bot.outputManager.sendEntry = jest.fn(async item => {
+      if (item.source === 'NCSC') throw new Error('webhook down');
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.PER_RUN_POST_CAP = '2';
+
+    try {
+      const state = { seen: {}, clusters: {} };
+      const entries = [
+        entry('MSRC', 'CVE-2025-1234 Gateway RCE', 'https://msrc.example/1', at(-5)),
+        entry('NCSC', 'CVE-2025-9999 Mail server flaw', 'https://ncsc.example/1', at(-4)),
+        entry('CISA', 'CVE-2025-7777 Router bug', 'https://cisa.example/1', at(-3)),
+        entry('Vendor', 'CVE-2025-5555 Firewall bypass', 'https://vendor.example/1', at(-2))
+      ];
+      const filtered = bot.clusterEntries({ entries, stats: {} }, state);
+      const output = await bot.outputEntries(filtered);
+      bot.saveStories(state, filtered, output);
+
+      // NCSC failed, Vendor was past the cap of two posts
+      expect(output).toMatchObject({ totalPosted: 2, postable: 4, capAppliedCount: 2 });
+      expect(Object.keys(state.clusters)).toEqual(['https://msrc.example/1', 'https://cisa.example/1']);
+
+      bot.isDryRun = true;
+      const dryState = { seen: {} };
+      const dryFiltered = bot.clusterEntries({ entries: entries.map(e => ({ ...e })), stats: {} }, dryState);
+      const dryOutput = await bot.outputEntries(dryFiltered);
+      bot.saveStories(dryState, dryFiltered, dryOutput);
+      expect(dryOutput).toMatchObject({ postable: 4, capAppliedCount: 2 });
+      expect(dryState.clusters).toEqual({});
+    } finally {
+      delete process.env.PER_RUN_POST_CAP;
+      console.error.mockRestore();
+    }
+  });
+  it('gives the card to another report when the lead fails and keeps unposted members unseen', async () => {
+    const bot = new ThreatIntelBot();
+    bot.isDryRun = false;
+    bot.config = { ...bot.config, postDelay: 0 };
+    bot.now = () => now;
+    bot.healthMonitor.recordError = async () => {};
+    bot.stateManager.saveState = async () => {};
+    bot.sleep = async () => {};
+    bot.outputManager.sendEntry = jest.fn(async item => {
+      if (item.source === 'MSRC') throw new Error('webhook down');
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.PER_RUN_POST_CAP = '1';
+
+    try {
+      const state = { seen: {}, clusters: {} };
+      const entries = [
+        entry('MSRC', 'CVE-2025-1234 Gateway RCE', 'https://msrc.example/1', at(-5)),
+        entry('CERT-SE', 'Sårbarhet i Gateway (CVE-2025-1234)', 'https://cert.se/1', at(-4)),
+        entry('NCSC', 'CVE-2025-1234 Gateway advisory', 'https://ncsc.example/1', at(-3)),
+        entry('CISA', 'CVE-2025-7777 Router bug', 'https://cisa.example/1', at(-2)),
+        entry('Vendor', 'CVE-2025-7777 Router firmware update', 'https://vendor.example/1', at(-1))
+      ];
+      const filtered = bot.clusterEntries({ entries, stats: {} }, state);
+      const output = await bot.outputEntries(filtered);
+      bot.saveStories(state, filtered, output);
+      await bot.updateState(state, filtered, { posted: output.posted });
+
+      expect(bot.outputManager.sendEntry.mock.calls.map(([item]) => item.source)).toEqual(['MSRC', 'CERT-SE']);
+      expect(output.posted[0].story).toMatchObject({
+        role: 'lead',
+        alsoReportedBy: [
+          { source: 'MSRC', title: 'CVE-2025-1234 Gateway RCE', link: 'https://msrc.example/1' },
+          { source: 'NCSC', title: 'CVE-2025-1234 Gateway advisory', link: 'https://ncsc.example/1' }
+        ]
+      });
+      expect(Object.keys(state.clusters)).toEqual(['https://msrc.example/1']);
+      // The CISA card was held back by the cap, so the Vendor report rides on no card and stays unseen
+      expect(Object.values(state.seen).map(record => record.source).sort()).toEqual(['CERT-SE', 'CISA', 'MSRC', 'NCSC']);
+    } finally {
+      delete process.env.PER_RUN_POST_CAP;
+      console.error.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+import http from 'http';
+import { TaxiiParser } from '../parsers/taxiiParser.js';
+import { ThreatFilter } from '../utils/threatFilter.js';
+import { logger } from '../utils/logger.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const now = new Date().toISOString();
+const objects = [
+  {
+    type: 'indicator',
+    spec_version: '2.1',
+    id: 'indicator--1a2b',
+    created: now,
+    modified: now,
+    name: 'Ivanti exploitation C2',
+    pattern: "[ipv4-addr:value = '203.0.113.10'] OR [domain-name:value = 'evil-c2.example.net']",
+    pattern_type: 'stix',
+    valid_from: now
+  },
+  {
+    type: 'report',
+    spec_version: '2.1',
+    id: 'report--3c4d',
+    created: now,
+    modified: now,
+    published: now,
+    name: 'ISAC threat report: exploitation of edge devices',
+    description: 'Partner reporting on active exploitation.',
+    object_refs: ['indicator--1a2b', 'vulnerability--5e6f']
+  },
+  {
+    type: 'vulnerability',
+    spec_version: '2.1',
+    id: 'vulnerability--5e6f',
+    created: now,
+    modified: now,
+    name: 'CVE-2025-0282',
+    external_references: [{ source_name: 'cve', external_id: 'CVE-2025-0282' }]
+  },
+  {
+    type: 'malware',
+    spec_version: '2.1',
+    id: 'malware--7a8b',
+    created: now,
+    modified: now,
+    name: 'SPAWNCHIMERA',
+    is_family: true,
+    malware_types: ['backdoor']
+  },
+  { type: 'identity', spec_version: '2.1', id: 'identity--9c0d', created: now, modified: now, name: 'ISAC' }
+];
+
+// Authored days ago, added to the collection a minute ago; no X-TAXII-Date-Added-Last header
+const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
+const minuteAgo = new Date(Date.now() - 60 * 1000).toISOString();
+const lateObjects = [
+  { type: 'report', spec_version: '2.1', id: 'report--late', created: threeDaysAgo, modified: threeDaysAgo, published: threeDaysAgo, date_added: minuteAgo, name: 'Backdated partner report' }
+];
+
+// Minimal TAXII 2.1 stand-in: two pages using added_after pagination
+function startServer(requests) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ url, headers: req.headers });
+    if (url.pathname === '/api1/collections/late/objects/') {
+      res.writeHead(200, { 'Content-Type': 'application/taxii+json;version=2.1' });
+      return res.end(JSON.stringify({ more: false, objects: lateObjects }));
+    }
+    if (url.pathname !== '/api1/collections/isac/objects/') {
+      res.writeHead(404);
+      return res.end();
+    }
+    const addedAfter = url.searchParams.get('added_after');
+    const firstPage = addedAfter === '2025-01-01T00:00:00.000Z';
+    const body = firstPage
+      ? { more: true, objects: objects.slice(0, 2) }
+      : { more: false, objects: objects.slice(2) };
+    res.writeHead(200, {
+      'Content-Type': 'application/taxii+json;version=2.1',
+      'X-TAXII-Date-Added-Last': firstPage ? '2025-01-02T00:00:00.000Z' : '2025-01-03T00:00:00.000Z'
+    });
+    res.end(JSON.stringify(body));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('TaxiiParser', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = await startServer(requests);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    requests.length = 0;
+    delete process.env.TAXII_API_TOKEN;
+    delete process.env.TAXII_USERNAME;
+    delete process.env.TAXII_PASSWORD;
+  });
+
+  it('polls with added_after from the stored cursor and returns the next cursor', async () => {
+    process.env.TAXII_API_TOKEN = 'token-123';
+    const feed = { name: 'ISAC-TAXII' };
+    const state = { cursors: { 'ISAC-TAXII': '2025-01-01T00:00:00.000Z' } };
+
+    const result = await new TaxiiParser().parseURL(`${baseUrl}/api1/collections/isac/`, { feed, state });
+
+    expect(requests).toHaveLength(2);
+    expect(requests[0].url.searchParams.get('added_after')).toBe('2025-01-01T00:00:00.000Z');
+    expect(requests[1].url.searchParams.get('added_after')).toBe('2025-01-02T00:00:00.000Z');
+    expect(requests[0].headers.authorization).toBe('Bearer token-123');
+    expect(requests[0].headers.accept).toContain('application/taxii+json');
+    expect(result.cursor).toBe('2025-01-03T00:00:00.000Z');
+    expect(result.items.map(i => i.stix.type)).toEqual(['indicator', 'report', 'vulnerability', 'malware']);
+  });
+
+  it('uses basic auth from env when no token is set', async () => {
+    process.env.TAXII_USERNAME = 'isac';
+    process.env.TAXII_PASSWORD = 's3cret';
+
+    await new TaxiiParser().parseURL(`${baseUrl}/api1/collections/isac/objects/`, {});
+
+    const expected = `Basic ${Buffer.from('isac:s3cret').toString('base64')}`;
+    expect(requests[0].headers.authorization).toBe(expected);
+
+    const original = console.log;
+    let captured = '';
+    console.log = (...args) => { captured += args.join(' '); };
+    try {
+      logger.info(`TAXII request failed: s3cret / ${expected}`);
+    } finally {
+      console.log = original;
+    }
+    expect(captured).not.toContain('s3cret');
+    expect(captured).not.toContain(expected.slice(6));
+  });
+
+  it('treats an object added since the last run as new, however old its created date', async () => {
+    const feed = { name: 'ISAC-LATE' };
+    const state = { seen: {}, lastRun: new Date(Date.now() - 5 * 60 * 1000).toISOString(), cursors: {} };
+
+    const result = await new TaxiiParser().parseURL(`${baseUrl}/api1/collections/late/`, { feed, state });
+
+    expect(result.cursor).toBe(minuteAgo);
+    expect(result.items[0]).toMatchObject({ publishedDate: threeDaysAgo, receivedDate: minuteAgo });
+    expect(new ThreatIntelBot().selectNewEntries(result.items, state)).toHaveLength(1);
+  });
+
+  it('populates classification.indicators from STIX patterns and references', async () => {
+    const { items } = await new TaxiiParser().parseString(JSON.stringify({ objects }));
+    const report = items.find(i => i.stix.type === 'report');
+
+    expect(report.guid).toBe('stix:report--3c4d');
+    expect(report.indicators.ips).toEqual(['203.0.113.10']);
+    expect(report.indicators.domains).toEqual(['evil-c2.example.net']);
+    expect(report.indicators.cves).toEqual(['CVE-2025-0282']);
+
+    const filtered = await new ThreatFilter().filterEntry(report, {});
+    expect(filtered.classification.indicators.ips).toContain('203.0.113.10');
+    expect(filtered.classification.indicators.domains).toContain('evil-c2.example.net');
+  });
+
+  it('lists a CVE named in the description and in the STIX objects once', async () => {
+    const withCve = objects.map(o => o.id === 'report--3c4d'
+      ? { ...o, description: 'Partner reporting on active exploitation of CVE-2025-0282.' }
+      : o);
+    const { items } = await new TaxiiParser().parseString(JSON.stringify({ objects: withCve }));
+    const report = items.find(i => i.stix.type === 'report');
+
+    const filtered = await new ThreatFilter().filterEntry(report, {});
+    expect(filtered.classification.indicators.cves).toEqual(['CVE-2025-0282']);
+  });
+});
@@ -137,6 +137,21 @@ describe('ThreatFilter', () => {
       const severityAfter = threatFilter.boostSeverity('critical');
       expect(severityAfter).toBe('critical');
     });
+
+    it('should prefer a CVSS base score over keywords', async () => {
+      const entry = {
+        title: 'CVE-2025-1234: minor issue in parser',
+        description: 'Low impact bug',
+        cvss: { version: '3.1', baseScore: 9.8, vectorString: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H' }
+      };
+
+      const result = await threatFilter.classifyEntry(entry, { priorityKeywords: ['parser'] });
+      expect(result.severity).toBe('critical');
+      expect(result.severitySource).toBe('cvss');
+      expect(result.cvssScore).toBe(9.8);
+      expect(threatFilter.severityFromScore(5.3)).toBe('medium');
+      expect(threatFilter.severityFromScore(undefined)).toBeNull();
+    });
   });
 
   describe('extractIndicators', () => {
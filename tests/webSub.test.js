@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createHmac } from 'crypto';
+import { mkdtempSync, rmSync } from 'fs';
+import { parseLinkHeader, verifySignature, needsSubscription, RENEW_MARGIN_MS } from '../utils/webSub.js';
+import { FeedProcessor } from '../services/feedProcessor.js';
+import { StateManager } from '../utils/stateManager.js';
+import ThreatIntelBot from '../fetch-and-post-enhanced.js';
+
+const item = (id, date = new Date()) => `<item><title>Critical vulnerability exploited in Gateway (CVE-2025-${4000 + id})</title>` +
+  `<link>https://vendor.example/a/${id}</link><guid>push-${id}</guid><pubDate>${date.toUTCString()}</pubDate>` +
+  '<description>Remote code execution under active exploitation.</description></item>';
+const rss = (items, links = '') => `<?xml version="1.0"?><rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel><title>Vendor</title>${links}${items.join('')}</channel></rss>`;
+const sign = (secret, body) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+const close = server => new Promise(resolve => server.close(resolve));
+
+async function freePort() {
+  const server = http.createServer();
+  await listen(server);
+  const { port } = server.address();
+  await close(server);
+  return port;
+}
+
+// Minimal hub: accepts subscribe requests and verifies intent against the callback
+const subscriptions = [];
+let verified;
+const hub = http.createServer(async (req, res) => {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  const params = Object.fromEntries(new URLSearchParams(body));
+  subscriptions.push(params);
+  res.writeHead(202);
+  res.end();
+  const query = new URLSearchParams({
+    'hub.mode': 'subscribe', 'hub.topic': params['hub.topic'], 'hub.challenge': 'c-123', 'hub.lease_seconds': '3600'
+  });
+  const response = await fetch(`${params['hub.callback']}?${query}`);
+  verified({ status: response.status, text: await response.text() });
+});
+
+const publisher = http.createServer((req, res) => {
+  const feeds = {
+    '/feed': rss([item(1)], `<atom:link rel="hub" href="${hubBase}/hub"/><atom:link rel="self" href="https://vendor.example/feed"/>`),
+    '/linked': rss([item(2)])
+  };
+  const headers = { 'Content-Type': 'application/rss+xml' };
+  if (req.url === '/linked') headers.Link = `<${hubBase}/hub>; rel="hub", </linked>; rel=self`;
+  res.writeHead(feeds[req.url] ? 200 : 404, headers);
+  res.end(feeds[req.url] || '');
+});
+
+let hubBase;
+let base;
+let dir;
+
+beforeAll(async () => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'websub-'));
+  hubBase = await listen(hub);
+  base = await listen(publisher);
+});
+
+afterAll(async () => {
+  await close(hub);
+  await close(publisher);
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe('WebSub helpers', () => {
+  it('parses Link headers', () => {
+    expect(parseLinkHeader('<https://hub.example/>; rel="hub", </feed.xml>; rel="self alternate"', 'https://vendor.example/x')).toEqual([
+      { url: 'https://hub.example/', rel: ['hub'] },
+      { url: 'https://vendor.example/feed.xml', rel: ['self', 'alternate'] }
+    ]);
+    expect(parseLinkHeader(null, 'https://vendor.example/')).toEqual([]);
+  });
+
+  it('checks X-Hub-Signature HMACs', () => {
+    const body = Buffer.from('<rss/>');
+    expect(verifySignature(sign('s3cret', body), body, 's3cret')).toBe(true);
+    expect(verifySignature(`sha1=${createHmac('sha1', 's3cret').update(body).digest('hex')}`, body, 's3cret')).toBe(true);
+    expect(verifySignature(sign('other', body), body, 's3cret')).toBe(false);
+    expect(verifySignature('md5=abcd', body, 's3cret')).toBe(false);
+    expect(verifySignature(undefined, body, 's3cret')).toBe(false);
+  });
+
+  it('renews leases before they expire and leaves denied subscriptions alone', () => {
+    const now = Date.parse('2025-07-01T12:00:00Z');
+    const expiresIn = ms => ({ status: 'active', expiresAt: new Date(now + ms).toISOString() });
+    expect(needsSubscription(undefined, now)).toBe(true);
+    expect(needsSubscription(expiresIn(2 * RENEW_MARGIN_MS), now)).toBe(false);
+    expect(needsSubscription(expiresIn(RENEW_MARGIN_MS / 2), now)).toBe(true);
+    expect(needsSubscription({ status: 'pending', requestedAt: new Date(now - 60 * 1000).toISOString() }, now)).toBe(false);
+    expect(needsSubscription({ status: 'denied' }, now)).toBe(false);
+  });
+
+  it('discovers hubs in the feed and in the Link header', async () => {
+    const processor = new FeedProcessor();
+    expect(await processor.processFeed({ name: 'V', url: `${base}/feed` }, { state: {} })).toMatchObject({
+      hubUrl: `${hubBase}/hub`, selfUrl: 'https://vendor.example/feed'
+    });
+    expect(await processor.processFeed({ name: 'V', url: `${base}/linked` }, { state: {} })).toMatchObject({
+      hubUrl: `${hubBase}/hub`, selfUrl: `${base}/linked`
+    });
+  });
+});
+
+describe('--websub', () => {
+  let bot;
+  let callback;
+  let secret;
+  const lastRun = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+  beforeAll(async () => {
+    process.env.WEBSUB_SECRET = 'test-websub-secret';
+    const port = await freePort();
+    bot = new ThreatIntelBot();
+    bot.isDryRun = false;
+    bot.config = { ...bot.config, postDelay: 0, webSub: { callbackUrl: `http://127.0.0.1:${port}/`, port, leaseSeconds: 7200 } };
+    bot.stateManager = new StateManager({ stateFile: path.join(dir, 'state.json'), backupDir: path.join(dir, 'backups') });
+    await bot.stateManager.saveState({ seen: {}, lastRun });
+    bot.loadFeeds = async () => [
+      { name: 'Vendor Push', url: `${base}/feed`, category: 'vendor' },
+      { name: 'Polled', url: `${base}/feed`, websub: false }
+    ];
+    bot.outputManager.sendEntry = jest.fn();
+
+    const verification = new Promise(resolve => { verified = resolve; });
+    await bot.runWebSub();
+    expect(await verification).toEqual({ status: 200, text: 'c-123' });
+    await bot.webSub.idle();
+    callback = subscriptions[0]['hub.callback'];
+    secret = subscriptions[0]['hub.secret'];
+  });
+
+  afterAll(async () => {
+    await bot.webSub.close();
+    delete process.env.WEBSUB_SECRET;
+  });
+
+  it('subscribes with a callback per feed and stores the verified lease', async () => {
+    expect(subscriptions).toHaveLength(1);
+    expect(subscriptions[0]).toMatchObject({
+      'hub.mode': 'subscribe',
+      'hub.topic': 'https://vendor.example/feed',
+      'hub.callback': expect.stringMatching(/\/websub\/Vendor%20Push$/),
+      'hub.lease_seconds': '7200'
+    });
+    const state = await bot.stateManager.loadState();
+    expect(state.websub['Vendor Push']).toMatchObject({ status: 'active', leaseSeconds: 3600, hub: `${hubBase}/hub` });
+    expect(JSON.stringify(state)).not.toContain(secret);
+  });
+
+  it('answers challenges only for its own topics', async () => {
+    const other = await fetch(`${callback}?hub.mode=subscribe&hub.topic=https://evil.example/&hub.challenge=x`);
+    expect(other.status).toBe(404);
+    const unsubscribe = await fetch(`${callback}?hub.mode=unsubscribe&hub.topic=https://vendor.example/feed&hub.challenge=x`);
+    expect(unsubscribe.status).toBe(404);
+  });
+
+  it('ignores pushes with a bad signature', async () => {
+    const body = rss([item(7)]);
+    const response = await fetch(callback, { method: 'POST', body, headers: { 'X-Hub-Signature': sign('guess', body) } });
+    expect(response.status).toBe(202);
+    await bot.webSub.idle();
+    expect(bot.outputManager.sendEntry).not.toHaveBeenCalled();
+  });
+
+  it('posts new entries from signed pushes without moving lastRun', async () => {
+    const body = rss([item(8), item(1, new Date(Date.now() - 2 * 60 * 60 * 1000))]);
+    const response = await fetch(callback, {
+      method: 'POST', body, headers: { 'Content-Type': 'application/rss+xml', 'X-Hub-Signature': sign(secret, body) }
+    });
+    expect(response.status).toBe(202);
+    await bot.webSub.idle();
+
+    expect(bot.outputManager.sendEntry).toHaveBeenCalledTimes(1);
+    expect(bot.outputManager.sendEntry.mock.calls[0][0]).toMatchObject({ guid: 'push-8', source: 'Vendor Push' });
+    const state = await bot.stateManager.loadState();
+    expect(Object.keys(state.seen)).toEqual(['push-8']);
+    expect(state.lastRun).toBe(lastRun);
+    expect(state.websub['Vendor Push'].lastPushAt).toBeTruthy();
+  });
+});
@@ -0,0 +1,211 @@
+import * as cheerio from 'cheerio';
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { httpFetch } from './httpClient.js';
+import { decodeBody, charsetFromContentType } from './charset.js';
+import { ACCEPT_ENCODING, assertOk, readLimitedBody } from './feedGuard.js';
+import { logger } from './logger.js';
+
+// Elements that never carry article text
+const BOILERPLATE = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button',
+  'nav', 'header', 'footer', 'aside', '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+  '[aria-hidden="true"]', '.breadcrumb', '.breadcrumbs', '.cookie', '.cookies', '.cookie-banner',
+  '.share', '.social', '.related', '.sidebar', '.menu', '.skip-link', '#cookie-banner'
+].join(',');
+const MAIN_CANDIDATES = ['article', 'main', '[role="main"]', '#main-content', '#content', '.content', '.article', '.post'];
+const TEXT_BLOCKS = 'h1,h2,h3,h4,p,li,pre,td,blockquote,dd';
+
+/**
+ * Full-article enrichment: downloads an entry's linked page and extracts the
+ * main readable text so classification and IoC extraction see the article body.
+ * Responses are capped by size (on the wire and after decompression) and time
+ * and cached on disk by URL; cache files
+ * older than ARTICLE_CACHE_TTL_HOURS are deleted before the first write of a run.
+ */
+export class ArticleFetcher {
+  constructor(config = {}) {
+    this.config = {
+      cacheDir: process.env.ARTICLE_CACHE_DIR || './data/article-cache',
+      maxBytes: Number(process.env.ARTICLE_MAX_BYTES || 1024 * 1024),
+      maxDecompressedBytes: Number(process.env.ARTICLE_MAX_DECOMPRESSED_BYTES || 4 * 1024 * 1024),
+      timeoutMs: Number(process.env.ARTICLE_TIMEOUT_MS || 8000),
+      maxChars: Number(process.env.ARTICLE_MAX_CHARS || 20000),
+      cacheTtlHours: Number(process.env.ARTICLE_CACHE_TTL_HOURS || 168),
+      // Record/replay runs bypass the cache so every article goes through httpFetch
+      cacheRead: true,
+      cacheWrite: true,
+      ...config
+    };
+  }
+
+  /**
+   * Readable text for an article URL (cache first)
+   * @param {string} url - Article URL
+   * @param {Object} options - Per-feed overrides { maxBytes, timeoutMs, headers }
+   * @returns {Promise<Object|null>} - { text, fromCache, bytes } or null when unavailable
+   */
+  async getArticle(url, options = {}) {
+    if (!/^https?:\/\//i.test(url || '')) return null;
+
+    const cached = this.config.cacheRead ? await this.readCache(url) : null;
+    if (cached) return { text: cached.text, fromCache: true, bytes: cached.bytes || 0 };
+
+    try {
+      const { html, bytes } = await this.download(url, options);
+      const text = extractReadableText(html).slice(0, this.config.maxChars);
+      if (this.config.cacheWrite) await this.writeCache(url, { url, fetchedAt: new Date().toISOString(), bytes, text });
+      return { text, fromCache: false, bytes };
+    } catch (error) {
+      logger.warn(`⚠️  Article fetch skipped for ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Download a page within the size and time limits
+   * @param {string} url - Article URL
+   * @param {Object} options - { maxBytes, timeoutMs, headers }
+   * @returns {Promise<Object>} - { html, bytes }
+   */
+  async download(url, options = {}) {
+    const limits = {
+      maxBytes: options.maxBytes || this.config.maxBytes,
+      maxDecompressedBytes: this.config.maxDecompressedBytes
+    };
+    const timeoutMs = options.timeoutMs || this.config.timeoutMs;
+
+    // Add timeout support using AbortController
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await httpFetch(url, {
+        signal: controller.signal,
+        compress: false,
+        headers: {
+          Accept: 'text/html,application/xhtml+xml;q=0.9,text/plain;q=0.5',
+          'Accept-Encoding': ACCEPT_ENCODING,
+          ...(options.headers || {})
+        }
+      });
+      assertOk(response);
+
+      const type = response.headers?.get?.('content-type') || '';
+      if (type && !/text\/html|application\/xhtml|text\/plain/i.test(type)) {
+        throw new Error(`unsupported content-type ${type.split(';')[0]}`);
+      }
+
+      const buffer = await readLimitedBody(response, limits, controller);
+      return { html: decodeBody(buffer, withMetaCharset(type, buffer)).text, bytes: buffer.length };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  cachePath(url) {
+    const key = createHash('sha256').update(url).digest('hex');
+    return path.join(this.config.cacheDir, `${key}.json`);
+  }
+
+  async readCache(url) {
+    try {
+      const cached = JSON.parse(await fs.readFile(this.cachePath(url), 'utf-8'));
+      const ageMs = Date.now() - Date.parse(cached.fetchedAt);
+      if (cached.url !== url || !(ageMs < this.config.cacheTtlHours * 60 * 60 * 1000)) return null;
+      return cached;
+    } catch {
+      return null;
+    }
+  }
+
+  async writeCache(url, record) {
+    try {
+      this.pruning = this.pruning || this.pruneCache();
+      await this.pruning;
+      await fs.mkdir(this.config.cacheDir, { recursive: true });
+      await fs.writeFile(this.cachePath(url), JSON.stringify(record), 'utf-8');
+    } catch (error) {
+      logger.warn(`⚠️  Could not cache article ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete cache files past the TTL (by modification time)
+   * @returns {Promise<number>} - Files removed
+   */
+  async pruneCache() {
+    let files;
+    try {
+      files = (await fs.readdir(this.config.cacheDir)).filter(file => file.endsWith('.json'));
+    } catch {
+      return 0;
+    }
+    const cutoff = Date.now() - this.config.cacheTtlHours * 60 * 60 * 1000;
+    let removed = 0;
+    for (const file of files) {
+      const filePath = path.join(this.config.cacheDir, file);
+      try {
+        if ((await fs.stat(filePath)).mtimeMs < cutoff) {
+          await fs.unlink(filePath);
+          removed++;
+        }
+      } catch {
+        // Removed by a concurrent run
+      }
+    }
+    return removed;
+  }
+}
+
+// HTML declares its charset in a <meta> tag when the server does not send one
+function withMetaCharset(contentType, buffer) {
+  if (charsetFromContentType(contentType)) return contentType;
+  const head = buffer.subarray(0, 1024).toString('latin1');
+  const match = /<meta[^>]+charset\s*=\s*["']?([A-Za-z0-9._:-]+)/i.exec(head);
+  return match ? `text/html; charset=${match[1]}` : contentType;
+}
+
+/**
+ * Extract the main readable text from an HTML page with boilerplate removed
+ * @param {string} html - Page HTML (plain text is returned as-is)
+ * @returns {string} - Article text, one block per line
+ */
+export function extractReadableText(html) {
+  if (!/<[a-z!][\s\S]*>/i.test(html || '')) return collapse(html || '');
+
+  const $ = cheerio.load(html);
+  $(BOILERPLATE).remove();
+
+  let root = null;
+  for (const selector of MAIN_CANDIDATES) {
+    const candidate = $(selector).first();
+    if (candidate.length && collapse(candidate.text()).length >= 200) {
+      root = candidate;
+      break;
+    }
+  }
+
+  // No semantic container: pick the element holding the most paragraph text
+  if (!root) {
+    let best = { score: 0, el: null };
+    $('p').each((_, p) => {
+      const parent = $(p).parent();
+      const score = parent.children('p').toArray().reduce((sum, el) => sum + collapse($(el).text()).length, 0);
+      if (score > best.score) best = { score, el: parent };
+    });
+    root = best.el || $('body');
+  }
+
+  const blocks = root.find(TEXT_BLOCKS).toArray()
+    .filter(el => $(el).parents(TEXT_BLOCKS).length === 0)
+    .map(el => collapse($(el).text()))
+    .filter(Boolean);
+  return (blocks.length ? blocks : [collapse(root.text())]).join('\n');
+}
+
+function collapse(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+export default ArticleFetcher;
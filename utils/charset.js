@@ -0,0 +1,99 @@
+import { logger } from './logger.js';
+
+/**
+ * Character encoding detection for feed bodies. Nordic feeds regularly declare
+ * ISO-8859-1 or Windows-1252; decoding those as UTF-8 mangles æ/ø/å and breaks
+ * keyword matching. Precedence follows the XML media type rules: byte order
+ * mark, then the Content-Type charset, then the XML declaration, then UTF-8.
+ */
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+/**
+ * Canonical (WHATWG) encoding name for a charset label
+ * @param {string} label - e.g. 'ISO-8859-1', 'latin1', 'UTF8'
+ * @returns {string|null} - e.g. 'windows-1252', or null when unsupported
+ */
+export function normalizeCharset(label) {
+  if (!label) return null;
+  try {
+    return new TextDecoder(String(label).trim().replace(/^["']|["']$/g, '')).encoding;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Charset parameter of a Content-Type header
+ * @param {string|null} contentType - Content-Type header
+ * @returns {string|null} - Raw label
+ */
+export function charsetFromContentType(contentType) {
+  const match = /;\s*charset\s*=\s*("?)([^";\s]+)\1/i.exec(contentType || '');
+  return match ? match[2] : null;
+}
+
+/**
+ * Encoding declared in the XML prolog (<?xml ... encoding="..."?>)
+ * @param {Buffer} buffer - Raw body
+ * @returns {string|null} - Raw label
+ */
+export function charsetFromXmlDeclaration(buffer) {
+  const head = buffer.subarray(0, 512).toString('latin1');
+  const match = /^\s*<\?xml[^>]*?\sencoding\s*=\s*["']([A-Za-z0-9._:-]+)["']/.exec(head);
+  return match ? match[1] : null;
+}
+
+/**
+ * Work out how a body is encoded
+ * @param {Buffer} buffer - Raw (decompressed) body
+ * @param {string|null} contentType - Content-Type header
+ * @returns {Object} - { encoding, source, bomLength } where source is 'bom', 'header', 'xml-declaration' or 'default'
+ */
+export function detectCharset(buffer, contentType = null) {
+  for (const bom of BOMS) {
+    if (bom.bytes.every((byte, i) => buffer[i] === byte)) {
+      return { encoding: bom.encoding, source: 'bom', bomLength: bom.bytes.length };
+    }
+  }
+
+  const candidates = [
+    ['header', charsetFromContentType(contentType)],
+    ['xml-declaration', charsetFromXmlDeclaration(buffer)]
+  ];
+  for (const [source, label] of candidates) {
+    if (!label) continue;
+    const encoding = normalizeCharset(label);
+    if (encoding) return { encoding, source, bomLength: 0 };
+    logger.warn(`⚠️  Unsupported charset "${label}" (${source}), falling back`);
+  }
+  return { encoding: 'utf-8', source: 'default', bomLength: 0 };
+}
+
+/**
+ * Decode a body to a JS (UTF-16) string using the detected charset
+ * @param {Buffer} buffer - Raw (decompressed) body
+ * @param {string|null} contentType - Content-Type header
+ * @returns {Object} - { text, encoding, source } ('fallback' when a UTF-8 body failed to decode)
+ */
+export function decodeBody(buffer, contentType = null) {
+  const { encoding, source, bomLength } = detectCharset(buffer, contentType);
+  const body = buffer.subarray(bomLength);
+  if (encoding === 'utf-8' && source !== 'bom') {
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true }).decode(body), encoding, source };
+    } catch {
+      // Labelled (or defaulted to) UTF-8 but it is not: trust the prolog, else assume Windows-1252
+      const declared = normalizeCharset(charsetFromXmlDeclaration(buffer));
+      const fallback = declared && declared !== 'utf-8' ? declared : 'windows-1252';
+      return { text: new TextDecoder(fallback).decode(body), encoding: fallback, source: 'fallback' };
+    }
+  }
+  return { text: new TextDecoder(encoding).decode(body), encoding, source };
+}
+
+export default { detectCharset, decodeBody, normalizeCharset, charsetFromContentType, charsetFromXmlDeclaration };
@@ -0,0 +1,146 @@
+/**
+ * Per-feed circuit breaker (closed → open → half-open → closed).
+ * Breaker records live in state.circuits so they survive between runs:
+ *   { state, failures, openedAt, lastFailure, lastError }
+ * Thresholds come from the feed's `circuitBreaker` block, falling back to the defaults.
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+export class CircuitBreaker {
+  constructor(config = {}) {
+    this.defaults = {
+      failureThreshold: Number(process.env.CIRCUIT_FAILURE_THRESHOLD || 3),
+      cooldownMinutes: Number(process.env.CIRCUIT_COOLDOWN_MINUTES || 360),
+      ...config
+    };
+  }
+
+  /**
+   * Effective thresholds for a feed
+   * @param {Object} feed - Feed configuration object
+   * @returns {Object} - { failureThreshold, cooldownMinutes }
+   */
+  getSettings(feed) {
+    return { ...this.defaults, ...(feed?.circuitBreaker || {}) };
+  }
+
+  /**
+   * Current breaker record for a feed (closed when unknown)
+   * @param {Object} state - Bot state
+   * @param {string} feedName - Feed name
+   * @returns {Object} - Breaker record
+   */
+  getCircuit(state, feedName) {
+    return state?.circuits?.[feedName] || { state: CIRCUIT_STATES.CLOSED, failures: 0 };
+  }
+
+  /**
+   * Decide whether a feed may be fetched; moves open → half-open once the cool-down has passed
+   * @param {Object} feed - Feed configuration object
+   * @param {Object} state - Bot state (state.circuits is updated)
+   * @param {number} now - Current time in ms
+   * @returns {Object} - { allowed, state, retryAt }
+   */
+  allowRequest(feed, state, now = Date.now()) {
+    const circuit = this.getCircuit(state, feed.name);
+    if (circuit.state !== CIRCUIT_STATES.OPEN) {
+      return { allowed: true, state: circuit.state };
+    }
+
+    const { cooldownMinutes } = this.getSettings(feed);
+    const retryAt = Date.parse(circuit.openedAt || 0) + cooldownMinutes * 60 * 1000;
+    if (now < retryAt) {
+      return { allowed: false, state: CIRCUIT_STATES.OPEN, retryAt: new Date(retryAt).toISOString() };
+    }
+
+    // Cool-down elapsed: let one trial request through
+    this.setCircuit(state, feed.name, { ...circuit, state: CIRCUIT_STATES.HALF_OPEN });
+    return { allowed: true, state: CIRCUIT_STATES.HALF_OPEN };
+  }
+
+  /**
+   * Record a successful fetch: the breaker closes
+   * @param {Object} feed - Feed configuration object
+   * @param {Object} state - Bot state
+   * @returns {string} - New breaker state
+   */
+  recordSuccess(feed, state) {
+    const circuit = this.getCircuit(state, feed.name);
+    if (circuit.state === CIRCUIT_STATES.CLOSED && !circuit.failures) {
+      return CIRCUIT_STATES.CLOSED;
+    }
+    if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+      console.log(`🔌 Circuit closed for "${feed.name}" after successful fetch`);
+    }
+    this.removeCircuit(state, feed.name);
+    return CIRCUIT_STATES.CLOSED;
+  }
+
+  /**
+   * Record a failed fetch: opens the breaker at the threshold, or re-opens a half-open one
+   * @param {Object} feed - Feed configuration object
+   * @param {Object} state - Bot state
+   * @param {Error} error - Fetch error
+   * @param {number} now - Current time in ms
+   * @returns {string} - New breaker state
+   */
+  recordFailure(feed, state, error, now = Date.now()) {
+    const circuit = this.getCircuit(state, feed.name);
+    const { failureThreshold } = this.getSettings(feed);
+    const failures = (circuit.failures || 0) + 1;
+    const timestamp = new Date(now).toISOString();
+    const shouldOpen = circuit.state === CIRCUIT_STATES.HALF_OPEN || failures >= failureThreshold;
+
+    const next = {
+      state: shouldOpen ? CIRCUIT_STATES.OPEN : CIRCUIT_STATES.CLOSED,
+      failures,
+      openedAt: shouldOpen ? timestamp : circuit.openedAt || null,
+      lastFailure: timestamp,
+      lastError: error?.message || String(error)
+    };
+    if (shouldOpen) {
+      console.warn(`⛔ Circuit opened for "${feed.name}" after ${failures} consecutive failure(s)`);
+    }
+    this.setCircuit(state, feed.name, next);
+    return next.state;
+  }
+
+  /**
+   * Force breakers closed (CLI --reset-circuit)
+   * @param {Object} state - Bot state
+   * @param {string} feedName - Feed name, or 'all'
+   * @returns {Array<string>} - Names of feeds that were reset
+   */
+  reset(state, feedName) {
+    const names = Object.keys(state?.circuits || {});
+    const targets = feedName === 'all' ? names : names.filter(name => name === feedName);
+    for (const name of targets) this.removeCircuit(state, name);
+    return targets;
+  }
+
+  /**
+   * Breakers that are not closed, for health checks and --validate
+   * @param {Object} state - Bot state
+   * @returns {Array<Object>} - [{ feed, state, failures, openedAt, lastError }]
+   */
+  getOpenCircuits(state) {
+    return Object.entries(state?.circuits || {})
+      .filter(([, circuit]) => circuit.state !== CIRCUIT_STATES.CLOSED)
+      .map(([feed, circuit]) => ({ feed, ...circuit }));
+  }
+
+  setCircuit(state, feedName, circuit) {
+    state.circuits = state.circuits || {};
+    state.circuits[feedName] = circuit;
+  }
+
+  removeCircuit(state, feedName) {
+    if (state.circuits) delete state.circuits[feedName];
+  }
+}
+
+export default CircuitBreaker;
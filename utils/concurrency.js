@@ -0,0 +1,66 @@
+/**
+ * Run an async worker over items with a global and per-key concurrency limit.
+ * Results come back in input order regardless of completion order.
+ * @param {Array} items - Items to process
+ * @param {Object} options - { limit, perKeyLimit, keyFn }
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results aligned with items
+ */
+export async function mapWithLimits(items, options, worker) {
+  const limit = Math.max(1, Number(options.limit) || 1);
+  const perKeyLimit = Math.max(1, Number(options.perKeyLimit) || limit);
+  const keyFn = options.keyFn || (() => '');
+
+  const results = new Array(items.length);
+  const keys = items.map(item => keyFn(item));
+  const pending = items.map((_, index) => index);
+  const activeByKey = new Map();
+  let active = 0;
+
+  return new Promise((resolve, reject) => {
+    if (items.length === 0) return resolve(results);
+    let remaining = items.length;
+
+    const schedule = () => {
+      // Start the earliest pending items whose key still has capacity
+      for (let i = 0; i < pending.length && active < limit; ) {
+        const index = pending[i];
+        const key = keys[index];
+        if ((activeByKey.get(key) || 0) >= perKeyLimit) {
+          i++;
+          continue;
+        }
+        pending.splice(i, 1);
+        active++;
+        activeByKey.set(key, (activeByKey.get(key) || 0) + 1);
+
+        Promise.resolve()
+          .then(() => worker(items[index], index))
+          .then(result => {
+            results[index] = result;
+            active--;
+            activeByKey.set(key, activeByKey.get(key) - 1);
+            if (--remaining === 0) resolve(results);
+            else schedule();
+          }, reject);
+      }
+    };
+
+    schedule();
+  });
+}
+
+/**
+ * Host of a URL, used as the per-host concurrency key
+ * @param {string} url - Feed URL
+ * @returns {string} - Lowercased host (or the raw string when not a URL)
+ */
+export function hostKey(url) {
+  try {
+    return new URL(url).host.toLowerCase();
+  } catch {
+    return String(url || '');
+  }
+}
+
+export default { mapWithLimits, hostKey };
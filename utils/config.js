@@ -2,18 +2,38 @@ export const config = {
   feedsFile: process.env.FEEDS_FILE || './data/feeds.json',
   stateFile: process.env.STATE_FILE || './data/state.json',
   backupDir: process.env.STATE_BACKUP_DIR || './data/backups',
+  stateStore: process.env.STATE_STORE || 'json',
+  stateDb: process.env.STATE_DB || './data/state.db',
+  seenRetentionDays: Number(process.env.STATE_SEEN_RETENTION_DAYS || 365),
   enableGitHubPages: process.env.ENABLE_GITHUB_PAGES === 'true',
   dryRun: process.env.DRY_RUN === 'true',
   postDelay: Number(process.env.POST_DELAY_MS || 1000),
   perRunPostCap: Number(process.env.PER_RUN_POST_CAP || 30),
   allowBackfill: process.env.ALLOW_BACKFILL === 'true',
   maxBackfillDays: Number(process.env.MAX_BACKFILL_DAYS || 14),
+  backfillMaxPages: Number(process.env.BACKFILL_MAX_PAGES || 20),
+  feedConcurrency: Number(process.env.FEED_CONCURRENCY || 3),
+  feedConcurrencyPerHost: Number(process.env.FEED_CONCURRENCY_PER_HOST || 1),
+  recordingsDir: process.env.RECORDINGS_DIR || './data/recordings',
+  parserPluginsDir: process.env.PARSER_PLUGINS_DIR || '',
+  storyClustering: {
+    enabled: process.env.STORY_CLUSTERING !== 'false',
+    windowHours: Number(process.env.STORY_WINDOW_HOURS || 72),
+    maxCves: Number(process.env.STORY_MAX_CVES || 5)
+  },
+  webSub: {
+    callbackUrl: process.env.WEBSUB_CALLBACK_URL || '',
+    port: Number(process.env.WEBSUB_PORT || 8080),
+    leaseSeconds: Number(process.env.WEBSUB_LEASE_SECONDS || 864000)
+  },
   teams: {
     webhookUrl: process.env.TEAMS_WEBHOOK_URL || '',
     maxRetries: Number(process.env.TEAMS_MAX_RETRIES || 5)
   },
   threatFilter: {},
   healthMonitor: {},
+  circuitBreaker: {},
+  articleFetcher: {},
   outputs: {},
   feedProcessor: {}
 };
@@ -0,0 +1,210 @@
+/**
+ * Publish date parsing for feed items. Handles ISO 8601, RFC 822 variants
+ * (2-digit years, missing seconds, zone abbreviations, localized weekday and
+ * month names) and Nordic formats such as "1. juli 2025 kl. 10.00". Dates
+ * without a zone are read in the feed's `timezone` (IANA, default UTC).
+ * Items that carry no usable date get publishedDate null instead of "now".
+ */
+
+// English, Norwegian, Swedish and Danish month names (prefixes of 3+ letters match)
+const MONTH_NAMES = [
+  ['january', 'januar', 'januari'],
+  ['february', 'februar', 'februari'],
+  ['march', 'mars', 'marts'],
+  ['april'],
+  ['may', 'mai', 'maj'],
+  ['june', 'juni'],
+  ['july', 'juli'],
+  ['august', 'augusti'],
+  ['september'],
+  ['october', 'oktober'],
+  ['november'],
+  ['december', 'desember']
+];
+
+// RFC 822 / common zone abbreviations in minutes east of UTC
+const ZONE_OFFSETS = {
+  UT: 0, UTC: 0, GMT: 0, Z: 0, WET: 0, WEST: 60, BST: 60, CET: 60, CEST: 120, EET: 120, EEST: 180,
+  EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420
+};
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T\s](\d{2}):(\d{2})(?::(\d{2})(?:[.,]\d+)?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i;
+
+// Items dated further ahead than this are treated as suspect
+const FUTURE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Whether a string is a usable IANA time zone
+ * @param {string} timeZone - e.g. 'Europe/Oslo'
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Month number for an English or Nordic month name or abbreviation
+ * @param {string} word - e.g. 'Jul', 'okt.', 'desember'
+ * @returns {number|null} - 1-12
+ */
+export function monthNumber(word) {
+  const w = String(word || '').toLowerCase().replace(/\.$/, '');
+  if (w.length < 3) return null;
+  const index = MONTH_NAMES.findIndex(names => names.some(name => name === w || name.startsWith(w)));
+  return index === -1 ? null : index + 1;
+}
+
+// Offset of a zone from UTC at a given instant, in ms
+function zoneOffsetMs(timestamp, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(timestamp).map(p => [p.type, p.value]));
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Wall-clock time in a zone to a UTC timestamp (DST aware)
+function wallTimeToUtc(wall, timeZone) {
+  if (!timeZone || timeZone === 'UTC') return wall;
+  const first = zoneOffsetMs(wall, timeZone);
+  const second = zoneOffsetMs(wall - first, timeZone);
+  return wall - second;
+}
+
+function parseOffset(token) {
+  const upper = token.toUpperCase();
+  if (upper in ZONE_OFFSETS) return ZONE_OFFSETS[upper];
+  const match = /^([+-])(\d{2}):?(\d{2})?$/.exec(token);
+  if (!match) return null;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3] || 0));
+}
+
+function buildResult(parts, offsetMinutes, timeZone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const check = new Date(wall);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 60) {
+    return null;
+  }
+  const timestamp = offsetMinutes === null ? wallTimeToUtc(wall, timeZone) : wall - offsetMinutes * 60 * 1000;
+  return {
+    iso: new Date(timestamp).toISOString(),
+    zone: offsetMinutes === null ? 'assumed' : 'explicit',
+    precision: parts.hour === undefined ? 'day' : 'time',
+    lenient: false
+  };
+}
+
+// "Tue, 01 Jul 2025 10:00:00 +0200", "1. juli 2025 kl. 10.00", "July 1, 2025 10:00 PM", "01.07.2025 10:00"
+function parseLoose(value, timeZone) {
+  let text = ` ${value.replace(/,/g, ' ')} `;
+  const parts = {};
+
+  const numeric = /\s(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2})(?=\s)/.exec(text);
+  if (numeric) {
+    parts.day = Number(numeric[1]);
+    parts.month = Number(numeric[2]);
+    parts.year = Number(numeric[3]);
+    text = text.replace(numeric[0], ' ');
+  }
+
+  const time = /\s(?:kl\.?\s*)?(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?m\.?)?(?=\s)/i.exec(text);
+  if (time && (time[0].includes(':') || /kl/i.test(time[0]))) {
+    let hour = Number(time[1]);
+    const meridiem = (time[4] || '').toLowerCase().replace(/\./g, '');
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    parts.hour = hour;
+    parts.minute = Number(time[2]);
+    parts.second = Number(time[3] || 0);
+    text = text.replace(time[0], ' ');
+  }
+
+  let offset = null;
+  const zone = /\s(?:(?:GMT|UTC)(?=[+-]))?([+-]\d{2}:?\d{2}|[A-Za-z]{1,4})(?=\s*$)/.exec(text);
+  if (zone && parseOffset(zone[1]) !== null) {
+    offset = parseOffset(zone[1]);
+    text = text.slice(0, zone.index);
+  }
+
+  const numbers = [];
+  for (const token of text.split(/[\s/-]+/).filter(Boolean)) {
+    const word = token.replace(/\.$/, '');
+    if (/^\d+$/.test(word)) numbers.push(word);
+    else if (!parts.month && monthNumber(word)) parts.month = monthNumber(word);
+  }
+  if (!numeric) {
+    const year = numbers.find(n => n.length === 4);
+    const rest = numbers.filter(n => n !== year);
+    parts.day = rest[0] ? Number(rest[0]) : undefined;
+    // RFC 822 two-digit year: "01 Jul 25"
+    parts.year = year ? Number(year) : rest[1] ? Number(rest[1]) : undefined;
+  }
+  if (parts.year !== undefined && parts.year < 100) parts.year += parts.year < 70 ? 2000 : 1900;
+  if (!parts.year || !parts.month || !parts.day) return null;
+  // false (not null): recognized but impossible, e.g. 31 Feb
+  return buildResult(parts, offset, timeZone) || false;
+}
+
+/**
+ * Parse a feed date string
+ * @param {string} value - Date text
+ * @param {Object} options - { timeZone } IANA zone for dates without an offset (default UTC)
+ * @returns {Object|null} - { iso, zone: 'explicit'|'assumed', precision: 'time'|'day', lenient } or null
+ */
+export function parseFeedDate(value, options = {}) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  const timeZone = isValidTimeZone(options.timeZone) ? options.timeZone : 'UTC';
+
+  const iso = ISO_PATTERN.exec(text);
+  if (iso) {
+    const parts = { year: Number(iso[1]), month: Number(iso[2]), day: Number(iso[3]) };
+    if (iso[4] !== undefined) Object.assign(parts, { hour: Number(iso[4]), minute: Number(iso[5]), second: Number(iso[6] || 0) });
+    return buildResult(parts, iso[7] ? parseOffset(iso[7]) : null, timeZone);
+  }
+
+  const loose = parseLoose(text, timeZone);
+  if (loose !== null) return loose || null;
+
+  // Last resort: whatever the JS engine understands (only trusted with an explicit zone)
+  const parsed = Date.parse(text);
+  if (Number.isNaN(parsed) || !/(?:\dZ|\s[+-]\d{2}:?\d{2}|GMT|UTC)\s*$/i.test(text)) return null;
+  return { iso: new Date(parsed).toISOString(), zone: 'explicit', precision: 'time', lenient: true };
+}
+
+/**
+ * Pick the publish date from an item's date fields, in order of preference
+ * @param {Array<Object>} candidates - [{ field, value, fallback }] where fallback marks
+ *   modification dates (updated, date_modified) used only when nothing else parses
+ * @param {Object} options - { timeZone, now }
+ * @returns {Object} - { publishedDate, dateSource, dateConfidence } where confidence is
+ *   'high' (explicit zone and time), 'medium' (assumed zone, date only or a fallback field),
+ *   'low' (engine-parsed or in the future) or 'none' (undated: publishedDate is null)
+ */
+export function resolvePublishedDate(candidates, options = {}) {
+  const now = options.now ?? Date.now();
+  for (const candidate of candidates) {
+    const parsed = parseFeedDate(candidate.value, options);
+    if (!parsed) continue;
+
+    let dateConfidence = parsed.zone === 'explicit' && parsed.precision === 'time' ? 'high' : 'medium';
+    if (candidate.fallback && dateConfidence === 'high') dateConfidence = 'medium';
+    if (parsed.lenient || Date.parse(parsed.iso) - now > FUTURE_TOLERANCE_MS) dateConfidence = 'low';
+    return { publishedDate: parsed.iso, dateSource: candidate.field, dateConfidence };
+  }
+  return { publishedDate: null, dateSource: 'none', dateConfidence: 'none' };
+}
+
+export default { parseFeedDate, resolvePublishedDate, monthNumber, isValidTimeZone };
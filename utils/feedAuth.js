@@ -0,0 +1,165 @@
+import { registerSecret, registerSecretEnv } from './logger.js';
+import { FeedFetchError, FEED_ERROR_CODES } from './feedGuard.js';
+
+/**
+ * Per-feed authentication and custom request headers.
+ * Secrets are never stored in feeds.json; the feed names the env var instead:
+ *   "auth": { "type": "bearer", "tokenEnv": "ISAC_API_TOKEN" }
+ *   "auth": { "type": "basic", "usernameEnv": "VENDOR_USER", "passwordEnv": "VENDOR_PASS" }
+ *   "auth": { "type": "header", "header": "X-API-Key", "valueEnv": "VENDOR_API_KEY" }
+ *   "headers": { "User-Agent": "ti-bot/1.0", "X-Portal-Key": { "env": "PORTAL_KEY" } }
+ */
+const AUTH_FIELDS = {
+  bearer: ['tokenEnv'],
+  basic: ['usernameEnv', 'passwordEnv'],
+  header: ['header', 'valueEnv']
+};
+const ENV_NAME = /^[A-Z_][A-Z0-9_]*$/;
+const SENSITIVE_HEADER = /authorization|api[-_]?key|token|secret|password|cookie|^x-auth/i;
+const CREDENTIAL_VALUE = /^(bearer|basic|token|apikey)\s+\S{8,}/i;
+const SECRET_QUERY_PARAM = /^(api[-_]?key|apikey|access[-_]?token|token|auth|key|secret|password)$/i;
+
+/**
+ * Env var names a feed refers to for secrets
+ * @param {Object} feed - Feed configuration object
+ * @returns {Array<string>} - Env var names
+ */
+export function getSecretEnvNames(feed) {
+  const names = [];
+  const auth = feed?.auth;
+  if (auth && typeof auth === 'object') {
+    for (const key of ['tokenEnv', 'usernameEnv', 'passwordEnv', 'valueEnv']) {
+      if (typeof auth[key] === 'string') names.push(auth[key]);
+    }
+  }
+  for (const value of Object.values(feed?.headers || {})) {
+    if (value && typeof value === 'object' && typeof value.env === 'string') names.push(value.env);
+  }
+  return names;
+}
+
+/**
+ * Register a feed's secret env vars with the logger so they are redacted
+ * @param {Object} feed - Feed configuration object
+ */
+export function registerFeedSecrets(feed) {
+  getSecretEnvNames(feed).forEach(registerSecretEnv);
+}
+
+/**
+ * Resolve a feed's `headers` and `auth` blocks into request headers
+ * @param {Object} feed - Feed configuration object
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - Request headers (empty when the feed has no auth/headers)
+ * @throws {FeedFetchError} - `config_error` when a referenced env var is not set
+ */
+export function buildFeedHeaders(feed, env = process.env) {
+  const headers = {};
+  if (!feed || (!feed.auth && !feed.headers)) return headers;
+  registerFeedSecrets(feed);
+
+  const read = name => {
+    const value = env[name];
+    if (!value) {
+      throw new FeedFetchError(
+        FEED_ERROR_CODES.CONFIG_ERROR, `Feed "${feed.name}" references env var ${name}, which is not set`, { env: name }
+      );
+    }
+    return value;
+  };
+
+  for (const [name, value] of Object.entries(feed.headers || {})) {
+    headers[name] = value && typeof value === 'object' ? read(value.env) : String(value);
+  }
+
+  const auth = feed.auth;
+  if (auth) {
+    if (auth.type === 'bearer') {
+      headers.Authorization = `Bearer ${read(auth.tokenEnv)}`;
+    } else if (auth.type === 'basic') {
+      const password = auth.passwordEnv ? read(auth.passwordEnv) : '';
+      const encoded = Buffer.from(`${read(auth.usernameEnv)}:${password}`).toString('base64');
+      registerSecret(encoded);
+      headers.Authorization = `Basic ${encoded}`;
+    } else if (auth.type === 'header') {
+      headers[auth.header] = read(auth.valueEnv);
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Check a feed's auth/headers blocks and flag secrets committed inline
+ * @param {Object} feed - Feed configuration object
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+export function validateFeedAuth(feed) {
+  const errors = [];
+  const checkEnvName = (label, name) => {
+    if (typeof name !== 'string' || !ENV_NAME.test(name)) {
+      errors.push(`${label} must name an env var (UPPER_SNAKE_CASE), got ${JSON.stringify(name)}`);
+    }
+  };
+
+  if (feed.auth !== undefined) {
+    const auth = feed.auth;
+    if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+      errors.push("Field 'auth' must be an object");
+    } else if (!AUTH_FIELDS[auth.type]) {
+      errors.push(`auth.type must be one of: ${Object.keys(AUTH_FIELDS).join(', ')}`);
+    } else {
+      const allowed = ['type', ...AUTH_FIELDS[auth.type]];
+      for (const key of Object.keys(auth).filter(k => !allowed.includes(k))) {
+        errors.push(/env$/i.test(key) || key === 'header'
+          ? `Unknown auth field '${key}' for type '${auth.type}'`
+          : `auth.${key} looks like an inline secret; reference an env var (${AUTH_FIELDS[auth.type].filter(f => f.endsWith('Env')).join('/')}) instead`);
+      }
+      for (const field of AUTH_FIELDS[auth.type]) {
+        if (field === 'passwordEnv' && auth[field] === undefined) continue;
+        if (field === 'header') {
+          if (typeof auth.header !== 'string' || !auth.header.trim()) errors.push('auth.header must be a header name');
+          continue;
+        }
+        checkEnvName(`auth.${field}`, auth[field]);
+      }
+    }
+  }
+
+  if (feed.headers !== undefined) {
+    const headers = feed.headers;
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      errors.push("Field 'headers' must be an object");
+    } else {
+      for (const [name, value] of Object.entries(headers)) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          checkEnvName(`headers.${name}.env`, value.env);
+        } else if (typeof value !== 'string') {
+          errors.push(`headers.${name} must be a string or { "env": "NAME" }`);
+        } else if (SENSITIVE_HEADER.test(name) || CREDENTIAL_VALUE.test(value)) {
+          errors.push(`headers.${name} contains a literal secret; use { "env": "NAME" } instead`);
+        }
+      }
+    }
+  }
+
+  if (typeof feed.url === 'string') {
+    try {
+      const url = new URL(feed.url);
+      if (url.password || url.username) {
+        errors.push('url contains inline credentials; use an auth block instead');
+      }
+      for (const param of url.searchParams.keys()) {
+        if (SECRET_QUERY_PARAM.test(param)) {
+          errors.push(`url query parameter '${param}' looks like a secret; use an auth or headers block instead`);
+        }
+      }
+    } catch {
+      // URL format errors are reported by FeedValidator
+    }
+  }
+
+  return errors;
+}
+
+export default { buildFeedHeaders, validateFeedAuth, getSecretEnvNames, registerFeedSecrets };
@@ -0,0 +1,212 @@
+import * as cheerio from 'cheerio';
+import { readFile, writeFile } from 'fs/promises';
+import { httpFetch } from './httpClient.js';
+import { ACCEPT_ENCODING, getFeedLimits, readLimitedBody, assertOk } from './feedGuard.js';
+import { decodeBody } from './charset.js';
+import { DefaultParser } from '../parsers/defaultParser.js';
+import { JsonFeedParser } from '../parsers/jsonFeedParser.js';
+import { ThreatFilter } from './threatFilter.js';
+import { validateFeeds } from './validator.js';
+
+/**
+ * Feed autodiscovery for onboarding new sources: finds RSS/Atom/JSON Feed
+ * candidates on a website, probes them with the real parsers and appends a
+ * validated entry to the feeds file.
+ */
+
+const FEED_TYPES = {
+  'application/rss+xml': 'rss',
+  'application/atom+xml': 'atom',
+  'application/feed+json': 'json',
+  'application/json': 'json',
+  'application/xml': 'rss',
+  'text/xml': 'rss'
+};
+
+// Tried when the page advertises no <link rel="alternate"> feeds
+export const COMMON_FEED_PATHS = [
+  '/feed', '/rss', '/rss.xml', '/feed.xml', '/atom.xml', '/index.xml', '/feed.json',
+  '/feeds/all.atom.xml', '/news/rss.xml', '/security/rss.xml', '/?feed=rss2'
+];
+
+// Pages and feeds are read within the feed size caps and decoded by their charset
+async function fetchText(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), Number(process.env.FETCH_TIMEOUT_MS || 5000));
+  try {
+    const response = await httpFetch(url, {
+      signal: controller.signal,
+      compress: false,
+      headers: {
+        Accept: 'text/html,application/xhtml+xml,application/rss+xml,application/atom+xml,application/feed+json;q=0.9,*/*;q=0.5',
+        'Accept-Encoding': ACCEPT_ENCODING
+      }
+    });
+    assertOk(response);
+    const contentType = response.headers?.get?.('content-type') || '';
+    const body = await readLimitedBody(response, getFeedLimits(), controller);
+    return { text: decodeBody(body, contentType || null).text, contentType };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Recognize a response body that is itself a feed
+ * @param {string} text - Response body
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} - 'rss', 'atom', 'json' or null
+ */
+export function sniffFeedType(text, contentType = '') {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  const head = String(text || '').slice(0, 1024).trimStart();
+  if (type === 'application/feed+json' || (head.startsWith('{') && /jsonfeed\.org\/version/.test(head))) return 'json';
+  if (/<rss[\s>]|<rdf:RDF[\s>]/i.test(head)) return 'rss';
+  if (/<feed[\s>]/i.test(head)) return 'atom';
+  return null;
+}
+
+/**
+ * Extract <link rel="alternate"> feed candidates from an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the page was loaded from (for relative hrefs)
+ * @returns {Array<Object>} - [{ url, type, title, via: 'link' }]
+ */
+export function findFeedLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const found = [];
+  $('link[rel][href]').each((_, el) => {
+    const rel = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+    const type = FEED_TYPES[($(el).attr('type') || '').toLowerCase().trim()];
+    if (!rel.includes('alternate') || !type) return;
+    try {
+      found.push({ url: new URL($(el).attr('href'), pageUrl).toString(), type, title: $(el).attr('title') || null, via: 'link' });
+    } catch {
+      // Ignore unparseable hrefs
+    }
+  });
+  return found;
+}
+
+/**
+ * Find feed candidates for a website
+ * @param {string} siteUrl - Website (or feed) URL
+ * @returns {Promise<Array<Object>>} - Unique candidates [{ url, type, title, via }]
+ */
+export async function discoverFeeds(siteUrl) {
+  const candidates = [];
+  try {
+    const { text, contentType } = await fetchText(siteUrl);
+    const type = sniffFeedType(text, contentType);
+    if (type) return [{ url: siteUrl, type, title: null, via: 'direct' }];
+    candidates.push(...findFeedLinks(text, siteUrl));
+  } catch (error) {
+    console.warn(`⚠️  Could not load ${siteUrl}: ${error.message}`);
+  }
+
+  if (candidates.length === 0) {
+    const origin = new URL(siteUrl).origin;
+    candidates.push(...COMMON_FEED_PATHS.map(p => ({
+      url: new URL(p, origin).toString(), type: p.endsWith('.json') ? 'json' : 'rss', title: null, via: 'common-path'
+    })));
+  }
+
+  const seen = new Set();
+  return candidates.filter(c => !seen.has(c.url) && seen.add(c.url));
+}
+
+/**
+ * Fetch a candidate with the pipeline's parsers and summarize it
+ * @param {Object} candidate - { url, type }
+ * @param {Object} options - { sampleSize } number of kept titles to show
+ * @returns {Promise<Object>} - { url, ok, parser, title, itemCount, newest, oldest, kept, sample } or { url, ok: false, error }
+ */
+export async function probeCandidate(candidate, options = {}) {
+  const sampleSize = options.sampleSize ?? 5;
+  const attempts = candidate.type === 'json'
+    ? [new JsonFeedParser(), new DefaultParser()]
+    : [new DefaultParser(), new JsonFeedParser()];
+
+  let lastError = null;
+  for (const parser of attempts) {
+    try {
+      const parsed = await parser.parseURL(candidate.url, { feed: { name: 'discovery', url: candidate.url } });
+      const items = parsed.items || [];
+      if (items.length === 0) throw new Error('feed has no items');
+
+      const dates = items.map(i => Date.parse(i.publishedDate)).filter(Number.isFinite).sort((a, b) => a - b);
+      const filter = new ThreatFilter();
+      const kept = [];
+      for (const item of items) {
+        const result = await filter.filterEntry({ ...item, source: parsed.title || candidate.url });
+        if (result) kept.push(result);
+      }
+
+      return {
+        url: candidate.url,
+        via: candidate.via,
+        ok: true,
+        parser: parser.name,
+        title: parsed.title || candidate.title || null,
+        itemCount: items.length,
+        oldest: dates.length ? new Date(dates[0]).toISOString() : null,
+        newest: dates.length ? new Date(dates[dates.length - 1]).toISOString() : null,
+        kept: kept.length,
+        sample: kept.slice(0, sampleSize).map(e => ({ title: e.title, severity: e.classification?.severity, language: e.language }))
+      };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  return { url: candidate.url, via: candidate.via, ok: false, error: lastError?.message || 'unknown error' };
+}
+
+/**
+ * Build a feeds.json entry for a probed candidate
+ * @param {Object} probe - Successful probeCandidate() result
+ * @param {Object} flags - { name, category, region, priority, description }
+ * @returns {Object} - Feed configuration
+ */
+export function buildFeedEntry(probe, flags = {}) {
+  const entry = {
+    name: flags.name,
+    url: probe.url,
+    ...(flags.category ? { category: flags.category } : {}),
+    ...(flags.region ? { region: flags.region } : {}),
+    priority: flags.priority || 'medium',
+    enabled: true,
+    description: flags.description || probe.title || `Threat intelligence feed: ${flags.name}`
+  };
+  if (probe.parser && probe.parser !== 'defaultParser') entry.parser = probe.parser;
+  return entry;
+}
+
+/**
+ * Validate a new entry against the existing feeds and append it to the file.
+ * The existing text is kept as-is; the entry is inserted before the closing bracket.
+ * @param {string} feedsPath - Path to the feeds file
+ * @param {Object} entry - Feed configuration to add
+ * @returns {Promise<Object>} - { added: true } or { added: false, errors }
+ */
+export async function appendFeed(feedsPath, entry) {
+  const text = await readFile(feedsPath, 'utf-8');
+  const feeds = JSON.parse(text);
+  if (!Array.isArray(feeds)) return { added: false, errors: ['Feeds file must contain an array'] };
+
+  const errors = [];
+  if (feeds.some(f => f.url === entry.url)) {
+    errors.push(`Feed URL already configured: ${entry.url}`);
+  }
+  const validation = validateFeeds([...feeds, entry]);
+  errors.push(...validation.errors);
+  if (errors.length > 0) return { added: false, errors };
+
+  const closing = text.lastIndexOf(']');
+  const before = text.slice(0, closing).trimEnd();
+  const block = JSON.stringify(entry, null, 2).split('\n').map(line => `  ${line}`).join('\n');
+  const separator = feeds.length > 0 ? ',' : '';
+  await writeFile(feedsPath, `${before}${separator}\n${block}\n]\n`, 'utf-8');
+  return { added: true };
+}
+
+export default { discoverFeeds, probeCandidate, buildFeedEntry, appendFeed, findFeedLinks, sniffFeedType };
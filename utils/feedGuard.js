@@ -0,0 +1,187 @@
+import zlib from 'zlib';
+
+/**
+ * Defensive reading of feed responses: response and decompressed size caps,
+ * DOCTYPE/entity rejection and content-type checks. Every rejection is a
+ * FeedFetchError with a stable `code` that ends up in feedResults[feed].errorCode
+ * and the per-feed health metrics.
+ */
+
+export const FEED_ERROR_CODES = {
+  HTTP_ERROR: 'http_error',
+  TIMEOUT: 'timeout',
+  NETWORK_ERROR: 'network_error',
+  RESPONSE_TOO_LARGE: 'response_too_large',
+  DECOMPRESSED_TOO_LARGE: 'decompressed_too_large',
+  BAD_ENCODING: 'bad_encoding',
+  UNSAFE_XML: 'unsafe_xml',
+  UNEXPECTED_CONTENT_TYPE: 'unexpected_content_type',
+  CONFIG_ERROR: 'config_error',
+  PARSE_ERROR: 'parse_error'
+};
+
+export class FeedFetchError extends Error {
+  /**
+   * @param {string} code - One of FEED_ERROR_CODES
+   * @param {string} message - Human readable reason
+   * @param {Object} details - Extra context (status, limit, contentType, ...)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'FeedFetchError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Size limits for feed bodies (FEED_MAX_BYTES on the wire, FEED_MAX_DECOMPRESSED_BYTES after gzip/deflate/br)
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - { maxBytes, maxDecompressedBytes }
+ */
+export function getFeedLimits(env = process.env) {
+  return {
+    maxBytes: Number(env.FEED_MAX_BYTES || 5 * 1024 * 1024),
+    maxDecompressedBytes: Number(env.FEED_MAX_DECOMPRESSED_BYTES || 20 * 1024 * 1024)
+  };
+}
+
+// Sent with `compress: false` so readLimitedBody sees (and caps) the encoded bytes
+export const ACCEPT_ENCODING = 'gzip, deflate, br';
+
+/**
+ * Map a fetch failure to a FeedFetchError (typed errors pass through)
+ * @param {Error} error - Thrown error
+ * @param {string} prefix - Message prefix for parse failures
+ * @returns {FeedFetchError}
+ */
+export function toFeedError(error, prefix) {
+  if (error instanceof FeedFetchError) return error;
+  if (error?.name === 'AbortError') {
+    return new FeedFetchError(FEED_ERROR_CODES.TIMEOUT, 'Request timed out');
+  }
+  if (error?.name === 'FetchError' || error?.type === 'system') {
+    return new FeedFetchError(FEED_ERROR_CODES.NETWORK_ERROR, error.message, { cause: error.code || null });
+  }
+  return new FeedFetchError(FEED_ERROR_CODES.PARSE_ERROR, `${prefix}: ${error?.message || error}`);
+}
+
+/**
+ * Throw a typed error for non-2xx responses
+ * @param {Response} response - fetch response
+ */
+export function assertOk(response) {
+  if (!response.ok) {
+    throw new FeedFetchError(FEED_ERROR_CODES.HTTP_ERROR, `HTTP ${response.status}`, { status: response.status });
+  }
+}
+
+/**
+ * Read a response body within the size limits and undo Content-Encoding.
+ * The request must be made with `compress: false` so the encoded bytes are
+ * counted against maxBytes and inflation is capped at maxDecompressedBytes.
+ * @param {Response} response - fetch response
+ * @param {Object} limits - { maxBytes, maxDecompressedBytes }
+ * @param {AbortController} controller - Aborted when the body grows past maxBytes
+ * @returns {Promise<Buffer>} - Decoded body
+ */
+export async function readLimitedBody(response, limits = getFeedLimits(), controller = null) {
+  const { maxBytes, maxDecompressedBytes } = limits;
+  const tooLarge = () => new FeedFetchError(
+    FEED_ERROR_CODES.RESPONSE_TOO_LARGE, `Response exceeds ${maxBytes} bytes`, { limit: maxBytes }
+  );
+
+  const declared = Number(response.headers?.get?.('content-length') || 0);
+  if (declared > maxBytes) throw tooLarge();
+
+  let raw;
+  if (response.body && typeof response.body[Symbol.asyncIterator] === 'function') {
+    const chunks = [];
+    let bytes = 0;
+    for await (const chunk of response.body) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        controller?.abort();
+        throw tooLarge();
+      }
+      chunks.push(Buffer.from(chunk));
+    }
+    raw = Buffer.concat(chunks);
+  } else {
+    raw = Buffer.from(await response.text(), 'utf-8');
+    if (raw.length > maxBytes) throw tooLarge();
+  }
+
+  const encoding = (response.headers?.get?.('content-encoding') || '').trim().toLowerCase();
+  return decompress(raw, encoding, maxDecompressedBytes);
+}
+
+function decompress(raw, encoding, maxOutputLength) {
+  if (!encoding || encoding === 'identity') return raw;
+  const options = { maxOutputLength };
+  try {
+    switch (encoding) {
+      case 'gzip':
+      case 'x-gzip':
+        return zlib.gunzipSync(raw, options);
+      case 'deflate':
+        // Some servers send raw deflate without the zlib header
+        return raw[0] === 0x78 ? zlib.inflateSync(raw, options) : zlib.inflateRawSync(raw, options);
+      case 'br':
+        return zlib.brotliDecompressSync(raw, options);
+      default:
+        throw new FeedFetchError(FEED_ERROR_CODES.BAD_ENCODING, `Unsupported Content-Encoding: ${encoding}`);
+    }
+  } catch (error) {
+    if (error instanceof FeedFetchError) throw error;
+    if (error.code === 'ERR_BUFFER_TOO_LARGE' || error instanceof RangeError) {
+      throw new FeedFetchError(
+        FEED_ERROR_CODES.DECOMPRESSED_TOO_LARGE,
+        `Decompressed response exceeds ${maxOutputLength} bytes`,
+        { limit: maxOutputLength, encoding }
+      );
+    }
+    throw new FeedFetchError(FEED_ERROR_CODES.BAD_ENCODING, `Invalid ${encoding} body: ${error.message}`);
+  }
+}
+
+/**
+ * Reject entity declarations and DOCTYPE internal subsets (billion laughs and
+ * friends). A DOCTYPE with only an external id (old RSS 0.91 feeds) is allowed;
+ * the parser never loads it.
+ * @param {string} text - XML document
+ */
+export function assertSafeXml(text) {
+  const root = text.search(/<[A-Za-z_]/);
+  const prolog = root === -1 ? text : text.slice(0, root);
+  if (/<!ENTITY/i.test(prolog) || /<!DOCTYPE[^>[]*\[/i.test(prolog)) {
+    throw new FeedFetchError(FEED_ERROR_CODES.UNSAFE_XML, 'Rejected XML with a DOCTYPE internal subset or entity declarations');
+  }
+}
+
+// Looks like RSS/Atom/RDF regardless of what the server claims
+function looksLikeXmlFeed(text) {
+  const head = text.slice(0, 2048).replace(/^\uFEFF/, '').trimStart();
+  return /^<\?xml/i.test(head) || /<(rss|feed|rdf:RDF)[\s>]/i.test(head);
+}
+
+/**
+ * Refuse bodies that are not XML feeds (typically HTML error or login pages).
+ * XML content types pass; anything else must at least look like RSS/Atom/RDF.
+ * @param {string|null} contentType - Content-Type header
+ * @param {string} text - Response body
+ */
+export function assertXmlFeedContent(contentType, text) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (/[/+]xml$/.test(type)) return;
+  if (looksLikeXmlFeed(text)) return;
+  throw new FeedFetchError(
+    FEED_ERROR_CODES.UNEXPECTED_CONTENT_TYPE,
+    `Expected an RSS/Atom feed but got ${type || 'a response without Content-Type'}`,
+    { contentType: type || null }
+  );
+}
+
+export default {
+  FEED_ERROR_CODES, FeedFetchError, ACCEPT_ENCODING, getFeedLimits, toFeedError, assertOk, readLimitedBody, assertSafeXml, assertXmlFeedContent
+};
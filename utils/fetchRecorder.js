@@ -0,0 +1,190 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { Readable } from 'stream';
+import fs from 'fs/promises';
+import path from 'path';
+import { FeedFetchError, getFeedLimits, readLimitedBody } from './feedGuard.js';
+
+/**
+ * Record-and-replay of raw HTTP responses.
+ * Record mode stores every response fetched inside a recording scope (feed and
+ * article fetches) under <recordingsDir>/<runId>/ together with the feeds and
+ * state the run started from. Replay mode answers every httpFetch() from that
+ * recording and refuses anything that was not recorded, so no request reaches
+ * the network.
+ * Bodies are read within the feed size caps (feedGuard.readLimitedBody) and stored
+ * decoded; a body over the caps is recorded as the error it raised.
+ */
+
+// Response headers never written to disk; the stored body is already decoded
+const DROPPED_HEADERS = new Set(['set-cookie', 'set-cookie2', 'content-encoding', 'content-length']);
+
+export class FetchRecorder {
+  constructor({ dir, mode, manifest = null }) {
+    this.dir = dir;
+    this.mode = mode;
+    this.manifest = manifest || { runId: path.basename(dir), recordedAt: new Date().toISOString(), responses: [] };
+    this.scopeStorage = new AsyncLocalStorage();
+    this.queues = new Map();
+    this.seq = 0;
+
+    if (mode === 'replay') {
+      for (const record of this.manifest.responses) {
+        const key = requestKey(record.method, record.url);
+        if (!this.queues.has(key)) this.queues.set(key, []);
+        this.queues.get(key).push(record);
+      }
+    }
+  }
+
+  /**
+   * Start recording a run
+   * @param {string} runId - Run identifier (directory name)
+   * @param {string} recordingsDir - Base directory
+   * @returns {Promise<FetchRecorder>}
+   */
+  static async create(runId, recordingsDir = './data/recordings') {
+    const dir = path.join(recordingsDir, runId);
+    await fs.mkdir(path.join(dir, 'responses'), { recursive: true });
+    return new FetchRecorder({ dir, mode: 'record' });
+  }
+
+  /**
+   * Open a recording for replay
+   * @param {string} runIdOrPath - Run id under recordingsDir, or a recording directory
+   * @param {string} recordingsDir - Base directory
+   * @returns {Promise<FetchRecorder>}
+   */
+  static async open(runIdOrPath, recordingsDir = './data/recordings') {
+    const candidates = [runIdOrPath, path.join(recordingsDir, runIdOrPath)];
+    for (const dir of candidates) {
+      try {
+        const manifest = JSON.parse(await fs.readFile(path.join(dir, 'manifest.json'), 'utf-8'));
+        return new FetchRecorder({ dir, mode: 'replay', manifest });
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`Invalid recording ${dir}: ${error.message}`);
+      }
+    }
+    throw new Error(`Recording not found: ${runIdOrPath}`);
+  }
+
+  /**
+   * Run fn with requests attributed to a feed (only scoped requests are recorded)
+   * @param {Object} context - { feed, kind }
+   * @param {Function} fn - Async work
+   */
+  scope(context, fn) {
+    return this.scopeStorage.run(context, fn);
+  }
+
+  /**
+   * Store a live response and hand back an equivalent unread response
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @param {Response} response - Live response
+   * @returns {Promise<Object>} - Response replacement (or the original when outside a scope)
+   */
+  async record(url, options, response) {
+    const context = this.scopeStorage.getStore();
+    if (!context) return response;
+
+    let body;
+    let failure = null;
+    try {
+      body = await readLimitedBody(response, getFeedLimits());
+    } catch (error) {
+      if (!(error instanceof FeedFetchError)) throw error;
+      body = Buffer.alloc(0);
+      failure = { code: error.code, message: error.message, details: error.details };
+    }
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      if (!DROPPED_HEADERS.has(name.toLowerCase())) headers[name.toLowerCase()] = value;
+    });
+    const utf8 = body.toString('utf-8');
+    const textual = Buffer.from(utf8, 'utf-8').equals(body);
+    const seq = ++this.seq;
+    const file = `responses/${String(seq).padStart(4, '0')}.json`;
+    const record = {
+      seq,
+      feed: context.feed || null,
+      kind: context.kind || 'feed',
+      method: (options.method || 'GET').toUpperCase(),
+      url: String(url),
+      status: response.status,
+      statusText: response.statusText || '',
+      headers,
+      bodyEncoding: textual ? 'utf-8' : 'base64',
+      body: textual ? utf8 : body.toString('base64'),
+      ...(failure ? { error: failure } : {}),
+      recordedAt: new Date().toISOString()
+    };
+    await fs.writeFile(path.join(this.dir, file), JSON.stringify(record, null, 2), 'utf-8');
+    const { body: _body, headers: _headers, ...summary } = record;
+    this.manifest.responses.push({ ...summary, file });
+    if (failure) throw new FeedFetchError(failure.code, failure.message, failure.details);
+    return toResponse(record, body);
+  }
+
+  /**
+   * Answer a request from the recording
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Object>} - Replayed response
+   */
+  async replay(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const queue = this.queues.get(requestKey(method, url));
+    if (!queue || queue.length === 0) {
+      throw new Error(`No recorded response for ${method} ${url} (replaying ${this.manifest.runId})`);
+    }
+    // Consume in recorded order; repeat the last one for extra identical requests
+    const entry = queue.length > 1 ? queue.shift() : queue[0];
+    const record = JSON.parse(await fs.readFile(path.join(this.dir, entry.file), 'utf-8'));
+    if (record.error) throw new FeedFetchError(record.error.code, record.error.message, record.error.details);
+    return toResponse(record, Buffer.from(record.body, record.bodyEncoding === 'base64' ? 'base64' : 'utf-8'));
+  }
+
+  async saveSnapshot(name, data) {
+    await fs.writeFile(path.join(this.dir, `${name}.json`), JSON.stringify(data, null, 2), 'utf-8');
+  }
+
+  async loadSnapshot(name) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, `${name}.json`), 'utf-8'));
+    } catch (error) {
+      throw new Error(`Recording ${this.manifest.runId} has no ${name} snapshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the manifest (record mode)
+   * @param {Object} meta - Extra run metadata (mode, counts)
+   */
+  async finish(meta = {}) {
+    if (this.mode !== 'record') return;
+    this.manifest = { ...this.manifest, ...meta, finishedAt: new Date().toISOString() };
+    await fs.writeFile(path.join(this.dir, 'manifest.json'), JSON.stringify(this.manifest, null, 2), 'utf-8');
+  }
+}
+
+function requestKey(method, url) {
+  return `${method} ${String(url)}`;
+}
+
+// Minimal fetch Response stand-in covering what parsers and outputs use
+function toResponse(record, body) {
+  const headers = new Headers(record.headers);
+  return {
+    ok: record.status >= 200 && record.status < 300,
+    status: record.status,
+    statusText: record.statusText,
+    url: record.url,
+    headers,
+    body: Readable.from([body]),
+    text: async () => body.toString('utf-8'),
+    json: async () => JSON.parse(body.toString('utf-8')),
+    arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength)
+  };
+}
+
+export default FetchRecorder;
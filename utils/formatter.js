@@ -3,29 +3,36 @@
  * Handles consistent formatting of threat intelligence messages
  */
 
+import { detectLanguage, languageKeywords } from './language.js';
+
 /**
  * Detect threat severity based on content
  * @param {string} title - The title of the threat intel item
  * @param {string} description - The description/summary of the item
+ * @param {string} [language] - Entry language (detected from the text when omitted)
  * @returns {Object} - Severity object with level, emoji, and color
  */
-export function detectSeverity(title, description) {
+export function detectSeverity(title, description, language) {
   const content = (title + ' ' + description).toLowerCase();
+  const lang = language || detectLanguage(content).language;
   
   // Critical threats - immediate action required
   const criticalKeywords = ['critical', 'zero-day', 'rce', 'remote code execution', 
                            'exploit in the wild', 'actively exploited', 'emergency',
-                           'ransomware', 'lockbit', 'cryptodestroy'];
+                           'ransomware', 'lockbit', 'cryptodestroy',
+                           ...languageKeywords('critical', lang)];
   
   // High severity - patch/update required
   const highKeywords = ['high severity', 'security update', 'patch tuesday', 
                        'vulnerability', 'cve-', 'security advisory', 'apt29',
                        'advanced persistent threat', 'apt', 'phishing campaign',
-                       'data breach', 'exposed', 'leaked', 'compromised'];
+                       'data breach', 'exposed', 'leaked', 'compromised',
+                       ...languageKeywords('high', lang), ...languageKeywords('vulnerability', lang)];
   
   // Medium severity - informational but important
   const mediumKeywords = ['moderate', 'advisory', 'recommendation', 'guidance',
-                         'medium priority', 'security alert'];
+                         'medium priority', 'security alert',
+                         ...languageKeywords('medium', lang)];
   
   if (criticalKeywords.some(keyword => content.includes(keyword))) {
     return { 
@@ -13,7 +13,8 @@ export class HealthMonitor {
         feedFailureRate: 0.5, // 50% of feeds failing
         processingTime: 300000, // 5 minutes
         memoryUsage: 512 * 1024 * 1024, // 512MB
-        consecutiveFailures: 3
+        consecutiveFailures: 3,
+        slowFeedMs: 10000 // average fetch time per feed
       },
       retentionDays: 30,
       enableAlerts: true,
@@ -113,6 +114,7 @@ export class HealthMonitor {
       message: error.message,
       stack: error.stack,
       type: error.constructor.name,
+      code: typeof error.code === 'string' ? error.code : null,
       context,
       runId: this.currentRun?.id
     };
@@ -142,23 +144,63 @@ export class HealthMonitor {
           lastFailure: null,
           consecutiveFailures: 0,
           averageEntries: 0,
-          totalEntries: 0
+          totalEntries: 0,
+          notModified: 0,
+          lastNotModified: null,
+          lastOutcome: null,
+          lastDurationMs: null,
+          averageDurationMs: null,
+          timedAttempts: 0
         };
       }
 
       const stats = this.metrics.feedStats[feedName];
+
+      // Skipped by an open circuit breaker: no fetch was attempted
+      if (result.skipped) {
+        stats.circuitState = result.circuit || 'open';
+        stats.circuitRetryAt = result.retryAt || null;
+        stats.lastOutcome = 'circuit_open';
+        continue;
+      }
+
       stats.attempts++;
+      if (result.circuit) stats.circuitState = result.circuit;
+      // Charset the last body was decoded with (e.g. windows-1252 for Latin-1 feeds)
+      if (result.encoding) stats.encoding = result.encoding;
+
+      if (typeof result.durationMs === 'number') {
+        const timed = (stats.timedAttempts || 0) + 1;
+        stats.averageDurationMs = Math.round(((stats.averageDurationMs || 0) * (timed - 1) + result.durationMs) / timed);
+        stats.lastDurationMs = result.durationMs;
+        stats.timedAttempts = timed;
+      }
 
-      if (result.success) {
+      if (result.success && result.notModified) {
+        // Unchanged feed: healthy, but keep it out of the entries average
+        stats.successes++;
+        stats.notModified = (stats.notModified || 0) + 1;
+        stats.lastSuccess = new Date().toISOString();
+        stats.lastNotModified = stats.lastSuccess;
+        stats.consecutiveFailures = 0;
+        stats.lastOutcome = 'not_modified';
+      } else if (result.success) {
         stats.successes++;
         stats.lastSuccess = new Date().toISOString();
         stats.consecutiveFailures = 0;
         stats.totalEntries += result.entries || 0;
-        stats.averageEntries = stats.totalEntries / stats.successes;
+        stats.averageEntries = stats.totalEntries / (stats.successes - (stats.notModified || 0));
+        stats.lastOutcome = 'success';
       } else {
         stats.failures++;
         stats.lastFailure = new Date().toISOString();
         stats.consecutiveFailures++;
+        stats.lastOutcome = 'failure';
+        stats.lastErrorCode = result.errorCode || null;
+        if (result.errorCode) {
+          stats.errorCodes = stats.errorCodes || {};
+          stats.errorCodes[result.errorCode] = (stats.errorCodes[result.errorCode] || 0) + 1;
+        }
       }
     }
   }
@@ -233,13 +275,37 @@ export class HealthMonitor {
         issues.push({
           type: 'feed_failures',
           severity: 'critical',
-          message: `Feed "${feedName}" has ${stats.consecutiveFailures} consecutive failures`,
+          message: `Feed "${feedName}" has ${stats.consecutiveFailures} consecutive failures${stats.lastErrorCode ? ` (last: ${stats.lastErrorCode})` : ''}`,
           feed: feedName,
           details: stats
         });
         failingFeeds++;
       }
 
+      // Check tripped circuit breakers
+      if (stats.circuitState === 'open') {
+        issues.push({
+          type: 'circuit_open',
+          severity: 'warning',
+          message: `Feed "${feedName}" circuit breaker is open${stats.circuitRetryAt ? ` until ${stats.circuitRetryAt}` : ''}`,
+          feed: feedName,
+          retryAt: stats.circuitRetryAt || null
+        });
+        if (stats.consecutiveFailures < this.config.alertThresholds.consecutiveFailures) failingFeeds++;
+      }
+
+      // Check slow sources (average fetch time)
+      if (stats.averageDurationMs > this.config.alertThresholds.slowFeedMs) {
+        issues.push({
+          type: 'feed_slow',
+          severity: 'warning',
+          message: `Feed "${feedName}" is slow: ${Math.round(stats.averageDurationMs / 1000)}s average fetch time`,
+          feed: feedName,
+          averageDurationMs: stats.averageDurationMs,
+          lastDurationMs: stats.lastDurationMs
+        });
+      }
+
       // Check if feed hasn't succeeded recently
       const lastSuccess = stats.lastSuccess ? new Date(stats.lastSuccess) : null;
       const daysSinceSuccess = lastSuccess ? 
@@ -368,8 +434,15 @@ export class HealthMonitor {
       summary.total++;
       if (stats.consecutiveFailures === 0) summary.healthy++;
       else summary.failing++;
+      if (stats.lastOutcome === 'not_modified') summary.notModified++;
       return summary;
-    }, { total: 0, healthy: 0, failing: 0 });
+    }, { total: 0, healthy: 0, failing: 0, notModified: 0 });
+
+    const slowestFeeds = Object.entries(this.metrics.feedStats)
+      .filter(([, stats]) => typeof stats.averageDurationMs === 'number')
+      .sort((a, b) => b[1].averageDurationMs - a[1].averageDurationMs || a[0].localeCompare(b[0]))
+      .slice(0, 5)
+      .map(([name, stats]) => ({ feed: name, averageDurationMs: stats.averageDurationMs, lastDurationMs: stats.lastDurationMs }));
 
     return {
       uptime: Date.now() - this.startTime,
@@ -383,6 +456,7 @@ export class HealthMonitor {
         external: Math.round(memUsage.external / 1024 / 1024)
       },
       feedHealth: feedHealthSummary,
+      slowestFeeds,
       recentErrors: this.metrics.errors.slice(-5),
       lastRun: this.metrics.lastRun ? {
         id: this.metrics.lastRun.id,
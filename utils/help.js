@@ -3,18 +3,52 @@ export function showHelp() {
 🤖 Threat Feed Bot - Enhanced
 
 USAGE:
-  node fetch-and-post-enhanced.js [--dry-run] [--validate] [--help]
+  node fetch-and-post-enhanced.js [--dry-run] [--validate] [--reset-circuit <feed|all>]
+                                  [--record] [--replay <runId|dir>]
+                                  [--backfill <feed|all> [--since <date>] [--post]] [--websub] [--help]
 
 OPTIONS:
   --dry-run     Run without posting or updating state
-  --validate    Validate configuration and environment
+  --validate    Validate configuration and environment, and list available parsers
+  --reset-circuit <feed|all>
+                Force a feed's circuit breaker closed (all feeds when no name)
+  --record      Store raw feed and article responses under data/recordings/<runId>/
+  --replay <runId|dir>
+                Re-run a recording offline (no posting, no state update); cards and
+                dashboard are written to the recording's replay/ directory
+  --backfill <feed|all>
+                Page back through feed archives (feeds.json \`pagination\`) and store
+                the entries in state and the dashboard without posting to Teams
+  --since <date>
+                How far --backfill walks back (default and limit: MAX_BACKFILL_DAYS)
+  --post        Also post backfilled entries to Teams (within PER_RUN_POST_CAP)
+  --websub      Serve WebSub callbacks: subscribe feeds that announce a hub and
+                process their pushes as they arrive (keeps running)
   --help, -h    Show this help message
 
+ONBOARDING:
+  npm run add-feed -- <website-url> --name <name> [--category <c>] [--region <r>] [--priority <p>]
+                Discover feeds on a website, preview them and append a validated entry
+
 ENVIRONMENT:
   TEAMS_WEBHOOK_URL    Teams incoming webhook URL
   ENABLE_GITHUB_PAGES  'true' to enable HTML output generation
   PER_RUN_POST_CAP     Cap posts per run (default 30)
   POST_DELAY_MS        Delay between posts (default 1000)
+  FEED_MAX_BYTES       Max feed response size (default 5MB; FEED_MAX_DECOMPRESSED_BYTES 20MB)
+  CIRCUIT_FAILURE_THRESHOLD  Consecutive failures before a feed is skipped (default 3)
+  CIRCUIT_COOLDOWN_MINUTES   Minutes before a tripped feed is retried (default 360)
+  RECORDINGS_DIR       Where --record stores runs (default ./data/recordings)
+  MAX_BACKFILL_DAYS    How far back --backfill may go (default 14)
+  BACKFILL_MAX_PAGES   Page limit per feed for --backfill (default 20)
+  PARSER_PLUGINS_DIR   Directory of extra parser modules (ESM) loaded next to parsers/
+  STORY_WINDOW_HOURS   How long a story takes later reports as updates (default 72; STORY_CLUSTERING=false disables)
+  STATE_STORE          'json' (data/state.json, default) or 'sqlite' (STATE_DB, default data/state.db)
+  STATE_SEEN_RETENTION_DAYS  Days seen entries are kept by the SQLite store (default 365)
+  WEBSUB_CALLBACK_URL  Public base URL of the --websub server
+  WEBSUB_SECRET        Secret the per-topic hub.secret is derived from
+  WEBSUB_PORT          Port for --websub (default 8080)
+  WEBSUB_LEASE_SECONDS Lease requested from hubs (default 864000)
 `);
 }
 
@@ -0,0 +1,162 @@
+import fetch from 'node-fetch';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+import { readFileSync } from 'fs';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+import { HttpProxyAgent } from 'http-proxy-agent';
+import { registerSecret } from './logger.js';
+
+/**
+ * Shared outbound HTTP client used by every parser and output.
+ * Honours HTTPS_PROXY / HTTP_PROXY / NO_PROXY (upper- or lower-case) and an extra
+ * CA bundle (CA_BUNDLE_PATH, PEM) for egress proxies that do TLS inspection.
+ */
+const agentCache = new Map();
+
+// Active FetchRecorder (record or replay), see utils/fetchRecorder.js
+let fetchRecorder = null;
+
+/**
+ * Read proxy and CA settings from the environment
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - { httpsProxy, httpProxy, noProxy, caBundlePath }
+ */
+export function getProxySettings(env = process.env) {
+  const noProxy = env.NO_PROXY ?? env.no_proxy ?? '';
+  return {
+    httpsProxy: env.HTTPS_PROXY || env.https_proxy || null,
+    httpProxy: env.HTTP_PROXY || env.http_proxy || null,
+    noProxy: noProxy.split(/[\s,]+/).map(s => s.trim().toLowerCase()).filter(Boolean),
+    caBundlePath: env.CA_BUNDLE_PATH || null
+  };
+}
+
+/**
+ * Check a URL against NO_PROXY entries ('*', 'host', '.domain', 'domain', 'host:port')
+ * @param {URL} url - Target URL
+ * @param {Array<string>} noProxy - NO_PROXY entries
+ * @returns {string|null} - The matching entry, or null
+ */
+export function matchNoProxy(url, noProxy) {
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  for (const entry of noProxy) {
+    if (entry === '*') return entry;
+    const [entryHost, entryPort] = entry.replace(/^\*?\./, '.').split(/:(?=\d+$)/);
+    if (entryPort && entryPort !== port) continue;
+    const bare = entryHost.replace(/^\./, '');
+    if (host === bare || host.endsWith(`.${bare}`)) return entry;
+  }
+  return null;
+}
+
+/**
+ * Work out how a request to a URL leaves the host
+ * @param {string} target - Target URL
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Object} - { host, protocol, proxy, via } where via is 'proxy', 'no_proxy' or 'direct'
+ */
+export function resolveRoute(target, env = process.env) {
+  const url = new URL(target);
+  const settings = getProxySettings(env);
+  const proxy = url.protocol === 'https:' ? settings.httpsProxy : settings.httpProxy;
+  const base = { host: url.host, protocol: url.protocol.replace(':', '') };
+  if (!proxy) return { ...base, proxy: null, via: 'direct' };
+  const bypass = matchNoProxy(url, settings.noProxy);
+  if (bypass) return { ...base, proxy: null, via: 'no_proxy', match: bypass };
+  return { ...base, proxy, via: 'proxy' };
+}
+
+/**
+ * Strip credentials from a proxy URL for display
+ * @param {string} proxy - Proxy URL
+ * @returns {string} - Proxy URL without user info
+ */
+export function redactProxy(proxy) {
+  try {
+    const url = new URL(proxy);
+    if (url.username || url.password) {
+      url.username = url.username ? '***' : '';
+      url.password = url.password ? '***' : '';
+    }
+    return url.toString().replace(/\/$/, '');
+  } catch {
+    return '[invalid proxy URL]';
+  }
+}
+
+/**
+ * Load the extra CA bundle (added to Node's default roots)
+ * @param {string|null} caBundlePath - PEM file path
+ * @returns {Array<string>|undefined} - CA list for TLS options, or undefined when unset
+ */
+export function loadCaBundle(caBundlePath) {
+  if (!caBundlePath) return undefined;
+  const pem = readFileSync(caBundlePath, 'utf-8');
+  const extra = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+  if (extra.length === 0) throw new Error(`CA bundle ${caBundlePath} contains no PEM certificates`);
+  return [...tls.rootCertificates, ...extra];
+}
+
+/**
+ * Agent for a URL: proxy agent, plain agent with the CA bundle, or undefined (node defaults)
+ * @param {string} target - Target URL
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {http.Agent|undefined}
+ */
+export function getAgent(target, env = process.env) {
+  const route = resolveRoute(target, env);
+  const { caBundlePath } = getProxySettings(env);
+  if (!route.proxy && !caBundlePath) return undefined;
+
+  const key = `${route.protocol}|${route.proxy || ''}|${caBundlePath || ''}`;
+  if (!agentCache.has(key)) {
+    const ca = loadCaBundle(caBundlePath);
+    const tlsOptions = ca ? { ca } : {};
+    let agent;
+    if (route.proxy) {
+      const proxyUrl = new URL(route.proxy);
+      if (proxyUrl.password) registerSecret(proxyUrl.password);
+      agent = route.protocol === 'https'
+        ? new HttpsProxyAgent(route.proxy, tlsOptions)
+        : new HttpProxyAgent(route.proxy);
+    } else {
+      agent = route.protocol === 'https' ? new https.Agent(tlsOptions) : new http.Agent();
+    }
+    agentCache.set(key, agent);
+  }
+  return agentCache.get(key);
+}
+
+/**
+ * fetch() with the shared proxy/CA configuration applied
+ * In replay mode responses come from the recording and nothing goes on the wire.
+ * @param {string} url - Request URL
+ * @param {Object} options - node-fetch options (an explicit `agent` wins)
+ * @returns {Promise<Response>}
+ */
+export async function httpFetch(url, options = {}) {
+  if (fetchRecorder?.mode === 'replay') return fetchRecorder.replay(url, options);
+  const agent = options.agent ?? getAgent(String(url));
+  const response = await fetch(url, agent ? { ...options, agent } : options);
+  if (fetchRecorder?.mode === 'record') return fetchRecorder.record(url, options, response);
+  return response;
+}
+
+/**
+ * Install (or clear with null) the recorder used by httpFetch
+ * @param {FetchRecorder|null} recorder
+ */
+export function setFetchRecorder(recorder) {
+  fetchRecorder = recorder || null;
+}
+
+/**
+ * Forget cached agents (tests, or after changing proxy env at runtime)
+ */
+export function resetAgents() {
+  agentCache.clear();
+}
+
+export default httpFetch;
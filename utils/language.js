@@ -0,0 +1,127 @@
+/**
+ * Lightweight offline language detection and local-language keyword dictionaries
+ * for Nordic advisories (NSM-NCSC, CERT-SE, CFCS). English keyword lists stay with
+ * their consumers (ThreatFilter, formatter, dashboard); these dictionaries are
+ * added on top for the detected language.
+ */
+
+export const SUPPORTED_LANGUAGES = ['en', 'nb', 'nn', 'sv', 'da'];
+export const UNDETERMINED = 'und';
+
+// Frequent function words and domain terms per language. Words shared between
+// languages score for each of them; the distinctive ones decide.
+const MARKERS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'are', 'for', 'with', 'that', 'this', 'on', 'by', 'from', 'be', 'has',
+    'have', 'an', 'was', 'it', 'not', 'or', 'can', 'vulnerability', 'vulnerabilities', 'security', 'update', 'attack'],
+  nb: ['og', 'i', 'ikke', 'av', 'er', 'som', 'på', 'til', 'med', 'det', 'en', 'et', 'jeg', 'hva', 'hvordan', 'noen',
+    'bare', 'være', 'fra', 'også', 'blir', 'ble', 'mye', 'hvis', 'eller', 'sikkerhet', 'sårbarhet', 'sårbarheter',
+    'sikkerhetsoppdatering', 'oppdatering', 'angrep', 'trussel', 'utnyttes', 'utnyttet', 'virksomheter'],
+  nn: ['og', 'i', 'ikkje', 'av', 'er', 'som', 'på', 'til', 'med', 'det', 'ein', 'eit', 'eg', 'kva', 'korleis', 'nokon',
+    'berre', 'vere', 'frå', 'òg', 'vert', 'vart', 'dei', 'desse', 'mykje', 'dersom', 'eller', 'sikkerheit', 'tryggleik',
+    'sårbarheit', 'sårbarheiter', 'oppdatering', 'åtak', 'angrep', 'trugsmål', 'utnytta', 'verksemder'],
+  sv: ['och', 'i', 'inte', 'av', 'är', 'som', 'på', 'till', 'med', 'det', 'en', 'ett', 'att', 'jag', 'vad', 'hur',
+    'några', 'bara', 'vara', 'från', 'också', 'blir', 'blev', 'mycket', 'om', 'eller', 'för', 'säkerhet', 'sårbarhet',
+    'sårbarheter', 'säkerhetsuppdatering', 'uppdatering', 'attack', 'angrepp', 'hot', 'utnyttjas', 'verksamheter'],
+  da: ['og', 'i', 'ikke', 'af', 'er', 'som', 'på', 'til', 'med', 'det', 'en', 'et', 'at', 'jeg', 'hvad', 'hvordan',
+    'nogle', 'kun', 'være', 'fra', 'også', 'bliver', 'blev', 'meget', 'hvis', 'eller', 'sikkerhed', 'sårbarhed',
+    'sårbarheder', 'sikkerhedsopdatering', 'opdatering', 'angreb', 'trussel', 'udnyttes', 'udnyttet', 'virksomheder']
+};
+
+// Letters that only occur in some of the languages
+const LETTER_HINTS = [
+  { pattern: /[äö]/g, languages: ['sv'] },
+  { pattern: /[æø]/g, languages: ['nb', 'nn', 'da'] }
+];
+
+/**
+ * Local-language keyword dictionaries. Multi-word phrases are used for the low
+ * levels so short words (lav, låg, høy) don't match inside unrelated words.
+ * `vulnerability` holds the words for "vulnerability"; each consumer ranks them
+ * wherever it ranks the English word, so a translated advisory gets the same level.
+ */
+export const LANGUAGE_KEYWORDS = {
+  nb: {
+    relevant: ['sårbarhet', 'sikkerhet', 'trussel', 'angrep', 'skadevare', 'løsepengevirus', 'utnytt', 'datainnbrudd',
+      'dataangrep', 'nettfisking', 'sikkerhetsoppdatering', 'sikkerhetsvarsel', 'hendelse'],
+    critical: ['kritisk', 'nulldag', 'aktivt utnyttet', 'utnyttes aktivt', 'fjernkjøring av kode',
+      'kjøring av vilkårlig kode', 'løsepengevirus'],
+    high: ['alvorlig', 'høy alvorlighetsgrad', 'utnyttet', 'utnyttes', 'omfattende'],
+    vulnerability: ['sårbarhet'],
+    medium: ['moderat', 'middels alvorlighetsgrad', 'sikkerhetsoppdatering', 'oppdatering tilgjengelig'],
+    low: ['lav alvorlighetsgrad', 'lav risiko']
+  },
+  nn: {
+    relevant: ['sårbarheit', 'sikkerheit', 'tryggleik', 'trugsmål', 'åtak', 'angrep', 'skadevare', 'løysepengevirus',
+      'utnytt', 'datainnbrot', 'dataåtak', 'tryggleiksoppdatering', 'sikkerheitsoppdatering', 'hending'],
+    critical: ['kritisk', 'nulldag', 'aktivt utnytta', 'vert utnytta', 'fjernkøyring av kode',
+      'køyring av vilkårleg kode', 'løysepengevirus'],
+    high: ['alvorleg', 'høg alvorsgrad', 'utnytta', 'åtak', 'angrep', 'omfattande'],
+    vulnerability: ['sårbarheit'],
+    medium: ['moderat', 'middels alvorsgrad', 'tryggleiksoppdatering', 'sikkerheitsoppdatering'],
+    low: ['låg alvorsgrad', 'låg risiko']
+  },
+  sv: {
+    relevant: ['sårbarhet', 'säkerhet', 'cyberhot', 'hotaktör', 'angrepp', 'attack', 'skadlig kod', 'skadeprogram',
+      'utpressningsvirus', 'utnyttj', 'dataintrång', 'nätfiske', 'säkerhetsuppdatering', 'incident'],
+    critical: ['kritisk', 'nolldag', 'aktivt utnyttjad', 'utnyttjas aktivt', 'fjärrkörning av kod',
+      'körning av godtycklig kod', 'utpressningsvirus'],
+    high: ['allvarlig', 'hög allvarlighetsgrad', 'utnyttjad', 'utnyttjas', 'angrepp', 'omfattande'],
+    vulnerability: ['sårbarhet'],
+    medium: ['måttlig', 'medelhög', 'säkerhetsuppdatering', 'uppdatering finns'],
+    low: ['låg allvarlighetsgrad', 'låg risk']
+  },
+  da: {
+    relevant: ['sårbarhed', 'sikkerhed', 'trussel', 'angreb', 'skadelig software', 'løsepengevirus', 'udnytt',
+      'databrud', 'hackerangreb', 'sikkerhedsopdatering', 'sikkerhedsadvarsel', 'hændelse'],
+    critical: ['kritisk', 'nuldag', 'aktivt udnyttet', 'udnyttes aktivt', 'fjernkørsel af kode',
+      'kørsel af vilkårlig kode', 'løsepengevirus'],
+    high: ['alvorlig', 'høj alvorlighed', 'udnyttet', 'udnyttes', 'angreb', 'omfattende'],
+    vulnerability: ['sårbarhed'],
+    medium: ['moderat', 'middel alvorlighed', 'sikkerhedsopdatering', 'opdatering tilgængelig'],
+    low: ['lav alvorlighed', 'lav risiko']
+  }
+};
+
+/**
+ * Detect the language of a piece of text from marker words and letters
+ * @param {string} text - Title/description text
+ * @param {string} fallback - Language to report when detection is inconclusive
+ * @returns {Object} - { language, confidence } with confidence 0-1
+ */
+export function detectLanguage(text, fallback = UNDETERMINED) {
+  const lower = String(text || '').toLowerCase().slice(0, 4000);
+  const tokens = lower.match(/[\p{L}]+/gu) || [];
+  const scores = Object.fromEntries(SUPPORTED_LANGUAGES.map(lang => [lang, 0]));
+
+  for (const token of tokens) {
+    for (const lang of SUPPORTED_LANGUAGES) {
+      if (MARKERS[lang].includes(token)) scores[lang]++;
+    }
+  }
+  for (const { pattern, languages } of LETTER_HINTS) {
+    const hits = Math.min((lower.match(pattern) || []).length, 5);
+    for (const lang of languages) scores[lang] += hits * 0.5;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, second] = ranked;
+  if (best[1] === 0 || best[1] === second[1]) {
+    return { language: fallback || UNDETERMINED, confidence: 0 };
+  }
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  return { language: best[0], confidence: Number(((best[1] - second[1]) / total).toFixed(2)) };
+}
+
+/**
+ * Local-language keywords of one kind for a language. English, other languages
+ * and undetermined text get none, so only the English keywords apply; Nordic
+ * words such as 'hot' or 'attack' would otherwise match English text.
+ * @param {string} kind - relevant | critical | high | medium | low | vulnerability
+ * @param {string} language - Detected language code
+ * @returns {Array<string>}
+ */
+export function languageKeywords(kind, language) {
+  return LANGUAGE_KEYWORDS[language]?.[kind] || [];
+}
+
+export default { detectLanguage, languageKeywords, LANGUAGE_KEYWORDS, SUPPORTED_LANGUAGES, UNDETERMINED };
@@ -27,11 +27,37 @@ export const logger = {
 
 export default logger;
 
-function sanitize(args) {
-  const webhook = process.env.TEAMS_WEBHOOK_URL || '';
-  if (!webhook) return args;
-  const redacted = '[REDACTED_URL]';
-  return args.map(a => typeof a === 'string' ? a.replaceAll(webhook, redacted) : a);
+// Env var names (feed auth/headers) and derived values whose contents must never be logged
+const secretEnvNames = new Set();
+const secretValues = new Set();
+
+/**
+ * Redact the value of an env var from all log output (read at log time, like TEAMS_WEBHOOK_URL)
+ * @param {string} name - Env var name
+ */
+export function registerSecretEnv(name) {
+  if (name) secretEnvNames.add(name);
 }
 
+/**
+ * Redact a derived secret (e.g. an encoded basic-auth header) from all log output
+ * @param {string} value - Secret value
+ */
+export function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= 4) secretValues.add(value);
+}
 
+function sanitize(args) {
+  const replacements = [];
+  const webhook = process.env.TEAMS_WEBHOOK_URL || '';
+  if (webhook) replacements.push([webhook, '[REDACTED_URL]']);
+  for (const name of secretEnvNames) {
+    const value = process.env[name];
+    if (value && value.length >= 4) replacements.push([value, `[REDACTED:${name}]`]);
+  }
+  for (const value of secretValues) replacements.push([value, '[REDACTED]']);
+  if (replacements.length === 0) return args;
+  return args.map(a => typeof a === 'string'
+    ? replacements.reduce((text, [secret, label]) => text.replaceAll(secret, label), a)
+    : a);
+}
@@ -0,0 +1,185 @@
+/**
+ * Minimal MIME (RFC 5322/2045/2047) reader for advisory mails: headers with
+ * encoded-words, multipart bodies, base64/quoted-printable transfer encodings
+ * and per-part charsets. Only what is needed to get readable text out of a
+ * message; attachments are ignored.
+ */
+
+import { normalizeCharset } from './charset.js';
+import { extractReadableText } from './articleFetcher.js';
+
+/**
+ * Split a raw message into unfolded headers and the body
+ * @param {string} raw - Message as a binary (latin1) string
+ * @returns {Object} - { headers: Map<lowercase name, string[]>, body }
+ */
+export function splitMessage(raw) {
+  const match = /\r?\n\r?\n/.exec(raw);
+  const head = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : '';
+
+  const headers = new Map();
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!headers.has(name)) headers.set(name, []);
+    headers.get(name).push(line.slice(colon + 1).trim());
+  }
+  return { headers, body };
+}
+
+/**
+ * Decode RFC 2047 encoded-words, e.g. =?iso-8859-1?Q?S=E5rbarhet?=
+ * @param {string} value - Raw header value (binary string)
+ * @returns {string}
+ */
+export function decodeHeader(value) {
+  return raw8bit(String(value || ''))
+    // Whitespace between adjacent encoded-words is not part of the text
+    .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?[^?]+\?[bq]\?[^?]*\?=)/gi, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]+)?\?([bq])\?([^?]*)\?=/gi, (word, charset, encoding, text) => {
+      const bytes = encoding.toLowerCase() === 'b'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeText(bytes, charset) ?? word;
+    });
+}
+
+/**
+ * Parse a structured header such as Content-Type into its value and parameters
+ * @param {string} value - e.g. 'text/plain; charset="utf-8"'
+ * @returns {Object} - { value (lowercase), params: { name: value } }
+ */
+export function parseHeaderParams(value) {
+  const [first, ...rest] = String(value || '').split(';');
+  const params = {};
+  for (const part of rest) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    params[part.slice(0, eq).trim().toLowerCase()] = part.slice(eq + 1).trim().replace(/^"(.*)"$/, '$1');
+  }
+  return { value: first.trim().toLowerCase(), params };
+}
+
+/**
+ * First address in a From/Sender header
+ * @param {string} value - e.g. '"NSM NCSC" <varsel@nsm.no>'
+ * @returns {Object} - { name, address (lowercase) }
+ */
+export function parseAddress(value) {
+  const text = decodeHeader(value);
+  const angle = /^(.*?)<([^>]+)>/.exec(text);
+  if (angle) {
+    return { name: angle[1].trim().replace(/^"(.*)"$/, '$1'), address: angle[2].trim().toLowerCase() };
+  }
+  const bare = /[^\s<>"]+@[^\s<>"]+/.exec(text);
+  return { name: '', address: bare ? bare[0].toLowerCase() : '' };
+}
+
+// Unencoded 8-bit header bytes are almost always UTF-8 nowadays
+function raw8bit(text) {
+  if (!/[\x80-\xff]/.test(text)) return text;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(Buffer.from(text, 'latin1'));
+  } catch {
+    return text;
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const input = text.replace(/=\r?\n/g, '');
+  for (let i = 0; i < input.length; i++) {
+    const hex = input[i] === '=' ? input.slice(i + 1, i + 3) : '';
+    if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(input.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeText(bytes, charset) {
+  const encoding = normalizeCharset(charset || 'us-ascii') || 'windows-1252';
+  try {
+    return new TextDecoder(encoding).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+function decodeTransfer(body, transferEncoding) {
+  switch ((transferEncoding || '').toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+// Depth-first list of leaf parts: { type, text, attachment }
+function collectParts(raw, depth = 0) {
+  const { headers, body } = splitMessage(raw);
+  const contentType = parseHeaderParams(headers.get('content-type')?.[0] || 'text/plain');
+  const disposition = parseHeaderParams(headers.get('content-disposition')?.[0] || '').value;
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < 10) {
+    const delimiter = `--${contentType.params.boundary}`;
+    const sections = body.split(new RegExp(`(?:^|\\r?\\n)${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*(?=\\r?\\n|$)`));
+    // sections[0] is the preamble, the last one the epilogue (when the closing delimiter is there)
+    const closed = body.includes(`${delimiter}--`);
+    return sections.slice(1, closed ? -1 : undefined).flatMap(section => collectParts(section.replace(/^\r?\n/, ''), depth + 1));
+  }
+
+  const bytes = decodeTransfer(body, headers.get('content-transfer-encoding')?.[0]);
+  return [{
+    type: contentType.value,
+    text: decodeText(bytes, contentType.params.charset) ?? bytes.toString('latin1'),
+    attachment: disposition === 'attachment'
+  }];
+}
+
+/**
+ * Parse a raw message and pick its readable text (text/plain preferred,
+ * otherwise the HTML part converted to text)
+ * @param {Buffer|string} input - Raw RFC 5322 message
+ * @returns {Object} - { headers, messageId, from, subject, date, received, text, textSource }
+ */
+export function parseMessage(input) {
+  const raw = Buffer.isBuffer(input) ? input.toString('latin1') : String(input);
+  const { headers } = splitMessage(raw);
+  const header = name => headers.get(name)?.[0] || '';
+
+  const parts = collectParts(raw).filter(part => !part.attachment);
+  const plain = parts.find(part => part.type === 'text/plain' && part.text.trim());
+  const html = parts.find(part => part.type === 'text/html' && part.text.trim());
+  let text = '';
+  let textSource = 'none';
+  if (plain) {
+    text = plain.text.replace(/\r\n/g, '\n').trim();
+    textSource = 'text/plain';
+  } else if (html) {
+    text = extractReadableText(html.text);
+    textSource = 'text/html';
+  }
+
+  // The topmost Received header is the final hop, i.e. when the message arrived
+  const received = headers.get('received')?.[0] || '';
+  return {
+    headers,
+    messageId: header('message-id').replace(/^<|>$/g, '').trim() || null,
+    from: parseAddress(header('from')),
+    subject: decodeHeader(header('subject')).replace(/\s+/g, ' ').trim(),
+    date: header('date') || null,
+    received: received.includes(';') ? received.slice(received.lastIndexOf(';') + 1).trim() : null,
+    text,
+    textSource
+  };
+}
+
+export default { parseMessage, splitMessage, decodeHeader, parseHeaderParams, parseAddress };
@@ -0,0 +1,161 @@
+/**
+ * Archive pagination for backfills. Configured per feed in feeds.json (`pagination`):
+ *   type     - 'paged' (WordPress ?paged=N), 'page' (?page=N), 'next' (Atom/RSS
+ *              <link rel="next">, JSON Feed next_url) or 'cursor'
+ *   param    - query parameter to set (default 'paged', 'page' or 'cursor')
+ *   start    - number of the second page for 'paged'/'page' (default 2; the feed URL is page 1)
+ *   cursorFrom - 'guid' (default) or 'publishedDate' of the oldest item on the page,
+ *              sent as the cursor for the next page, e.g. ?before=<guid>
+ *   maxPages - upper bound on pages per backfill (default BACKFILL_MAX_PAGES)
+ * Normal runs only read the first page; pagination is used by `--backfill`.
+ */
+
+export const PAGINATION_TYPES = ['paged', 'page', 'next', 'cursor'];
+const PAGINATION_FIELDS = ['type', 'param', 'start', 'cursorFrom', 'maxPages'];
+const DEFAULT_PARAMS = { paged: 'paged', page: 'page', cursor: 'cursor' };
+const CURSOR_SOURCES = ['guid', 'publishedDate'];
+
+/**
+ * Validate a pagination block
+ * @param {Object} pagination - Feed `pagination` config
+ * @returns {Array<string>} - Error messages (empty when valid)
+ */
+export function validatePaginationConfig(pagination) {
+  if (!pagination || typeof pagination !== 'object' || Array.isArray(pagination)) {
+    return ['pagination must be an object'];
+  }
+  const errors = [];
+  for (const key of Object.keys(pagination)) {
+    if (!PAGINATION_FIELDS.includes(key)) errors.push(`Unknown pagination field '${key}'`);
+  }
+  if (!PAGINATION_TYPES.includes(pagination.type)) {
+    errors.push(`pagination.type must be one of: ${PAGINATION_TYPES.join(', ')}`);
+  }
+  if (pagination.param !== undefined && (typeof pagination.param !== 'string' || !pagination.param.trim())) {
+    errors.push('pagination.param must be a non-empty string');
+  }
+  if (pagination.start !== undefined && (!Number.isInteger(pagination.start) || pagination.start < 0)) {
+    errors.push('pagination.start must be a non-negative integer');
+  }
+  if (pagination.maxPages !== undefined && (!Number.isInteger(pagination.maxPages) || pagination.maxPages < 1)) {
+    errors.push('pagination.maxPages must be a positive integer');
+  }
+  if (pagination.cursorFrom !== undefined && !CURSOR_SOURCES.includes(pagination.cursorFrom)) {
+    errors.push(`pagination.cursorFrom must be one of: ${CURSOR_SOURCES.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * URL of the page after `pageNumber`, or null when the archive ends
+ * @param {Object} pagination - Feed `pagination` config
+ * @param {Object} context - { feedUrl, pageNumber (1-based, just fetched), nextUrl (from the parser), entries }
+ * @returns {string|null}
+ */
+export function nextPageUrl(pagination, { feedUrl, pageNumber, nextUrl, entries = [] }) {
+  const param = pagination.param || DEFAULT_PARAMS[pagination.type];
+  const withParam = value => {
+    const url = new URL(feedUrl);
+    url.searchParams.set(param, String(value));
+    return url.toString();
+  };
+
+  switch (pagination.type) {
+    case 'paged':
+    case 'page':
+      return withParam((pagination.start ?? 2) + pageNumber - 1);
+    case 'next':
+      return nextUrl || null;
+    case 'cursor': {
+      const field = pagination.cursorFrom || 'guid';
+      const dated = entries.filter(e => e[field]);
+      if (dated.length === 0) return null;
+      // Oldest item on the page: last in document order for guids, earliest date otherwise
+      const oldest = field === 'publishedDate'
+        ? dated.reduce((a, b) => (Date.parse(b.publishedDate) < Date.parse(a.publishedDate) ? b : a))
+        : dated[dated.length - 1];
+      return withParam(oldest[field]);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Walk a feed's archive back to `since`
+ * Stops at the first page whose oldest dated item is older than `since`, an empty
+ * page, a page with nothing new (servers that ignore the page parameter), a
+ * repeated URL, a 404/410 past the first page, or maxPages.
+ * @param {Object} feed - Feed configuration (with optional `pagination`)
+ * @param {Function} fetchPage - async url => { entries, nextUrl }
+ * @param {Object} options - { since (ms), maxPages, idOf: entry => id }
+ * @returns {Promise<Object>} - { entries, pages, stoppedBy, oldest }
+ */
+export async function walkPages(feed, fetchPage, options = {}) {
+  const pagination = feed.pagination || null;
+  const maxPages = pagination?.maxPages || options.maxPages || 20;
+  const idOf = options.idOf || (entry => entry.guid || entry.link);
+  const since = options.since ?? 0;
+
+  const entries = [];
+  const ids = new Set();
+  const visited = new Set();
+  let url = feed.url;
+  let pages = 0;
+  let oldest = null;
+  let stoppedBy = 'end';
+
+  while (url) {
+    if (visited.has(url)) {
+      stoppedBy = 'repeat';
+      break;
+    }
+    visited.add(url);
+
+    let page;
+    try {
+      page = await fetchPage(url);
+    } catch (error) {
+      // Page-number archives usually answer past their last page with 404
+      if (pages > 0 && [404, 410].includes(error.details?.status)) break;
+      throw error;
+    }
+    pages++;
+
+    const fresh = (page.entries || []).filter(entry => {
+      const id = idOf(entry);
+      if (ids.has(id)) return false;
+      ids.add(id);
+      return true;
+    });
+    if (fresh.length === 0) {
+      stoppedBy = pages === 1 ? 'end' : 'repeat';
+      break;
+    }
+    entries.push(...fresh);
+
+    const times = fresh.map(e => Date.parse(e.publishedDate)).filter(Number.isFinite);
+    if (times.length > 0) {
+      const pageOldest = Math.min(...times);
+      oldest = oldest === null ? pageOldest : Math.min(oldest, pageOldest);
+      if (pageOldest < since) {
+        stoppedBy = 'since';
+        break;
+      }
+    }
+
+    if (!pagination) {
+      stoppedBy = 'no-pagination';
+      break;
+    }
+    if (pages >= maxPages) {
+      stoppedBy = 'max-pages';
+      break;
+    }
+    url = nextPageUrl(pagination, { feedUrl: feed.url, pageNumber: pages, nextUrl: page.nextUrl, entries: fresh });
+  }
+
+  return { entries, pages, stoppedBy, oldest: oldest === null ? null : new Date(oldest).toISOString() };
+}
+
+export default { walkPages, nextPageUrl, validatePaginationConfig, PAGINATION_TYPES };
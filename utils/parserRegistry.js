@@ -0,0 +1,177 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+const BUILTIN_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'parsers');
+// Takes any RSS/Atom/RDF document, so it is probed last
+const FALLBACK_PARSER = 'defaultParser';
+
+/**
+ * Parser registry: every module in parsers/ plus, optionally, a plugins
+ * directory (PARSER_PLUGINS_DIR). A parser module exports a class (as default
+ * or named export) whose instances have a `name` and `parseURL(url, { feed, state })`,
+ * and usually `parseString`, `canHandle(feed, hints)` and `getConfig()`.
+ * A feed's `parser` field picks a parser by name; without it the first parser
+ * whose canHandle() accepts the feed URL (and the content type, once known) is
+ * used: plugins before built-ins, defaultParser last.
+ */
+export class ParserRegistry {
+  constructor() {
+    // name -> { parser, source: 'built-in'|'plugin', file }
+    this.entries = new Map();
+  }
+
+  /**
+   * Add a parser instance
+   * @param {Object} parser - Parser instance
+   * @param {Object} origin - { source, file }
+   * @returns {Object} - The parser
+   */
+  register(parser, origin = {}) {
+    if (!parser || typeof parser.name !== 'string' || !parser.name) {
+      throw new Error('Parser instance has no name');
+    }
+    if (typeof parser.parseURL !== 'function') {
+      throw new Error(`Parser '${parser.name}' has no parseURL()`);
+    }
+    if (this.entries.has(parser.name)) {
+      throw new Error(`Parser '${parser.name}' is already registered by ${this.entries.get(parser.name).file || 'the registry'}`);
+    }
+    this.entries.set(parser.name, { parser, source: origin.source || 'built-in', file: origin.file || null });
+    return parser;
+  }
+
+  /**
+   * Import every parser module in a directory (index.js and dotfiles are skipped)
+   * Built-in modules must load; a broken plugin is logged and skipped.
+   * @param {string} dir - Directory to scan
+   * @param {string} source - 'built-in' or 'plugin'
+   * @returns {Promise<Array<string>>} - Names of the parsers registered
+   */
+  async loadDirectory(dir, source = 'built-in') {
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (source === 'built-in') throw error;
+      logger.warn(`⚠️  Parser plugins directory ${dir} not readable: ${error.message}`);
+      return [];
+    }
+
+    const loaded = [];
+    const modules = files.filter(file => /\.m?js$/.test(file) && file !== 'index.js' && !file.startsWith('.')).sort();
+    for (const file of modules) {
+      const filePath = path.join(dir, file);
+      try {
+        const ParserClass = findParserClass(await import(pathToFileURL(filePath).href));
+        if (!ParserClass) throw new Error('module exports no parser class (a class with parseURL())');
+        loaded.push(this.register(new ParserClass(), { source, file: filePath }).name);
+      } catch (error) {
+        if (source === 'built-in') throw error;
+        logger.warn(`⚠️  Parser plugin ${filePath} skipped: ${error.message}`);
+      }
+    }
+    return loaded;
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  get(name) {
+    return this.entries.get(name)?.parser || null;
+  }
+
+  names() {
+    return [...this.entries.keys()];
+  }
+
+  /**
+   * Registered parsers for --validate
+   * @returns {Array<Object>} - [{ name, supportedFormats, description, source, file }]
+   */
+  list() {
+    return [...this.entries.values()].map(({ parser, source, file }) => {
+      const info = typeof parser.getConfig === 'function' ? parser.getConfig() : {};
+      return {
+        name: parser.name,
+        supportedFormats: Array.isArray(info.supportedFormats) ? info.supportedFormats : [],
+        description: info.description || '',
+        source,
+        file
+      };
+    });
+  }
+
+  /**
+   * Parser for a feed: the one named by `feed.parser`, otherwise the first whose
+   * canHandle(feed, hints) accepts it
+   * @param {Object} feed - Feed configuration object
+   * @param {Object} hints - { contentType } when a response or push has been seen
+   * @returns {Object} - Parser instance
+   * @throws {Error} - Unknown explicit parser name
+   */
+  select(feed, hints = {}) {
+    if (feed?.parser) {
+      const parser = this.get(feed.parser);
+      if (!parser) {
+        throw new Error(`Unknown parser '${feed.parser}'. Available parsers: ${this.names().join(', ')}`);
+      }
+      return parser;
+    }
+
+    const candidates = [...this.entries.values()]
+      .filter(entry => entry.parser.name !== FALLBACK_PARSER)
+      .sort((a, b) => (a.source === b.source ? 0 : a.source === 'plugin' ? -1 : 1));
+    for (const { parser } of candidates) {
+      try {
+        if (typeof parser.canHandle === 'function' && parser.canHandle(feed, hints)) return parser;
+      } catch (error) {
+        logger.warn(`⚠️  ${parser.name}.canHandle() failed for "${feed?.name}": ${error.message}`);
+      }
+    }
+    const fallback = this.get(FALLBACK_PARSER);
+    if (!fallback) throw new Error(`No parser can handle feed "${feed?.name}"`);
+    return fallback;
+  }
+}
+
+// Default export first, then named exports: the first class with a parseURL() method
+function findParserClass(module) {
+  return [module.default, ...Object.values(module)]
+    .find(value => typeof value === 'function' && typeof value.prototype?.parseURL === 'function') || null;
+}
+
+/**
+ * Registry with the built-in parsers and, when given, a plugins directory
+ * @param {Object} options - { pluginsDir } (relative paths resolve against the working directory)
+ * @returns {Promise<ParserRegistry>}
+ */
+export async function createParserRegistry(options = {}) {
+  const registry = new ParserRegistry();
+  await registry.loadDirectory(BUILTIN_DIR, 'built-in');
+  if (options.pluginsDir) {
+    const loaded = await registry.loadDirectory(path.resolve(options.pluginsDir), 'plugin');
+    if (loaded.length > 0) logger.info(`🔌 Parser plugins loaded: ${loaded.join(', ')}`);
+  }
+  return registry;
+}
+
+let shared = null;
+
+/**
+ * Process-wide registry (built-ins plus PARSER_PLUGINS_DIR), loaded once
+ * @returns {Promise<ParserRegistry>}
+ */
+export function getParserRegistry() {
+  if (!shared) {
+    shared = createParserRegistry({ pluginsDir: config.parserPluginsDir });
+    // A failed load is retried on the next call instead of being cached
+    shared.catch(() => { shared = null; });
+  }
+  return shared;
+}
+
+export default { ParserRegistry, createParserRegistry, getParserRegistry };
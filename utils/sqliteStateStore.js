@@ -0,0 +1,346 @@
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { StateManager, FEED_STATE_KINDS } from './stateManager.js';
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS seen (
+    id TEXT PRIMARY KEY,
+    timestamp TEXT NOT NULL,
+    source TEXT,
+    title TEXT,
+    data TEXT
+  );
+  CREATE INDEX IF NOT EXISTS seen_timestamp ON seen (timestamp);
+  CREATE TABLE IF NOT EXISTS feed_meta (
+    feed TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (feed, kind)
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+/**
+ * SQLite StateStore (STATE_STORE=sqlite, see utils/stateStore.js)
+ * Seen entries are rows looked up by entry ID, so nothing has to be dropped to
+ * keep loads fast; rows older than STATE_SEEN_RETENTION_DAYS are pruned instead.
+ * Per-feed maps (cursors, httpCache, circuits, ...) are rows in feed_meta, the
+ * remaining top-level keys (lastRun, filterStats, version, ...) rows in meta.
+ * On first open an existing state.json is imported in one transaction; the JSON
+ * file is left in place. Backups are SQLite online backups (state-<ts>.db).
+ * Needs the optional better-sqlite3 package.
+ */
+export class SqliteStateStore extends StateManager {
+  constructor(config = {}) {
+    super(config);
+    this.stateDb = config.stateDb || './data/state.db';
+    this.backupExtension = '.db';
+    this.maxSeenEntries = Infinity;
+    this.seenRetentionDays = config.seenRetentionDays ?? 365;
+    this.db = null;
+  }
+
+  /**
+   * Open (and on first use create or migrate) the database
+   * @returns {Promise<Object>} - better-sqlite3 Database
+   */
+  async open() {
+    if (this.db) return this.db;
+    let Database;
+    try {
+      Database = (await import('better-sqlite3')).default;
+    } catch (error) {
+      throw new Error(`STATE_STORE=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+    }
+    await fs.mkdir(path.dirname(this.stateDb), { recursive: true });
+    const db = new Database(this.stateDb);
+    try {
+      db.pragma(`busy_timeout = ${this.lockTimeout}`);
+      db.exec(SCHEMA);
+      db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    } catch (error) {
+      db.close();
+      throw error;
+    }
+    this.db = db;
+    if (db.prepare('SELECT COUNT(*) AS n FROM meta').get().n === 0) {
+      await this.migrateFromJson();
+    }
+    return db;
+  }
+
+  /**
+   * Close the database (it is reopened on the next call)
+   */
+  async close() {
+    if (!this.db) return;
+    this.db.close();
+    this.db = null;
+  }
+
+  /**
+   * One-shot import of state.json into a new database; without one an empty state is written
+   */
+  async migrateFromJson() {
+    let state;
+    try {
+      await fs.access(this.stateFile);
+      state = this.validateState(await this.loadStateFile(this.stateFile));
+      state.migratedFrom = this.stateFile;
+      state.migratedAt = new Date().toISOString();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Warning: ${this.stateFile} not imported into ${this.stateDb}:`, error.message);
+      }
+      state = this.createEmptyState();
+    }
+    this.db.transaction(() => this.writeState(state))();
+    if (state.migratedFrom) {
+      console.log(`📦 Imported ${Object.keys(state.seen).length} seen entries from ${this.stateFile} into ${this.stateDb}`);
+    }
+  }
+
+  /**
+   * Load state: metadata and per-feed maps; seen entries are read on demand by loadSeen
+   * A database that cannot be opened or read is replaced by the newest valid backup.
+   * @returns {Promise<Object>} State object
+   */
+  async loadState() {
+    try {
+      await this.open();
+      return this.readState();
+    } catch (error) {
+      if (/better-sqlite3/.test(error.message)) throw error;
+      console.warn('Failed to load state database, attempting recovery:', error.message);
+      await this.close();
+
+      const recoveredState = await this.recoverFromBackup();
+      if (recoveredState) {
+        console.log('✅ State recovered from backup');
+        return recoveredState;
+      }
+
+      // Keep the unreadable file for inspection and start over
+      if (existsSync(this.stateDb)) {
+        const aside = `${this.stateDb}.corrupt-${Date.now()}`;
+        await fs.rename(this.stateDb, aside);
+        console.warn(`Moved unreadable state database to ${aside}`);
+      }
+      console.log('🔄 Creating new empty state');
+      await this.open();
+      return this.readState();
+    }
+  }
+
+  /**
+   * Save state in one transaction: metadata and feed maps are replaced, seen entries
+   * upserted, and seen entries older than the retention window deleted
+   * @param {Object} state - State object to save
+   */
+  async saveState(state) {
+    const validatedState = this.validateState(state);
+    await this.open();
+    await this.createBackup();
+
+    this.db.transaction(() => {
+      this.writeState(validatedState);
+      if (this.seenRetentionDays > 0) {
+        const cutoff = new Date(Date.now() - this.seenRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+        this.db.prepare('DELETE FROM seen WHERE timestamp < ?').run(cutoff);
+      }
+    })();
+
+    await this.cleanupOldBackups();
+    console.log(`✅ State saved successfully (${await this.seenCount(validatedState)} entries tracked)`);
+  }
+
+  readState() {
+    const state = {};
+    for (const { key, value } of this.db.prepare('SELECT key, value FROM meta').all()) {
+      if (key.startsWith('kind:')) {
+        state[key.slice(5)] = {};
+      } else {
+        state[key] = JSON.parse(value);
+      }
+    }
+    for (const { feed, kind, value } of this.db.prepare('SELECT feed, kind, value FROM feed_meta').all()) {
+      state[kind] = state[kind] || {};
+      state[kind][feed] = JSON.parse(value);
+    }
+    state.seen = {};
+    return this.validateState(state);
+  }
+
+  // Runs inside a transaction
+  writeState(state) {
+    const { seen, ...rest } = state;
+    this.db.prepare('DELETE FROM meta').run();
+    this.db.prepare('DELETE FROM feed_meta').run();
+
+    const putMeta = this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+    const putFeedMeta = this.db.prepare('INSERT INTO feed_meta (feed, kind, value) VALUES (?, ?, ?)');
+    for (const [key, value] of Object.entries(rest)) {
+      if (value === undefined) continue;
+      if (FEED_STATE_KINDS.includes(key)) {
+        for (const [feed, feedValue] of Object.entries(value || {})) {
+          if (feedValue !== undefined) putFeedMeta.run(feed, key, JSON.stringify(feedValue));
+        }
+        // Keeps empty maps, so a kind the state never had stays absent
+        putMeta.run(`kind:${key}`, 'true');
+      } else {
+        putMeta.run(key, JSON.stringify(value));
+      }
+    }
+
+    const putSeen = this.db.prepare(`
+      INSERT INTO seen (id, timestamp, source, title, data) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET timestamp = excluded.timestamp, source = excluded.source,
+        title = excluded.title, data = excluded.data
+    `);
+    for (const [id, record] of Object.entries(seen || {})) {
+      const { timestamp, source, title, ...data } = record || {};
+      putSeen.run(id, timestamp || new Date().toISOString(), source ?? null, title ?? null,
+        Object.keys(data).length > 0 ? JSON.stringify(data) : null);
+    }
+  }
+
+  /**
+   * Add the seen records for these entry IDs to state.seen (indexed lookups)
+   * @param {Object} state - Loaded state
+   * @param {Array<string>} ids - Entry IDs about to be checked
+   * @returns {Promise<Object>} - Records added to state.seen
+   */
+  async loadSeen(state, ids) {
+    await this.open();
+    const lookup = this.db.prepare('SELECT * FROM seen WHERE id = ?');
+    const added = {};
+    for (const id of new Set(ids)) {
+      if (state.seen[id]) continue;
+      const row = lookup.get(id);
+      if (row) added[id] = state.seen[id] = toSeenRecord(row);
+    }
+    return added;
+  }
+
+  /**
+   * Number of tracked entries (saved rows plus unsaved entries in state.seen)
+   * @param {Object} state - Loaded state
+   * @returns {Promise<number>}
+   */
+  async seenCount(state) {
+    await this.open();
+    const saved = this.db.prepare('SELECT COUNT(*) AS n FROM seen').get().n;
+    const lookup = this.db.prepare('SELECT 1 FROM seen WHERE id = ?');
+    return saved + Object.keys(state?.seen || {}).filter(id => !lookup.get(id)).length;
+  }
+
+  /**
+   * Per-feed metadata, read straight from feed_meta
+   * @param {string} feedName - Feed name
+   * @returns {Promise<Object>} - { [kind]: value }
+   */
+  async getFeedMeta(feedName) {
+    await this.open();
+    const meta = {};
+    for (const { kind, value } of this.db.prepare('SELECT kind, value FROM feed_meta WHERE feed = ?').all(feedName)) {
+      meta[kind] = JSON.parse(value);
+    }
+    return meta;
+  }
+
+  /**
+   * Online backup of the database to the backup directory
+   */
+  async createBackup() {
+    if (!existsSync(this.stateDb)) return;
+    try {
+      await this.open();
+      await fs.mkdir(this.backupDir, { recursive: true });
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const backupFile = path.join(this.backupDir, `state-${timestamp}${this.backupExtension}`);
+      await this.db.backup(backupFile);
+      console.log(`📦 Backup created: ${backupFile}`);
+    } catch (error) {
+      console.warn('Warning: Failed to create backup:', error.message);
+    }
+  }
+
+  /**
+   * Replace the database with the most recent backup that passes an integrity check
+   * @returns {Promise<Object|null>} Recovered state or null
+   */
+  async recoverFromBackup() {
+    let backupFiles;
+    try {
+      backupFiles = (await fs.readdir(this.backupDir)).filter(file => this.isBackupFile(file)).sort().reverse();
+    } catch (error) {
+      console.warn('Failed to access backup directory:', error.message);
+      return null;
+    }
+
+    const Database = (await import('better-sqlite3')).default;
+    for (const backupFile of backupFiles) {
+      const backupPath = path.join(this.backupDir, backupFile);
+      try {
+        console.log(`🔄 Attempting recovery from: ${backupFile}`);
+        const backup = new Database(backupPath, { readonly: true, fileMustExist: true });
+        try {
+          const check = backup.pragma('integrity_check', { simple: true });
+          if (check !== 'ok') throw new Error(`integrity check: ${check}`);
+          backup.prepare('SELECT COUNT(*) FROM meta').get();
+        } finally {
+          backup.close();
+        }
+
+        await this.close();
+        await fs.mkdir(path.dirname(this.stateDb), { recursive: true });
+        await fs.copyFile(backupPath, this.stateDb);
+        await this.open();
+        const state = this.readState();
+        console.log(`✅ Successfully recovered from: ${backupFile}`);
+        return state;
+      } catch (error) {
+        console.warn(`❌ Backup ${backupFile} is corrupted:`, error.message);
+        await this.close();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get state statistics
+   * @returns {Promise<Object>} State statistics
+   */
+  async getStats() {
+    await this.open();
+    const state = this.readState();
+    return {
+      store: 'sqlite',
+      stateDb: this.stateDb,
+      totalSeen: this.db.prepare('SELECT COUNT(*) AS n FROM seen').get().n,
+      lastRun: state.lastRun,
+      feedStats: state.feedStats || {},
+      filterStats: state.filterStats || {},
+      version: state.version || '1.0',
+      migratedFrom: state.migratedFrom || null,
+      backupCount: await this.getBackupCount()
+    };
+  }
+}
+
+function toSeenRecord(row) {
+  return {
+    ...(row.data ? JSON.parse(row.data) : {}),
+    timestamp: row.timestamp,
+    source: row.source,
+    title: row.title
+  };
+}
+
+export default SqliteStateStore;
@@ -2,8 +2,13 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 
+// Per-feed maps in state, keyed by feed name (also the SQLite store's feed_meta kinds)
+export const FEED_STATE_KINDS = ['feedStats', 'cursors', 'httpCache', 'circuits', 'backfills', 'websub'];
+
 /**
  * Enhanced state management with file locking and backup/recovery
+ * This is the JSON StateStore (see utils/stateStore.js): the whole state,
+ * including every seen entry, lives in one file that is rewritten on save.
  */
 export class StateManager {
   constructor(config = {}) {
@@ -14,6 +19,52 @@ export class StateManager {
     this.lockTimeout = config.lockTimeout || 30000; // 30 seconds
     this.retryDelay = config.retryDelay || 100; // 100ms
     this.maxRetries = config.maxRetries || 50;
+    this.backupExtension = '.json';
+    // updateState keeps only the newest seen entries, since all of them are loaded every run
+    this.maxSeenEntries = config.maxSeenEntries || 1000;
+  }
+
+  /**
+   * Make sure state.seen holds the records for these entry IDs
+   * The JSON store loads every seen entry up front, so there is nothing to add.
+   * @param {Object} state - Loaded state
+   * @param {Array<string>} ids - Entry IDs about to be checked
+   * @returns {Promise<Object>} - Records added to state.seen (none here)
+   */
+  async loadSeen(state, ids) {
+    return {};
+  }
+
+  /**
+   * Number of tracked entries
+   * @param {Object} state - Loaded state
+   * @returns {Promise<number>}
+   */
+  async seenCount(state) {
+    return Object.keys(state?.seen || {}).length;
+  }
+
+  /**
+   * Per-feed metadata (cursor, HTTP validators, circuit, backfill, WebSub subscription, stats)
+   * @param {string} feedName - Feed name
+   * @returns {Promise<Object>} - { [kind]: value } for the kinds that have an entry
+   */
+  async getFeedMeta(feedName) {
+    const state = await this.loadState();
+    const meta = {};
+    for (const kind of FEED_STATE_KINDS) {
+      if (state[kind]?.[feedName] !== undefined) meta[kind] = state[kind][feedName];
+    }
+    return meta;
+  }
+
+  /**
+   * Release resources (nothing is kept open between calls)
+   */
+  async close() {}
+
+  isBackupFile(file) {
+    return file.startsWith('state-') && file.endsWith(this.backupExtension);
   }
 
   /**
@@ -273,7 +324,7 @@ export class StateManager {
       // Get list of backup files
       const backupFiles = await fs.readdir(this.backupDir);
       const stateBackups = backupFiles
-        .filter(file => file.startsWith('state-') && file.endsWith('.json'))
+        .filter(file => this.isBackupFile(file))
         .sort()
         .reverse(); // Most recent first
 
@@ -307,7 +358,7 @@ export class StateManager {
     try {
       const backupFiles = await fs.readdir(this.backupDir);
       const stateBackups = backupFiles
-        .filter(file => file.startsWith('state-') && file.endsWith('.json'))
+        .filter(file => this.isBackupFile(file))
         .sort()
         .reverse(); // Most recent first
 
@@ -366,6 +417,36 @@ export class StateManager {
       validatedState.filterStats = {};
     }
 
+    // Validate per-feed poll cursors (optional; only written by incremental sources)
+    if (validatedState.cursors !== undefined && (typeof validatedState.cursors !== 'object' || validatedState.cursors === null)) {
+      validatedState.cursors = {};
+    }
+
+    // Validate per-feed HTTP validators (ETag/Last-Modified/content hash for conditional GET)
+    if (validatedState.httpCache !== undefined && (typeof validatedState.httpCache !== 'object' || validatedState.httpCache === null)) {
+      validatedState.httpCache = {};
+    }
+
+    // Validate per-feed circuit breakers
+    if (validatedState.circuits !== undefined && (typeof validatedState.circuits !== 'object' || validatedState.circuits === null)) {
+      validatedState.circuits = {};
+    }
+
+    // Validate per-feed backfill results (written by --backfill)
+    if (validatedState.backfills !== undefined && (typeof validatedState.backfills !== 'object' || validatedState.backfills === null)) {
+      validatedState.backfills = {};
+    }
+
+    // Validate per-feed WebSub subscriptions (written by --websub)
+    if (validatedState.websub !== undefined && (typeof validatedState.websub !== 'object' || validatedState.websub === null)) {
+      validatedState.websub = {};
+    }
+
+    // Validate cross-source stories (utils/storyClusters.js)
+    if (validatedState.clusters !== undefined && (typeof validatedState.clusters !== 'object' || validatedState.clusters === null)) {
+      validatedState.clusters = {};
+    }
+
     return validatedState;
   }
 
@@ -379,6 +460,9 @@ export class StateManager {
       lastRun: null,
       feedStats: {},
       filterStats: {},
+      cursors: {},
+      httpCache: {},
+      circuits: {},
       version: '2.0',
       created: new Date().toISOString()
     };
@@ -433,9 +517,7 @@ export class StateManager {
   async getBackupCount() {
     try {
       const backupFiles = await fs.readdir(this.backupDir);
-      return backupFiles.filter(file => 
-        file.startsWith('state-') && file.endsWith('.json')
-      ).length;
+      return backupFiles.filter(file => this.isBackupFile(file)).length;
     } catch (error) {
       return 0;
     }
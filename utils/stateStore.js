@@ -0,0 +1,48 @@
+import { config } from './config.js';
+import { StateManager } from './stateManager.js';
+import { SqliteStateStore } from './sqliteStateStore.js';
+
+/**
+ * StateStore: where the bot keeps seen entries and per-feed metadata between runs.
+ *
+ *   loadState()               -> state object ({ seen, lastRun, feedStats, filterStats, cursors, ... })
+ *   saveState(state)          persists the whole object in one write (file rename / SQL transaction)
+ *   loadSeen(state, ids)      adds the seen records for these entry IDs to state.seen and returns
+ *                             the ones it added; call it before checking state.seen[id]
+ *   seenCount(state)          number of tracked entries
+ *   getFeedMeta(feedName)     { feedStats, cursors, httpCache, circuits, backfills, websub } of one feed
+ *   maxSeenEntries            how many seen entries updateState keeps (Infinity: the store prunes by age)
+ *   createBackup(), recoverFromBackup(), getStats(), getBackupCount(), forceCleanupLocks()
+ *
+ * 'json' (StateManager): state.json holds everything and is rewritten on every save.
+ * 'sqlite' (SqliteStateStore): state.db, seen entries looked up by ID, imported from state.json once.
+ */
+export const STATE_STORES = ['json', 'sqlite'];
+
+/**
+ * Store selected by STATE_STORE
+ * @param {Object} options - { type, stateFile, stateDb, backupDir, seenRetentionDays } (defaults from config)
+ * @returns {StateManager|SqliteStateStore}
+ */
+export function createStateStore(options = {}) {
+  const type = options.type || config.stateStore;
+  const storeConfig = {
+    stateFile: options.stateFile || config.stateFile,
+    backupDir: options.backupDir || config.backupDir,
+    ...options
+  };
+  switch (type) {
+    case 'json':
+      return new StateManager(storeConfig);
+    case 'sqlite':
+      return new SqliteStateStore({
+        stateDb: config.stateDb,
+        seenRetentionDays: config.seenRetentionDays,
+        ...storeConfig
+      });
+    default:
+      throw new Error(`Unknown STATE_STORE '${type}' (expected ${STATE_STORES.join(' or ')})`);
+  }
+}
+
+export default { createStateStore, STATE_STORES };
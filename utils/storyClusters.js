@@ -0,0 +1,196 @@
+/**
+ * Cross-source story clustering. Entries that share a CVE ID or point at the same
+ * canonical advisory URL are one story: the earliest report leads and is posted,
+ * reports in the same run ride on its card ("also reported by"), and reports of a
+ * story seen in the last STORY_WINDOW_HOURS become story updates.
+ * Stories are kept in state.clusters, keyed by the lead entry's ID:
+ *   { id, keys: ['cve:CVE-2025-1234', 'url:vendor.example/advisory/1'], title, link,
+ *     source, firstReportedAt, updatedAt, reports: [{ source, title, link, reportedAt }] }
+ * Entries are clustered against a copy of state.clusters; commitStories copies back
+ * only the stories whose lead or update was actually posted.
+ */
+
+// Query parameters that never identify an advisory page
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|ref|source)$/i;
+const CVE_PATTERN = /CVE-\d{4}-\d{4,}/gi;
+
+/**
+ * Canonical form of an advisory URL: scheme, www., fragment, tracking parameters
+ * and trailing slash dropped, host lowercased
+ * @param {string} link - Entry link
+ * @returns {string|null} - e.g. 'msrc.microsoft.com/update-guide/vulnerability/cve-2025-1234', null when not http(s)
+ */
+export function canonicalUrl(link) {
+  let url;
+  try {
+    url = new URL(String(link || ''));
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  const params = [...url.searchParams].filter(([name]) => !TRACKING_PARAMS.test(name));
+  params.sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+  const pathname = url.pathname.replace(/\/+$/, '');
+  return `${url.hostname.toLowerCase().replace(/^www\./, '')}${pathname}${query}`.toLowerCase();
+}
+
+/**
+ * Keys that tie an entry to a story: its CVE IDs and canonical link
+ * Entries naming more than `maxCves` CVEs (patch-day roundups) are matched by URL only.
+ * @param {Object} entry - Filtered entry
+ * @param {Object} options - { maxCves }
+ * @returns {Array<string>} - ['cve:CVE-2025-1234', 'url:...']
+ */
+export function storyKeys(entry, options = {}) {
+  const maxCves = options.maxCves ?? 5;
+  const text = `${entry.title || ''} ${entry.description || ''}`;
+  const cves = new Set([
+    ...(text.match(CVE_PATTERN) || []),
+    ...(entry.indicators?.cves || []),
+    ...(entry.classification?.indicators?.cves || [])
+  ].map(cve => String(cve).toUpperCase()));
+
+  const keys = cves.size <= maxCves ? [...cves].sort().map(cve => `cve:${cve}`) : [];
+  const url = canonicalUrl(entry.link);
+  if (url) keys.push(`url:${url}`);
+  return keys;
+}
+
+/**
+ * Drop stories without a report since `cutoff`
+ * @param {Object} clusters - state.clusters, changed in place
+ * @param {number} cutoff - Epoch ms
+ * @returns {number} - Stories removed
+ */
+export function pruneClusters(clusters, cutoff) {
+  let removed = 0;
+  for (const [id, cluster] of Object.entries(clusters)) {
+    if (!(Date.parse(cluster.updatedAt) >= cutoff)) {
+      delete clusters[id];
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Assign entries to stories. Each clustered entry gets `entry.story`:
+ *   { id, role: 'lead', alsoReportedBy }    first report of a new story, posted
+ *   { id, role: 'update', source, title, link, firstReportedAt, reportedBy, alsoReportedBy }
+ *                                            first report this run of a story from an earlier run, posted
+ *                                            as an update (source/title/link of the story's first report,
+ *                                            reportedBy: the sources that reported it before)
+ *   { id, role: 'member' }                  any further report this run, listed in its lead's or
+ *                                            update's alsoReportedBy ([{ source, title, link }]) instead
+ * Entries without CVE IDs or a usable link are left alone.
+ * @param {Array<Object>} entries - Filtered entries (annotated in place)
+ * @param {Object} clusters - state.clusters (updated in place)
+ * @param {Object} options - { now, windowHours, maxCves, idOf: entry => entry ID }
+ * @returns {Object} - { stories, members, updates, pruned }
+ */
+export function clusterStories(entries, clusters, options = {}) {
+  const now = options.now ?? Date.now();
+  const windowMs = (options.windowHours ?? 72) * 60 * 60 * 1000;
+  const idOf = options.idOf || (entry => entry.guid || entry.link);
+  const reportedAt = new Date(now).toISOString();
+  const stats = { stories: 0, members: 0, updates: 0, pruned: pruneClusters(clusters, now - windowMs) };
+
+  const index = new Map();
+  for (const cluster of Object.values(clusters)) {
+    for (const key of cluster.keys || []) if (!index.has(key)) index.set(key, cluster.id);
+  }
+
+  // The earliest report leads; undated entries come last, otherwise the feed order is kept
+  const ordered = entries
+    .map((entry, position) => ({ entry, position, ts: Date.parse(entry.publishedDate || '') }))
+    .sort((a, b) => {
+      const ta = Number.isNaN(a.ts) ? Infinity : a.ts;
+      const tb = Number.isNaN(b.ts) ? Infinity : b.ts;
+      return ta === tb ? a.position - b.position : ta - tb;
+    });
+
+  const leads = new Map();
+  for (const { entry } of ordered) {
+    const keys = storyKeys(entry, options);
+    if (keys.length === 0) continue;
+    const report = { source: entry.source || null, title: entry.title || '', link: entry.link || null, reportedAt };
+    const match = keys.map(key => index.get(key)).find(Boolean);
+
+    if (!match || !clusters[match]) {
+      const id = idOf(entry);
+      clusters[id] = {
+        id,
+        keys,
+        title: report.title,
+        link: report.link,
+        source: report.source,
+        firstReportedAt: reportedAt,
+        updatedAt: reportedAt,
+        reports: [report]
+      };
+      for (const key of keys) index.set(key, id);
+      entry.story = { id, role: 'lead', alsoReportedBy: [] };
+      leads.set(id, entry);
+      stats.stories++;
+      continue;
+    }
+
+    const cluster = clusters[match];
+    for (const key of keys) {
+      if (cluster.keys.includes(key)) continue;
+      cluster.keys.push(key);
+      if (!index.has(key)) index.set(key, cluster.id);
+    }
+    const reportedBy = [...new Set(cluster.reports.map(previous => previous.source).filter(Boolean))];
+    cluster.reports.push(report);
+    cluster.updatedAt = reportedAt;
+
+    if (leads.has(cluster.id)) {
+      leads.get(cluster.id).story.alsoReportedBy.push({ source: report.source, title: report.title, link: report.link });
+      entry.story = { id: cluster.id, role: 'member' };
+      stats.members++;
+    } else {
+      entry.story = {
+        id: cluster.id,
+        role: 'update',
+        source: cluster.source,
+        title: cluster.title,
+        link: cluster.link,
+        firstReportedAt: cluster.firstReportedAt,
+        reportedBy,
+        alsoReportedBy: []
+      };
+      // Later reports this run are listed on this update
+      leads.set(cluster.id, entry);
+      stats.updates++;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Save the stories of posted entries: the pending (clustered) version of every story
+ * whose lead or update was posted replaces the saved one. Stories pruned from the
+ * pending copy are dropped; unposted new stories and updates leave no trace.
+ * @param {Object} clusters - state.clusters, changed in place
+ * @param {Object} pending - Copy of state.clusters that clusterStories worked on
+ * @param {Array<Object>} posted - Entries that were posted
+ * @returns {number} - Stories saved
+ */
+export function commitStories(clusters, pending, posted = []) {
+  for (const id of Object.keys(clusters)) {
+    if (!pending[id]) delete clusters[id];
+  }
+  let saved = 0;
+  for (const entry of posted) {
+    const { id, role } = entry.story || {};
+    if ((role === 'lead' || role === 'update') && pending[id]) {
+      clusters[id] = pending[id];
+      saved++;
+    }
+  }
+  return saved;
+}
+
+export default { canonicalUrl, storyKeys, pruneClusters, clusterStories, commitStories };
@@ -1,5 +1,6 @@
 import { cleanDescription, detectSeverity, classifyThreatType, formatDate } from './formatter.js';
 import { logger } from './logger.js';
+import { UNDETERMINED } from './language.js';
 
 function severityToColor(level) {
   const map = { CRITICAL: 'attention', HIGH: 'warning', MEDIUM: 'accent', INFO: 'default' };
@@ -11,6 +12,7 @@ function severityToEmoji(level) {
 }
 
 function toUtcPretty(iso) {
+  if (!iso) return 'unknown';
   try {
     const d = new Date(iso);
     const pad = n => String(n).padStart(2, '0');
@@ -27,8 +29,21 @@ function sentences(text) {
   return parts.filter(Boolean);
 }
 
-export function buildAdaptiveCard({ source, title, link, description, publishedDate }) {
-  const severity = detectSeverity(title, description);
+function languageLabel(language) {
+  return language && language !== UNDETERMINED ? language.toUpperCase() : null;
+}
+
+function reportLinks(reports) {
+  return reports.map(r => (r.link ? `[${r.source}](${r.link})` : r.source)).join(', ');
+}
+
+/**
+ * Adaptive Card for one entry. `story` (utils/storyClusters.js) adds the sources
+ * that reported the same story this run, and turns the card into a story update
+ * when the story was posted in an earlier run.
+ */
+export function buildAdaptiveCard({ source, title, link, description, publishedDate, language, story }) {
+  const severity = detectSeverity(title, description, language);
   const threatType = classifyThreatType(title, description);
   let summary = cleanDescription(description, 50000); // start with full text; soft-limit later
   const published = formatDate(publishedDate);
@@ -38,13 +53,24 @@ export function buildAdaptiveCard({ source, title, link, description, publishedD
     severity.level === 'CRITICAL' ? 'Immediately assess exposure, prioritize patching/mitigation, and monitor for exploitation.' :
     severity.level === 'HIGH' ? 'Prioritize patching in normal change window and monitor for related activity.' :
     'Review and triage as appropriate.';
-  const headerText = `${severityToEmoji(severity.level)} Threat Intelligence Alert — ${severity.level}`;
-  const badgesLine = `Type: ${threatType.category}  |  Source: ${source}  |  Published: ${toUtcPretty(publishedDate)}`;
+  const isUpdate = story?.role === 'update';
+  const alsoReportedBy = story?.alsoReportedBy || [];
+  const headerText = isUpdate
+    ? `🔁 Story Update — also reported by ${source} — ${severity.level}`
+    : `${severityToEmoji(severity.level)} Threat Intelligence Alert — ${severity.level}`;
+  const lang = languageLabel(language);
+  const badgesLine = `Type: ${threatType.category}  |  Source: ${source}  |  Published: ${toUtcPretty(publishedDate)}${lang ? `  |  Language: ${lang}` : ''}`;
 
   // Build rich card first (not relied on by current Flow, but kept for future-proofing)
   const facts = [];
   if (cves.length) facts.push({ title: 'CVEs', value: cveLinks.join(', ') });
   facts.push({ title: 'Feed', value: source });
+  if (isUpdate) {
+    facts.push({ title: 'First reported', value: `${story.link ? `[${story.source}](${story.link})` : story.source} — ${toUtcPretty(story.firstReportedAt)}` });
+    if (story.reportedBy?.length > 1) facts.push({ title: 'Reported by', value: story.reportedBy.join(', ') });
+  }
+  if (alsoReportedBy.length) facts.push({ title: 'Also reported by', value: reportLinks(alsoReportedBy) });
+  if (lang) facts.push({ title: 'Language', value: lang });
 
   const baseCard = {
     type: 'message',
@@ -109,6 +135,8 @@ export function buildAdaptiveCard({ source, title, link, description, publishedD
     `<br/><span>${badgesLine}</span>`,
     summary ? `<br/><br/>${baseCard.attachments[0].content.body[3].text}` : '',
     (cves.length ? `<br/><br/><strong>CVEs:</strong> ${cves.map(c=>`<a href=\"https://nvd.nist.gov/vuln/detail/${c}\">${c}</a>`).join(', ')}` : ''),
+    (isUpdate ? `<br/><br/><strong>First reported:</strong> ${story.link ? `<a href="${story.link}">${story.source}</a>` : story.source} (${toUtcPretty(story.firstReportedAt)})` : ''),
+    (alsoReportedBy.length ? `<br/><strong>Also reported by:</strong> ${alsoReportedBy.map(r => (r.link ? `<a href="${r.link}">${r.source}</a>` : r.source)).join(', ')}` : ''),
     `<br/><br/><a href="${link}">Read Advisory →</a>`
   ].join('');
   baseCard.attachments[0].content.body[0].text = html;
@@ -1,4 +1,6 @@
 
+import { detectLanguage, languageKeywords, UNDETERMINED } from './language.js';
+
 /**
  * Advanced filtering and classification system for threat intelligence feeds
  */
@@ -37,9 +39,15 @@ export class ThreatFilter {
         return null;
       }
 
+      // Detect the entry language so local-language keywords count towards relevance and severity
+      const language = this.detectEntryLanguage(entry, feedConfig);
+
       // Determine relevance: must have at least one relevant keyword overall (requiredKeywords or baseline)
       const hasRequired = this.hasRequiredKeywords(entry, filters.requiredKeywords);
-      const hasBaselineRelevant = this.hasRequiredKeywords(entry, this.relevantKeywords);
+      const hasBaselineRelevant = this.hasRequiredKeywords(entry, [
+        ...this.relevantKeywords,
+        ...languageKeywords('relevant', language)
+      ]);
       const isRelevant = hasRequired || hasBaselineRelevant;
 
       // If irrelevant, drop early
@@ -56,7 +64,7 @@ export class ThreatFilter {
       }
 
       // Classify the entry
-      const classification = await this.classifyEntry(entry, filters);
+      const classification = await this.classifyEntry({ ...entry, language }, filters);
 
       // Skip if threat type is muted
       if (this.config.mutedTypes.includes(classification.threatType)) {
@@ -72,6 +80,7 @@ export class ThreatFilter {
       // Add classification data to entry
       const enhancedEntry = {
         ...entry,
+        language,
         classification,
         filtered: true,
         filterTimestamp: new Date().toISOString()
@@ -84,6 +93,18 @@ export class ThreatFilter {
     }
   }
 
+  /**
+   * Detect the language of an entry (an already recorded language wins)
+   * @param {Object} entry - Feed entry
+   * @param {Object} feedConfig - Feed configuration; `language` is used when detection is inconclusive
+   * @returns {string} Language code (en, nb, nn, sv, da or und)
+   */
+  detectEntryLanguage(entry, feedConfig = {}) {
+    if (entry.language) return entry.language;
+    const text = `${entry.title || ''} ${entry.description || ''} ${(entry.articleText || '').slice(0, 2000)}`;
+    return detectLanguage(text, feedConfig.language).language;
+  }
+
   /**
    * Check if entry meets age requirements
    * @param {Object} entry - Feed entry
@@ -92,6 +113,8 @@ export class ThreatFilter {
    */
   checkAge(entry, maxAge) {
     if (!maxAge) return true;
+    // Undated entries cannot be aged out; seen-tracking keeps them from repeating
+    if (!entry.publishedDate && !entry.pubDate) return true;
 
     const entryDate = new Date(entry.publishedDate || entry.pubDate);
     const now = new Date();
@@ -137,16 +160,19 @@ export class ThreatFilter {
    * @returns {Object} Classification result
    */
   async classifyEntry(entry, filters = {}) {
-    const text = `${entry.title} ${entry.description || ''}`.toLowerCase();
+    // Include the downloaded article body (fetchArticle feeds) so CVEs/IoCs in the text are found
+    const text = `${entry.title} ${entry.description || ''} ${entry.articleText || ''}`.toLowerCase();
+    const language = this.detectEntryLanguage(entry);
     
     // Determine threat type
     const threatType = this.classifyThreatType(text);
     
-    // Determine severity
-    let severity = this.classifySeverity(text);
+    // Determine severity: prefer a real CVSS base score over keyword matching
+    const scoredSeverity = this.severityFromScore(entry.cvss?.baseScore);
+    let severity = scoredSeverity || this.classifySeverity(text, language);
     
-    // Apply priority boosts
-    if (filters.priorityKeywords) {
+    // Apply priority boosts (keyword-derived severities only)
+    if (!scoredSeverity && filters.priorityKeywords) {
       const hasPriorityKeyword = filters.priorityKeywords.some(keyword =>
         text.includes(keyword.toLowerCase())
       );
@@ -155,8 +181,8 @@ export class ThreatFilter {
       }
     }
 
-    // Extract indicators (IoCs)
-    const indicators = this.extractIndicators(text);
+    // Extract indicators (IoCs), merged with structured indicators supplied by the source
+    const indicators = this.mergeIndicators(this.extractIndicators(text), entry.indicators);
 
     // Calculate confidence score
     const confidence = this.calculateConfidence(text, threatType, severity);
@@ -164,8 +190,11 @@ export class ThreatFilter {
     return {
       threatType,
       severity,
+      severitySource: scoredSeverity ? 'cvss' : 'keywords',
+      ...(scoredSeverity ? { cvssScore: entry.cvss.baseScore, cvssVector: entry.cvss.vectorString || null } : {}),
       indicators,
-      confidence,
+      language,
+      confidence: scoredSeverity ? Math.min(confidence + 10, 100) : confidence,
       classificationTimestamp: new Date().toISOString()
     };
   }
@@ -199,13 +228,17 @@ export class ThreatFilter {
   /**
    * Classify severity based on content
    * @param {string} text - Entry text
+   * @param {string} language - Entry language; adds that language's dictionary (all Nordic ones when undetermined)
    * @returns {string} Severity level
    */
-  classifySeverity(text) {
-    const criticalKeywords = ['critical', 'emergency', 'zero-day', 'rce', 'remote code execution'];
-    const highKeywords = ['high', 'severe', 'exploit', 'active attack', 'widespread'];
-    const mediumKeywords = ['medium', 'moderate', 'vulnerability', 'patch available'];
-    const lowKeywords = ['low', 'minor', 'informational'];
+  classifySeverity(text, language = UNDETERMINED) {
+    const criticalKeywords = ['critical', 'emergency', 'zero-day', 'rce', 'remote code execution', ...languageKeywords('critical', language)];
+    const highKeywords = ['high', 'severe', 'exploit', 'active attack', 'widespread', ...languageKeywords('high', language)];
+    const mediumKeywords = [
+      'medium', 'moderate', 'vulnerability', 'patch available',
+      ...languageKeywords('medium', language), ...languageKeywords('vulnerability', language)
+    ];
+    const lowKeywords = ['low', 'minor', 'informational', ...languageKeywords('low', language)];
 
     if (criticalKeywords.some(keyword => text.includes(keyword))) {
       return 'critical';
@@ -223,6 +256,20 @@ export class ThreatFilter {
     return 'info';
   }
 
+  /**
+   * Map a CVSS base score to a severity level (CVSS v3/v4 qualitative ratings)
+   * @param {number} score - CVSS base score (0-10)
+   * @returns {string|null} Severity level or null when no usable score
+   */
+  severityFromScore(score) {
+    if (typeof score !== 'number' || Number.isNaN(score)) return null;
+    if (score >= 9.0) return 'critical';
+    if (score >= 7.0) return 'high';
+    if (score >= 4.0) return 'medium';
+    if (score > 0) return 'low';
+    return 'info';
+  }
+
   /**
    * Boost severity level
    * @param {string} currentSeverity - Current severity
@@ -274,9 +321,9 @@ export class ThreatFilter {
     indicators.domains = [...new Set((text.match(domainPattern) || [])
       .filter(domain => !domain.includes('example.com')))];
 
-    // CVE IDs
+    // CVE IDs (the text is lowercased, CVE IDs are reported in upper case)
     const cvePattern = /CVE-\d{4}-\d{4,}/gi;
-    indicators.cves = [...new Set((text.match(cvePattern) || []))];
+    indicators.cves = [...new Set((text.match(cvePattern) || []).map(cve => cve.toUpperCase()))];
 
     // File hashes (MD5, SHA1, SHA256)
     const hashPattern = /\b[a-fA-F0-9]{32,64}\b/g;
@@ -289,6 +336,25 @@ export class ThreatFilter {
     return indicators;
   }
 
+  /**
+   * Merge structured indicators (e.g. from STIX objects) into extracted ones
+   * @param {Object} extracted - Indicators extracted from text
+   * @param {Object} structured - Indicators provided by the source parser
+   * @returns {Object} Merged indicators
+   */
+  mergeIndicators(extracted, structured) {
+    if (!structured || typeof structured !== 'object') return extracted;
+
+    const merged = { ...extracted };
+    for (const key of Object.keys(extracted)) {
+      if (Array.isArray(structured[key])) {
+        const values = key === 'cves' ? structured[key].map(cve => String(cve).toUpperCase()) : structured[key];
+        merged[key] = [...new Set([...extracted[key], ...values])];
+      }
+    }
+    return merged;
+  }
+
   /**
    * Calculate confidence score for classification
    * @param {string} text - Entry text
@@ -1,5 +1,12 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { validateScrapeConfig } from '../parsers/htmlParser.js';
+import { validateMailConfig } from '../parsers/mailParser.js';
+import { validateAdapterConfig } from '../parsers/adapters/index.js';
+import { validateFeedAuth } from './feedAuth.js';
+import { SUPPORTED_LANGUAGES } from './language.js';
+import { isValidTimeZone } from './dates.js';
+import { validatePaginationConfig } from './pagination.js';
 
 /**
  * Validate feed configuration structure and content
@@ -7,10 +14,10 @@ import path from 'path';
 export class FeedValidator {
   constructor() {
     this.requiredFields = ['name', 'url', 'enabled'];
-    this.optionalFields = ['category', 'region', 'priority', 'description', 'parser'];
+    this.optionalFields = ['category', 'region', 'priority', 'description', 'parser', 'cacheFile', 'scrape', 'circuitBreaker', 'auth', 'headers', 'fetchArticle', 'language', 'adapter', 'timezone', 'pagination', 'mail', 'websub'];
     this.validPriorities = ['high', 'medium', 'low'];
     this.validCategories = ['national', 'vendor', 'government', 'commercial', 'community'];
-    this.availableParsers = new Set(['defaultParser']);
+    this.availableParsers = new Set(['defaultParser', 'jsonFeedParser', 'kevParser', 'nvdParser', 'csafParser', 'taxiiParser', 'htmlParser', 'mailParser']);
   }
 
   /**
@@ -42,7 +49,7 @@ export class FeedValidator {
 
     // Validate required fields
     for (const field of this.requiredFields) {
-      if (!feed[field]) {
+      if (feed[field] === undefined || feed[field] === null || feed[field] === '') {
         errors.push(`${feedIdentifier}: Missing required field '${field}'`);
       } else if (typeof feed[field] !== 'string' && field !== 'enabled') {
         errors.push(`${feedIdentifier}: Field '${field}' must be a string`);
@@ -54,11 +61,15 @@ export class FeedValidator {
       errors.push(`${feedIdentifier}: Field 'enabled' must be a boolean`);
     }
 
-    // Validate URL format
+    // Validate URL format (mailboxes are local files)
     if (feed.url) {
       try {
         const url = new URL(feed.url);
-        if (!['http:', 'https:'].includes(url.protocol)) {
+        if (feed.parser === 'mailParser') {
+          if (url.protocol !== 'file:') {
+            errors.push(`${feedIdentifier}: Parser 'mailParser' needs a file: URL of an mbox file or Maildir directory`);
+          }
+        } else if (!['http:', 'https:'].includes(url.protocol)) {
           errors.push(`${feedIdentifier}: URL must use HTTP or HTTPS protocol`);
         }
       } catch (error) {
@@ -76,11 +87,105 @@ export class FeedValidator {
       errors.push(`${feedIdentifier}: Category must be one of: ${this.validCategories.join(', ')}`);
     }
 
+    // Validate the fallback language used when per-entry detection is inconclusive
+    if (feed.language !== undefined && !SUPPORTED_LANGUAGES.includes(feed.language)) {
+      errors.push(`${feedIdentifier}: Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+    }
+
+    // Validate the zone used for publish dates that carry no offset
+    if (feed.timezone !== undefined && !isValidTimeZone(feed.timezone)) {
+      errors.push(`${feedIdentifier}: Timezone '${feed.timezone}' is not a valid IANA time zone (e.g. Europe/Oslo)`);
+    }
+
     // Validate parser if specified
     if (feed.parser && !this.availableParsers.has(feed.parser)) {
       errors.push(`${feedIdentifier}: Unknown parser '${feed.parser}'. Available parsers: ${Array.from(this.availableParsers).join(', ')}`);
     }
 
+    // Validate local cache file if specified
+    if (feed.cacheFile !== undefined && (typeof feed.cacheFile !== 'string' || !feed.cacheFile.trim())) {
+      errors.push(`${feedIdentifier}: Field 'cacheFile' must be a non-empty string path`);
+    }
+
+    // Validate HTML scraper selectors so a broken config fails here instead of yielding zero items
+    if (feed.parser === 'htmlParser' || feed.scrape !== undefined) {
+      if (feed.scrape !== undefined && feed.parser !== 'htmlParser') {
+        errors.push(`${feedIdentifier}: Field 'scrape' is only used with parser 'htmlParser'`);
+      }
+      for (const error of validateScrapeConfig(feed.scrape)) {
+        errors.push(`${feedIdentifier}: ${error}`);
+      }
+    }
+
+    // Validate declarative adapter rules (regexes, _original paths, registered JS modules)
+    if (feed.adapter !== undefined) {
+      for (const error of validateAdapterConfig(feed.adapter)) {
+        errors.push(`${feedIdentifier}: ${error}`);
+      }
+    }
+
+    // Validate mailbox sender filters
+    if (feed.mail !== undefined) {
+      if (feed.parser !== 'mailParser') {
+        errors.push(`${feedIdentifier}: Field 'mail' is only used with parser 'mailParser'`);
+      }
+      for (const error of validateMailConfig(feed.mail)) {
+        errors.push(`${feedIdentifier}: ${error}`);
+      }
+    }
+
+    // Validate the WebSub opt-out used by --websub
+    if (feed.websub !== undefined && typeof feed.websub !== 'boolean') {
+      errors.push(`${feedIdentifier}: Field 'websub' must be a boolean`);
+    }
+
+    // Validate archive pagination used by --backfill
+    if (feed.pagination !== undefined) {
+      for (const error of validatePaginationConfig(feed.pagination)) {
+        errors.push(`${feedIdentifier}: ${error}`);
+      }
+    }
+
+    // Validate auth/headers blocks; secrets must be env var references, never literals
+    for (const error of validateFeedAuth(feed)) {
+      errors.push(`${feedIdentifier}: ${error}`);
+    }
+
+    // Validate full-article enrichment settings
+    if (feed.fetchArticle !== undefined && typeof feed.fetchArticle !== 'boolean') {
+      const setting = feed.fetchArticle;
+      if (!setting || typeof setting !== 'object' || Array.isArray(setting)) {
+        errors.push(`${feedIdentifier}: Field 'fetchArticle' must be a boolean or an object`);
+      } else {
+        for (const [key, value] of Object.entries(setting)) {
+          if (!['maxItems', 'maxBytes', 'timeoutMs'].includes(key)) {
+            errors.push(`${feedIdentifier}: Unknown fetchArticle field '${key}'`);
+          } else if (!Number.isInteger(value) || value < 1) {
+            errors.push(`${feedIdentifier}: fetchArticle.${key} must be a positive integer`);
+          }
+        }
+      }
+    }
+
+    // Validate circuit breaker overrides
+    if (feed.circuitBreaker !== undefined) {
+      const breaker = feed.circuitBreaker;
+      if (!breaker || typeof breaker !== 'object' || Array.isArray(breaker)) {
+        errors.push(`${feedIdentifier}: Field 'circuitBreaker' must be an object`);
+      } else {
+        const unknown = Object.keys(breaker).filter(k => !['failureThreshold', 'cooldownMinutes'].includes(k));
+        if (unknown.length > 0) {
+          errors.push(`${feedIdentifier}: Unknown circuitBreaker fields: ${unknown.join(', ')}`);
+        }
+        if (breaker.failureThreshold !== undefined && (!Number.isInteger(breaker.failureThreshold) || breaker.failureThreshold < 1)) {
+          errors.push(`${feedIdentifier}: circuitBreaker.failureThreshold must be a positive integer`);
+        }
+        if (breaker.cooldownMinutes !== undefined && (typeof breaker.cooldownMinutes !== 'number' || !(breaker.cooldownMinutes > 0))) {
+          errors.push(`${feedIdentifier}: circuitBreaker.cooldownMinutes must be a positive number`);
+        }
+      }
+    }
+
     // Validate name uniqueness (this will be checked at the array level)
     if (feed.name && typeof feed.name === 'string') {
       if (feed.name.trim().length === 0) {
@@ -3,9 +3,12 @@ import { FeedValidator } from './validateFeeds.js';
 /**
  * Adapter to provide a simple validateFeeds function expected by the
  * enhanced pipeline and config validator script.
+ * @param {Array} feeds - Feed configurations
+ * @param {Object} options - { parsers } names from the parser registry (plugins included)
  */
-export function validateFeeds(feeds) {
+export function validateFeeds(feeds, options = {}) {
   const validator = new FeedValidator();
+  (options.parsers || []).forEach(name => validator.addAvailableParser(name));
   const result = validator.validateFeeds(feeds);
   return {
     isValid: result.errors.length === 0 && result.validCount > 0,
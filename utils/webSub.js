@@ -0,0 +1,80 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * WebSub (W3C, formerly PubSubHubbub) helpers: hub discovery from Link headers,
+ * per-topic secrets, X-Hub-Signature checks and lease bookkeeping. The HTTP side
+ * (subscribe requests, verification and push callbacks) is services/webSubSubscriber.js.
+ */
+
+// Signature algorithms a hub may use in X-Hub-Signature (sha1 is the original PubSubHubbub one)
+const SIGNATURE_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+// Re-subscribe this long before a lease runs out, and retry unverified/failed requests after this long
+export const RENEW_MARGIN_MS = 60 * 60 * 1000;
+export const RETRY_AFTER_MS = 15 * 60 * 1000;
+
+/**
+ * Parse an HTTP Link header (RFC 8288)
+ * @param {string|null} value - e.g. '<https://hub.example/>; rel="hub", <https://x/feed>; rel=self'
+ * @param {string} baseUrl - URL relative targets are resolved against
+ * @returns {Array<Object>} - [{ url, rel: [lowercase rel values] }]
+ */
+export function parseLinkHeader(value, baseUrl) {
+  if (!value) return [];
+  const links = [];
+  for (const match of String(value).matchAll(/<([^>]*)>([^,<]*)/g)) {
+    const rel = /;\s*rel\s*=\s*(?:"([^"]*)"|([^\s;,]+))/i.exec(match[2]);
+    if (!rel) continue;
+    try {
+      links.push({ url: new URL(match[1], baseUrl).toString(), rel: (rel[1] ?? rel[2]).toLowerCase().split(/\s+/) });
+    } catch {}
+  }
+  return links;
+}
+
+/**
+ * hub.secret for one topic, derived from WEBSUB_SECRET so nothing secret is kept in state
+ * @param {string} secret - WEBSUB_SECRET
+ * @param {string} topic - Topic URL
+ * @returns {string} - 64 hex chars (hubs accept secrets shorter than 200 bytes)
+ */
+export function deriveSecret(secret, topic) {
+  return createHmac('sha256', secret).update(`websub:${topic}`).digest('hex');
+}
+
+/**
+ * Check a push body against its X-Hub-Signature header
+ * @param {string|null} header - e.g. 'sha256=9f2c...'
+ * @param {Buffer} body - Raw request body
+ * @param {string} secret - hub.secret sent with the subscription
+ * @returns {boolean} - False when missing, malformed, an unknown algorithm or a mismatch
+ */
+export function verifySignature(header, body, secret) {
+  const match = /^(\w+)=([0-9a-f]+)$/i.exec(String(header || '').trim());
+  if (!match || !SIGNATURE_ALGORITHMS.includes(match[1].toLowerCase())) return false;
+  const expected = createHmac(match[1].toLowerCase(), secret).update(body).digest();
+  const given = Buffer.from(match[2], 'hex');
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Whether a feed has to be (re)subscribed
+ * @param {Object|undefined} subscription - state.websub[feed.name]
+ * @param {number} now - Epoch ms
+ * @returns {boolean}
+ */
+export function needsSubscription(subscription, now) {
+  if (!subscription) return true;
+  switch (subscription.status) {
+    case 'active':
+      return !subscription.expiresAt || Date.parse(subscription.expiresAt) - RENEW_MARGIN_MS <= now;
+    case 'pending':
+    case 'error':
+      return Date.parse(subscription.requestedAt || 0) + RETRY_AFTER_MS <= now;
+    default:
+      // 'denied' by the hub: left alone (delete state.websub[<feed>] to try again)
+      return false;
+  }
+}
+
+export default { parseLinkHeader, deriveSecret, verifySignature, needsSubscription, RENEW_MARGIN_MS, RETRY_AFTER_MS };